@@ -0,0 +1,73 @@
+/**
+ * Simulation clock that advances planetary time independently of the frame rate
+ */
+class SimulationClock {
+  /**
+   * Creates a new SimulationClock instance
+   * @param {Object} [options] - Clock options
+   * @param {number} [options.time=0] - Starting time in days since perihelion
+   * @param {number} [options.speed=10] - Simulated days per real second
+   * @param {boolean} [options.playing=false] - Whether the clock starts running
+   */
+  constructor({ time = 0, speed = 10, playing = false } = {}) {
+    this.time = time;
+    this.speed = speed;
+    this.playing = playing;
+  }
+
+  /**
+   * Starts advancing time
+   */
+  play() {
+    this.playing = true;
+  }
+
+  /**
+   * Stops advancing time
+   */
+  pause() {
+    this.playing = false;
+  }
+
+  /**
+   * Toggles between playing and paused
+   * @returns {boolean} True if the clock is now playing
+   */
+  toggle() {
+    this.playing = !this.playing;
+    return this.playing;
+  }
+
+  /**
+   * Sets how fast simulated time passes
+   * @param {number} speed - Simulated days per real second
+   */
+  setSpeed(speed) {
+    if (typeof speed !== 'number' || speed < 0) {
+      throw new Error('Clock speed must be a non-negative number of days per second');
+    }
+    this.speed = speed;
+  }
+
+  /**
+   * Jumps to a given simulated time
+   * @param {number} time - Time in days since perihelion
+   */
+  setTime(time) {
+    this.time = time;
+  }
+
+  /**
+   * Advances the clock by a real-time interval if it is playing
+   * @param {number} deltaSeconds - Real time elapsed in seconds
+   * @returns {number} Current simulated time in days
+   */
+  tick(deltaSeconds) {
+    if (this.playing) {
+      this.time += deltaSeconds * this.speed;
+    }
+    return this.time;
+  }
+}
+
+export default SimulationClock;
@@ -0,0 +1,380 @@
+import CompositionParameters from '../parameters/CompositionParams.js';
+import OrbitalParameters from '../parameters/OrbitalParams.js';
+import { TectonicState } from '../parameters/AdvancedParams.js';
+import { RetentionState } from '../physics/AtmosphericRetention.js';
+import { calculateVaporPressure, determinePhase, Phase } from '../physics/VolatilePhases.js';
+import { EARTH } from '../utils/Constants.js';
+
+/**
+ * Geological-timescale evolution engine
+ * Steps a planet forward by millions of years at a time: the star brightens,
+ * volcanoes outgas, the carbonate–silicate cycle draws CO2 down into rock while
+ * liquid water exists, hydrogen escapes from water that reaches the upper
+ * atmosphere, and light or unshielded atmospheres are lost to space. Each step
+ * mutates the engine's own CompositionParameters and records a snapshot.
+ */
+
+// Solar age and main-sequence lifetime for a 1 M☉ star, years
+const SOLAR_AGE = 4.57e9;
+const SOLAR_MAIN_SEQUENCE_LIFETIME = 1e10;
+
+// Fractional brightening over the main sequence (Gough 1981)
+const BRIGHTENING_FACTOR = 0.4;
+
+// Present-day Earth: CO2 outgassing balanced by silicate weathering
+const EARTH_SURFACE_AREA = 4 * Math.PI * ((EARTH.radius * 1000) ** 2); // m²
+const REFERENCE_WEATHERING = 300e9 / EARTH_SURFACE_AREA; // kg/(m²·yr)
+const REFERENCE_CO2_PRESSURE = 0.0004; // atm
+const REFERENCE_TEMPERATURE = 288; // K
+const REFERENCE_LAND_FRACTION = 0.29;
+
+// Weathering ∝ pCO2^β * exp((T - T₀) / T_w) (Walker et al. 1981)
+const WEATHERING_CO2_EXPONENT = 0.5;
+const WEATHERING_TEMPERATURE_SCALE = 17.7; // K
+
+// Seafloor weathering keeps some CO2 drawdown going on a planet without land
+const MIN_WEATHERING_LAND_FRACTION = 0.05;
+
+// Share of volcanic water returned to the mantle by subduction
+const PLATE_RECYCLING = 0.9;
+
+// Diffusion-limited hydrogen escape: ocean lost per year per unit of
+// stratospheric water mixing ratio, in metres of global ocean (Earth gravity)
+const DIFFUSION_LIMITED_WATER_LOSS = 2.36e-4;
+
+// e-folding times for Jeans escape of a gas, years
+const ESCAPE_TIMESCALES = {
+  [RetentionState.LOST]: 1e8,
+  [RetentionState.MARGINAL]: 3e9
+};
+
+// Without a magnetic field the stellar wind strips the atmosphere; e-folding
+// time at Mars's escape velocity, growing as v_esc⁴
+const STRIPPING_TIMESCALE = 2e9;
+const STRIPPING_REFERENCE_VELOCITY = 5.03; // km/s
+
+// Composition validation caps surface pressure
+const MAX_PRESSURE = 100; // atm
+
+const PASCALS_PER_ATM = 101325;
+const WATER_DENSITY = 1000; // kg/m³
+
+/**
+ * Deep-copies composition parameters onto a new orbit
+ * @private
+ */
+function cloneComposition(composition, orbit) {
+  return new CompositionParameters({
+    atmosphere: {
+      composition: { ...composition.atmosphere.composition },
+      pressure: composition.atmosphere.pressure,
+      thickness: composition.atmosphere.thickness
+    },
+    water: { ...composition.water },
+    surface: { ...composition.surface }
+  }, orbit);
+}
+
+/**
+ * Typical present age for a host star
+ * The star is taken to have lived the same share of its main-sequence life as
+ * the Sun, capped at the Sun's age, so short-lived massive stars still start
+ * on the main sequence.
+ * @param {number} stellarMass - Star mass in M☉
+ * @returns {number} Star age in years
+ */
+export function estimateStellarAge(stellarMass) {
+  const lifetime = SOLAR_MAIN_SEQUENCE_LIFETIME * (stellarMass ** -2.5);
+  return Math.min(SOLAR_AGE, lifetime * (SOLAR_AGE / SOLAR_MAIN_SEQUENCE_LIFETIME));
+}
+
+/**
+ * Time-stepping model of a planet's long-term evolution
+ */
+class SimulationEngine {
+  /**
+   * Creates a new SimulationEngine instance
+   * The composition and orbit are copied, so the planet being edited is untouched.
+   * Only planets with a solid surface are modelled; giants throw.
+   * @param {Object} planet - Starting planet
+   * @param {PhysicalParameters} planet.physical - Physical parameters (held fixed)
+   * @param {CompositionParameters} planet.composition - Starting composition
+   * @param {OrbitalParameters} planet.orbit - Host star and orbit
+   * @param {AdvancedParameters} [planet.advanced] - Volcanism, magnetic field and tectonics
+   * @param {Object} [options] - Engine options
+   * @param {number} [options.timeStep=5e7] - Years per step
+   * @param {number} [options.stellarAge=4.57e9] - Starting age of the star in years
+   */
+  constructor({ physical, composition, orbit, advanced = null }, { timeStep = 5e7, stellarAge = SOLAR_AGE } = {}) {
+    if (!(timeStep > 0)) {
+      throw new Error('Time step must be a positive number of years');
+    }
+    if (!(stellarAge >= 0)) {
+      throw new Error('Stellar age must be a non-negative number of years');
+    }
+    if (!composition.hasSolidSurface()) {
+      throw new Error(`Cannot evolve a ${composition.planetClass}: the model needs a solid surface`);
+    }
+
+    this.physical = physical;
+    this.advanced = advanced;
+    this.orbit = new OrbitalParameters(orbit);
+    this.composition = cloneComposition(composition, this.orbit);
+    this.timeStep = timeStep;
+    this.initialStellarAge = stellarAge;
+    this.initialLuminosity = orbit.star.luminosity;
+    this.initialIceCaps = composition.water.iceCaps;
+    this.age = 0;
+    this.history = [this.createSnapshot()];
+  }
+
+  /**
+   * Main-sequence lifetime of the host star
+   * Formula: t_MS = 10 Gyr * (M / M☉)^-2.5
+   * @returns {number} Lifetime in years
+   */
+  calculateMainSequenceLifetime() {
+    return SOLAR_MAIN_SEQUENCE_LIFETIME * (this.orbit.star.mass ** -2.5);
+  }
+
+  /**
+   * Stellar luminosity at a given star age, scaled from the starting luminosity
+   * Formula: L(t) ∝ 1 / (1 + 0.4 * (1 - t / t☉)), with t☉ scaled to the star's lifetime
+   * @param {number} stellarAge - Star age in years
+   * @returns {number} Luminosity in L☉
+   */
+  calculateLuminosity(stellarAge) {
+    const solarEquivalentAge = (stellarAge / this.calculateMainSequenceLifetime()) * SOLAR_MAIN_SEQUENCE_LIFETIME;
+    const brightness = (age) => 1 / (1 + BRIGHTENING_FACTOR * (1 - age / SOLAR_AGE));
+    const startAge = (this.initialStellarAge / this.calculateMainSequenceLifetime()) * SOLAR_MAIN_SEQUENCE_LIFETIME;
+    return this.initialLuminosity * (brightness(solarEquivalentAge) / brightness(startAge));
+  }
+
+  /**
+   * Whether the star has left the main sequence, ending the simulation
+   * @returns {boolean} True once the star is older than its main-sequence lifetime
+   */
+  isFinished() {
+    return this.initialStellarAge + this.age >= this.calculateMainSequenceLifetime();
+  }
+
+  /**
+   * Converts a gas release rate to a surface pressure rate
+   * @private
+   */
+  massToPressure(kilograms) {
+    const area = 4 * Math.PI * ((this.physical.radius * 1000) ** 2);
+    return (kilograms * this.physical.calculateSurfaceGravity()) / (area * PASCALS_PER_ATM);
+  }
+
+  /**
+   * Global-equivalent ocean depth (coverage × depth)
+   * @private
+   */
+  getOceanVolume() {
+    return (this.composition.water.coverage / 100) * this.composition.water.depth;
+  }
+
+  /**
+   * Resizes the oceans to a new global-equivalent depth, shrinking coverage and
+   * depth together
+   * @private
+   */
+  setOceanVolume(volume) {
+    const current = this.getOceanVolume();
+    const water = this.composition.water;
+    if (volume <= 0) {
+      water.coverage = 0;
+      water.depth = 0;
+    } else if (current > 0) {
+      const scale = Math.sqrt(volume / current);
+      water.coverage = Math.min(100, water.coverage * scale);
+      water.depth = Math.min(100, water.depth * scale);
+    } else {
+      // Oceans reappear in the lowlands
+      water.depth = Math.min(100, Math.sqrt(volume * 100));
+      water.coverage = Math.min(100, (volume / water.depth) * 100);
+    }
+  }
+
+  /**
+   * Advances the planet by one time step and records a snapshot
+   * @returns {Object} The new snapshot
+   */
+  step() {
+    const dt = this.timeStep;
+    const composition = this.composition;
+    const temperature = composition.getEffectiveTemperature();
+    const radiative = composition.getRadiativeBalance();
+    const liquidWater = composition.canSupportLiquidWater();
+    const gravityRatio = this.physical.calculateSurfaceGravity() / EARTH.gravity;
+    const area = 4 * Math.PI * ((this.physical.radius * 1000) ** 2);
+
+    // Work in partial pressures so gases can be added and removed independently
+    const partials = {};
+    for (const [gas, percentage] of Object.entries(composition.atmosphere.composition)) {
+      partials[gas] = (percentage / 100) * composition.atmosphere.pressure;
+    }
+
+    // Volcanic outgassing
+    const emissions = this.advanced && this.advanced.calculateTotalOutgassing() > 0
+      ? this.advanced.volcanism.gasEmissions
+      : {};
+    const co2Supply = this.massToPressure((emissions.CO2 || 0) * 1e9) * dt;
+    const activeTectonics = this.advanced?.tectonics.state === TectonicState.ACTIVE;
+    const waterRecycling = activeTectonics ? PLATE_RECYCLING : 0;
+    let oceanVolume = this.getOceanVolume();
+    if (!radiative.runaway && determinePhase('H2O', temperature, composition.atmosphere.pressure) !== Phase.GAS) {
+      // Erupted water only collects at the surface if it can condense
+      oceanVolume += ((emissions.H2O || 0) * 1e9 * (1 - waterRecycling) * dt) / (area * WATER_DENSITY * 1000);
+    }
+
+    // Carbonate–silicate cycle: with liquid water, weathering pulls CO2 to the
+    // level that balances outgassing (far faster than one step); without it CO2 piles up
+    const currentCO2 = partials.CO2 || 0;
+    if (liquidWater) {
+      const land = Math.max(1 - composition.water.coverage / 100, MIN_WEATHERING_LAND_FRACTION);
+      const outgassingFlux = ((emissions.CO2 || 0) * 1e9) / area;
+      const weatheringCapacity = REFERENCE_WEATHERING * (land / REFERENCE_LAND_FRACTION)
+        * Math.exp((temperature - REFERENCE_TEMPERATURE) / WEATHERING_TEMPERATURE_SCALE);
+      const equilibrium = REFERENCE_CO2_PRESSURE
+        * ((outgassingFlux / weatheringCapacity) ** (1 / WEATHERING_CO2_EXPONENT));
+      partials.CO2 = Math.min(equilibrium, currentCO2 + co2Supply);
+    } else {
+      partials.CO2 = currentCO2 + co2Supply;
+    }
+
+    // Hydrogen escape from water that gets past the tropopause cold trap
+    const { tropopause, waterVaporPressure } = radiative;
+    const surfaceMixingRatio = waterVaporPressure / (composition.atmosphere.pressure + waterVaporPressure || 1);
+    const coldTrapMixingRatio = calculateVaporPressure('H2O', tropopause.temperature) / tropopause.pressure;
+    const stratosphericWater = radiative.runaway
+      ? surfaceMixingRatio
+      : Math.min(surfaceMixingRatio, coldTrapMixingRatio);
+    const waterLoss = (DIFFUSION_LIMITED_WATER_LOSS * stratosphericWater * gravityRatio * dt) / 1000; // km
+    oceanVolume = Math.max(0, oceanVolume - waterLoss);
+
+    // Jeans escape of light gases
+    const retention = composition.getAtmosphericRetention(this.physical);
+    for (const { gas, state } of retention.gases) {
+      const timescale = ESCAPE_TIMESCALES[state];
+      if (timescale && partials[gas]) {
+        partials[gas] *= Math.exp(-dt / timescale);
+      }
+    }
+
+    // Stellar-wind stripping of an unshielded atmosphere
+    const shielded = !this.advanced
+      || (this.advanced.magneticField.dynamoActive && this.advanced.assessDynamo(this.physical).plausible);
+    if (!shielded) {
+      const escapeVelocity = this.physical.calculateEscapeVelocity();
+      const timescale = STRIPPING_TIMESCALE * ((escapeVelocity / STRIPPING_REFERENCE_VELOCITY) ** 4);
+      for (const gas of Object.keys(partials)) {
+        partials[gas] *= Math.exp(-dt / timescale);
+      }
+    }
+
+    this.applyPartialPressures(partials);
+    this.setOceanVolume(oceanVolume);
+
+    // The star brightens
+    this.age += dt;
+    this.orbit.star.luminosity = this.calculateLuminosity(this.initialStellarAge + this.age);
+
+    // Ice follows the state of surface water
+    const waterPhase = determinePhase('H2O', composition.getEffectiveTemperature(), composition.atmosphere.pressure);
+    if (waterPhase === Phase.SOLID) {
+      composition.water.iceCaps = 100;
+    } else if (waterPhase === Phase.LIQUID) {
+      composition.water.iceCaps = this.initialIceCaps;
+    } else {
+      composition.water.iceCaps = 0;
+    }
+
+    const snapshot = this.createSnapshot();
+    this.history.push(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Writes partial pressures back as a total pressure and mole percentages
+   * @private
+   */
+  applyPartialPressures(partials) {
+    const total = Object.values(partials).reduce((sum, p) => sum + p, 0);
+    const atmosphere = this.composition.atmosphere;
+    if (total <= 0) {
+      atmosphere.pressure = 0;
+      return;
+    }
+
+    const composition = {};
+    for (const [gas, p] of Object.entries(partials)) {
+      composition[gas] = (p / total) * 100;
+    }
+    atmosphere.composition = composition;
+    atmosphere.pressure = Math.min(total, MAX_PRESSURE);
+  }
+
+  /**
+   * Runs the simulation forward
+   * Stops early if the star leaves the main sequence.
+   * @param {number} duration - Years to simulate
+   * @returns {Array<Object>} Full history of snapshots
+   */
+  run(duration) {
+    const steps = Math.ceil(duration / this.timeStep);
+    for (let i = 0; i < steps && !this.isFinished(); i++) {
+      this.step();
+    }
+    return this.history;
+  }
+
+  /**
+   * Records the current state
+   * @private
+   */
+  createSnapshot() {
+    const composition = this.composition;
+    const radiative = composition.getRadiativeBalance();
+    return {
+      age: this.age,
+      stellarAge: this.initialStellarAge + this.age,
+      luminosity: this.orbit.star.luminosity,
+      temperature: radiative.surfaceTemperature,
+      greenhouseWarming: radiative.greenhouseWarming,
+      runaway: radiative.runaway,
+      liquidWater: composition.canSupportLiquidWater(),
+      atmosphere: {
+        composition: { ...composition.atmosphere.composition },
+        pressure: composition.atmosphere.pressure,
+        thickness: composition.atmosphere.thickness
+      },
+      water: { ...composition.water },
+      surface: {
+        ...composition.surface,
+        craters: composition.surface.craters.map((crater) => ({ ...crater }))
+      }
+    };
+  }
+
+  /**
+   * Rebuilds the planet's composition at a recorded point in its history
+   * @param {number} index - Snapshot index
+   * @returns {CompositionParameters} Composition, with its star, at that time
+   */
+  getCompositionAt(index) {
+    const snapshot = this.history[index];
+    if (!snapshot) {
+      throw new Error(`No snapshot at index ${index}`);
+    }
+
+    const orbit = new OrbitalParameters({
+      star: { ...this.orbit.star, luminosity: snapshot.luminosity },
+      orbit: this.orbit.orbit
+    });
+    return cloneComposition(snapshot, orbit);
+  }
+}
+
+export default SimulationEngine;
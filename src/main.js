@@ -1,10 +1,90 @@
 import './style.css';
-import PhysicalParameters from './parameters/PhysicalParams.js';
-import CompositionParameters, { EARTH_COMPOSITION, MARS_COMPOSITION, VENUS_COMPOSITION } from './parameters/CompositionParams.js';
+import { validatePhysicalParams, DerivedVariable } from './parameters/PhysicalParams.js';
+import {
+  ActivityLevel,
+  LavaComposition,
+  TectonicState,
+  validateAdvancedParams
+} from './parameters/AdvancedParams.js';
+import PresetRegistry, { PresetCategory, serializePlanet, completePreset, createPlanetModels } from './parameters/PresetRegistry.js';
+import InteriorModel from './physics/InteriorModel.js';
+import ClimateModel, { calculateSeasonalState } from './physics/ClimateModel.js';
+import TidalModel, { DEFAULT_QUALITY_FACTOR, DEFAULT_RIGIDITY } from './physics/Tides.js';
+import SimulationClock from './core/SimulationClock.js';
+import SimulationEngine, { estimateStellarAge } from './core/SimulationEngine.js';
 import PlanetRenderer from './rendering/PlanetRenderer.js';
-import { EARTH, MARS, JUPITER, MOON } from './utils/Constants.js';
+import { ModelFormat } from './rendering/PlanetExporter.js';
+import { MAP_WIDTHS } from './rendering/MapExporter.js';
+import { CameraPath, CaptureFormat } from './rendering/Capture.js';
+import UnitConverter, { UnitSystem, TemperatureScale, Quantity } from './utils/Units.js';
+import ExoplanetCatalog from './utils/ExoplanetCatalog.js';
+import { downloadFile, openFile, toFilename } from './utils/FileIO.js';
+import { writePlanetFile, readPlanetFile, PLANET_FILE_EXTENSION } from './utils/PlanetFile.js';
+import { encodeShareLink, decodeShareLink } from './utils/ShareLink.js';
+import { collectPlanetData, writeDataCSV, writeDataJSON } from './utils/DataExport.js';
+import { DEFAULT_SEED, MAX_SEED, isValidSeed, randomSeed } from './utils/Random.js';
+import { MOON, PARAMETER_RANGES } from './utils/Constants.js';
 import * as dat from 'dat.gui';
 
+// GUI labels for the mass/radius/density trio, one of which may be derived
+const CONSTRAINED_LABELS = {
+  mass: 'Mass',
+  radius: 'Radius',
+  density: 'Density'
+};
+
+// Slider [min, max, step] for the mass/radius/density trio in each unit system
+// (log10 of the display value for the sliders in LOG_SLIDERS)
+const CONSTRAINED_RANGES = {
+  [UnitSystem.SI]: {
+    mass: [20, 30, 0.001],
+    radius: [100, 100000, 0.1],
+    density: [500, 15000, 1]
+  },
+  [UnitSystem.EARTH]: {
+    mass: [0.001, 1000, 0.0001],
+    radius: [0.02, 15, 0.001],
+    density: [0.1, 2.7, 0.001]
+  },
+  [UnitSystem.JUPITER]: {
+    mass: [0.00001, 5, 0.00001],
+    radius: [0.002, 1.4, 0.0001],
+    density: [0.4, 11, 0.001]
+  }
+};
+
+// Sliders that span too many orders of magnitude to move through linearly
+const LOG_SLIDERS = {
+  [UnitSystem.SI]: ['mass']
+};
+
+// Star temperature slider range in K
+const STELLAR_TEMPERATURE_RANGE = [2000, 40000];
+
+// New moons start this many planet radii out
+const NEW_MOON_DISTANCE = 30;
+
+// Volcanic gas emission controls and the gases they set
+const EMISSION_CONTROLS = {
+  so2Emissions: 'SO2',
+  co2Emissions: 'CO2',
+  h2oEmissions: 'H2O'
+};
+
+// Real seconds to replay a full evolution history
+const TIME_LAPSE_DURATION = 10;
+
+// Capture size presets, width and height in pixels
+const CAPTURE_SIZES = {
+  '1920 × 1080': [1920, 1080],
+  '3840 × 2160 (4K)': [3840, 2160],
+  '7680 × 4320 (8K)': [7680, 4320],
+  '2048 × 2048': [2048, 2048]
+};
+
+// Catalog matches listed in the planet picker at once
+const MAX_CATALOG_MATCHES = 200;
+
 /**
  * Main application class
  */
@@ -13,8 +93,29 @@ class PlanetBuilderApp {
     this.renderer = null;
     this.parameters = null;
     this.composition = null;
+    this.orbit = null;
+    this.advanced = null;
+    this.interior = null;
+    this.satellites = null;
+    this.units = null;
+    this.unitLabels = [];
+    this.climate = null;
+    this.clock = null;
+    this.evolution = null;
+    this.evolutionIndex = null;
+    this.timeLapsePlaying = false;
     this.gui = null;
     this.guiControls = null;
+    this.physicsControllers = {};
+    this.iceCapsController = null;
+    this.waterCoverageController = null;
+    this.catalog = null;
+    this.catalogPlanetController = null;
+    this.presets = null;
+    this.presetController = null;
+    this.seed = DEFAULT_SEED;
+    this.basePreset = 'Earth';
+    this.notice = null;
 
     this.init();
   }
@@ -23,18 +124,39 @@ class PlanetBuilderApp {
    * Initialize the application
    */
   init() {
-    // Create default planet with Earth-like parameters
-    this.parameters = new PhysicalParameters(EARTH);
-    this.composition = new CompositionParameters(EARTH_COMPOSITION);
+    this.presets = new PresetRegistry();
+    for (const { name, errors } of this.presets.loadErrors) {
+      console.warn(`Skipped saved preset ${name}:`, errors.join(', '));
+    }
+
+    // Start from a shared link if the page was opened with one, otherwise from Earth
+    const link = decodeShareLink(window.location.hash);
+    const planet = link ? link.planet : this.presets.get('Earth');
+    this.seed = link ? link.seed : DEFAULT_SEED;
+    this.basePreset = link ? link.preset : 'Earth';
+    this.setPlanetModels(createPlanetModels(planet));
+    this.units = new UnitConverter();
+    this.clock = new SimulationClock();
 
     // Initialize the renderer
     this.renderer = new PlanetRenderer('app');
-
-    // Create the planet mesh with composition
-    this.renderer.createPlanetMesh(this.parameters, this.composition);
+    this.renderer.onUpdate((delta) => this.onSimulationTick(delta));
+    this.renderer.onSurfaceClick(({ latitude, longitude }) => {
+      if (this.guiControls.clickToImpact) {
+        this.triggerImpact(latitude, longitude);
+      }
+    });
 
     // Set up GUI controls
     this.setupGUI();
+    if (link) {
+      this.showLinkName(link.name);
+      this.reportRejectedSettings(link.rejected);
+    }
+    window.addEventListener('hashchange', () => this.loadShareLink(window.location.hash));
+
+    // Create the planet mesh with composition
+    this.rebuildPlanet();
 
     // Start the animation loop
     this.renderer.start();
@@ -43,8 +165,11 @@ class PlanetBuilderApp {
     this.updateCalculatedValues();
 
     console.log('Planet Builder initialized!');
-    console.log(this.parameters.toString());
-    console.log(this.composition.toString());
+    console.log(this.parameters.toString(this.units));
+    console.log(this.orbit.toString(this.composition.surface.albedo));
+    console.log(this.composition.toString(this.parameters, this.units));
+    console.log(this.advanced.toString(this.parameters));
+    console.log(this.satellites.toString());
   }
 
   /**
@@ -55,42 +180,196 @@ class PlanetBuilderApp {
 
     // Create a controls object for dat.GUI
     this.guiControls = {
-      mass: this.parameters.mass,
-      radius: this.parameters.radius,
-      density: this.parameters.density,
+      mass: this.toSlider(Quantity.MASS, this.parameters.mass),
+      radius: this.toSlider(Quantity.RADIUS, this.parameters.radius),
+      density: this.toSlider(Quantity.DENSITY, this.parameters.density),
       rotationRate: this.parameters.rotationRate,
       axialTilt: this.parameters.axialTilt,
+      derivedVariable: DerivedVariable.DENSITY,
       // Calculated values (read-only display)
       surfaceGravity: 0,
+      equatorialGravity: 0,
+      polarGravity: 0,
+      flattening: '',
+      breakupPeriod: 0,
       escapeVelocity: 0,
       // Composition parameters
       waterCoverage: this.composition.water.coverage,
-      temperature: this.composition.surface.temperature,
+      albedo: this.composition.surface.albedo,
       iceCaps: this.composition.water.iceCaps,
+      climateIceCaps: true,
+      terrainSeed: this.seed,
+      newTerrain: () => this.setTerrainSeed(randomSeed()),
       atmospherePressure: this.composition.atmosphere.pressure,
       CO2: this.composition.atmosphere.composition.CO2 || 0.04,
+      // Star and orbit parameters
+      stellarMass: this.orbit.star.mass,
+      luminosity: this.orbit.star.luminosity,
+      stellarTemperature: this.units.toDisplay(Quantity.TEMPERATURE, this.orbit.star.temperature),
+      semiMajorAxis: this.orbit.orbit.semiMajorAxis,
+      eccentricity: this.orbit.orbit.eccentricity,
+      // Advanced parameters
+      volcanicActivity: this.advanced.volcanism.activityLevel,
+      volcanoCount: this.advanced.volcanism.volcanoCount,
+      eruptionFrequency: this.advanced.volcanism.eruptionFrequency,
+      lavaComposition: this.advanced.volcanism.lavaComposition,
+      ...Object.fromEntries(Object.entries(EMISSION_CONTROLS)
+        .map(([control, gas]) => [control, this.advanced.volcanism.gasEmissions[gas] ?? 0])),
+      fieldStrength: this.advanced.magneticField.strength * 1e6,
+      dynamoActive: this.advanced.magneticField.dynamoActive,
+      poleOffset: this.advanced.magneticField.poleOffset,
+      tectonicState: this.advanced.tectonics.state,
+      plateCount: this.advanced.tectonics.plateCount,
+      plateMovementRate: this.advanced.tectonics.movementRate,
+      // Interior structure
+      coreFraction: this.interior.core,
+      waterFraction: this.interior.water,
+      envelopeFraction: this.interior.envelope,
+      deriveRadius: false,
+      // Moons
+      selectedMoon: this.satellites.moons[0]?.name ?? '',
+      moonDistance: this.getSelectedMoonDistance(0),
+      moonEccentricity: this.satellites.moons[0]?.orbit.eccentricity ?? 0,
+      addMoon: () => this.addMoon(),
+      removeMoon: () => this.removeMoon(),
+      hillSphere: 0,
+      moonPeriod: 0,
+      moonRocheLimit: 0,
+      moonStability: '',
+      moonTidalLock: '',
+      // Tides
+      tidalQ: DEFAULT_QUALITY_FACTOR,
+      rigidity: DEFAULT_RIGIDITY / 1e9,
+      tidallyLocked: '',
+      tidalLockTime: '',
+      equilibriumRotation: 0,
+      tidalHeatFlux: 0,
+      tidalWarming: 0,
+      // Impacts
+      impactMass: 15,
+      impactVelocity: 20,
+      impactAngle: 45,
+      impactLatitude: 0,
+      impactLongitude: 0,
+      impact: () => this.triggerImpact(),
+      clearCraters: () => this.clearCraters(),
+      clickToImpact: false,
+      craterDiameter: 0,
+      impactEnergy: '',
+      atmosphereLost: 0,
+      ejectaEscaped: '',
+      craterCount: 0,
+      // Simulation clock
+      playPause: () => this.toggleSimulation(),
+      simulationSpeed: this.clock.speed,
+      yearProgress: 0,
+      // Geological evolution
+      evolutionDuration: 2,
+      runEvolution: () => this.runEvolution(),
+      playTimeLapse: () => this.toggleTimeLapse(),
+      timeLapse: 0,
+      returnToPresent: () => this.returnToPresent(),
+      evolutionStatus: '',
+      evolutionAge: '',
+      evolutionTemp: 0,
+      evolutionPressure: 0,
+      evolutionOcean: 0,
       // Calculated composition values
+      equilibriumTemp: 0,
       effectiveTemp: 0,
+      greenhouseWarming: 0,
+      greenhouseGases: '',
+      tropopause: '',
+      surfaceLiquids: '',
+      surfaceIces: '',
+      orbitalPeriod: 0,
+      climateMeanTemp: 0,
+      iceLine: '',
+      season: '',
+      subSolarLatitude: 0,
+      northInsolation: 0,
+      southInsolation: 0,
+      starDistance: 0,
+      gasesMarginal: '',
+      gasesLost: '',
+      // Calculated advanced values
+      dynamoPlausible: '',
+      totalOutgassing: 0,
+      // Calculated interior values ('n/a' when the model has no solution)
+      coreRadius: '',
+      centralPressure: '',
+      momentOfInertia: '',
+      // Calculated habitability values
+      esi: 0,
+      esiInterior: 0,
+      esiSurface: 0,
+      habitableZone: '',
+      habitableZoneStatus: '',
+      limitingFactors: '',
+      // Units
+      unitSystem: this.units.system,
+      temperatureScale: this.units.temperatureScale,
       // Preset selection
-      preset: 'Earth'
+      preset: 'Earth',
+      presetInfo: '',
+      presetName: '',
+      savePreset: () => this.saveCurrentPreset(),
+      renamePreset: () => this.renameSelectedPreset(),
+      deletePreset: () => this.deleteSelectedPreset(),
+      exportPresets: () => this.exportUserPresets(),
+      importPresets: () => this.importUserPresets(),
+      // Exoplanet catalog
+      importCatalog: () => this.openCatalogFile(),
+      catalogSearch: '',
+      catalogPlanet: '',
+      catalogStatus: 'No catalog loaded',
+      // Planet files
+      planetFileName: 'Earth',
+      savePlanetFile: () => this.savePlanetFile(),
+      loadPlanetFile: () => this.openPlanetFile(),
+      copyShareLink: () => this.copyShareLink(),
+      planetFileStatus: '',
+      // Data export
+      exportDataCSV: () => this.exportData('csv'),
+      exportDataJSON: () => this.exportData('json'),
+      exportModelGLB: () => this.exportModel(ModelFormat.GLB),
+      exportModelOBJ: () => this.exportModel(ModelFormat.OBJ),
+      mapWidth: 2048,
+      includeHeightmap: true,
+      exportMaps: () => this.exportMaps(),
+      dataExportStatus: '',
+      // Capture
+      captureSize: '1920 × 1080',
+      captureWidth: 1920,
+      captureHeight: 1080,
+      transparentBackground: false,
+      takeScreenshot: () => this.takeScreenshot(),
+      cameraPath: CameraPath.TURNTABLE,
+      captureDuration: 10,
+      captureFrameRate: 30,
+      captureFormat: CaptureFormat.WEBM,
+      captureTimeLapse: false,
+      recordCapture: () => this.recordCapture(),
+      cancelCapture: () => this.renderer.capture.cancel(),
+      captureStatus: ''
     };
 
     // Physical Parameters folder
     const physicsFolder = this.gui.addFolder('Physical Parameters');
 
-    physicsFolder.add(this.guiControls, 'mass', 1e20, 1e30)
-      .name('Mass (kg)')
-      .onChange((value) => this.onParameterChange('mass', value));
+    physicsFolder.add(this.guiControls, 'derivedVariable', Object.values(DerivedVariable))
+      .name('Derived Variable')
+      .onChange((value) => this.onDerivedVariableChange(value));
 
-    physicsFolder.add(this.guiControls, 'radius', 100, 100000)
-      .name('Radius (km)')
-      .onChange((value) => this.onParameterChange('radius', value));
+    for (const param of Object.keys(CONSTRAINED_LABELS)) {
+      const [min, max, step] = CONSTRAINED_RANGES[this.units.system][param];
+      this.physicsControllers[param] = physicsFolder.add(this.guiControls, param, min, max, step)
+        .onChange((value) => this.onParameterChange(param, value));
+    }
 
-    physicsFolder.add(this.guiControls, 'density', 500, 15000)
-      .name('Density (kg/m³)')
-      .onChange((value) => this.onParameterChange('density', value));
+    this.updateDerivedLabels();
 
-    physicsFolder.add(this.guiControls, 'rotationRate', 0.1, 1000)
+    physicsFolder.add(this.guiControls, 'rotationRate', PARAMETER_RANGES.rotationRate.min, PARAMETER_RANGES.rotationRate.max)
       .name('Rotation (hours)')
       .onChange((value) => this.onParameterChange('rotationRate', value));
 
@@ -103,18 +382,22 @@ class PlanetBuilderApp {
     // Composition Parameters folder
     const compositionFolder = this.gui.addFolder('Composition Parameters');
 
-    compositionFolder.add(this.guiControls, 'waterCoverage', 0, 100)
+    this.waterCoverageController = compositionFolder.add(this.guiControls, 'waterCoverage', 0, 100)
       .name('Water Coverage (%)')
       .onChange((value) => this.onCompositionChange('waterCoverage', value));
 
-    compositionFolder.add(this.guiControls, 'temperature', 100, 800)
-      .name('Temperature (K)')
-      .onChange((value) => this.onCompositionChange('temperature', value));
+    compositionFolder.add(this.guiControls, 'albedo', 0, 1)
+      .name('Albedo')
+      .onChange((value) => this.onCompositionChange('albedo', value));
 
-    compositionFolder.add(this.guiControls, 'iceCaps', 0, 100)
+    this.iceCapsController = compositionFolder.add(this.guiControls, 'iceCaps', 0, 100)
       .name('Ice Caps (%)')
       .onChange((value) => this.onCompositionChange('iceCaps', value));
 
+    compositionFolder.add(this.guiControls, 'climateIceCaps')
+      .name('Ice from Climate')
+      .onChange((value) => this.onCompositionChange('climateIceCaps', value));
+
     compositionFolder.add(this.guiControls, 'atmospherePressure', 0, 10)
       .name('Pressure (atm)')
       .onChange((value) => this.onCompositionChange('atmospherePressure', value));
@@ -123,60 +406,1120 @@ class PlanetBuilderApp {
       .name('CO2 (%)')
       .onChange((value) => this.onCompositionChange('CO2', value));
 
+    compositionFolder.add(this.guiControls, 'terrainSeed')
+      .step(1)
+      .name('Terrain Seed')
+      .onFinishChange((value) => this.setTerrainSeed(value));
+
+    compositionFolder.add(this.guiControls, 'newTerrain')
+      .name('New Terrain');
+
+    this.updateIceCapsLock();
+
     compositionFolder.open();
 
+    // Star & Orbit folder
+    const orbitFolder = this.gui.addFolder('Star & Orbit');
+
+    orbitFolder.add(this.guiControls, 'stellarMass', 0.08, 10)
+      .name('Star Mass (M☉)')
+      .onChange((value) => this.onOrbitChange('stellarMass', value));
+
+    orbitFolder.add(this.guiControls, 'luminosity', 0.001, 100)
+      .name('Luminosity (L☉)')
+      .onChange((value) => this.onOrbitChange('luminosity', value));
+
+    this.stellarTemperatureController = this.nameWithUnit(
+      orbitFolder.add(this.guiControls, 'stellarTemperature', ...this.getStellarTemperatureRange()),
+      'Star Temp',
+      Quantity.TEMPERATURE
+    ).onChange((value) => this.onOrbitChange('stellarTemperature', value));
+
+    orbitFolder.add(this.guiControls, 'semiMajorAxis', 0.01, 50)
+      .name('Semi-major Axis (AU)')
+      .onChange((value) => this.onOrbitChange('semiMajorAxis', value));
+
+    orbitFolder.add(this.guiControls, 'eccentricity', 0, 0.99)
+      .name('Eccentricity')
+      .onChange((value) => this.onOrbitChange('eccentricity', value));
+
+    orbitFolder.open();
+
+    // Interior Structure folder
+    const interiorFolder = this.gui.addFolder('Interior Structure');
+
+    interiorFolder.add(this.guiControls, 'coreFraction', 0, 1)
+      .name('Iron Core (frac)')
+      .onChange((value) => this.onInteriorChange('coreFraction', value));
+
+    interiorFolder.add(this.guiControls, 'waterFraction', 0, 1)
+      .name('Water/Ice (frac)')
+      .onChange((value) => this.onInteriorChange('waterFraction', value));
+
+    interiorFolder.add(this.guiControls, 'envelopeFraction', 0, 1)
+      .name('H/He Envelope (frac)')
+      .onChange((value) => this.onInteriorChange('envelopeFraction', value));
+
+    interiorFolder.add(this.guiControls, 'deriveRadius')
+      .name('Radius from Interior')
+      .onChange((value) => this.onInteriorChange('deriveRadius', value));
+
+    // Moons folder
+    this.moonsFolder = this.gui.addFolder('Moons');
+
+    this.selectedMoonController = this.moonsFolder.add(this.guiControls, 'selectedMoon', this.getMoonNames())
+      .name('Moon')
+      .onChange(() => this.onSelectedMoonChange());
+
+    this.moonsFolder.add(this.guiControls, 'moonDistance', 1, 300)
+      .name('Distance (planet radii)')
+      .onChange((value) => this.onMoonChange('moonDistance', value));
+
+    this.moonsFolder.add(this.guiControls, 'moonEccentricity', 0, 0.9)
+      .name('Eccentricity')
+      .onChange((value) => this.onMoonChange('moonEccentricity', value));
+
+    this.moonsFolder.add(this.guiControls, 'addMoon')
+      .name('Add Moon');
+
+    this.moonsFolder.add(this.guiControls, 'removeMoon')
+      .name('Remove Moon');
+
+    this.nameWithUnit(this.moonsFolder.add(this.guiControls, 'hillSphere'), 'Hill Sphere', Quantity.RADIUS)
+      .listen();
+
+    this.moonsFolder.add(this.guiControls, 'moonPeriod')
+      .name('Period (days)')
+      .listen();
+
+    this.nameWithUnit(this.moonsFolder.add(this.guiControls, 'moonRocheLimit'), 'Roche Limit', Quantity.RADIUS)
+      .listen();
+
+    this.moonsFolder.add(this.guiControls, 'moonStability')
+      .name('Orbit')
+      .listen();
+
+    this.moonsFolder.add(this.guiControls, 'moonTidalLock')
+      .name('Tidal Lock')
+      .listen();
+
+    // Tides folder
+    const tidesFolder = this.gui.addFolder('Tides');
+
+    tidesFolder.add(this.guiControls, 'tidalQ', 1, 1000)
+      .name('Tidal Q')
+      .onChange(() => this.updateCalculatedValues());
+
+    tidesFolder.add(this.guiControls, 'rigidity', 0.1, 100)
+      .name('Rigidity (GPa)')
+      .onChange(() => this.updateCalculatedValues());
+
+    tidesFolder.add(this.guiControls, 'tidallyLocked')
+      .name('Tidally Locked')
+      .listen();
+
+    tidesFolder.add(this.guiControls, 'tidalLockTime')
+      .name('Lock Time (yr)')
+      .listen();
+
+    tidesFolder.add(this.guiControls, 'equilibriumRotation')
+      .name('Equilibrium Spin (h)')
+      .listen();
+
+    tidesFolder.add(this.guiControls, 'tidalHeatFlux')
+      .name('Tidal Heat (W/m²)')
+      .listen();
+
+    this.nameWithUnit(tidesFolder.add(this.guiControls, 'tidalWarming'), 'Tidal Warming', Quantity.TEMPERATURE_CHANGE)
+      .listen();
+
+    // Impacts folder
+    const impactsFolder = this.gui.addFolder('Impacts');
+
+    impactsFolder.add(this.guiControls, 'impactMass', 8, 22)
+      .name('Impactor Mass (log kg)');
+
+    impactsFolder.add(this.guiControls, 'impactVelocity', 5, 70)
+      .name('Velocity (km/s)');
+
+    impactsFolder.add(this.guiControls, 'impactAngle', 5, 90)
+      .name('Angle (°)');
+
+    impactsFolder.add(this.guiControls, 'impactLatitude', -90, 90)
+      .name('Latitude (°)')
+      .listen();
+
+    impactsFolder.add(this.guiControls, 'impactLongitude', -180, 180)
+      .name('Longitude (°)')
+      .listen();
+
+    impactsFolder.add(this.guiControls, 'impact')
+      .name('Impact!');
+
+    impactsFolder.add(this.guiControls, 'clickToImpact')
+      .name('Click Globe to Impact');
+
+    impactsFolder.add(this.guiControls, 'clearCraters')
+      .name('Clear Craters');
+
+    impactsFolder.add(this.guiControls, 'craterDiameter')
+      .name('Crater (km)')
+      .listen();
+
+    impactsFolder.add(this.guiControls, 'impactEnergy')
+      .name('Energy (Mt)')
+      .listen();
+
+    impactsFolder.add(this.guiControls, 'atmosphereLost')
+      .name('Air Lost (atm)')
+      .listen();
+
+    impactsFolder.add(this.guiControls, 'ejectaEscaped')
+      .name('Ejecta Escaped (kg)')
+      .listen();
+
+    impactsFolder.add(this.guiControls, 'craterCount')
+      .name('Craters')
+      .listen();
+
+    // Simulation folder
+    const simulationFolder = this.gui.addFolder('Simulation');
+
+    this.playPauseController = simulationFolder.add(this.guiControls, 'playPause')
+      .name('▶ Play');
+
+    simulationFolder.add(this.guiControls, 'simulationSpeed', 0, 100)
+      .name('Speed (days/s)')
+      .onChange((value) => this.clock.setSpeed(value));
+
+    simulationFolder.add(this.guiControls, 'yearProgress', 0, 1)
+      .name('Year Progress')
+      .listen()
+      .onChange((value) => this.onYearProgressChange(value));
+
+    simulationFolder.open();
+
+    // Evolution folder
+    const evolutionFolder = this.gui.addFolder('Evolution');
+
+    evolutionFolder.add(this.guiControls, 'evolutionDuration', 0.1, 10)
+      .name('Duration (Gyr)');
+
+    evolutionFolder.add(this.guiControls, 'runEvolution')
+      .name('Run Evolution');
+
+    evolutionFolder.add(this.guiControls, 'evolutionStatus')
+      .name('Status')
+      .listen();
+
+    this.timeLapseController = evolutionFolder.add(this.guiControls, 'playTimeLapse')
+      .name('▶ Play Time-lapse');
+
+    evolutionFolder.add(this.guiControls, 'timeLapse', 0, 1)
+      .name('Time-lapse')
+      .listen()
+      .onChange((value) => this.showEvolutionAt(value));
+
+    evolutionFolder.add(this.guiControls, 'returnToPresent')
+      .name('Return to Present');
+
+    evolutionFolder.add(this.guiControls, 'evolutionAge')
+      .name('Elapsed')
+      .listen();
+
+    this.nameWithUnit(evolutionFolder.add(this.guiControls, 'evolutionTemp'), 'Surface Temp', Quantity.TEMPERATURE)
+      .listen();
+
+    evolutionFolder.add(this.guiControls, 'evolutionPressure')
+      .name('Pressure (atm)')
+      .listen();
+
+    evolutionFolder.add(this.guiControls, 'evolutionOcean')
+      .name('Ocean Coverage (%)')
+      .listen();
+
+    // Advanced Parameters folder
+    const advancedFolder = this.gui.addFolder('Advanced Parameters');
+
+    advancedFolder.add(this.guiControls, 'volcanicActivity', Object.values(ActivityLevel))
+      .name('Volcanic Activity')
+      .onChange((value) => this.onAdvancedChange('volcanicActivity', value));
+
+    advancedFolder.add(this.guiControls, 'volcanoCount', 0, 5000, 1)
+      .name('Active Volcanoes')
+      .onChange((value) => this.onAdvancedChange('volcanoCount', value));
+
+    advancedFolder.add(this.guiControls, 'eruptionFrequency')
+      .name('Years Between Eruptions')
+      .onChange((value) => this.onAdvancedChange('eruptionFrequency', value));
+
+    advancedFolder.add(this.guiControls, 'lavaComposition', Object.values(LavaComposition))
+      .name('Lava Composition')
+      .onChange((value) => this.onAdvancedChange('lavaComposition', value));
+
+    for (const [control, gas] of Object.entries(EMISSION_CONTROLS)) {
+      advancedFolder.add(this.guiControls, control)
+        .name(`${gas} Emissions (Tg/yr)`)
+        .onChange((value) => this.onAdvancedChange(control, value));
+    }
+
+    advancedFolder.add(this.guiControls, 'fieldStrength', 0, 1000)
+      .name('Field Strength (µT)')
+      .onChange((value) => this.onAdvancedChange('fieldStrength', value));
+
+    advancedFolder.add(this.guiControls, 'dynamoActive')
+      .name('Dynamo Active')
+      .onChange((value) => this.onAdvancedChange('dynamoActive', value));
+
+    advancedFolder.add(this.guiControls, 'poleOffset', 0, 180)
+      .name('Pole Offset (°)')
+      .onChange((value) => this.onAdvancedChange('poleOffset', value));
+
+    advancedFolder.add(this.guiControls, 'tectonicState', Object.values(TectonicState))
+      .name('Tectonics')
+      .onChange((value) => this.onAdvancedChange('tectonicState', value));
+
+    advancedFolder.add(this.guiControls, 'plateCount', 0, 100, 1)
+      .name('Plate Count')
+      .onChange((value) => this.onAdvancedChange('plateCount', value));
+
+    advancedFolder.add(this.guiControls, 'plateMovementRate', 0, 100)
+      .name('Plate Speed (cm/yr)')
+      .onChange((value) => this.onAdvancedChange('plateMovementRate', value));
+
     // Calculated Values folder (read-only)
     const calculatedFolder = this.gui.addFolder('Calculated Properties');
 
-    calculatedFolder.add(this.guiControls, 'surfaceGravity')
-      .name('Gravity (m/s²)')
+    this.nameWithUnit(calculatedFolder.add(this.guiControls, 'surfaceGravity'), 'Gravity', Quantity.GRAVITY)
+      .listen();
+
+    this.nameWithUnit(calculatedFolder.add(this.guiControls, 'equatorialGravity'), 'Equator Gravity', Quantity.GRAVITY)
+      .listen();
+
+    this.nameWithUnit(calculatedFolder.add(this.guiControls, 'polarGravity'), 'Polar Gravity', Quantity.GRAVITY)
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'flattening')
+      .name('Flattening')
       .listen();
 
-    calculatedFolder.add(this.guiControls, 'escapeVelocity')
-      .name('Escape Vel (km/s)')
+    calculatedFolder.add(this.guiControls, 'breakupPeriod')
+      .name('Breakup Period (h)')
       .listen();
 
-    calculatedFolder.add(this.guiControls, 'effectiveTemp')
-      .name('Effective Temp (K)')
+    this.nameWithUnit(calculatedFolder.add(this.guiControls, 'escapeVelocity'), 'Escape Vel', Quantity.VELOCITY)
       .listen();
 
+    this.nameWithUnit(calculatedFolder.add(this.guiControls, 'equilibriumTemp'), 'Equilibrium Temp', Quantity.TEMPERATURE)
+      .listen();
+
+    this.nameWithUnit(calculatedFolder.add(this.guiControls, 'effectiveTemp'), 'Effective Temp', Quantity.TEMPERATURE)
+      .listen();
+
+    this.nameWithUnit(calculatedFolder.add(this.guiControls, 'greenhouseWarming'), 'Greenhouse', Quantity.TEMPERATURE_CHANGE)
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'greenhouseGases')
+      .name('Greenhouse Gases')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'tropopause')
+      .name('Tropopause')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'surfaceLiquids')
+      .name('Surface Liquids')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'surfaceIces')
+      .name('Surface Ices')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'orbitalPeriod')
+      .name('Orbital Period (days)')
+      .listen();
+
+    this.nameWithUnit(calculatedFolder.add(this.guiControls, 'climateMeanTemp'), 'Climate Mean', Quantity.TEMPERATURE)
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'iceLine')
+      .name('Ice Line (°N/°S)')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'season')
+      .name('Season (N/S)')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'subSolarLatitude')
+      .name('Sub-solar Lat (°)')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'northInsolation')
+      .name('North Insol. (W/m²)')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'southInsolation')
+      .name('South Insol. (W/m²)')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'starDistance')
+      .name('Star Distance (AU)')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'gasesMarginal')
+      .name('Marginal Gases')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'gasesLost')
+      .name('Gases Lost')
+      .listen();
+
+    this.nameWithUnit(calculatedFolder.add(this.guiControls, 'coreRadius'), 'Core Radius', Quantity.RADIUS)
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'centralPressure')
+      .name('Central Press. (GPa)')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'momentOfInertia')
+      .name('MoI Factor')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'dynamoPlausible')
+      .name('Dynamo Plausible')
+      .listen();
+
+    calculatedFolder.add(this.guiControls, 'totalOutgassing')
+      .name('Outgassing (Tg/yr)')
+      .listen();
+
+    // Habitability group
+    const habitabilityFolder = calculatedFolder.addFolder('Habitability');
+
+    habitabilityFolder.add(this.guiControls, 'esi')
+      .name('Earth Similarity')
+      .listen();
+
+    habitabilityFolder.add(this.guiControls, 'esiInterior')
+      .name('ESI Interior')
+      .listen();
+
+    habitabilityFolder.add(this.guiControls, 'esiSurface')
+      .name('ESI Surface')
+      .listen();
+
+    habitabilityFolder.add(this.guiControls, 'habitableZone')
+      .name('Habitable Zone (AU)')
+      .listen();
+
+    habitabilityFolder.add(this.guiControls, 'habitableZoneStatus')
+      .name('Zone Position')
+      .listen();
+
+    habitabilityFolder.add(this.guiControls, 'limitingFactors')
+      .name('Limiting Factors')
+      .listen();
+
+    habitabilityFolder.open();
     calculatedFolder.open();
 
+    // Units folder
+    const unitsFolder = this.gui.addFolder('Units');
+
+    unitsFolder.add(this.guiControls, 'unitSystem', Object.values(UnitSystem))
+      .name('Unit System')
+      .onChange(() => this.onUnitsChange());
+
+    unitsFolder.add(this.guiControls, 'temperatureScale', Object.values(TemperatureScale))
+      .name('Temperature')
+      .onChange(() => this.onUnitsChange());
+
     // Presets folder
     const presetsFolder = this.gui.addFolder('Presets');
 
-    presetsFolder.add(this.guiControls, 'preset', ['Earth', 'Mars', 'Jupiter', 'Moon'])
+    this.presetController = presetsFolder.add(this.guiControls, 'preset', this.presets.getNames())
       .name('Load Preset')
       .onChange((value) => this.loadPreset(value));
 
+    presetsFolder.add(this.guiControls, 'presetInfo')
+      .name('Category / Source')
+      .listen();
+
+    presetsFolder.add(this.guiControls, 'presetName')
+      .name('Preset Name');
+
+    presetsFolder.add(this.guiControls, 'savePreset')
+      .name('Save Current as Preset');
+
+    presetsFolder.add(this.guiControls, 'renamePreset')
+      .name('Rename Selected');
+
+    presetsFolder.add(this.guiControls, 'deletePreset')
+      .name('Delete Selected');
+
+    presetsFolder.add(this.guiControls, 'exportPresets')
+      .name('Export My Presets');
+
+    presetsFolder.add(this.guiControls, 'importPresets')
+      .name('Import Presets');
+
+    this.updatePresetInfo();
+
     presetsFolder.open();
+
+    // Exoplanet catalog folder
+    const catalogFolder = this.gui.addFolder('Exoplanet Catalog');
+
+    catalogFolder.add(this.guiControls, 'importCatalog')
+      .name('Import CSV/VOTable');
+
+    catalogFolder.add(this.guiControls, 'catalogSearch')
+      .name('Search')
+      .onChange(() => this.updateCatalogSelector());
+
+    this.catalogPlanetController = catalogFolder.add(this.guiControls, 'catalogPlanet', [])
+      .name('Planet')
+      .onChange((value) => this.loadCatalogPlanet(value));
+
+    catalogFolder.add(this.guiControls, 'catalogStatus')
+      .name('Status')
+      .listen();
+
+    // Planet file and link folder
+    const fileFolder = this.gui.addFolder('Save & Share');
+
+    fileFolder.add(this.guiControls, 'planetFileName')
+      .name('Planet Name');
+
+    fileFolder.add(this.guiControls, 'savePlanetFile')
+      .name(`Save ${PLANET_FILE_EXTENSION}`);
+
+    fileFolder.add(this.guiControls, 'loadPlanetFile')
+      .name(`Load ${PLANET_FILE_EXTENSION}`);
+
+    fileFolder.add(this.guiControls, 'copyShareLink')
+      .name('Copy Link');
+
+    fileFolder.add(this.guiControls, 'planetFileStatus')
+      .name('Status')
+      .listen();
+
+    // Data export folder
+    const exportFolder = this.gui.addFolder('Data Export');
+
+    exportFolder.add(this.guiControls, 'exportDataCSV')
+      .name('Export CSV');
+
+    exportFolder.add(this.guiControls, 'exportDataJSON')
+      .name('Export JSON');
+
+    exportFolder.add(this.guiControls, 'exportModelGLB')
+      .name('Export Model (.glb)');
+
+    exportFolder.add(this.guiControls, 'exportModelOBJ')
+      .name('Export Model (.obj)');
+
+    const mapSizes = Object.fromEntries(MAP_WIDTHS.map((width) => [`${width} × ${width / 2}`, width]));
+    exportFolder.add(this.guiControls, 'mapWidth', mapSizes)
+      .name('Map Size');
+
+    exportFolder.add(this.guiControls, 'includeHeightmap')
+      .name('16-bit Heightmap');
+
+    exportFolder.add(this.guiControls, 'exportMaps')
+      .name('Export Maps (.png)');
+
+    exportFolder.add(this.guiControls, 'dataExportStatus')
+      .name('Status')
+      .listen();
+
+    // Capture folder
+    const captureFolder = this.gui.addFolder('Capture');
+
+    captureFolder.add(this.guiControls, 'captureSize', Object.keys(CAPTURE_SIZES))
+      .name('Size')
+      .onChange((value) => {
+        [this.guiControls.captureWidth, this.guiControls.captureHeight] = CAPTURE_SIZES[value];
+      });
+
+    captureFolder.add(this.guiControls, 'captureWidth', 16, 8192, 1)
+      .name('Width (px)')
+      .listen();
+
+    captureFolder.add(this.guiControls, 'captureHeight', 16, 8192, 1)
+      .name('Height (px)')
+      .listen();
+
+    captureFolder.add(this.guiControls, 'transparentBackground')
+      .name('Transparent Background');
+
+    captureFolder.add(this.guiControls, 'takeScreenshot')
+      .name('Screenshot (.png)');
+
+    captureFolder.add(this.guiControls, 'cameraPath', {
+      Turntable: CameraPath.TURNTABLE,
+      Orbit: CameraPath.ORBIT,
+      Fixed: CameraPath.FIXED
+    }).name('Camera Path');
+
+    captureFolder.add(this.guiControls, 'captureDuration', 1, 120, 1)
+      .name('Duration (s)');
+
+    captureFolder.add(this.guiControls, 'captureFrameRate', 1, 60, 1)
+      .name('Frame Rate (fps)');
+
+    captureFolder.add(this.guiControls, 'captureFormat', {
+      'WebM Video': CaptureFormat.WEBM,
+      'PNG Sequence (.zip)': CaptureFormat.PNG_SEQUENCE
+    }).name('Format');
+
+    captureFolder.add(this.guiControls, 'captureTimeLapse')
+      .name('Time-lapse');
+
+    captureFolder.add(this.guiControls, 'recordCapture')
+      .name('● Record');
+
+    captureFolder.add(this.guiControls, 'cancelCapture')
+      .name('Cancel');
+
+    captureFolder.add(this.guiControls, 'captureStatus')
+      .name('Status')
+      .listen();
   }
 
   /**
-   * Handle parameter changes from GUI
-   * @param {string} param - Parameter name
-   * @param {number} value - New value
+   * Name a controller after a quantity and its display unit, renaming it when the
+   * units change
+   * @param {Object} controller - dat.GUI controller
+   * @param {string} name - Label text without the unit
+   * @param {string} quantity - One of Quantity
+   * @returns {Object} The controller, for chaining
    */
-  onParameterChange(param, value) {
+  nameWithUnit(controller, name, quantity) {
+    this.unitLabels.push({ controller, name, quantity });
+    return controller.name(this.units.label(name, quantity));
+  }
+
+  /**
+   * Get the star temperature slider range in display units
+   * @returns {number[]} Minimum and maximum
+   */
+  getStellarTemperatureRange() {
+    return STELLAR_TEMPERATURE_RANGE.map((kelvin) => this.units.toDisplay(Quantity.TEMPERATURE, kelvin));
+  }
+
+  /**
+   * Switch unit system or temperature scale, converting every input and display
+   */
+  onUnitsChange() {
     try {
-      // Update the parameter
-      this.parameters[param] = value;
+      this.units = new UnitConverter({
+        system: this.guiControls.unitSystem,
+        temperatureScale: this.guiControls.temperatureScale
+      });
 
-      // Update visual representation if radius changed
-      if (param === 'radius') {
-        this.renderer.updatePlanetSize(value);
+      for (const [param, controller] of Object.entries(this.physicsControllers)) {
+        const [min, max, step] = CONSTRAINED_RANGES[this.units.system][param];
+        controller.min(min).max(max).step(step);
       }
+      const [minTemperature, maxTemperature] = this.getStellarTemperatureRange();
+      this.stellarTemperatureController.min(minTemperature).max(maxTemperature);
+      this.guiControls.stellarTemperature = this.units.toDisplay(Quantity.TEMPERATURE, this.orbit.star.temperature);
 
-      // Update calculated values
+      for (const { controller, name, quantity } of this.unitLabels) {
+        controller.name(this.units.label(name, quantity));
+      }
+      this.syncConstrainedControls();
+      this.updateDerivedLabels();
       this.updateCalculatedValues();
+      if (this.evolutionIndex !== null) {
+        const snapshot = this.evolution.history[this.evolutionIndex];
+        this.guiControls.evolutionTemp = this.units.round(Quantity.TEMPERATURE, snapshot.temperature);
+      }
+      this.gui.updateDisplay();
 
+      console.log(this.parameters.toString(this.units));
     } catch (error) {
-      console.error('Error updating parameter:', error);
+      console.error('Error changing units:', error);
     }
   }
 
   /**
-   * Handle composition parameter changes from GUI
+   * Handle parameter changes from GUI
+   * @param {string} param - Parameter name
+   * @param {number} value - New value
+   */
+  onParameterChange(param, value) {
+    try {
+      // Update the parameter, recomputing whichever of mass/radius/density is derived
+      const previousRadius = this.parameters.radius;
+      const converted = param in CONSTRAINED_LABELS ? this.fromSlider(param, value) : value;
+      const validation = this.parameters.updateWithConstraint(param, converted, this.guiControls.derivedVariable);
+      if (!validation.isValid) {
+        console.warn(`Refused ${param} change:`, validation.errors.join(', '));
+        if (param in CONSTRAINED_LABELS) {
+          this.syncConstrainedControls();
+        } else {
+          this.guiControls[param] = this.parameters[param];
+        }
+        this.gui.updateDisplay();
+        return;
+      }
+      this.syncConstrainedControls();
+
+      // Mass drives radius and density when the interior model is in charge
+      if (param === 'mass' && this.guiControls.deriveRadius) {
+        this.applyInteriorModel();
+      }
+
+      // Update visual representation if radius changed
+      if (this.parameters.radius !== previousRadius) {
+        this.renderer.updatePlanetSize(this.parameters.radius);
+      }
+
+      // Spin, mass and size all set the rotational flattening
+      this.renderer.setPlanetShape(this.parameters.getRotationalShape().flattening);
+
+      // Tilt redistributes sunlight, so the climate and its ice move
+      if (param === 'axialTilt' && this.guiControls.climateIceCaps) {
+        this.rebuildPlanet();
+      }
+
+      // A giant's bands are spaced by its spin and size
+      if (param !== 'axialTilt' && !this.composition.hasSolidSurface()) {
+        this.rebuildPlanet();
+      }
+
+      // Update calculated values
+      this.updateCalculatedValues();
+
+    } catch (error) {
+      console.error('Error updating parameter:', error);
+    }
+  }
+
+  /**
+   * Names of the current moons for the moon selector
+   * @returns {Array<string>} Moon names
+   */
+  getMoonNames() {
+    return this.satellites.moons.map((moon) => moon.name);
+  }
+
+  /**
+   * Index of the moon picked in the GUI
+   * @returns {number} Index into the satellite system, or -1 if there are no moons
+   */
+  getSelectedMoonIndex() {
+    return this.getMoonNames().indexOf(this.guiControls.selectedMoon);
+  }
+
+  /**
+   * A moon's semi-major axis in planet radii
+   * @param {number} index - Moon index
+   * @returns {number} Distance in planet radii, or 0 if there is no such moon
+   */
+  getSelectedMoonDistance(index) {
+    const moon = this.satellites.moons[index];
+    return moon ? parseFloat((moon.orbit.semiMajorAxis / this.parameters.radius).toFixed(1)) : 0;
+  }
+
+  /**
+   * Refresh the moon selector after moons are added or removed
+   */
+  updateMoonSelector() {
+    const names = this.getMoonNames();
+    if (!names.includes(this.guiControls.selectedMoon)) {
+      this.guiControls.selectedMoon = names[0] ?? '';
+    }
+
+    // dat.GUI replaces the controller when its options change
+    this.selectedMoonController = this.selectedMoonController.options(names)
+      .name('Moon')
+      .onChange(() => this.onSelectedMoonChange());
+    this.onSelectedMoonChange();
+  }
+
+  /**
+   * Load the selected moon's orbit into the GUI
+   */
+  onSelectedMoonChange() {
+    const index = this.getSelectedMoonIndex();
+    const moon = this.satellites.moons[index];
+    this.guiControls.moonDistance = this.getSelectedMoonDistance(index);
+    this.guiControls.moonEccentricity = moon ? moon.orbit.eccentricity : 0;
+    this.updateCalculatedValues();
+    this.moonsFolder.updateDisplay();
+  }
+
+  /**
+   * Handle moon orbit changes from GUI
+   * @param {string} param - Parameter name
+   * @param {number} value - New value
+   */
+  onMoonChange(param, value) {
+    const moon = this.satellites.moons[this.getSelectedMoonIndex()];
+    if (!moon) return;
+
+    if (param === 'moonDistance') {
+      moon.orbit.semiMajorAxis = value * this.parameters.radius;
+    } else if (param === 'moonEccentricity') {
+      moon.orbit.eccentricity = value;
+    }
+
+    this.updateCalculatedValues();
+  }
+
+  /**
+   * Add a Moon-like satellite to the planet
+   */
+  addMoon() {
+    try {
+      const names = this.getMoonNames();
+      let number = names.length + 1;
+      while (names.includes(`Moon ${number}`)) number++;
+
+      const moon = this.satellites.addMoon({
+        name: `Moon ${number}`,
+        physical: MOON,
+        orbit: { semiMajorAxis: NEW_MOON_DISTANCE * this.parameters.radius, eccentricity: 0 }
+      });
+      this.guiControls.selectedMoon = moon.name;
+      this.updateMoonSelector();
+    } catch (error) {
+      console.error('Error adding moon:', error);
+    }
+  }
+
+  /**
+   * Remove the selected moon
+   */
+  removeMoon() {
+    const index = this.getSelectedMoonIndex();
+    if (index < 0) return;
+
+    this.satellites.removeMoon(index);
+    this.updateMoonSelector();
+  }
+
+  /**
+   * Strike the planet with the impactor configured in the GUI
+   * @param {number} [latitude] - Impact latitude in degrees; defaults to the GUI value
+   * @param {number} [longitude] - Impact longitude in degrees; defaults to the GUI value
+   */
+  triggerImpact(latitude = this.guiControls.impactLatitude, longitude = this.guiControls.impactLongitude) {
+    try {
+      this.guiControls.impactLatitude = parseFloat(latitude.toFixed(1));
+      this.guiControls.impactLongitude = parseFloat(longitude.toFixed(1));
+
+      const result = this.composition.applyImpact(this.parameters, {
+        mass: 10 ** this.guiControls.impactMass,
+        velocity: this.guiControls.impactVelocity,
+        angle: this.guiControls.impactAngle,
+        latitude,
+        longitude
+      });
+      this.guiControls.atmospherePressure = this.composition.atmosphere.pressure;
+
+      // Giants swallow the impactor without leaving a crater
+      this.guiControls.craterDiameter = result.crater ? parseFloat(result.crater.diameter.toPrecision(3)) : 0;
+      this.guiControls.impactEnergy = result.energyMegatons.toExponential(2);
+      this.guiControls.atmosphereLost = parseFloat(result.pressureLost.toPrecision(3));
+      this.guiControls.ejectaEscaped = result.escapingEjecta.toExponential(2);
+
+      this.rebuildPlanet();
+      this.updateCalculatedValues();
+
+      console.log('Impact:', result);
+    } catch (error) {
+      console.error('Error simulating impact:', error);
+    }
+  }
+
+  /**
+   * Remove all impact craters from the surface
+   */
+  clearCraters() {
+    this.composition.surface.craters = [];
+    this.rebuildPlanet();
+    this.updateCalculatedValues();
+  }
+
+  /**
+   * Start or pause the simulation clock
+   */
+  toggleSimulation() {
+    const playing = this.clock.toggle();
+    this.playPauseController.name(playing ? '❚❚ Pause' : '▶ Play');
+  }
+
+  /**
+   * Advance simulated time once per rendered frame
+   * @param {number} delta - Real time since the last frame in seconds
+   */
+  onSimulationTick(delta) {
+    if (this.timeLapsePlaying) {
+      const progress = this.guiControls.timeLapse + delta / TIME_LAPSE_DURATION;
+      try {
+        if (progress >= 1) {
+          this.toggleTimeLapse();
+        }
+        this.showEvolutionAt(Math.min(progress, 1));
+      } catch (error) {
+        if (this.timeLapsePlaying) {
+          this.toggleTimeLapse();
+        }
+        console.error('Error replaying evolution:', error);
+      }
+    }
+
+    if (!this.clock.playing) return;
+
+    this.clock.tick(delta);
+    this.updateSeason();
+  }
+
+  /**
+   * Evolve the current planet over geological time and show the end state
+   */
+  runEvolution() {
+    try {
+      const duration = this.guiControls.evolutionDuration * 1e9;
+      this.evolution = new SimulationEngine({
+        physical: this.parameters,
+        composition: this.composition,
+        orbit: this.orbit,
+        advanced: this.advanced
+      }, { stellarAge: estimateStellarAge(this.orbit.star.mass) });
+      this.evolution.run(duration);
+      this.evolutionIndex = null;
+      this.showEvolutionAt(1);
+
+      // Massive stars burn out before the requested span is up
+      const { age } = this.evolution.history[this.evolution.history.length - 1];
+      this.guiControls.evolutionStatus = this.evolution.isFinished() && age < duration
+        ? `Star left the main sequence after ${(age / 1e9).toFixed(2)} Gyr`
+        : `Evolved ${(age / 1e9).toFixed(2)} Gyr`;
+    } catch (error) {
+      this.guiControls.evolutionStatus = 'Evolution failed';
+      console.error('Error running evolution:', error);
+    }
+  }
+
+  /**
+   * Start or pause replay of the evolution history
+   */
+  toggleTimeLapse() {
+    if (!this.evolution) return;
+
+    this.timeLapsePlaying = !this.timeLapsePlaying;
+    if (this.timeLapsePlaying && this.guiControls.timeLapse >= 1) {
+      this.guiControls.timeLapse = 0;
+    }
+    this.timeLapseController.name(this.timeLapsePlaying ? '❚❚ Pause Time-lapse' : '▶ Play Time-lapse');
+  }
+
+  /**
+   * Render the planet at a point in its evolution history
+   * @param {number} progress - Fraction of the history (0-1)
+   */
+  showEvolutionAt(progress) {
+    this.guiControls.timeLapse = progress;
+    if (!this.evolution) return;
+
+    const index = Math.round(progress * (this.evolution.history.length - 1));
+    if (index === this.evolutionIndex) return;
+    this.evolutionIndex = index;
+
+    const snapshot = this.evolution.history[index];
+    const composition = this.evolution.getCompositionAt(index);
+    const climate = this.guiControls.climateIceCaps
+      ? ClimateModel.fromPlanet(this.parameters, composition).solve()
+      : null;
+    if (climate) {
+      composition.water.iceCaps = climate.iceCoverage;
+    }
+    this.renderer.createPlanetMesh(this.parameters, composition, {
+      iceBands: climate ? climate.iceBands : undefined,
+      seed: this.seed
+    });
+
+    this.guiControls.evolutionAge = `${(snapshot.age / 1e9).toFixed(2)} Gyr`;
+    this.guiControls.evolutionTemp = this.units.round(Quantity.TEMPERATURE, snapshot.temperature);
+    this.guiControls.evolutionPressure = parseFloat(snapshot.atmosphere.pressure.toFixed(3));
+    this.guiControls.evolutionOcean = parseFloat(snapshot.water.coverage.toFixed(1));
+  }
+
+  /**
+   * Stop replaying the evolution and show the planet as currently configured
+   */
+  returnToPresent() {
+    if (this.timeLapsePlaying) {
+      this.toggleTimeLapse();
+    }
+    this.guiControls.timeLapse = 0;
+    this.evolutionIndex = null;
+    this.rebuildPlanet();
+  }
+
+  /**
+   * Jump to a point in the year from the GUI scrubber
+   * @param {number} progress - Fraction of the orbit since perihelion (0-1)
+   */
+  onYearProgressChange(progress) {
+    this.clock.setTime(progress * this.orbit.calculateOrbitalPeriod());
+    this.updateSeason();
+  }
+
+  /**
+   * Recompute orbital position and season, and move the sun to match
+   */
+  updateSeason() {
+    const period = this.orbit.calculateOrbitalPeriod();
+    const position = this.orbit.calculateOrbitalPosition(this.clock.time);
+    const state = calculateSeasonalState(this.parameters.axialTilt, position.solarLongitude, position.stellarFlux);
+
+    this.renderer.setSunDirection(position.solarLongitude, this.parameters.axialTilt);
+    this.renderer.updateMoonPositions(this.clock.time);
+
+    this.guiControls.yearProgress = ((this.clock.time / period) % 1 + 1) % 1;
+    this.guiControls.season = `${state.northernSeason} / ${state.southernSeason}`;
+    this.guiControls.subSolarLatitude = parseFloat(state.subSolarLatitude.toFixed(1));
+    this.guiControls.northInsolation = parseFloat(state.northernInsolation.toFixed(1));
+    this.guiControls.southInsolation = parseFloat(state.southernInsolation.toFixed(1));
+    this.guiControls.starDistance = parseFloat(position.distance.toFixed(3));
+  }
+
+  /**
+   * Handle a change of which variable is derived from the other two
+   * @param {string} derived - One of DerivedVariable
+   */
+  onDerivedVariableChange(derived) {
+    if (derived !== DerivedVariable.NONE) {
+      // Re-apply a pinned value so the newly derived one is recomputed
+      const pinned = Object.keys(CONSTRAINED_LABELS).find((param) => param !== derived);
+      const previousRadius = this.parameters.radius;
+      const validation = this.parameters.updateWithConstraint(pinned, this.parameters[pinned], derived);
+      if (!validation.isValid) {
+        console.warn(`Cannot derive ${derived}:`, validation.errors.join(', '));
+        this.guiControls.derivedVariable = DerivedVariable.NONE;
+      } else if (this.parameters.radius !== previousRadius) {
+        this.renderer.updatePlanetSize(this.parameters.radius);
+      }
+    }
+
+    this.syncConstrainedControls();
+    this.updateDerivedLabels();
+    this.updateCalculatedValues();
+    this.gui.updateDisplay();
+  }
+
+  /**
+   * Copy mass, radius and density from the parameters into the GUI controls
+   */
+  syncConstrainedControls() {
+    for (const param of Object.keys(CONSTRAINED_LABELS)) {
+      this.guiControls[param] = this.toSlider(param, this.parameters[param]);
+      this.physicsControllers[param].updateDisplay();
+    }
+  }
+
+  /**
+   * Check whether a mass, radius or density slider moves through log10 of its value
+   * @param {string} param - Parameter name
+   * @returns {boolean} True for logarithmic sliders in the current unit system
+   */
+  isLogSlider(param) {
+    return LOG_SLIDERS[this.units.system]?.includes(param) ?? false;
+  }
+
+  /**
+   * Convert a mass, radius or density to its slider position in the display units
+   * @param {string} param - Parameter name
+   * @param {number} value - Value in internal units
+   * @returns {number} Slider position
+   */
+  toSlider(param, value) {
+    const display = this.units.toDisplay(param, value);
+    return this.isLogSlider(param) ? Math.log10(display) : display;
+  }
+
+  /**
+   * Convert a slider position back to a mass, radius or density
+   * @param {string} param - Parameter name
+   * @param {number} position - Slider position
+   * @returns {number} Value in internal units
+   */
+  fromSlider(param, position) {
+    return this.units.fromDisplay(param, this.isLogSlider(param) ? 10 ** position : position);
+  }
+
+  /**
+   * Mark the derived variable in the GUI and lock its slider
+   */
+  updateDerivedLabels() {
+    for (const [param, name] of Object.entries(CONSTRAINED_LABELS)) {
+      const controller = this.physicsControllers[param];
+      const label = this.isLogSlider(param)
+        ? `${name} (log₁₀ ${this.units.getSymbol(param)})`
+        : this.units.label(name, param);
+      const isDerived = param === this.guiControls.derivedVariable;
+      controller.name(isDerived ? `${label} [derived]` : label);
+      controller.domElement.style.pointerEvents = isDerived ? 'none' : '';
+      controller.domElement.style.opacity = isDerived ? '0.5' : '';
+    }
+  }
+
+  /**
+   * Recreate the planet mesh, rerunning the climate model first
+   */
+  rebuildPlanet() {
+    this.updateClimate();
+    this.renderer.createPlanetMesh(this.parameters, this.composition, {
+      iceBands: this.climate ? this.climate.iceBands : undefined,
+      seed: this.seed
+    });
+  }
+
+  /**
+   * Run the latitudinal climate model and let it set the ice caps
+   */
+  updateClimate() {
+    if (!this.guiControls.climateIceCaps || !this.composition.hasSolidSurface()) {
+      this.climate = null;
+      return;
+    }
+
+    this.climate = ClimateModel.fromPlanet(this.parameters, this.composition).solve();
+    this.composition.water.iceCaps = this.climate.iceCoverage;
+    this.guiControls.iceCaps = this.climate.iceCoverage;
+    this.iceCapsController.updateDisplay();
+  }
+
+  /**
+   * Lock the ice caps slider while the climate model drives it, and the water
+   * and ice sliders of giants, which have no surface to hold either
+   */
+  updateIceCapsLock() {
+    const giant = !this.composition.hasSolidSurface();
+    const lock = (controller, locked) => {
+      controller.domElement.style.pointerEvents = locked ? 'none' : '';
+      controller.domElement.style.opacity = locked ? '0.5' : '';
+    };
+
+    if (giant) {
+      this.iceCapsController.name('Ice Caps (%) [no surface]');
+    } else {
+      this.iceCapsController.name(this.guiControls.climateIceCaps ? 'Ice Caps (%) [climate]' : 'Ice Caps (%)');
+    }
+    lock(this.iceCapsController, giant || this.guiControls.climateIceCaps);
+
+    this.waterCoverageController.name(giant ? 'Water Coverage (%) [no surface]' : 'Water Coverage (%)');
+    lock(this.waterCoverageController, giant);
+  }
+
+  /**
+   * Handle composition parameter changes from GUI
    * @param {string} param - Parameter name
    * @param {number} value - New value
    */
@@ -185,10 +1528,12 @@ class PlanetBuilderApp {
       // Update the composition parameter
       if (param === 'waterCoverage') {
         this.composition.water.coverage = value;
-      } else if (param === 'temperature') {
-        this.composition.surface.temperature = value;
+      } else if (param === 'albedo') {
+        this.composition.surface.albedo = value;
       } else if (param === 'iceCaps') {
         this.composition.water.iceCaps = value;
+      } else if (param === 'climateIceCaps') {
+        this.updateIceCapsLock();
       } else if (param === 'atmospherePressure') {
         this.composition.atmosphere.pressure = value;
       } else if (param === 'CO2') {
@@ -201,7 +1546,7 @@ class PlanetBuilderApp {
       }
 
       // Recreate the planet with new composition
-      this.renderer.createPlanetMesh(this.parameters, this.composition);
+      this.rebuildPlanet();
 
       // Update calculated values
       this.updateCalculatedValues();
@@ -212,17 +1557,342 @@ class PlanetBuilderApp {
     }
   }
 
+  /**
+   * Handle star and orbit parameter changes from GUI
+   * @param {string} param - Parameter name
+   * @param {number} value - New value
+   */
+  onOrbitChange(param, value) {
+    try {
+      // Update the orbital parameter
+      if (param === 'stellarMass') {
+        this.orbit.star.mass = value;
+      } else if (param === 'luminosity') {
+        this.orbit.star.luminosity = value;
+      } else if (param === 'stellarTemperature') {
+        this.orbit.star.temperature = this.units.fromDisplay(Quantity.TEMPERATURE, value);
+      } else if (param === 'semiMajorAxis') {
+        this.orbit.orbit.semiMajorAxis = value;
+      } else if (param === 'eccentricity') {
+        this.orbit.orbit.eccentricity = value;
+      }
+
+      // Surface appearance depends on the temperature the star now provides
+      this.rebuildPlanet();
+
+      // Update calculated values
+      this.updateCalculatedValues();
+
+      console.log('Orbit updated:', param, value);
+    } catch (error) {
+      console.error('Error updating orbit:', error);
+    }
+  }
+
+  /**
+   * Handle interior structure changes from GUI
+   * @param {string} param - Parameter name
+   * @param {number|boolean} value - New value
+   */
+  onInteriorChange(param, value) {
+    try {
+      if (param !== 'deriveRadius') {
+        // Mantle takes up whatever mass the other layers leave; if they overfill
+        // the planet, scale them back to fit with no mantle
+        let core = this.guiControls.coreFraction;
+        let water = this.guiControls.waterFraction;
+        let envelope = this.guiControls.envelopeFraction;
+        const total = core + water + envelope;
+        if (total > 1) {
+          [core, water, envelope] = [core / total, water / total, envelope / total];
+          this.guiControls.coreFraction = core;
+          this.guiControls.waterFraction = water;
+          this.guiControls.envelopeFraction = envelope;
+          this.gui.updateDisplay();
+        }
+        this.interior = new InteriorModel({
+          core,
+          mantle: Math.max(0, 1 - core - water - envelope),
+          water,
+          envelope
+        });
+      }
+
+      if (this.guiControls.deriveRadius) {
+        this.applyInteriorModel();
+      }
+
+      // Update calculated values
+      this.updateCalculatedValues();
+
+      console.log('Interior updated:', param, value);
+    } catch (error) {
+      console.error('Error updating interior:', error);
+    }
+  }
+
+  /**
+   * Replace radius and density with the values solved from the interior model
+   */
+  applyInteriorModel() {
+    let structure;
+    try {
+      structure = this.interior.solve(this.parameters.mass);
+    } catch (error) {
+      console.warn('Radius left unchanged:', error.message);
+      return;
+    }
+    const derived = {
+      mass: this.parameters.mass,
+      radius: structure.radius,
+      density: structure.meanDensity,
+      rotationRate: this.parameters.rotationRate,
+      axialTilt: this.parameters.axialTilt
+    };
+
+    const validation = validatePhysicalParams(derived);
+    if (!validation.isValid) {
+      console.warn('Interior model gives out-of-range values:', validation.errors.join(', '));
+      return;
+    }
+
+    this.parameters.radius = structure.radius;
+    this.parameters.density = structure.meanDensity;
+    this.guiControls.radius = this.toSlider(Quantity.RADIUS, structure.radius);
+    this.guiControls.density = this.toSlider(Quantity.DENSITY, structure.meanDensity);
+    this.renderer.updatePlanetSize(structure.radius);
+    this.renderer.setPlanetShape(this.parameters.getRotationalShape().flattening);
+    this.gui.updateDisplay();
+  }
+
+  /**
+   * Handle advanced parameter changes from GUI
+   * @param {string} param - Parameter name
+   * @param {number|string|boolean} value - New value
+   */
+  onAdvancedChange(param, value) {
+    try {
+      // Apply the change to a copy, with the settings that go with it
+      const candidate = {
+        volcanism: { ...this.advanced.volcanism, gasEmissions: { ...this.advanced.volcanism.gasEmissions } },
+        magneticField: { ...this.advanced.magneticField },
+        tectonics: { ...this.advanced.tectonics }
+      };
+      const { volcanism, magneticField, tectonics } = candidate;
+
+      if (param === 'volcanicActivity') {
+        volcanism.activityLevel = value;
+        if (value === ActivityLevel.NONE) volcanism.volcanoCount = 0;
+      } else if (param === 'volcanoCount') {
+        volcanism.volcanoCount = value;
+      } else if (param === 'eruptionFrequency') {
+        volcanism.eruptionFrequency = value;
+      } else if (param === 'lavaComposition') {
+        volcanism.lavaComposition = value;
+      } else if (param in EMISSION_CONTROLS) {
+        volcanism.gasEmissions[EMISSION_CONTROLS[param]] = value;
+      } else if (param === 'fieldStrength') {
+        magneticField.strength = value / 1e6; // Convert µT to T
+      } else if (param === 'dynamoActive') {
+        magneticField.dynamoActive = value;
+      } else if (param === 'poleOffset') {
+        magneticField.poleOffset = value;
+      } else if (param === 'tectonicState') {
+        // Switching regime brings the plates along: a moving mosaic or one still lid
+        tectonics.state = value;
+        if (value === TectonicState.ACTIVE) {
+          tectonics.plateCount = Math.max(tectonics.plateCount, 2);
+        } else {
+          tectonics.movementRate = 0;
+          if (value === TectonicState.STAGNANT_LID) tectonics.plateCount = Math.min(tectonics.plateCount, 1);
+        }
+      } else if (param === 'plateCount') {
+        tectonics.plateCount = value;
+      } else if (param === 'plateMovementRate') {
+        tectonics.movementRate = value;
+      }
+
+      const validation = validateAdvancedParams(candidate);
+      if (!validation.isValid) {
+        console.warn(`Refused ${param} change:`, validation.errors.join(', '));
+        this.syncAdvancedControls();
+        this.gui.updateDisplay();
+        return;
+      }
+
+      Object.assign(this.advanced.volcanism, volcanism);
+      Object.assign(this.advanced.magneticField, magneticField);
+      Object.assign(this.advanced.tectonics, tectonics);
+      this.syncAdvancedControls();
+      this.gui.updateDisplay();
+
+      // Update calculated values
+      this.updateCalculatedValues();
+
+      console.log('Advanced parameters updated:', param, value);
+    } catch (error) {
+      console.error('Error updating advanced parameters:', error);
+    }
+  }
+
+  /**
+   * Copy the advanced parameters into their GUI controls
+   */
+  syncAdvancedControls() {
+    const { volcanism, magneticField, tectonics } = this.advanced;
+    this.guiControls.volcanicActivity = volcanism.activityLevel;
+    this.guiControls.volcanoCount = volcanism.volcanoCount;
+    this.guiControls.eruptionFrequency = volcanism.eruptionFrequency;
+    this.guiControls.lavaComposition = volcanism.lavaComposition;
+    for (const [control, gas] of Object.entries(EMISSION_CONTROLS)) {
+      this.guiControls[control] = volcanism.gasEmissions[gas] ?? 0;
+    }
+    this.guiControls.fieldStrength = magneticField.strength * 1e6;
+    this.guiControls.dynamoActive = magneticField.dynamoActive;
+    this.guiControls.poleOffset = magneticField.poleOffset;
+    this.guiControls.tectonicState = tectonics.state;
+    this.guiControls.plateCount = tectonics.plateCount;
+    this.guiControls.plateMovementRate = tectonics.movementRate;
+  }
+
   /**
    * Update calculated values display
    */
   updateCalculatedValues() {
     const calculated = this.parameters.getCalculatedProperties();
-    this.guiControls.surfaceGravity = parseFloat(calculated.surfaceGravity.toFixed(2));
-    this.guiControls.escapeVelocity = parseFloat(calculated.escapeVelocity.toFixed(2));
+    this.guiControls.surfaceGravity = this.units.round(Quantity.GRAVITY, calculated.surfaceGravity);
+    this.guiControls.equatorialGravity = this.units.round(Quantity.GRAVITY, calculated.equatorialGravity);
+    this.guiControls.polarGravity = this.units.round(Quantity.GRAVITY, calculated.polarGravity);
+    this.guiControls.flattening = calculated.flattening > 0 ? `1/${(1 / calculated.flattening).toFixed(0)}` : '0';
+    this.guiControls.breakupPeriod = parseFloat(calculated.breakupPeriod.toFixed(2));
+    this.guiControls.escapeVelocity = this.units.round(Quantity.VELOCITY, calculated.escapeVelocity);
 
     // Update composition calculated values
     if (this.composition) {
-      this.guiControls.effectiveTemp = parseFloat(this.composition.getEffectiveTemperature().toFixed(1));
+      this.guiControls.equilibriumTemp = this.units.round(Quantity.TEMPERATURE, this.composition.getBaseTemperature());
+      this.guiControls.effectiveTemp = this.units.round(Quantity.TEMPERATURE, this.composition.getEffectiveTemperature());
+
+      const radiative = this.composition.getRadiativeBalance();
+      this.guiControls.greenhouseWarming = this.units.round(Quantity.TEMPERATURE_CHANGE, radiative.greenhouseWarming);
+      this.guiControls.greenhouseGases = radiative.contributions
+        .filter(({ warming }) => warming >= 0.1)
+        .map(({ source, warming }) => `${source} +${this.units.round(Quantity.TEMPERATURE_CHANGE, warming)}`)
+        .join(', ') || 'None';
+      this.guiControls.tropopause = radiative.runaway
+        ? 'Runaway greenhouse'
+        : `${this.units.format(Quantity.TEMPERATURE, radiative.tropopause.temperature)} @ ${radiative.tropopause.pressure.toFixed(2)} atm`;
+
+      // Seasonal and latitudinal extremes from the climate model let polar frost show up
+      const range = this.climate ? {
+        minTemperature: Math.min(...this.climate.bands.map((band) => band.minTemperature)),
+        maxTemperature: Math.max(...this.climate.bands.map((band) => band.maxTemperature))
+      } : {};
+      if (this.composition.hasSolidSurface()) {
+        const volatiles = this.composition.getVolatilePhases(range);
+        this.guiControls.surfaceLiquids = volatiles.liquids.join(', ') || 'None';
+        this.guiControls.surfaceIces = volatiles.solids.join(', ') || 'None';
+      } else {
+        this.guiControls.surfaceLiquids = 'None (no surface)';
+        this.guiControls.surfaceIces = 'None (no surface)';
+      }
+
+      this.guiControls.craterCount = this.composition.surface.craters.length;
+
+      const retention = this.composition.getAtmosphericRetention(this.parameters);
+      this.guiControls.gasesMarginal = retention.marginal.join(', ') || 'None';
+      this.guiControls.gasesLost = retention.lost.join(', ') || 'None';
+    }
+
+    // Update advanced calculated values
+    if (this.advanced) {
+      const advanced = this.advanced.getCalculatedProperties(this.parameters);
+      this.guiControls.dynamoPlausible = advanced.dynamoPlausible ? 'Yes' : 'No';
+      this.guiControls.totalOutgassing = parseFloat(advanced.totalOutgassing.toFixed(1));
+    }
+
+    // Update interior calculated values
+    if (this.interior) {
+      try {
+        const structure = this.interior.solve(this.parameters.mass);
+        this.guiControls.coreRadius = this.units.round(Quantity.RADIUS, structure.coreRadius);
+        this.guiControls.centralPressure = parseFloat(structure.centralPressure.toFixed(1));
+        this.guiControls.momentOfInertia = parseFloat(structure.momentOfInertiaFactor.toFixed(3));
+      } catch (error) {
+        // Outside the model's range; the rest of the properties still apply
+        console.warn('Interior model:', error.message);
+        this.guiControls.coreRadius = 'n/a';
+        this.guiControls.centralPressure = 'n/a';
+        this.guiControls.momentOfInertia = 'n/a';
+      }
+    }
+
+    // Update climate calculated values
+    if (this.climate) {
+      const { north, south } = this.climate.iceLines;
+      const format = (latitude) => (latitude === null ? 'none' : latitude.toFixed(0));
+      this.guiControls.climateMeanTemp = this.units.round(Quantity.TEMPERATURE, this.climate.globalMeanTemperature);
+      this.guiControls.iceLine = `${format(north)} / ${format(south)}`;
+    } else {
+      this.guiControls.climateMeanTemp = 0;
+      this.guiControls.iceLine = 'off';
+    }
+
+    // Update orbital calculated values
+    if (this.orbit) {
+      this.guiControls.orbitalPeriod = parseFloat(this.orbit.calculateOrbitalPeriod().toFixed(1));
+      this.updateSeason();
+    }
+
+    // Update tidal values; a locked planet stops spinning in the renderer
+    if (this.orbit) {
+      const tides = TidalModel.fromOrbit(this.parameters, this.orbit, {
+        qualityFactor: this.guiControls.tidalQ,
+        rigidity: this.guiControls.rigidity * 1e9
+      }).solve({ surfaceTemperature: this.composition ? this.composition.getEffectiveTemperature() : null });
+      this.guiControls.tidallyLocked = tides.tidallyLocked ? 'Yes' : 'No';
+      this.guiControls.tidalLockTime = tides.lockingTime.toExponential(2);
+      this.guiControls.equilibriumRotation = parseFloat(tides.equilibriumRotationPeriod.toFixed(1));
+      this.guiControls.tidalHeatFlux = parseFloat(tides.heatFlux.toPrecision(3));
+      this.guiControls.tidalWarming = tides.surfaceWarming === null
+        ? 0
+        : this.units.round(Quantity.TEMPERATURE_CHANGE, tides.surfaceWarming);
+      this.renderer.setTidallyLocked(tides.tidallyLocked);
+    }
+
+    // Update moons, redrawing orbits since the planet or its orbit may have changed
+    if (this.satellites) {
+      this.renderer.setMoons(this.satellites);
+      this.renderer.updateMoonPositions(this.clock.time);
+      this.guiControls.hillSphere = this.units.round(Quantity.RADIUS, this.satellites.calculateHillSphere());
+
+      const moon = this.satellites.analyzeMoons()[this.getSelectedMoonIndex()];
+      if (moon) {
+        this.guiControls.moonPeriod = parseFloat(moon.orbitalPeriod.toFixed(2));
+        this.guiControls.moonRocheLimit = this.units.round(Quantity.RADIUS, moon.rocheLimit);
+        this.guiControls.moonStability = moon.stability;
+        this.guiControls.moonTidalLock = `${moon.tidallyLocked ? 'Yes' : 'No'} (${moon.tidalLockingTime.toExponential(1)} yr)`;
+      } else {
+        this.guiControls.moonPeriod = 0;
+        this.guiControls.moonRocheLimit = 0;
+        this.guiControls.moonStability = 'No moons';
+        this.guiControls.moonTidalLock = '';
+      }
+    }
+
+    // Update habitability calculated values
+    if (this.composition) {
+      const habitability = this.composition.getHabitability(this.parameters, { advanced: this.advanced });
+      this.guiControls.esi = parseFloat(habitability.esi.global.toFixed(2));
+      this.guiControls.esiInterior = parseFloat(habitability.esi.interior.toFixed(2));
+      this.guiControls.esiSurface = parseFloat(habitability.esi.surface.toFixed(2));
+      if (habitability.habitableZone) {
+        const { inner, outer } = habitability.habitableZone.conservative;
+        this.guiControls.habitableZone = `${inner.toFixed(2)}-${outer.toFixed(2)}`;
+        this.guiControls.habitableZoneStatus = habitability.zoneStatus;
+      }
+      this.guiControls.limitingFactors = habitability.limitingFactors
+        .map(({ factor }) => factor)
+        .join(', ') || 'None';
     }
   }
 
@@ -231,51 +1901,203 @@ class PlanetBuilderApp {
    * @param {string} presetName - Name of the preset
    */
   loadPreset(presetName) {
-    let physicalPreset;
-    let compositionPreset;
-
-    switch (presetName) {
-      case 'Earth':
-        physicalPreset = EARTH;
-        compositionPreset = EARTH_COMPOSITION;
-        break;
-      case 'Mars':
-        physicalPreset = MARS;
-        compositionPreset = MARS_COMPOSITION;
-        break;
-      case 'Jupiter':
-        physicalPreset = JUPITER;
-        compositionPreset = EARTH_COMPOSITION; // Gas giant, use Earth as placeholder
-        break;
-      case 'Moon':
-        physicalPreset = MOON;
-        compositionPreset = MARS_COMPOSITION; // No atmosphere like Mars
-        break;
-      default:
-        console.error('Unknown preset:', presetName);
+    const preset = this.presets.get(presetName);
+    if (!preset) {
+      console.error('Unknown preset:', presetName);
+      return;
+    }
+
+    try {
+      this.loadPlanet(preset, `${presetName} preset`);
+      this.basePreset = preset.category === PresetCategory.SOLAR_SYSTEM ? presetName : null;
+      this.guiControls.presetName = presetName;
+      this.guiControls.planetFileName = presetName;
+      this.updatePresetInfo();
+    } catch (error) {
+      console.error('Error loading preset:', error);
+    }
+  }
+
+  /**
+   * Show the selected preset's category and source
+   */
+  updatePresetInfo() {
+    const preset = this.presets.get(this.guiControls.preset);
+    this.guiControls.presetInfo = preset ? `${preset.category} / ${preset.source ?? 'unknown'}` : '';
+  }
+
+  /**
+   * Rebuild the preset dropdown from the registry
+   * @param {string} [selected] - Preset to select
+   */
+  updatePresetSelector(selected = this.guiControls.preset) {
+    const names = this.presets.getNames();
+    this.guiControls.preset = names.includes(selected) ? selected : names[0];
+
+    // dat.GUI replaces the controller when its options change
+    this.presetController = this.presetController.options(names)
+      .name('Load Preset')
+      .onChange((value) => this.loadPreset(value));
+    this.updatePresetInfo();
+  }
+
+  /**
+   * Save the current planet as a user preset under the name in the GUI
+   */
+  saveCurrentPreset() {
+    try {
+      const name = this.guiControls.presetName.trim();
+      this.presets.save(name, serializePlanet(this.getPlanetState()));
+      this.updatePresetSelector(name);
+      console.log(`Saved preset ${name}`);
+    } catch (error) {
+      console.error('Error saving preset:', error);
+    }
+  }
+
+  /**
+   * Rename the selected user preset to the name in the GUI
+   */
+  renameSelectedPreset() {
+    try {
+      const name = this.guiControls.presetName.trim();
+      this.presets.rename(this.guiControls.preset, name);
+      this.updatePresetSelector(name);
+    } catch (error) {
+      console.error('Error renaming preset:', error);
+    }
+  }
+
+  /**
+   * Delete the selected user preset
+   */
+  deleteSelectedPreset() {
+    try {
+      this.presets.remove(this.guiControls.preset);
+      this.updatePresetSelector();
+    } catch (error) {
+      console.error('Error deleting preset:', error);
+    }
+  }
+
+  /**
+   * Download the user presets as a JSON file
+   */
+  exportUserPresets() {
+    try {
+      if (this.presets.getNames(PresetCategory.USER).length === 0) {
+        console.warn('No user presets to export');
         return;
+      }
+      downloadFile('planet-presets.json', this.presets.exportPresets(), 'application/json');
+    } catch (error) {
+      console.error('Error exporting presets:', error);
     }
+  }
+
+  /**
+   * Import presets from a JSON file exported earlier
+   */
+  async importUserPresets() {
+    try {
+      const file = await openFile('.json,application/json');
+      const { imported, rejected } = this.presets.importPresets(await file.text());
+      for (const { name, errors } of rejected) {
+        console.warn(`Rejected preset ${name}:`, errors.join(', '));
+      }
+      this.updatePresetSelector(imported[0]);
+      console.log(`Imported ${imported.length} presets, rejected ${rejected.length}`);
+    } catch (error) {
+      console.error('Error importing presets:', error);
+    }
+  }
+
+  /**
+   * Collect the current planet's parameter objects
+   * @returns {Object} Physical, composition, orbit, advanced, interior and satellites
+   */
+  getPlanetState() {
+    return {
+      physical: this.parameters,
+      composition: this.composition,
+      orbit: this.orbit,
+      advanced: this.advanced,
+      interior: this.interior,
+      satellites: this.satellites
+    };
+  }
+
+  /**
+   * Make a set of parameter objects the current planet
+   * @param {Object} models - Objects from createPlanetModels
+   */
+  setPlanetModels({ physical, orbit, composition, advanced, interior, satellites }) {
+    this.parameters = physical;
+    this.orbit = orbit;
+    this.composition = composition;
+    this.advanced = advanced;
+    this.interior = interior;
+    this.satellites = satellites;
+  }
 
-    // Update parameters
-    this.parameters = new PhysicalParameters(physicalPreset);
-    this.composition = new CompositionParameters(compositionPreset);
+  /**
+   * Replace the current planet and refresh the GUI and scene
+   * @param {Object} planet - Parameter objects for the new planet
+   * @param {Object} planet.physical - Physical parameters
+   * @param {Object} planet.composition - Composition parameters
+   * @param {Object} planet.orbit - Host star and orbit
+   * @param {Object} planet.advanced - Volcanism, magnetic field and tectonics
+   * @param {Object} planet.interior - Interior layer fractions
+   * @param {Array<Object>} planet.moons - Moons
+   * @param {string} name - Description for the log
+   * @param {number} [seed] - Terrain seed to draw the planet with; keeps the current one if omitted
+   */
+  loadPlanet(planet, name, seed = this.seed) {
+    // Build everything first so a failure leaves the current planet untouched
+    this.setPlanetModels(createPlanetModels(planet));
+    this.seed = seed;
+    this.guiControls.terrainSeed = seed;
+    const { physical } = planet;
 
     // Update GUI controls - physical
-    this.guiControls.mass = physicalPreset.mass;
-    this.guiControls.radius = physicalPreset.radius;
-    this.guiControls.density = physicalPreset.density;
-    this.guiControls.rotationRate = physicalPreset.rotationRate;
-    this.guiControls.axialTilt = physicalPreset.axialTilt;
+    this.syncConstrainedControls();
+    this.guiControls.rotationRate = physical.rotationRate;
+    this.guiControls.axialTilt = physical.axialTilt;
 
     // Update GUI controls - composition
     this.guiControls.waterCoverage = this.composition.water.coverage;
-    this.guiControls.temperature = this.composition.surface.temperature;
+    this.guiControls.albedo = this.composition.surface.albedo;
     this.guiControls.iceCaps = this.composition.water.iceCaps;
     this.guiControls.atmospherePressure = this.composition.atmosphere.pressure;
     this.guiControls.CO2 = this.composition.atmosphere.composition.CO2 || 0.04;
+    this.updateIceCapsLock();
+
+    // Update GUI controls - star and orbit
+    this.guiControls.stellarMass = this.orbit.star.mass;
+    this.guiControls.luminosity = this.orbit.star.luminosity;
+    this.guiControls.stellarTemperature = this.units.toDisplay(Quantity.TEMPERATURE, this.orbit.star.temperature);
+    this.guiControls.semiMajorAxis = this.orbit.orbit.semiMajorAxis;
+    this.guiControls.eccentricity = this.orbit.orbit.eccentricity;
+
+    // Update GUI controls - advanced
+    this.syncAdvancedControls();
+
+    // Update GUI controls - interior
+    this.guiControls.coreFraction = this.interior.core;
+    this.guiControls.waterFraction = this.interior.water;
+    this.guiControls.envelopeFraction = this.interior.envelope;
+
+    // Keep radius physics-derived if the user asked for it
+    if (this.guiControls.deriveRadius) {
+      this.applyInteriorModel();
+    }
+
+    // Update GUI controls - moons
+    this.guiControls.selectedMoon = '';
+    this.updateMoonSelector();
 
     // Recreate planet with new parameters
-    this.renderer.createPlanetMesh(this.parameters, this.composition);
+    this.rebuildPlanet();
 
     // Update calculated values
     this.updateCalculatedValues();
@@ -283,9 +2105,421 @@ class PlanetBuilderApp {
     // Update all GUI controllers to reflect new values
     this.gui.updateDisplay();
 
-    console.log(`Loaded ${presetName} preset`);
-    console.log(this.parameters.toString());
-    console.log(this.composition.toString());
+    console.log(`Loaded ${name}`);
+    console.log(this.parameters.toString(this.units));
+    console.log(this.orbit.toString(this.composition.surface.albedo));
+    console.log(this.composition.toString(this.parameters, this.units));
+    console.log(this.advanced.toString(this.parameters));
+    console.log(this.satellites.toString());
+  }
+
+  /**
+   * Ask for a catalog file and import it
+   */
+  async openCatalogFile() {
+    try {
+      const file = await openFile('.csv,.vot,.votable,.xml');
+      this.importCatalog(await file.text());
+    } catch (error) {
+      this.guiControls.catalogStatus = 'Import failed';
+      console.error('Error importing catalog:', error);
+    }
+  }
+
+  /**
+   * Import an exoplanet catalog, reporting the rows that could not be used
+   * @param {string} text - CSV or VOTable contents
+   */
+  importCatalog(text) {
+    try {
+      this.catalog = new ExoplanetCatalog(text);
+      const { planets, rejected } = this.catalog;
+      this.guiControls.catalogStatus = `${planets.length} imported, ${rejected.length} rejected`;
+      if (rejected.length > 0) {
+        console.warn(this.catalog.toString());
+        this.showNotice(
+          `${rejected.length} catalog ${rejected.length === 1 ? 'row was' : 'rows were'} not imported:`,
+          rejected.map(({ row, name, errors }) => `Row ${row}${name ? ` (${name})` : ''}: ${errors.join(', ')}`)
+        );
+      }
+      this.updateCatalogSelector();
+    } catch (error) {
+      this.guiControls.catalogStatus = 'Import failed';
+      console.error('Error importing catalog:', error);
+    }
+  }
+
+  /**
+   * Refresh the catalog planet picker with the planets matching the search
+   */
+  updateCatalogSelector() {
+    const names = this.catalog
+      ? this.catalog.search(this.guiControls.catalogSearch).slice(0, MAX_CATALOG_MATCHES).map(({ name }) => name)
+      : [];
+    if (!names.includes(this.guiControls.catalogPlanet)) {
+      this.guiControls.catalogPlanet = '';
+    }
+
+    // dat.GUI replaces the controller when its options change
+    this.catalogPlanetController = this.catalogPlanetController.options(names)
+      .name('Planet')
+      .onChange((value) => this.loadCatalogPlanet(value));
+  }
+
+  /**
+   * Load a planet from the imported catalog
+   * @param {string} name - Planet name
+   */
+  loadCatalogPlanet(name) {
+    const planet = this.catalog?.getPlanet(name);
+    if (!planet) return;
+
+    try {
+      const { physical, composition, orbit } = planet;
+      this.loadPlanet(completePreset({ physical, composition, orbit }),
+        `${name} from catalog (estimated: ${planet.estimated.join(', ')})`);
+      this.basePreset = null;
+      this.guiControls.planetFileName = name;
+    } catch (error) {
+      console.error('Error loading catalog planet:', error);
+    }
+  }
+
+  /**
+   * Download the planet, view and settings as a .planet.json file
+   */
+  savePlanetFile() {
+    try {
+      const name = this.guiControls.planetFileName.trim() || 'planet';
+      const { camera, renderer } = this.renderer.getViewState();
+      const text = writePlanetFile({
+        name,
+        planet: this.getPlanetState(),
+        seed: this.seed,
+        renderer,
+        camera,
+        units: this.units,
+        simulation: this.clock
+      });
+      const filename = `${toFilename(name)}${PLANET_FILE_EXTENSION}`;
+      downloadFile(filename, text, 'application/json');
+      this.guiControls.planetFileStatus = `Saved ${filename}`;
+    } catch (error) {
+      this.guiControls.planetFileStatus = 'Save failed';
+      console.error('Error saving planet file:', error);
+    }
+  }
+
+  /**
+   * Ask for a .planet.json file and load it
+   */
+  async openPlanetFile() {
+    try {
+      const file = await openFile(`${PLANET_FILE_EXTENSION},.json,application/json`);
+      this.loadPlanetFile(await file.text());
+    } catch (error) {
+      this.guiControls.planetFileStatus = 'Load failed';
+      console.error('Error loading planet file:', error);
+    }
+  }
+
+  /**
+   * Load a saved planet, restoring units, clock, camera and renderer settings
+   * @param {string} text - Contents of a .planet.json file
+   */
+  loadPlanetFile(text) {
+    const { state, errors } = readPlanetFile(text);
+    if (!state) {
+      const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+      this.guiControls.planetFileStatus = `Not loaded: ${errors[0]}${more}`;
+      console.error(`Planet file not loaded:\n${errors.join('\n')}`);
+      return;
+    }
+
+    try {
+      const name = state.name || 'planet';
+      this.loadPlanet(state.planet, `${name} from file`, state.seed ?? this.seed);
+      this.basePreset = null;
+
+      if (state.units) {
+        this.guiControls.unitSystem = state.units.system;
+        this.guiControls.temperatureScale = state.units.temperatureScale;
+        this.onUnitsChange();
+      }
+
+      if (state.simulation) {
+        this.clock.setSpeed(state.simulation.speed);
+        this.clock.setTime(state.simulation.time);
+        this.guiControls.simulationSpeed = state.simulation.speed;
+        this.updateSeason();
+      }
+      this.renderer.setViewState(state);
+
+      this.guiControls.planetFileName = name;
+      this.guiControls.planetFileStatus = `Loaded ${name}`;
+      this.gui.updateDisplay();
+    } catch (error) {
+      this.guiControls.planetFileStatus = 'Load failed';
+      console.error('Error loading planet file:', error);
+    }
+  }
+
+  /**
+   * Download every input and derived property of the planet as CSV or JSON
+   * @param {string} format - 'csv' or 'json'
+   */
+  exportData(format) {
+    try {
+      const name = this.guiControls.planetFileName.trim() || 'planet';
+      const data = collectPlanetData(this.getPlanetState(), {
+        name,
+        qualityFactor: this.guiControls.tidalQ,
+        rigidity: this.guiControls.rigidity * 1e9
+      });
+      const filename = `${toFilename(name)}.${format}`;
+      if (format === 'csv') {
+        downloadFile(filename, writeDataCSV([data]), 'text/csv');
+      } else {
+        downloadFile(filename, writeDataJSON(data), 'application/json');
+      }
+      this.guiControls.dataExportStatus = `Exported ${filename}`;
+    } catch (error) {
+      this.guiControls.dataExportStatus = 'Export failed';
+      console.error('Error exporting planet data:', error);
+    }
+  }
+
+  /**
+   * Download the rendered planet, clouds and atmosphere as a 3D model
+   * @param {string} format - One of ModelFormat
+   */
+  async exportModel(format) {
+    try {
+      const name = toFilename(this.guiControls.planetFileName.trim() || 'planet');
+      this.guiControls.dataExportStatus = 'Exporting model...';
+      const { filename, data, type } = await this.renderer.exportModel({
+        format,
+        name,
+        axialTilt: this.parameters.axialTilt,
+        radius: this.parameters.radius
+      });
+      downloadFile(filename, data, type);
+      this.guiControls.dataExportStatus = `Exported ${filename}`;
+    } catch (error) {
+      this.guiControls.dataExportStatus = 'Model export failed';
+      console.error('Error exporting planet model:', error);
+    }
+  }
+
+  /**
+   * Download the texture maps as PNGs at the chosen size, with a heightmap for
+   * planets that have a surface
+   */
+  async exportMaps() {
+    try {
+      const name = toFilename(this.guiControls.planetFileName.trim() || 'planet');
+      const heightmap = this.guiControls.includeHeightmap && this.composition.hasSolidSurface();
+      this.guiControls.dataExportStatus = 'Exporting maps...';
+      const { filename, data, type } = await this.renderer.exportMaps({
+        width: Number(this.guiControls.mapWidth),
+        heightmap,
+        name,
+        oceanDepth: this.composition.water.depth,
+        hasOcean: this.composition.water.coverage > 0,
+        planetRadius: this.parameters.radius
+      });
+      downloadFile(filename, data, type);
+      const skipped = this.guiControls.includeHeightmap && !heightmap ? ' (no heightmap: no surface)' : '';
+      this.guiControls.dataExportStatus = `Exported ${filename}${skipped}`;
+    } catch (error) {
+      this.guiControls.dataExportStatus = 'Map export failed';
+      console.error('Error exporting texture maps:', error);
+    }
+  }
+
+  /**
+   * Download a still of the current view at the capture size
+   */
+  async takeScreenshot() {
+    try {
+      this.guiControls.captureStatus = 'Rendering...';
+      const { filename, data, type } = await this.renderer.capture.screenshot({
+        width: Math.round(this.guiControls.captureWidth),
+        height: Math.round(this.guiControls.captureHeight),
+        transparent: this.guiControls.transparentBackground,
+        name: toFilename(this.guiControls.planetFileName.trim() || 'planet')
+      });
+      downloadFile(filename, data, type);
+      this.guiControls.captureStatus = `Saved ${filename}`;
+    } catch (error) {
+      this.guiControls.captureStatus = 'Screenshot failed';
+      console.error('Error taking screenshot:', error);
+    }
+  }
+
+  /**
+   * Record an animation along the chosen camera path. A time-lapse also runs
+   * simulated time at the clock's speed for the whole duration, so the seasons
+   * and moons move; the clock is put back afterwards.
+   */
+  async recordCapture() {
+    const startTime = this.clock.time;
+    const duration = this.guiControls.captureDuration;
+    const timeLapse = this.guiControls.captureTimeLapse;
+
+    try {
+      this.guiControls.captureStatus = 'Recording...';
+      const { filename, data, type } = await this.renderer.capture.record({
+        width: Math.round(this.guiControls.captureWidth),
+        height: Math.round(this.guiControls.captureHeight),
+        duration,
+        frameRate: this.guiControls.captureFrameRate,
+        path: this.guiControls.cameraPath,
+        format: this.guiControls.captureFormat,
+        transparent: this.guiControls.transparentBackground,
+        name: toFilename(this.guiControls.planetFileName.trim() || 'planet'),
+        onFrame: (progress) => {
+          if (!timeLapse) return;
+          this.clock.setTime(startTime + progress * duration * this.clock.speed);
+          this.updateSeason();
+        },
+        onProgress: (progress) => {
+          this.guiControls.captureStatus = `Recording... ${Math.round(progress * 100)}%`;
+        }
+      });
+      downloadFile(filename, data, type);
+      this.guiControls.captureStatus = `Saved ${filename}`;
+    } catch (error) {
+      this.guiControls.captureStatus = this.renderer.capture.cancelled ? 'Recording cancelled' : 'Recording failed';
+      console.error('Error recording capture:', error);
+    } finally {
+      if (timeLapse) {
+        this.clock.setTime(startTime);
+        this.updateSeason();
+      }
+    }
+  }
+
+  /**
+   * Regenerate the terrain, clouds and storms from a new seed
+   * @param {number} seed - Seed from 0 to MAX_SEED; other values are refused
+   */
+  setTerrainSeed(seed) {
+    if (!isValidSeed(seed)) {
+      console.warn(`Terrain seed must be a whole number from 0 to ${MAX_SEED}`);
+      this.guiControls.terrainSeed = this.seed;
+      this.gui.updateDisplay();
+      return;
+    }
+
+    this.seed = seed;
+    this.guiControls.terrainSeed = seed;
+    this.gui.updateDisplay();
+    this.rebuildPlanet();
+  }
+
+  /**
+   * Put a link to the current planet in the address bar and on the clipboard
+   */
+  async copyShareLink() {
+    let hash;
+    try {
+      hash = encodeShareLink({
+        ...serializePlanet(this.getPlanetState()),
+        name: this.guiControls.planetFileName.trim() || undefined,
+        preset: this.basePreset,
+        seed: this.seed
+      });
+    } catch (error) {
+      this.guiControls.planetFileStatus = 'No link: save a planet file instead';
+      this.showNotice('This planet cannot be shared as a link; save it as a planet file instead.', [error.message]);
+      return;
+    }
+    // replaceState does not fire hashchange, so the planet is not reloaded
+    window.history.replaceState(null, '', `#${hash}`);
+
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      this.guiControls.planetFileStatus = 'Link copied';
+    } catch (error) {
+      this.guiControls.planetFileStatus = 'Copy blocked: the link is in the address bar';
+      console.warn('Could not copy link:', error);
+    }
+  }
+
+  /**
+   * Load a planet from a shared link, e.g. when one is pasted into the address bar
+   * @param {string} hash - URL hash
+   */
+  loadShareLink(hash) {
+    const link = decodeShareLink(hash);
+    if (!link) return;
+
+    try {
+      this.loadPlanet(link.planet, `${link.name} from link`, link.seed);
+      this.basePreset = link.preset;
+      this.showLinkName(link.name);
+    } catch (error) {
+      console.error('Error loading shared link:', error);
+    }
+    this.reportRejectedSettings(link.rejected);
+  }
+
+  /**
+   * Show a shared planet's name, selecting its preset if this browser has it
+   * @param {string} name - Planet or preset name from the link
+   */
+  showLinkName(name) {
+    this.guiControls.planetFileName = name;
+    if (this.presets.has(name)) {
+      this.guiControls.preset = name;
+      this.guiControls.presetName = name;
+      this.updatePresetInfo();
+    }
+    this.gui.updateDisplay();
+  }
+
+  /**
+   * Tell the user which parts of a shared link were replaced by defaults
+   * @param {Array<string>} rejected - Reasons, one per rejected setting
+   */
+  reportRejectedSettings(rejected) {
+    if (rejected.length === 0) return;
+    console.warn(`Shared link settings rejected:\n${rejected.join('\n')}`);
+    this.showNotice('Some settings in this link could not be used and were replaced by defaults:', rejected);
+  }
+
+  /**
+   * Show a dismissable notice over the scene
+   * @param {string} message - Notice heading
+   * @param {Array<string>} [items=[]] - Details listed under the heading
+   */
+  showNotice(message, items = []) {
+    this.notice?.remove();
+
+    const notice = document.createElement('div');
+    notice.className = 'notice';
+    notice.setAttribute('role', 'alert');
+
+    const close = document.createElement('button');
+    close.className = 'notice-close';
+    close.textContent = '×';
+    close.title = 'Dismiss';
+    close.addEventListener('click', () => notice.remove());
+
+    const heading = document.createElement('p');
+    heading.textContent = message;
+
+    const list = document.createElement('ul');
+    for (const item of items) {
+      const entry = document.createElement('li');
+      entry.textContent = item;
+      list.appendChild(entry);
+    }
+
+    notice.append(close, heading, list);
+    document.getElementById('app').appendChild(notice);
+    this.notice = notice;
   }
 }
 
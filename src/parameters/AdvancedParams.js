@@ -0,0 +1,455 @@
+/**
+ * Volcanic activity levels
+ */
+export const ActivityLevel = {
+  NONE: 'none',
+  LOW: 'low',
+  MODERATE: 'moderate',
+  HIGH: 'high',
+  EXTREME: 'extreme'
+};
+
+/**
+ * Dominant lava chemistry
+ */
+export const LavaComposition = {
+  BASALTIC: 'basaltic',
+  ANDESITIC: 'andesitic',
+  RHYOLITIC: 'rhyolitic'
+};
+
+/**
+ * Geometry of the planetary magnetic field
+ */
+export const FieldShape = {
+  DIPOLE: 'dipole',
+  QUADRUPOLE: 'quadrupole',
+  IRREGULAR: 'irregular'
+};
+
+/**
+ * State of the metallic core
+ * A dynamo needs a liquid core that is actively convecting
+ */
+export const CoreState = {
+  CONVECTING: 'convecting',
+  STAGNANT: 'stagnant',
+  SOLID: 'solid'
+};
+
+/**
+ * Tectonic regimes
+ */
+export const TectonicState = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive',
+  STAGNANT_LID: 'stagnant lid'
+};
+
+// Rotation periods slower than this are too weak to organize core convection
+// into a planetary dynamo (Mercury's 1400 h dynamo is the notable exception)
+export const DYNAMO_MAX_ROTATION_PERIOD = 400; // hours
+
+/**
+ * Advanced parameters that add geological and magnetic complexity to a planet
+ */
+class AdvancedParameters {
+  /**
+   * Creates a new AdvancedParameters instance
+   * @param {Object} params - Parameter object
+   * @param {Object} params.volcanism - Volcanic activity parameters
+   * @param {string} params.volcanism.activityLevel - One of ActivityLevel
+   * @param {number} params.volcanism.volcanoCount - Number of active volcanoes
+   * @param {number} params.volcanism.eruptionFrequency - Average time between eruptions in years
+   * @param {string} params.volcanism.lavaComposition - One of LavaComposition
+   * @param {Object} params.volcanism.gasEmissions - Release rates in Tg/year, keyed by gas (SO2, CO2, H2O)
+   * @param {Object} params.magneticField - Magnetic field parameters
+   * @param {number} params.magneticField.strength - Surface field strength in Tesla
+   * @param {boolean} params.magneticField.dynamoActive - Whether the core generates the field
+   * @param {number} params.magneticField.poleOffset - Magnetic vs. rotational pole offset in degrees
+   * @param {string} params.magneticField.fieldShape - One of FieldShape
+   * @param {string} params.magneticField.coreState - One of CoreState
+   * @param {Object} params.tectonics - Plate tectonics parameters
+   * @param {string} params.tectonics.state - One of TectonicState
+   * @param {number} params.tectonics.plateCount - Number of major plates
+   * @param {number} params.tectonics.movementRate - Average plate velocity in cm/year
+   */
+  constructor({ volcanism, magneticField, tectonics }) {
+    // Validate parameters
+    const validation = validateAdvancedParams({ volcanism, magneticField, tectonics });
+    if (!validation.isValid) {
+      throw new Error(`Invalid advanced parameters: ${validation.errors.join(', ')}`);
+    }
+
+    this.volcanism = {
+      activityLevel: volcanism.activityLevel,
+      volcanoCount: volcanism.volcanoCount,
+      eruptionFrequency: volcanism.eruptionFrequency,
+      lavaComposition: volcanism.lavaComposition,
+      gasEmissions: { ...volcanism.gasEmissions }
+    };
+
+    this.magneticField = {
+      strength: magneticField.strength,
+      dynamoActive: magneticField.dynamoActive,
+      poleOffset: magneticField.poleOffset,
+      fieldShape: magneticField.fieldShape,
+      coreState: magneticField.coreState
+    };
+
+    this.tectonics = {
+      state: tectonics.state,
+      plateCount: tectonics.plateCount,
+      movementRate: tectonics.movementRate
+    };
+  }
+
+  /**
+   * Assess whether a core dynamo is plausible for the planet
+   * Requires a convecting liquid core and sufficiently fast rotation
+   * @param {PhysicalParameters} physical - Planet physical parameters
+   * @returns {Object} Object with plausible flag and a human-readable reason
+   */
+  assessDynamo(physical) {
+    if (this.magneticField.coreState !== CoreState.CONVECTING) {
+      return { plausible: false, reason: `Core is ${this.magneticField.coreState}, no convection to drive a dynamo` };
+    }
+
+    if (physical.rotationRate > DYNAMO_MAX_ROTATION_PERIOD) {
+      return { plausible: false, reason: `Rotation period above ${DYNAMO_MAX_ROTATION_PERIOD} hours is too slow` };
+    }
+
+    return { plausible: true, reason: 'Convecting core with sufficient rotation' };
+  }
+
+  /**
+   * Calculate the total volcanic gas release
+   * @returns {number} Total outgassing in Tg/year
+   */
+  calculateTotalOutgassing() {
+    if (this.volcanism.activityLevel === ActivityLevel.NONE) {
+      return 0;
+    }
+    return Object.values(this.volcanism.gasEmissions).reduce((sum, rate) => sum + rate, 0);
+  }
+
+  /**
+   * Calculate how many eruptions happen per year across the planet
+   * @returns {number} Eruptions per year
+   */
+  calculateEruptionsPerYear() {
+    if (this.volcanism.activityLevel === ActivityLevel.NONE || this.volcanism.eruptionFrequency <= 0) {
+      return 0;
+    }
+    return 1 / this.volcanism.eruptionFrequency;
+  }
+
+  /**
+   * Returns all calculated properties as an object
+   * @param {PhysicalParameters} physical - Planet physical parameters
+   * @returns {Object} Object containing all derived properties
+   */
+  getCalculatedProperties(physical) {
+    const dynamo = this.assessDynamo(physical);
+    return {
+      dynamoPlausible: dynamo.plausible,
+      dynamoReason: dynamo.reason,
+      dynamoConsistent: dynamo.plausible === this.magneticField.dynamoActive,
+      totalOutgassing: this.calculateTotalOutgassing(),
+      eruptionsPerYear: this.calculateEruptionsPerYear()
+    };
+  }
+
+  /**
+   * Returns a formatted string of all parameters and calculated values
+   * @param {PhysicalParameters} physical - Planet physical parameters
+   * @returns {string} Formatted parameter information
+   */
+  toString(physical) {
+    const calculated = this.getCalculatedProperties(physical);
+    const emissions = Object.entries(this.volcanism.gasEmissions)
+      .map(([gas, rate]) => `${gas} ${rate} Tg/yr`)
+      .join(', ');
+
+    return `
+Advanced Parameters:
+
+Volcanism:
+  Activity Level: ${this.volcanism.activityLevel}
+  Active Volcanoes: ${this.volcanism.volcanoCount}
+  Eruption Interval: ${this.volcanism.eruptionFrequency} years
+  Lava Composition: ${this.volcanism.lavaComposition}
+  Gas Emissions: ${emissions || 'none'}
+
+Magnetic Field:
+  Strength: ${(this.magneticField.strength * 1e6).toFixed(1)} µT
+  Dynamo Active: ${this.magneticField.dynamoActive ? 'Yes' : 'No'}
+  Pole Offset: ${this.magneticField.poleOffset.toFixed(1)}°
+  Field Shape: ${this.magneticField.fieldShape}
+  Core State: ${this.magneticField.coreState}
+
+Plate Tectonics:
+  Regime: ${this.tectonics.state}
+  Plate Count: ${this.tectonics.plateCount}
+  Movement Rate: ${this.tectonics.movementRate.toFixed(1)} cm/year
+
+Calculated Properties:
+  Dynamo Plausible: ${calculated.dynamoPlausible ? 'Yes' : 'No'} (${calculated.dynamoReason})
+  Total Outgassing: ${calculated.totalOutgassing.toFixed(1)} Tg/yr
+  Eruptions per Year: ${calculated.eruptionsPerYear.toFixed(2)}
+    `.trim();
+  }
+}
+
+/**
+ * Validates advanced parameters
+ * @param {Object} params - Parameters to validate
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateAdvancedParams(params) {
+  const errors = [];
+
+  // Validate volcanism
+  if (!params.volcanism) {
+    errors.push('Volcanism parameters are required');
+  } else {
+    const { activityLevel, volcanoCount, eruptionFrequency, lavaComposition, gasEmissions } = params.volcanism;
+
+    if (!Object.values(ActivityLevel).includes(activityLevel)) {
+      errors.push(`Volcanic activity level must be one of: ${Object.values(ActivityLevel).join(', ')}`);
+    }
+
+    if (!Number.isInteger(volcanoCount) || volcanoCount < 0) {
+      errors.push('Volcano count must be a non-negative integer');
+    } else if (activityLevel === ActivityLevel.NONE && volcanoCount > 0) {
+      errors.push('Volcano count must be 0 when activity level is none');
+    }
+
+    if (typeof eruptionFrequency !== 'number' || eruptionFrequency < 0) {
+      errors.push('Eruption frequency must be a non-negative number of years');
+    }
+
+    if (!Object.values(LavaComposition).includes(lavaComposition)) {
+      errors.push(`Lava composition must be one of: ${Object.values(LavaComposition).join(', ')}`);
+    }
+
+    if (gasEmissions) {
+      for (const [gas, rate] of Object.entries(gasEmissions)) {
+        if (typeof rate !== 'number' || rate < 0) {
+          errors.push(`${gas} emission rate must be a non-negative number`);
+        }
+      }
+    } else {
+      errors.push('Gas emissions are required');
+    }
+  }
+
+  // Validate magnetic field
+  if (!params.magneticField) {
+    errors.push('Magnetic field parameters are required');
+  } else {
+    const { strength, dynamoActive, poleOffset, fieldShape, coreState } = params.magneticField;
+
+    if (typeof strength !== 'number' || strength < 0 || strength > 0.01) {
+      errors.push('Magnetic field strength must be between 0 and 0.01 Tesla');
+    }
+
+    if (typeof dynamoActive !== 'boolean') {
+      errors.push('Dynamo active must be true or false');
+    } else if (dynamoActive && strength === 0) {
+      errors.push('An active dynamo must produce a field stronger than 0 Tesla');
+    }
+
+    if (typeof poleOffset !== 'number' || poleOffset < 0 || poleOffset > 180) {
+      errors.push('Pole offset must be between 0 and 180 degrees');
+    }
+
+    if (!Object.values(FieldShape).includes(fieldShape)) {
+      errors.push(`Field shape must be one of: ${Object.values(FieldShape).join(', ')}`);
+    }
+
+    if (!Object.values(CoreState).includes(coreState)) {
+      errors.push(`Core state must be one of: ${Object.values(CoreState).join(', ')}`);
+    }
+  }
+
+  // Validate tectonics
+  if (!params.tectonics) {
+    errors.push('Tectonics parameters are required');
+  } else {
+    const { state, plateCount, movementRate } = params.tectonics;
+
+    if (!Object.values(TectonicState).includes(state)) {
+      errors.push(`Tectonic state must be one of: ${Object.values(TectonicState).join(', ')}`);
+    }
+
+    if (!Number.isInteger(plateCount) || plateCount < 0 || plateCount > 100) {
+      errors.push('Plate count must be an integer between 0 and 100');
+    } else if (state === TectonicState.ACTIVE && plateCount < 2) {
+      errors.push('Active tectonics requires at least 2 plates');
+    } else if (state === TectonicState.STAGNANT_LID && plateCount > 1) {
+      errors.push('A stagnant lid is a single plate');
+    }
+
+    if (typeof movementRate !== 'number' || movementRate < 0 || movementRate > 100) {
+      errors.push('Plate movement rate must be between 0 and 100 cm/year');
+    } else if (state !== TectonicState.ACTIVE && movementRate > 0) {
+      errors.push('Plates only move when tectonics is active');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// Earth-like geology
+export const EARTH_ADVANCED = {
+  volcanism: {
+    activityLevel: ActivityLevel.MODERATE,
+    volcanoCount: 1350,
+    eruptionFrequency: 0.02,
+    lavaComposition: LavaComposition.BASALTIC,
+    gasEmissions: {
+      SO2: 20,
+      CO2: 300,
+      H2O: 500
+    }
+  },
+  magneticField: {
+    strength: 5e-5,
+    dynamoActive: true,
+    poleOffset: 11,
+    fieldShape: FieldShape.DIPOLE,
+    coreState: CoreState.CONVECTING
+  },
+  tectonics: {
+    state: TectonicState.ACTIVE,
+    plateCount: 15,
+    movementRate: 5
+  }
+};
+
+// Mars-like geology
+export const MARS_ADVANCED = {
+  volcanism: {
+    activityLevel: ActivityLevel.LOW,
+    volcanoCount: 1,
+    eruptionFrequency: 1e6,
+    lavaComposition: LavaComposition.BASALTIC,
+    gasEmissions: {
+      SO2: 0.001,
+      CO2: 0.01,
+      H2O: 0.01
+    }
+  },
+  magneticField: {
+    strength: 0, // Only remanent crustal magnetism
+    dynamoActive: false,
+    poleOffset: 0,
+    fieldShape: FieldShape.IRREGULAR,
+    coreState: CoreState.STAGNANT
+  },
+  tectonics: {
+    state: TectonicState.STAGNANT_LID,
+    plateCount: 1,
+    movementRate: 0
+  }
+};
+
+// Venus-like geology
+export const VENUS_ADVANCED = {
+  volcanism: {
+    activityLevel: ActivityLevel.MODERATE,
+    volcanoCount: 37,
+    eruptionFrequency: 1,
+    lavaComposition: LavaComposition.BASALTIC,
+    gasEmissions: {
+      SO2: 50,
+      CO2: 100,
+      H2O: 5
+    }
+  },
+  magneticField: {
+    strength: 0, // Only a weak induced field from the solar wind
+    dynamoActive: false,
+    poleOffset: 0,
+    fieldShape: FieldShape.IRREGULAR,
+    coreState: CoreState.STAGNANT
+  },
+  tectonics: {
+    state: TectonicState.STAGNANT_LID,
+    plateCount: 1,
+    movementRate: 0
+  }
+};
+
+// Giants have no solid surface to erupt or break into plates
+const GIANT_VOLCANISM = {
+  activityLevel: ActivityLevel.NONE,
+  volcanoCount: 0,
+  eruptionFrequency: 0,
+  lavaComposition: LavaComposition.BASALTIC,
+  gasEmissions: {}
+};
+
+const GIANT_TECTONICS = {
+  state: TectonicState.INACTIVE,
+  plateCount: 0,
+  movementRate: 0
+};
+
+// Jupiter-like: metallic hydrogen dynamo, the strongest planetary field
+export const JUPITER_ADVANCED = {
+  volcanism: GIANT_VOLCANISM,
+  magneticField: {
+    strength: 4.17e-4,
+    dynamoActive: true,
+    poleOffset: 9.6,
+    fieldShape: FieldShape.DIPOLE,
+    coreState: CoreState.CONVECTING
+  },
+  tectonics: GIANT_TECTONICS
+};
+
+// Saturn-like: field aligned with the spin axis to within a tenth of a degree
+export const SATURN_ADVANCED = {
+  volcanism: GIANT_VOLCANISM,
+  magneticField: {
+    strength: 2.1e-5,
+    dynamoActive: true,
+    poleOffset: 0,
+    fieldShape: FieldShape.DIPOLE,
+    coreState: CoreState.CONVECTING
+  },
+  tectonics: GIANT_TECTONICS
+};
+
+// Uranus-like: tilted, off-center field from a shallow ionic-water dynamo
+export const URANUS_ADVANCED = {
+  volcanism: GIANT_VOLCANISM,
+  magneticField: {
+    strength: 2.3e-5,
+    dynamoActive: true,
+    poleOffset: 59,
+    fieldShape: FieldShape.QUADRUPOLE,
+    coreState: CoreState.CONVECTING
+  },
+  tectonics: GIANT_TECTONICS
+};
+
+// Neptune-like: tilted, off-center field like Uranus'
+export const NEPTUNE_ADVANCED = {
+  volcanism: GIANT_VOLCANISM,
+  magneticField: {
+    strength: 1.4e-5,
+    dynamoActive: true,
+    poleOffset: 47,
+    fieldShape: FieldShape.QUADRUPOLE,
+    coreState: CoreState.CONVECTING
+  },
+  tectonics: GIANT_TECTONICS
+};
+
+export default AdvancedParameters;
@@ -1,3 +1,45 @@
+import { analyzeAtmosphericRetention } from '../physics/AtmosphericRetention.js';
+import RadiativeTransferModel from '../physics/RadiativeTransfer.js';
+import { analyzeVolatiles, determinePhase, Phase, VOLATILES } from '../physics/VolatilePhases.js';
+import { assessHabitability } from '../physics/Habitability.js';
+import { simulateImpact } from '../physics/Impacts.js';
+import { analyzeBands } from '../physics/GiantPlanets.js';
+import { STEFAN_BOLTZMANN } from '../utils/Constants.js';
+import { Quantity, SI_UNITS } from '../utils/Units.js';
+
+// Other volatiles that can fill surface oceans and lakes, in order of preference
+const OCEAN_VOLATILES = ['CH4', 'NH3', 'CO2', 'N2'];
+
+// Colors of non-water liquids for ocean rendering
+const LIQUID_COLORS = {
+  CH4: 0x1a140c, // Dark hydrocarbon lakes (Titan)
+  NH3: 0x5a6a78, // Gray ammonia-water
+  CO2: 0x9ab4c4, // Pale liquid CO2
+  N2: 0xc0d0e0 // Nearly clear liquid nitrogen
+};
+
+// Exposed ocean basin when the oceans have boiled or sublimated away
+const DRY_BASIN_COLOR = 0x7a6a5a;
+
+// Methane above this percentage absorbs enough red light to turn a giant blue
+const METHANE_TINT_THRESHOLD = 1;
+
+// Band, zone and storm colors of giants: ammonia clouds under a tan haze, or
+// methane-tinted ice giants
+const GIANT_COLORS = {
+  ammonia: { zone: 0xeee0c4, belt: 0x9c6a44, storm: 0xb8553a },
+  methane: { zone: 0xa8dbe8, belt: 0x4f7fd0, storm: 0x1c3378 }
+};
+
+/**
+ * Broad classes of planet
+ */
+export const PlanetClass = {
+  TERRESTRIAL: 'terrestrial',
+  GAS_GIANT: 'gas giant',
+  ICE_GIANT: 'ice giant'
+};
+
 /**
  * Compositional parameters that define the atmosphere and surface composition of a planet
  */
@@ -5,6 +47,9 @@ class CompositionParameters {
   /**
    * Creates a new CompositionParameters instance
    * @param {Object} params - Parameter object
+   * @param {string} [params.planetClass=PlanetClass.TERRESTRIAL] - One of PlanetClass;
+   *   giants have no solid surface, so no oceans or ice caps
+   * @param {number} [params.internalHeatFlux=0] - Heat escaping the interior in W/m²
    * @param {Object} params.atmosphere - Atmospheric parameters
    * @param {Object} params.atmosphere.composition - Gas composition percentages
    * @param {number} params.atmosphere.pressure - Surface atmospheric pressure in atm
@@ -13,17 +58,30 @@ class CompositionParameters {
    * @param {number} params.water.coverage - Percentage of surface covered by water
    * @param {number} params.water.depth - Average ocean depth in km
    * @param {number} params.water.iceCaps - Percentage of water frozen at poles
-   * @param {Object} params.surface - Surface parameters
+   * @param {Object} params.surface - Surface parameters (for giants, the 1 bar level)
    * @param {number} params.surface.albedo - Surface reflectivity (0-1)
    * @param {number} params.surface.temperature - Average surface temperature in K
+   * @param {Array<Object>} [params.surface.craters=[]] - Impact craters
+   *   ({ latitude, longitude, diameter, depth, complex, energy })
+   * @param {OrbitalParameters} [orbit] - Host star and orbit; when given, the base
+   *   temperature is derived from it instead of params.surface.temperature
    */
-  constructor({ atmosphere, water, surface }) {
+  constructor({
+    planetClass = PlanetClass.TERRESTRIAL,
+    internalHeatFlux = 0,
+    atmosphere,
+    water,
+    surface
+  }, orbit = null) {
     // Validate parameters
-    const validation = validateCompositionParams({ atmosphere, water, surface });
+    const validation = validateCompositionParams({ planetClass, internalHeatFlux, atmosphere, water, surface });
     if (!validation.isValid) {
       throw new Error(`Invalid composition parameters: ${validation.errors.join(', ')}`);
     }
 
+    this.planetClass = planetClass;
+    this.internalHeatFlux = internalHeatFlux;
+
     this.atmosphere = {
       composition: atmosphere.composition || { N2: 78, O2: 21, Ar: 0.93, CO2: 0.04, other: 0.03 },
       pressure: atmosphere.pressure,
@@ -38,8 +96,42 @@ class CompositionParameters {
 
     this.surface = {
       albedo: surface.albedo,
-      temperature: surface.temperature
+      temperature: surface.temperature,
+      craters: (surface.craters || []).map((crater) => ({ ...crater }))
     };
+
+    this.orbit = orbit;
+    this.radiativeCache = null;
+  }
+
+  /**
+   * Attach (or detach) the host star and orbit that drive the base temperature
+   * @param {OrbitalParameters|null} orbit - Orbital parameters, or null to use surface.temperature
+   */
+  setOrbit(orbit) {
+    this.orbit = orbit;
+  }
+
+  /**
+   * Check whether the planet has a solid surface
+   * @returns {boolean} False for gas and ice giants
+   */
+  hasSolidSurface() {
+    return this.planetClass === PlanetClass.TERRESTRIAL;
+  }
+
+  /**
+   * Get the surface temperature before greenhouse warming
+   * Uses the radiative equilibrium temperature when an orbit is attached, with
+   * internal heat added to the emitted flux: T = (T_eq⁴ + F_int / σ)^(1/4)
+   * @returns {number} Base surface temperature in K
+   */
+  getBaseTemperature() {
+    if (this.orbit) {
+      const equilibrium = this.orbit.calculateEquilibriumTemperature(this.surface.albedo);
+      return ((equilibrium ** 4) + this.internalHeatFlux / STEFAN_BOLTZMANN) ** 0.25;
+    }
+    return this.surface.temperature;
   }
 
   /**
@@ -67,6 +159,11 @@ class CompositionParameters {
   getAtmosphereColor() {
     const comp = this.atmosphere.composition;
 
+    // Hydrogen-helium giants - cyan with methane, tan ammonia haze without
+    if (comp.H2 > 50) {
+      return (comp.CH4 || 0) > METHANE_TINT_THRESHOLD ? [0.5, 0.8, 1.0] : [0.9, 0.8, 0.6];
+    }
+
     // Earth-like (high O2 and N2) - blue
     if (comp.N2 > 60 && comp.O2 > 15) {
       return [0.3, 0.6, 1.0]; // Light blue
@@ -91,24 +188,33 @@ class CompositionParameters {
     return [0.5, 0.7, 0.9];
   }
 
+  /**
+   * Solve the radiative-convective balance of the atmosphere
+   * The result is cached until the atmosphere, oceans or base temperature change.
+   * @returns {Object} Surface temperature, greenhouse warming, tropopause and
+   *   per-gas contributions (see RadiativeTransferModel.solve)
+   */
+  getRadiativeBalance() {
+    const baseTemperature = this.getBaseTemperature();
+    const key = JSON.stringify([this.atmosphere.composition, this.atmosphere.pressure,
+      this.water.coverage, this.water.depth, baseTemperature]);
+
+    if (!this.radiativeCache || this.radiativeCache.key !== key) {
+      this.radiativeCache = {
+        key,
+        result: RadiativeTransferModel.fromComposition(this).solve(baseTemperature)
+      };
+    }
+    return this.radiativeCache.result;
+  }
+
   /**
    * Calculate greenhouse effect temperature increase
-   * Based on CO2 and other greenhouse gas concentrations
+   * From the radiative-convective model, including ocean water vapor
    * @returns {number} Temperature increase in Kelvin
    */
   calculateGreenhouseEffect() {
-    const comp = this.atmosphere.composition;
-    const pressure = this.atmosphere.pressure;
-
-    // Simple model: more CO2 and pressure = more warming
-    const co2Factor = (comp.CO2 || 0) / 100;
-    const ch4Factor = (comp.CH4 || 0) / 100;
-    const pressureFactor = Math.log(Math.max(0.01, pressure));
-
-    // Greenhouse gases contribute to warming
-    const greenhouseWarming = (co2Factor * 30 + ch4Factor * 20) * pressureFactor;
-
-    return greenhouseWarming;
+    return this.getRadiativeBalance().greenhouseWarming;
   }
 
   /**
@@ -116,38 +222,84 @@ class CompositionParameters {
    * @returns {number} Effective surface temperature in K
    */
   getEffectiveTemperature() {
-    return this.surface.temperature + this.calculateGreenhouseEffect();
+    return this.getBaseTemperature() + this.calculateGreenhouseEffect();
   }
 
   /**
    * Check if atmosphere can support liquid water
-   * @returns {boolean} True if conditions allow liquid water
+   * @returns {boolean} True if water is liquid at the surface temperature and pressure;
+   *   always false without a solid surface
    */
   canSupportLiquidWater() {
-    const temp = this.getEffectiveTemperature();
+    return this.hasSolidSurface() && determinePhase('H2O', this.getEffectiveTemperature(), this.atmosphere.pressure) === Phase.LIQUID;
+  }
+
+  /**
+   * Report which of the planet's volatiles can be solid, liquid or gas at the surface
+   * @param {Object} [range] - Surface temperature extremes ({ minTemperature, maxTemperature } in K),
+   *   e.g. from the climate model; defaults to the effective temperature alone
+   * @returns {Object} Volatile phase analysis (see analyzeVolatiles)
+   */
+  getVolatilePhases(range = {}) {
+    // Water counts when there are oceans or ice even if the air is dry
+    const hasWater = this.water.coverage > 0 || this.water.iceCaps > 0;
+    const present = Object.keys(VOLATILES).filter((volatile) => (
+      (this.atmosphere.composition[volatile] || 0) > 0 || (volatile === 'H2O' && hasWater)
+    ));
+    return analyzeVolatiles(this.getEffectiveTemperature(), this.atmosphere.pressure, range, present);
+  }
+
+  /**
+   * Determine what fills the oceans and in which state
+   * Liquid water wins; otherwise any atmospheric volatile that is liquid at the
+   * surface (e.g. methane lakes); otherwise water in whatever phase it takes.
+   * @returns {Object|null} Ocean volatile key and phase, or null without a solid surface
+   */
+  getOceanState() {
+    if (!this.hasSolidSurface()) return null;
+
+    const temperature = this.getEffectiveTemperature();
     const pressure = this.atmosphere.pressure;
+    const waterPhase = determinePhase('H2O', temperature, pressure);
+    if (waterPhase === Phase.LIQUID) {
+      return { volatile: 'H2O', phase: waterPhase };
+    }
 
-    // Water is liquid between 273K and 373K at 1 atm
-    // Adjust for pressure (simplified)
-    const minTemp = 273 - (1 - pressure) * 10;
-    const maxTemp = 373 + (pressure - 1) * 20;
+    for (const volatile of OCEAN_VOLATILES) {
+      if ((this.atmosphere.composition[volatile] || 0) > 0
+        && determinePhase(volatile, temperature, pressure) === Phase.LIQUID) {
+        return { volatile, phase: Phase.LIQUID };
+      }
+    }
 
-    return temp >= minTemp && temp <= maxTemp && pressure > 0.006;
+    return { volatile: 'H2O', phase: waterPhase };
   }
 
   /**
-   * Get ocean color based on composition and depth
-   * @returns {number} Hex color for ocean rendering
+   * Get ocean color based on the ocean liquid, its state and depth
+   * @returns {number|null} Hex color for ocean rendering, or null without a solid surface
    */
   getOceanColor() {
+    const ocean = this.getOceanState();
+    if (!ocean) return null;
+
     const depth = this.water.depth;
-    const temp = this.getEffectiveTemperature();
+    const { volatile, phase } = ocean;
 
     // Frozen water (ice) - white/light blue
-    if (temp < 273 || this.water.iceCaps > 80) {
+    if (phase === Phase.SOLID || (volatile === 'H2O' && this.water.iceCaps > 80)) {
       return 0xddeeff;
     }
 
+    // Boiled off or supercritical - bare basin floor
+    if (phase !== Phase.LIQUID) {
+      return DRY_BASIN_COLOR;
+    }
+
+    if (volatile !== 'H2O') {
+      return LIQUID_COLORS[volatile];
+    }
+
     // Deep ocean - dark blue
     if (depth > 5) {
       return 0x0a1a3a;
@@ -162,40 +314,151 @@ class CompositionParameters {
     return 0x4a8dba;
   }
 
+  /**
+   * Get the cloud band colors of a giant
+   * @returns {Object} Hex colors for bright zones, dark belts and storms
+   */
+  getBandColors() {
+    const methane = this.atmosphere.composition.CH4 || 0;
+    return { ...GIANT_COLORS[methane > METHANE_TINT_THRESHOLD ? 'methane' : 'ammonia'] };
+  }
+
+  /**
+   * Describe the banded cloud structure of a giant
+   * @param {PhysicalParameters} physical - Planet physical parameters (for spin and size)
+   * @param {Object} [options] - Options passed to analyzeBands
+   * @returns {Object} Band count, internal heat ratio, contrast and storm count
+   */
+  getBandStructure(physical, options = {}) {
+    return analyzeBands(physical, this, options);
+  }
+
+  /**
+   * Analyze which atmospheric gases the planet can retain over geologic time
+   * @param {PhysicalParameters} physical - Planet physical parameters (for escape velocity)
+   * @param {Object} [options] - Options passed to analyzeAtmosphericRetention
+   * @returns {Object} Retention analysis with retained, marginal and lost gas lists
+   */
+  getAtmosphericRetention(physical, options = {}) {
+    return analyzeAtmosphericRetention(physical, this, options);
+  }
+
+  /**
+   * Assess habitability: Earth Similarity Index, habitable zone and limiting factors
+   * @param {PhysicalParameters} physical - Planet physical parameters
+   * @param {Object} [options] - Options passed to assessHabitability (orbit, advanced, units)
+   * @returns {Object} Habitability assessment
+   */
+  getHabitability(physical, options = {}) {
+    return assessHabitability(physical, this, options);
+  }
+
+  /**
+   * Strike the planet with an impactor: record the crater, if there is a surface
+   * to hold one, and remove the atmosphere it blows off
+   * @param {PhysicalParameters} physical - Planet physical parameters
+   * @param {Object} impact - Impact parameters (see simulateImpact)
+   * @returns {Object} Impact result, including the new crater
+   */
+  applyImpact(physical, impact) {
+    const result = simulateImpact(physical, this, impact);
+    if (result.crater) {
+      this.surface.craters.push(result.crater);
+    }
+    this.atmosphere.pressure = Math.max(0, this.atmosphere.pressure - result.pressureLost);
+    return result;
+  }
+
   /**
    * Returns a formatted string of all parameters
+   * @param {PhysicalParameters} [physical] - Planet physical parameters; adds the
+   *   atmospheric retention and habitability reports when given
+   * @param {UnitConverter} [units=SI_UNITS] - Display units
    * @returns {string} Formatted parameter information
    */
-  toString() {
+  toString(physical = null, units = SI_UNITS) {
     const dominant = this.getDominantGas();
-    const greenhouse = this.calculateGreenhouseEffect();
+    const radiative = this.getRadiativeBalance();
+    const greenhouse = radiative.greenhouseWarming;
+    const baseTemp = this.getBaseTemperature();
     const effectiveTemp = this.getEffectiveTemperature();
     const canHaveWater = this.canSupportLiquidWater();
+    const volatiles = this.getVolatilePhases();
+
+    let retentionReport = '';
+    if (physical) {
+      const retention = this.getAtmosphericRetention(physical);
+      const gasLines = retention.gases.map(({ gas, escapeRatio, state }) => (
+        escapeRatio === null
+          ? `  ${gas}: ${state}`
+          : `  ${gas}: ${state} (v_esc/v_th ${escapeRatio.toFixed(1)})`
+      ));
+      retentionReport = `
+
+Atmospheric Retention (exobase ${units.format(Quantity.TEMPERATURE, retention.exobaseTemperature)}):
+${gasLines.join('\n')}`;
+
+      const habitability = this.getHabitability(physical, { units });
+      const factorLines = habitability.limitingFactors.map(({ factor, description }) => `    ${factor}: ${description}`);
+      const zoneLine = habitability.zoneStatus ? `\n  Habitable Zone: ${habitability.zoneStatus}` : '';
+      retentionReport += `
+
+Habitability:
+  Earth Similarity Index: ${habitability.esi.global.toFixed(2)} \
+(interior ${habitability.esi.interior.toFixed(2)}, surface ${habitability.esi.surface.toFixed(2)})${zoneLine}
+  Limiting Factors: ${factorLines.length > 0 ? `\n${factorLines.join('\n')}` : 'None'}`;
+    }
+
+    const contributionLines = radiative.contributions.map(({ source, warming }) => (
+      `    ${source}: +${units.format(Quantity.TEMPERATURE_CHANGE, warming)}`
+    ));
+    const greenhouseReport = contributionLines.length > 0 ? `\n${contributionLines.join('\n')}` : '';
+
+    const waterReport = this.hasSolidSurface() ? `
+  Coverage: ${this.water.coverage.toFixed(1)}%
+  Depth: ${this.water.depth.toFixed(2)} km
+  Ice Caps: ${this.water.iceCaps.toFixed(1)}%` : `
+  None (no solid surface)`;
 
     return `
 Composition Parameters:
+  Planet Class: ${this.planetClass}${this.internalHeatFlux > 0 ? `\n  Internal Heat: ${this.internalHeatFlux.toFixed(3)} W/m²` : ''}
 
 Atmosphere:
   Composition: ${JSON.stringify(this.atmosphere.composition)}
   Dominant Gas: ${dominant}
   Pressure: ${this.atmosphere.pressure.toFixed(2)} atm
   Thickness: ${this.atmosphere.thickness.toFixed(1)} km
-  Greenhouse Effect: +${greenhouse.toFixed(1)} K
+  Greenhouse Effect: +${units.format(Quantity.TEMPERATURE_CHANGE, greenhouse)}${radiative.runaway ? ' (runaway)' : ''}${greenhouseReport}
+  Tropopause: ${units.format(Quantity.TEMPERATURE, radiative.tropopause.temperature)} at ${radiative.tropopause.pressure.toFixed(3)} atm
 
-Water:
-  Coverage: ${this.water.coverage.toFixed(1)}%
-  Depth: ${this.water.depth.toFixed(2)} km
-  Ice Caps: ${this.water.iceCaps.toFixed(1)}%
+Water:${waterReport}
 
 Surface:
   Albedo: ${this.surface.albedo.toFixed(2)}
-  Base Temperature: ${this.surface.temperature.toFixed(1)} K
-  Effective Temperature: ${effectiveTemp.toFixed(1)} K
+  Base Temperature: ${units.format(Quantity.TEMPERATURE, baseTemp)}${this.orbit ? ' (equilibrium)' : ''}
+  Effective Temperature: ${units.format(Quantity.TEMPERATURE, effectiveTemp)}
+  Craters: ${this.surface.craters.length}
   Can Support Liquid Water: ${canHaveWater ? 'Yes' : 'No'}
+  Surface Liquids: ${volatiles.liquids.join(', ') || 'None'}
+  Surface Ices: ${volatiles.solids.join(', ') || 'None'}${retentionReport}
     `.trim();
   }
 }
 
+/**
+ * Checks that a crater lies on the globe and has a real size and energy
+ * @private
+ */
+function isValidCrater(crater) {
+  if (typeof crater !== 'object' || crater === null) return false;
+  const { latitude, longitude, diameter, depth, energy } = crater;
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  return [latitude, longitude, diameter, depth, energy].every(isNumber)
+    && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180
+    && diameter > 0 && depth >= 0 && energy >= 0;
+}
+
 /**
  * Validates composition parameters
  * @param {Object} params - Parameters to validate
@@ -203,6 +466,16 @@ Surface:
  */
 export function validateCompositionParams(params) {
   const errors = [];
+  const planetClass = params.planetClass ?? PlanetClass.TERRESTRIAL;
+
+  if (!Object.values(PlanetClass).includes(planetClass)) {
+    errors.push(`Planet class must be one of: ${Object.values(PlanetClass).join(', ')}`);
+  }
+
+  if (params.internalHeatFlux !== undefined
+    && (typeof params.internalHeatFlux !== 'number' || params.internalHeatFlux < 0)) {
+    errors.push('Internal heat flux must be a non-negative number');
+  }
 
   // Validate atmosphere
   if (!params.atmosphere) {
@@ -257,6 +530,10 @@ export function validateCompositionParams(params) {
     if (params.water.iceCaps < 0 || params.water.iceCaps > 100) {
       errors.push('Ice caps must be between 0 and 100%');
     }
+
+    if (planetClass !== PlanetClass.TERRESTRIAL && (params.water.coverage > 0 || params.water.iceCaps > 0)) {
+      errors.push('Giants have no surface for oceans or ice caps');
+    }
   }
 
   // Validate surface
@@ -270,6 +547,19 @@ export function validateCompositionParams(params) {
     if (params.surface.temperature < 0 || params.surface.temperature > 1000) {
       errors.push('Temperature must be between 0 and 1000 K');
     }
+
+    if (params.surface.craters !== undefined) {
+      if (!Array.isArray(params.surface.craters)) {
+        errors.push('Craters must be an array');
+      } else {
+        params.surface.craters.forEach((crater, index) => {
+          if (!isValidCrater(crater)) {
+            errors.push(`Crater ${index + 1} needs latitude from -90 to 90, longitude from -180 to 180, `
+              + 'a positive diameter and a non-negative depth and energy');
+          }
+        });
+      }
+    }
   }
 
   return {
@@ -346,4 +636,121 @@ export const VENUS_COMPOSITION = {
   }
 };
 
+// Moon-like composition: a tenuous exosphere, effectively airless
+export const MOON_COMPOSITION = {
+  atmosphere: {
+    composition: {
+      Ar: 70,
+      He: 30
+    },
+    pressure: 0,
+    thickness: 0
+  },
+  water: {
+    coverage: 0,
+    depth: 0,
+    iceCaps: 0
+  },
+  surface: {
+    albedo: 0.12,
+    temperature: 250
+  }
+};
+
+// Jupiter-like composition (pressure, temperature and albedo at the 1 bar level)
+export const JUPITER_COMPOSITION = {
+  planetClass: PlanetClass.GAS_GIANT,
+  internalHeatFlux: 5.4,
+  atmosphere: {
+    composition: {
+      H2: 89.8,
+      He: 9.9,
+      CH4: 0.3
+    },
+    pressure: 1.0,
+    thickness: 1000
+  },
+  water: {
+    coverage: 0,
+    depth: 0,
+    iceCaps: 0
+  },
+  surface: {
+    albedo: 0.343,
+    temperature: 165
+  }
+};
+
+// Saturn-like composition
+export const SATURN_COMPOSITION = {
+  planetClass: PlanetClass.GAS_GIANT,
+  internalHeatFlux: 2.0,
+  atmosphere: {
+    composition: {
+      H2: 96.3,
+      He: 3.25,
+      CH4: 0.45
+    },
+    pressure: 1.0,
+    thickness: 1000
+  },
+  water: {
+    coverage: 0,
+    depth: 0,
+    iceCaps: 0
+  },
+  surface: {
+    albedo: 0.342,
+    temperature: 134
+  }
+};
+
+// Uranus-like composition; almost no internal heat
+export const URANUS_COMPOSITION = {
+  planetClass: PlanetClass.ICE_GIANT,
+  internalHeatFlux: 0.042,
+  atmosphere: {
+    composition: {
+      H2: 82.5,
+      He: 15.2,
+      CH4: 2.3
+    },
+    pressure: 1.0,
+    thickness: 1000
+  },
+  water: {
+    coverage: 0,
+    depth: 0,
+    iceCaps: 0
+  },
+  surface: {
+    albedo: 0.3,
+    temperature: 76
+  }
+};
+
+// Neptune-like composition
+export const NEPTUNE_COMPOSITION = {
+  planetClass: PlanetClass.ICE_GIANT,
+  internalHeatFlux: 0.43,
+  atmosphere: {
+    composition: {
+      H2: 80,
+      He: 18.5,
+      CH4: 1.5
+    },
+    pressure: 1.0,
+    thickness: 1000
+  },
+  water: {
+    coverage: 0,
+    depth: 0,
+    iceCaps: 0
+  },
+  surface: {
+    albedo: 0.29,
+    temperature: 72
+  }
+};
+
 export default CompositionParameters;
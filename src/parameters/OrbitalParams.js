@@ -0,0 +1,356 @@
+import {
+  GRAVITATIONAL_CONSTANT,
+  STEFAN_BOLTZMANN,
+  SOLAR_MASS,
+  SOLAR_LUMINOSITY,
+  SOLAR_RADIUS,
+  ASTRONOMICAL_UNIT,
+  PARAMETER_RANGES
+} from '../utils/Constants.js';
+import { calculateHabitableZone, classifyHabitableZone } from '../physics/Habitability.js';
+
+/**
+ * Orbital parameters that define a planet's host star and its orbit around it
+ */
+class OrbitalParameters {
+  /**
+   * Creates a new OrbitalParameters instance
+   * @param {Object} params - Parameter object
+   * @param {Object} params.star - Host star parameters
+   * @param {number} params.star.mass - Stellar mass in solar masses
+   * @param {number} params.star.luminosity - Stellar luminosity in solar luminosities
+   * @param {number} params.star.temperature - Stellar effective temperature in K
+   * @param {Object} params.orbit - Orbit parameters
+   * @param {number} params.orbit.semiMajorAxis - Semi-major axis in AU
+   * @param {number} params.orbit.eccentricity - Orbital eccentricity (0-0.99)
+   * @param {number} [params.orbit.longitudeOfPerihelion=0] - Solar longitude at perihelion,
+   *   in degrees from the northern spring equinox
+   */
+  constructor({ star, orbit }) {
+    // Validate parameters
+    const validation = validateOrbitalParams({ star, orbit });
+    if (!validation.isValid) {
+      throw new Error(`Invalid orbital parameters: ${validation.errors.join(', ')}`);
+    }
+
+    this.star = {
+      mass: star.mass,
+      luminosity: star.luminosity,
+      temperature: star.temperature
+    };
+
+    this.orbit = {
+      semiMajorAxis: orbit.semiMajorAxis,
+      eccentricity: orbit.eccentricity,
+      longitudeOfPerihelion: orbit.longitudeOfPerihelion ?? 0
+    };
+  }
+
+  /**
+   * Calculates the stellar radius from luminosity and effective temperature
+   * Formula: L = 4π * R² * σ * T⁴
+   * @returns {number} Stellar radius in solar radii
+   */
+  calculateStellarRadius() {
+    const luminosityWatts = this.star.luminosity * SOLAR_LUMINOSITY;
+    const radiusMeters = Math.sqrt(
+      luminosityWatts / (4 * Math.PI * STEFAN_BOLTZMANN * (this.star.temperature ** 4))
+    );
+    return radiusMeters / SOLAR_RADIUS;
+  }
+
+  /**
+   * Calculates the orbital period using Kepler's third law
+   * Formula: T = 2π * √(a³ / (G * M))
+   * @returns {number} Orbital period in days
+   */
+  calculateOrbitalPeriod() {
+    const semiMajorAxisMeters = this.orbit.semiMajorAxis * ASTRONOMICAL_UNIT;
+    const stellarMassKg = this.star.mass * SOLAR_MASS;
+    const periodSeconds = 2 * Math.PI * Math.sqrt(
+      (semiMajorAxisMeters ** 3) / (GRAVITATIONAL_CONSTANT * stellarMassKg)
+    );
+    return periodSeconds / 86400; // Convert s to days
+  }
+
+  /**
+   * Calculates the closest approach to the star
+   * Formula: q = a * (1 - e)
+   * @returns {number} Periapsis distance in AU
+   */
+  calculatePeriapsis() {
+    return this.orbit.semiMajorAxis * (1 - this.orbit.eccentricity);
+  }
+
+  /**
+   * Calculates the farthest distance from the star
+   * Formula: Q = a * (1 + e)
+   * @returns {number} Apoapsis distance in AU
+   */
+  calculateApoapsis() {
+    return this.orbit.semiMajorAxis * (1 + this.orbit.eccentricity);
+  }
+
+  /**
+   * Calculates where the planet is along its orbit at a given time
+   * Solves Kepler's equation M = E - e * sin(E) for the eccentric anomaly
+   * @param {number} time - Time since perihelion in days
+   * @returns {Object} Object with trueAnomaly and solarLongitude (degrees),
+   *   distance (AU) and instantaneous stellar flux (W/m²)
+   */
+  calculateOrbitalPosition(time) {
+    const e = this.orbit.eccentricity;
+    const period = this.calculateOrbitalPeriod();
+    const phase = ((time / period) % 1 + 1) % 1;
+    const { trueAnomaly, radiusRatio } = solveKeplerEquation(2 * Math.PI * phase, e);
+    const distance = this.orbit.semiMajorAxis * radiusRatio;
+    const trueAnomalyDegrees = ((trueAnomaly * 180) / Math.PI + 360) % 360;
+    const distanceMeters = distance * ASTRONOMICAL_UNIT;
+
+    return {
+      trueAnomaly: trueAnomalyDegrees,
+      solarLongitude: (trueAnomalyDegrees + this.orbit.longitudeOfPerihelion) % 360,
+      distance,
+      stellarFlux: (this.star.luminosity * SOLAR_LUMINOSITY) / (4 * Math.PI * (distanceMeters ** 2))
+    };
+  }
+
+  /**
+   * Calculates the orbit-averaged stellar flux received by the planet
+   * Formula: S = L / (4π * a² * √(1 - e²))
+   * @returns {number} Stellar flux in W/m²
+   */
+  calculateStellarFlux() {
+    const luminosityWatts = this.star.luminosity * SOLAR_LUMINOSITY;
+    const semiMajorAxisMeters = this.orbit.semiMajorAxis * ASTRONOMICAL_UNIT;
+    const eccentricityFactor = Math.sqrt(1 - this.orbit.eccentricity ** 2);
+    return luminosityWatts / (4 * Math.PI * (semiMajorAxisMeters ** 2) * eccentricityFactor);
+  }
+
+  /**
+   * Calculates the radiative equilibrium temperature of a fast-rotating planet
+   * Formula: T_eq = (S * (1 - A) / (4σ))^(1/4)
+   * @param {number} albedo - Bond albedo of the planet (0-1)
+   * @returns {number} Equilibrium temperature in K
+   */
+  calculateEquilibriumTemperature(albedo) {
+    const absorbedFlux = this.calculateStellarFlux() * (1 - albedo);
+    return (absorbedFlux / (4 * STEFAN_BOLTZMANN)) ** 0.25;
+  }
+
+  /**
+   * Returns all calculated properties as an object
+   * @param {number} albedo - Bond albedo used for the equilibrium temperature
+   * @returns {Object} Object containing all derived properties
+   */
+  getCalculatedProperties(albedo) {
+    return {
+      stellarRadius: this.calculateStellarRadius(),
+      orbitalPeriod: this.calculateOrbitalPeriod(),
+      periapsis: this.calculatePeriapsis(),
+      apoapsis: this.calculateApoapsis(),
+      stellarFlux: this.calculateStellarFlux(),
+      equilibriumTemperature: this.calculateEquilibriumTemperature(albedo),
+      habitableZone: calculateHabitableZone(this.star)
+    };
+  }
+
+  /**
+   * Returns a formatted string of all parameters and calculated values
+   * @param {number} albedo - Bond albedo used for the equilibrium temperature
+   * @returns {string} Formatted parameter information
+   */
+  toString(albedo = 0.3) {
+    const calculated = this.getCalculatedProperties(albedo);
+    const zone = calculated.habitableZone;
+    return `
+Orbital Parameters:
+
+Star:
+  Mass: ${this.star.mass.toFixed(2)} M☉
+  Luminosity: ${this.star.luminosity.toPrecision(3)} L☉
+  Temperature: ${this.star.temperature.toFixed(0)} K
+  Radius: ${calculated.stellarRadius.toFixed(2)} R☉
+
+Orbit:
+  Semi-major Axis: ${this.orbit.semiMajorAxis.toFixed(3)} AU
+  Eccentricity: ${this.orbit.eccentricity.toFixed(3)}
+  Periapsis: ${calculated.periapsis.toFixed(3)} AU
+  Apoapsis: ${calculated.apoapsis.toFixed(3)} AU
+  Orbital Period: ${calculated.orbitalPeriod.toFixed(1)} days
+
+Calculated Properties:
+  Stellar Flux: ${calculated.stellarFlux.toFixed(1)} W/m²
+  Equilibrium Temperature: ${calculated.equilibriumTemperature.toFixed(1)} K (albedo ${albedo.toFixed(2)})
+  Habitable Zone: ${zone.conservative.inner.toFixed(3)}-${zone.conservative.outer.toFixed(3)} AU \
+(optimistic ${zone.optimistic.inner.toFixed(3)}-${zone.optimistic.outer.toFixed(3)} AU)
+  Habitable Zone Position: ${classifyHabitableZone(this.orbit.semiMajorAxis, zone)}
+    `.trim();
+  }
+}
+
+/**
+ * Solves Kepler's equation M = E - e * sin(E) for a point on an elliptical orbit
+ * @param {number} meanAnomaly - Mean anomaly in radians
+ * @param {number} eccentricity - Orbital eccentricity (0-0.99)
+ * @returns {Object} Object with trueAnomaly (radians) and radiusRatio, the
+ *   distance as a fraction of the semi-major axis
+ */
+export function solveKeplerEquation(meanAnomaly, eccentricity) {
+  const e = eccentricity;
+
+  // Newton iteration converges in a few steps for e < 0.99
+  let eccentricAnomaly = e < 0.8 ? meanAnomaly : Math.PI;
+  for (let i = 0; i < 30; i++) {
+    const delta = (eccentricAnomaly - e * Math.sin(eccentricAnomaly) - meanAnomaly)
+      / (1 - e * Math.cos(eccentricAnomaly));
+    eccentricAnomaly -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+
+  return {
+    trueAnomaly: 2 * Math.atan2(
+      Math.sqrt(1 + e) * Math.sin(eccentricAnomaly / 2),
+      Math.sqrt(1 - e) * Math.cos(eccentricAnomaly / 2)
+    ),
+    radiusRatio: 1 - e * Math.cos(eccentricAnomaly)
+  };
+}
+
+/**
+ * Validates orbital parameters against acceptable ranges
+ * @param {Object} params - Parameters to validate
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateOrbitalParams(params) {
+  const errors = [];
+
+  // Validate star
+  if (!params.star) {
+    errors.push('Star parameters are required');
+  } else {
+    const { mass, luminosity, temperature } = params.star;
+
+    if (typeof mass !== 'number' || Number.isNaN(mass)) {
+      errors.push('Stellar mass must be a number');
+    } else if (mass < PARAMETER_RANGES.stellarMass.min || mass > PARAMETER_RANGES.stellarMass.max) {
+      errors.push(`Stellar mass must be between ${PARAMETER_RANGES.stellarMass.min} and ${PARAMETER_RANGES.stellarMass.max} solar masses`);
+    }
+
+    if (typeof luminosity !== 'number' || Number.isNaN(luminosity)) {
+      errors.push('Stellar luminosity must be a number');
+    } else if (luminosity < PARAMETER_RANGES.luminosity.min || luminosity > PARAMETER_RANGES.luminosity.max) {
+      errors.push(`Stellar luminosity must be between ${PARAMETER_RANGES.luminosity.min} and ${PARAMETER_RANGES.luminosity.max} solar luminosities`);
+    }
+
+    if (typeof temperature !== 'number' || Number.isNaN(temperature)) {
+      errors.push('Stellar temperature must be a number');
+    } else if (temperature < PARAMETER_RANGES.stellarTemperature.min || temperature > PARAMETER_RANGES.stellarTemperature.max) {
+      errors.push(`Stellar temperature must be between ${PARAMETER_RANGES.stellarTemperature.min} and ${PARAMETER_RANGES.stellarTemperature.max} K`);
+    }
+  }
+
+  // Validate orbit
+  if (!params.orbit) {
+    errors.push('Orbit parameters are required');
+  } else {
+    const { semiMajorAxis, eccentricity } = params.orbit;
+
+    if (typeof semiMajorAxis !== 'number' || Number.isNaN(semiMajorAxis)) {
+      errors.push('Semi-major axis must be a number');
+    } else if (semiMajorAxis < PARAMETER_RANGES.semiMajorAxis.min || semiMajorAxis > PARAMETER_RANGES.semiMajorAxis.max) {
+      errors.push(`Semi-major axis must be between ${PARAMETER_RANGES.semiMajorAxis.min} and ${PARAMETER_RANGES.semiMajorAxis.max} AU`);
+    }
+
+    if (typeof eccentricity !== 'number' || Number.isNaN(eccentricity)) {
+      errors.push('Eccentricity must be a number');
+    } else if (eccentricity < PARAMETER_RANGES.eccentricity.min || eccentricity > PARAMETER_RANGES.eccentricity.max) {
+      errors.push(`Eccentricity must be between ${PARAMETER_RANGES.eccentricity.min} and ${PARAMETER_RANGES.eccentricity.max}`);
+    }
+
+    const { longitudeOfPerihelion } = params.orbit;
+    if (longitudeOfPerihelion !== undefined
+      && (typeof longitudeOfPerihelion !== 'number' || longitudeOfPerihelion < 0 || longitudeOfPerihelion >= 360)) {
+      errors.push('Longitude of perihelion must be between 0 and 360 degrees');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// Sun-like host star
+export const SUN = {
+  mass: 1.0,
+  luminosity: 1.0,
+  temperature: 5772
+};
+
+// Earth's orbit around the Sun
+export const EARTH_ORBIT = {
+  star: SUN,
+  orbit: {
+    semiMajorAxis: 1.0,
+    eccentricity: 0.0167,
+    longitudeOfPerihelion: 282.9
+  }
+};
+
+// Mars' orbit around the Sun
+export const MARS_ORBIT = {
+  star: SUN,
+  orbit: {
+    semiMajorAxis: 1.524,
+    eccentricity: 0.0934,
+    longitudeOfPerihelion: 251
+  }
+};
+
+// Venus' orbit around the Sun
+export const VENUS_ORBIT = {
+  star: SUN,
+  orbit: {
+    semiMajorAxis: 0.723,
+    eccentricity: 0.0068
+  }
+};
+
+// Jupiter's orbit around the Sun
+export const JUPITER_ORBIT = {
+  star: SUN,
+  orbit: {
+    semiMajorAxis: 5.203,
+    eccentricity: 0.0489
+  }
+};
+
+// Saturn's orbit around the Sun
+export const SATURN_ORBIT = {
+  star: SUN,
+  orbit: {
+    semiMajorAxis: 9.537,
+    eccentricity: 0.0565
+  }
+};
+
+// Uranus' orbit around the Sun
+export const URANUS_ORBIT = {
+  star: SUN,
+  orbit: {
+    semiMajorAxis: 19.19,
+    eccentricity: 0.0457
+  }
+};
+
+// Neptune's orbit around the Sun
+export const NEPTUNE_ORBIT = {
+  star: SUN,
+  orbit: {
+    semiMajorAxis: 30.07,
+    eccentricity: 0.0113
+  }
+};
+
+export default OrbitalParameters;
@@ -1,4 +1,16 @@
 import { GRAVITATIONAL_CONSTANT, PARAMETER_RANGES } from '../utils/Constants.js';
+import { calculateBreakupPeriod, calculateRotationalShape } from '../physics/Rotation.js';
+import { Quantity, SI_UNITS } from '../utils/Units.js';
+
+/**
+ * Which of mass, radius and density is computed from the other two
+ */
+export const DerivedVariable = {
+  NONE: 'none',
+  MASS: 'mass',
+  RADIUS: 'radius',
+  DENSITY: 'density'
+};
 
 /**
  * Physical parameters that define the basic structure of a planet
@@ -49,6 +61,23 @@ class PhysicalParameters {
     return velocityMs / 1000; // Convert m/s to km/s
   }
 
+  /**
+   * Calculates the shortest rotation period the planet can hold together at
+   * @returns {number} Breakup period in hours
+   */
+  calculateBreakupPeriod() {
+    return calculateBreakupPeriod(this.mass, this.radius);
+  }
+
+  /**
+   * Calculates the rotationally flattened shape (Maclaurin spheroid)
+   * @returns {Object} Flattening, equatorial and polar radius (km) and effective
+   *   equatorial and polar gravity (m/s²); see calculateRotationalShape
+   */
+  getRotationalShape() {
+    return calculateRotationalShape(this);
+  }
+
   /**
    * Calculates the volume of the planet
    * Formula: V = (4/3) * π * r³
@@ -71,42 +100,109 @@ class PhysicalParameters {
     return difference <= tolerance;
   }
 
+  /**
+   * Updates one parameter while keeping mass, radius and density consistent
+   * The derived variable is recomputed from the other two. The update is refused,
+   * leaving the instance untouched, if any resulting value leaves PARAMETER_RANGES.
+   * @param {string} param - Parameter to change
+   * @param {number} value - New value
+   * @param {string} derived - One of DerivedVariable
+   * @returns {Object} Validation result with isValid flag and errors array
+   */
+  updateWithConstraint(param, value, derived) {
+    if (derived !== DerivedVariable.NONE && param === derived) {
+      return {
+        isValid: false,
+        errors: [`${param} is derived from the other two and cannot be edited directly`]
+      };
+    }
+
+    const candidate = {
+      mass: this.mass,
+      radius: this.radius,
+      density: this.density,
+      rotationRate: this.rotationRate,
+      axialTilt: this.axialTilt,
+      [param]: value
+    };
+
+    if (derived !== DerivedVariable.NONE) {
+      candidate[derived] = calculateDerivedValue(candidate, derived);
+    }
+
+    const validation = validatePhysicalParams(candidate);
+    if (validation.isValid) {
+      Object.assign(this, candidate);
+    }
+    return validation;
+  }
+
   /**
    * Returns all calculated properties as an object
    * @returns {Object} Object containing all derived properties
    */
   getCalculatedProperties() {
+    const shape = this.getRotationalShape();
     return {
       surfaceGravity: this.calculateSurfaceGravity(),
       escapeVelocity: this.calculateEscapeVelocity(),
       volume: this.calculateVolume(),
-      densityConsistent: this.isDensityConsistent()
+      densityConsistent: this.isDensityConsistent(),
+      equatorialGravity: shape.equatorialGravity,
+      polarGravity: shape.polarGravity,
+      flattening: shape.flattening,
+      breakupPeriod: shape.breakupPeriod
     };
   }
 
   /**
    * Returns a formatted string of all parameters and calculated values
+   * @param {UnitConverter} [units=SI_UNITS] - Display units
    * @returns {string} Formatted parameter information
    */
-  toString() {
+  toString(units = SI_UNITS) {
     const calculated = this.getCalculatedProperties();
     return `
 Planet Physical Parameters:
-  Mass: ${this.mass.toExponential(3)} kg
-  Radius: ${this.radius.toFixed(1)} km
-  Density: ${this.density.toFixed(1)} kg/m³
+  Mass: ${units.format(Quantity.MASS, this.mass)}
+  Radius: ${units.format(Quantity.RADIUS, this.radius)}
+  Density: ${units.format(Quantity.DENSITY, this.density)}
   Rotation Rate: ${this.rotationRate.toFixed(1)} hours
   Axial Tilt: ${this.axialTilt.toFixed(1)}°
 
 Calculated Properties:
-  Surface Gravity: ${calculated.surfaceGravity.toFixed(2)} m/s²
-  Escape Velocity: ${calculated.escapeVelocity.toFixed(2)} km/s
+  Surface Gravity: ${units.format(Quantity.GRAVITY, calculated.surfaceGravity)}
+  Escape Velocity: ${units.format(Quantity.VELOCITY, calculated.escapeVelocity)}
   Volume: ${calculated.volume.toExponential(3)} km³
   Density Consistent: ${calculated.densityConsistent ? 'Yes' : 'No'}
+  Equatorial Gravity: ${units.format(Quantity.GRAVITY, calculated.equatorialGravity)}
+  Polar Gravity: ${units.format(Quantity.GRAVITY, calculated.polarGravity)}
+  Flattening: ${calculated.flattening > 0 ? `1/${(1 / calculated.flattening).toFixed(0)}` : '0'}
+  Breakup Period: ${calculated.breakupPeriod.toFixed(2)} hours
     `.trim();
   }
 }
 
+/**
+ * Computes one of mass, radius or density from the other two
+ * Formula: ρ = M / V, with V = (4/3) * π * r³
+ * @param {Object} params - Object with mass (kg), radius (km) and density (kg/m³)
+ * @param {string} derived - One of DerivedVariable (except NONE)
+ * @returns {number} The derived value in its usual unit
+ */
+export function calculateDerivedValue({ mass, radius, density }, derived) {
+  switch (derived) {
+    case DerivedVariable.MASS:
+      return density * (4 / 3) * Math.PI * ((radius * 1000) ** 3);
+    case DerivedVariable.RADIUS:
+      return Math.cbrt((3 * mass) / (4 * Math.PI * density)) / 1000; // Convert m to km
+    case DerivedVariable.DENSITY:
+      return mass / ((4 / 3) * Math.PI * ((radius * 1000) ** 3));
+    default:
+      throw new Error(`Cannot derive "${derived}" from mass, radius and density`);
+  }
+}
+
 /**
  * Validates physical parameters against acceptable ranges
  * @param {Object} params - Parameters to validate
@@ -151,6 +247,14 @@ export function validatePhysicalParams(params) {
     errors.push(`Rotation rate must be between ${PARAMETER_RANGES.rotationRate.min} and ${PARAMETER_RANGES.rotationRate.max} hours`);
   }
 
+  // Spinning faster than breakup would fling material off the equator
+  if (errors.length === 0) {
+    const breakupPeriod = calculateBreakupPeriod(params.mass, params.radius);
+    if (params.rotationRate <= breakupPeriod) {
+      errors.push(`Rotation period must be longer than the breakup period of ${breakupPeriod.toFixed(2)} hours`);
+    }
+  }
+
   // Check axial tilt
   if (params.axialTilt === undefined || typeof params.axialTilt !== 'number') {
     errors.push('Axial tilt must be a number');
@@ -0,0 +1,599 @@
+import PhysicalParameters, { validatePhysicalParams } from './PhysicalParams.js';
+import CompositionParameters, {
+  validateCompositionParams,
+  PlanetClass,
+  EARTH_COMPOSITION,
+  VENUS_COMPOSITION,
+  MARS_COMPOSITION,
+  MOON_COMPOSITION,
+  JUPITER_COMPOSITION,
+  SATURN_COMPOSITION,
+  URANUS_COMPOSITION,
+  NEPTUNE_COMPOSITION
+} from './CompositionParams.js';
+import OrbitalParameters, {
+  validateOrbitalParams,
+  EARTH_ORBIT,
+  VENUS_ORBIT,
+  MARS_ORBIT,
+  JUPITER_ORBIT,
+  SATURN_ORBIT,
+  URANUS_ORBIT,
+  NEPTUNE_ORBIT
+} from './OrbitalParams.js';
+import AdvancedParameters, {
+  validateAdvancedParams,
+  EARTH_ADVANCED,
+  VENUS_ADVANCED,
+  MARS_ADVANCED,
+  JUPITER_ADVANCED,
+  SATURN_ADVANCED,
+  URANUS_ADVANCED,
+  NEPTUNE_ADVANCED
+} from './AdvancedParams.js';
+import SatelliteSystem, {
+  validateSatelliteParams,
+  EARTH_MOONS,
+  JUPITER_MOONS,
+  SATURN_MOONS,
+  URANUS_MOONS,
+  NEPTUNE_MOONS
+} from './SatelliteParams.js';
+import InteriorModel, {
+  validateInteriorParams,
+  EARTH_INTERIOR,
+  MARS_INTERIOR,
+  MOON_INTERIOR,
+  JUPITER_INTERIOR,
+  SATURN_INTERIOR,
+  ICE_GIANT_INTERIOR
+} from '../physics/InteriorModel.js';
+import { EARTH, VENUS, MARS, MOON, JUPITER, SATURN, URANUS, NEPTUNE } from '../utils/Constants.js';
+
+/**
+ * Preset registry
+ * Named planets pair physical and composition parameters (plus, optionally,
+ * orbit, geology, interior and moons) with metadata. Built-in presets are fixed;
+ * user presets can be saved, renamed, deleted, imported and exported, and persist
+ * in browser storage.
+ */
+
+/**
+ * Preset categories
+ * @enum {string}
+ */
+export const PresetCategory = {
+  SOLAR_SYSTEM: 'Solar System',
+  USER: 'User'
+};
+
+// Identifies exported preset files
+export const PRESET_FILE_FORMAT = 'planet-builder-presets';
+export const PRESET_FILE_VERSION = 1;
+
+const DEFAULT_STORAGE_KEY = 'planet-builder.presets';
+
+const FACT_SHEET = 'NASA Planetary Fact Sheet';
+
+// Orbit, geology and interior assumed for presets that leave them out
+const CLASS_DEFAULTS = {
+  [PlanetClass.TERRESTRIAL]: { advanced: EARTH_ADVANCED, interior: EARTH_INTERIOR },
+  [PlanetClass.GAS_GIANT]: { advanced: JUPITER_ADVANCED, interior: JUPITER_INTERIOR },
+  [PlanetClass.ICE_GIANT]: { advanced: NEPTUNE_ADVANCED, interior: ICE_GIANT_INTERIOR }
+};
+
+// Solar System bodies
+export const BUILT_IN_PRESETS = [
+  {
+    name: 'Earth',
+    category: PresetCategory.SOLAR_SYSTEM,
+    source: FACT_SHEET,
+    physical: EARTH,
+    composition: EARTH_COMPOSITION,
+    orbit: EARTH_ORBIT,
+    advanced: EARTH_ADVANCED,
+    interior: EARTH_INTERIOR,
+    moons: EARTH_MOONS
+  },
+  {
+    name: 'Venus',
+    category: PresetCategory.SOLAR_SYSTEM,
+    source: FACT_SHEET,
+    physical: VENUS,
+    composition: VENUS_COMPOSITION,
+    orbit: VENUS_ORBIT,
+    advanced: VENUS_ADVANCED,
+    interior: EARTH_INTERIOR, // Earth-like layering
+    moons: []
+  },
+  {
+    name: 'Mars',
+    category: PresetCategory.SOLAR_SYSTEM,
+    source: FACT_SHEET,
+    physical: MARS,
+    composition: MARS_COMPOSITION,
+    orbit: MARS_ORBIT,
+    advanced: MARS_ADVANCED,
+    interior: MARS_INTERIOR,
+    moons: [] // Phobos and Deimos are below the minimum body size
+  },
+  {
+    name: 'Moon',
+    category: PresetCategory.SOLAR_SYSTEM,
+    source: FACT_SHEET,
+    physical: MOON,
+    composition: MOON_COMPOSITION,
+    orbit: EARTH_ORBIT, // Shares Earth's orbit around the Sun
+    advanced: MARS_ADVANCED, // Geologically quiet like Mars
+    interior: MOON_INTERIOR,
+    moons: []
+  },
+  {
+    name: 'Jupiter',
+    category: PresetCategory.SOLAR_SYSTEM,
+    source: FACT_SHEET,
+    physical: JUPITER,
+    composition: JUPITER_COMPOSITION,
+    orbit: JUPITER_ORBIT,
+    advanced: JUPITER_ADVANCED,
+    interior: JUPITER_INTERIOR,
+    moons: JUPITER_MOONS
+  },
+  {
+    name: 'Saturn',
+    category: PresetCategory.SOLAR_SYSTEM,
+    source: FACT_SHEET,
+    physical: SATURN,
+    composition: SATURN_COMPOSITION,
+    orbit: SATURN_ORBIT,
+    advanced: SATURN_ADVANCED,
+    interior: SATURN_INTERIOR,
+    moons: SATURN_MOONS
+  },
+  {
+    name: 'Uranus',
+    category: PresetCategory.SOLAR_SYSTEM,
+    source: FACT_SHEET,
+    physical: URANUS,
+    composition: URANUS_COMPOSITION,
+    orbit: URANUS_ORBIT,
+    advanced: URANUS_ADVANCED,
+    interior: ICE_GIANT_INTERIOR,
+    moons: URANUS_MOONS
+  },
+  {
+    name: 'Neptune',
+    category: PresetCategory.SOLAR_SYSTEM,
+    source: FACT_SHEET,
+    physical: NEPTUNE,
+    composition: NEPTUNE_COMPOSITION,
+    orbit: NEPTUNE_ORBIT,
+    advanced: NEPTUNE_ADVANCED,
+    interior: ICE_GIANT_INTERIOR,
+    moons: NEPTUNE_MOONS
+  }
+];
+
+/**
+ * Deep-copies plain preset data
+ * @private
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Browser storage, if this environment has any
+ * @private
+ */
+function getDefaultStorage() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    // Access throws when storage is disabled
+    return null;
+  }
+}
+
+/**
+ * Captures a planet's current state as plain preset data
+ * @param {Object} planet - Current planet
+ * @param {PhysicalParameters} planet.physical - Physical parameters
+ * @param {CompositionParameters} planet.composition - Composition, craters included
+ * @param {OrbitalParameters} [planet.orbit] - Host star and orbit
+ * @param {AdvancedParameters} [planet.advanced] - Volcanism, magnetic field and tectonics
+ * @param {InteriorModel} [planet.interior] - Interior layer fractions
+ * @param {SatelliteSystem} [planet.satellites] - Moons
+ * @returns {Object} Parameter objects suitable for the constructors and for JSON
+ */
+export function serializePlanet({ physical, composition, orbit = null, advanced = null, interior = null, satellites = null }) {
+  const { mass, radius, density, rotationRate, axialTilt } = physical;
+  const data = {
+    physical: { mass, radius, density, rotationRate, axialTilt },
+    composition: clone({
+      planetClass: composition.planetClass,
+      internalHeatFlux: composition.internalHeatFlux,
+      atmosphere: composition.atmosphere,
+      water: composition.water,
+      surface: composition.surface
+    })
+  };
+
+  if (orbit) {
+    data.orbit = clone({ star: orbit.star, orbit: orbit.orbit });
+  }
+  if (advanced) {
+    data.advanced = clone({
+      volcanism: advanced.volcanism,
+      magneticField: advanced.magneticField,
+      tectonics: advanced.tectonics
+    });
+  }
+  if (interior) {
+    const { core, mantle, water, envelope } = interior;
+    data.interior = { core, mantle, water, envelope };
+  }
+  if (satellites) {
+    data.moons = satellites.moons.map((moon) => ({
+      name: moon.name,
+      physical: {
+        mass: moon.physical.mass,
+        radius: moon.physical.radius,
+        density: moon.physical.density,
+        rotationRate: moon.physical.rotationRate,
+        axialTilt: moon.physical.axialTilt
+      },
+      orbit: { ...moon.orbit }
+    }));
+  }
+
+  return data;
+}
+
+/**
+ * Builds the parameter objects of a planet from its data
+ * Every object is built before any is returned, so data that fails validation
+ * leaves nothing half-made.
+ * @param {Object} preset - Complete planet data (see completePreset)
+ * @returns {Object} Physical, orbit, composition, advanced, interior and satellites,
+ *   as serializePlanet takes them
+ */
+export function createPlanetModels({ physical, composition, orbit, advanced, interior, moons }) {
+  const physicalParameters = new PhysicalParameters(physical);
+  const orbitalParameters = new OrbitalParameters(orbit);
+  return {
+    physical: physicalParameters,
+    orbit: orbitalParameters,
+    composition: new CompositionParameters(composition, orbitalParameters),
+    advanced: new AdvancedParameters(advanced),
+    interior: new InteriorModel(interior),
+    satellites: new SatelliteSystem(physicalParameters, orbitalParameters, moons)
+  };
+}
+
+/**
+ * Fills in the parts a preset leaves out from defaults for its planet class
+ * @param {Object} preset - Preset with at least physical and composition data
+ * @returns {Object} Deep copy with orbit, advanced, interior and moons
+ */
+export function completePreset(preset) {
+  const defaults = CLASS_DEFAULTS[preset.composition.planetClass ?? PlanetClass.TERRESTRIAL];
+  return clone({
+    orbit: EARTH_ORBIT,
+    advanced: defaults.advanced,
+    interior: defaults.interior,
+    moons: [],
+    ...preset
+  });
+}
+
+/**
+ * Validates a preset entry
+ * @param {Object} preset - Preset to validate
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validatePresetParams(preset) {
+  const errors = [];
+
+  if (!preset || typeof preset !== 'object') {
+    return { isValid: false, errors: ['Preset must be an object'] };
+  }
+
+  if (typeof preset.name !== 'string' || preset.name.trim() === '') {
+    errors.push('Preset name is required');
+  }
+
+  if (!Object.values(PresetCategory).includes(preset.category)) {
+    errors.push(`Preset category must be one of: ${Object.values(PresetCategory).join(', ')}`);
+  }
+
+  if (preset.source !== undefined && typeof preset.source !== 'string') {
+    errors.push('Preset source must be a string');
+  }
+
+  if (!preset.physical) {
+    errors.push('Physical parameters are required');
+  } else {
+    errors.push(...validatePhysicalParams(preset.physical).errors);
+  }
+
+  if (!preset.composition) {
+    errors.push('Composition parameters are required');
+  } else {
+    errors.push(...validateCompositionParams(preset.composition).errors);
+  }
+
+  if (preset.orbit) {
+    errors.push(...validateOrbitalParams(preset.orbit).errors);
+  }
+  if (preset.advanced) {
+    errors.push(...validateAdvancedParams(preset.advanced).errors);
+  }
+  if (preset.interior) {
+    errors.push(...validateInteriorParams(preset.interior).errors);
+  }
+  if (preset.moons !== undefined) {
+    if (!Array.isArray(preset.moons)) {
+      errors.push('Moons must be an array');
+    } else {
+      preset.moons.forEach((moon, index) => {
+        const moonErrors = validateSatelliteParams(moon ?? {}).errors;
+        if (moon?.physical) {
+          moonErrors.push(...validatePhysicalParams(moon.physical).errors);
+        }
+        errors.push(...moonErrors.map((error) => `Moon ${moon?.name ?? index + 1}: ${error}`));
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Named planet presets, built-in and user-defined
+ */
+class PresetRegistry {
+  /**
+   * Creates a new PresetRegistry instance and loads saved user presets
+   * @param {Object} [options] - Registry options
+   * @param {Storage|null} [options.storage=localStorage] - Where user presets persist;
+   *   null keeps them in memory only
+   * @param {string} [options.storageKey='planet-builder.presets'] - Storage key
+   * @param {boolean} [options.builtIns=true] - Register the Solar System presets
+   */
+  constructor({ storage = getDefaultStorage(), storageKey = DEFAULT_STORAGE_KEY, builtIns = true } = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.presets = new Map();
+
+    if (builtIns) {
+      for (const preset of BUILT_IN_PRESETS) {
+        this.register(preset);
+      }
+    }
+
+    // Saved presets that no longer validate are kept out, with their reasons
+    this.loadErrors = this.loadUserPresets();
+  }
+
+  /**
+   * Adds a fixed preset, such as a Solar System body
+   * @param {Object} preset - Preset with name, category, source, physical and composition
+   * @returns {Object} The registered preset
+   */
+  register(preset) {
+    const validation = validatePresetParams(preset);
+    if (!validation.isValid) {
+      throw new Error(`Invalid preset parameters: ${validation.errors.join(', ')}`);
+    }
+    if (this.presets.has(preset.name)) {
+      throw new Error(`A preset named "${preset.name}" already exists`);
+    }
+
+    const entry = { ...clone(preset), builtIn: preset.category !== PresetCategory.USER };
+    this.presets.set(entry.name, entry);
+    return entry;
+  }
+
+  /**
+   * Checks whether a preset exists
+   * @param {string} name - Preset name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.presets.has(name);
+  }
+
+  /**
+   * Gets a preset, completed with defaults for anything it leaves out
+   * @param {string} name - Preset name
+   * @returns {Object|null} Deep copy of the preset, or null if not registered
+   */
+  get(name) {
+    const preset = this.presets.get(name);
+    return preset ? completePreset(preset) : null;
+  }
+
+  /**
+   * Lists preset names, built-ins first, in registration order
+   * @param {string} [category] - Only list this category
+   * @returns {Array<string>} Preset names
+   */
+  getNames(category) {
+    const presets = [...this.presets.values()].filter((preset) => !category || preset.category === category);
+    return [
+      ...presets.filter((preset) => preset.builtIn),
+      ...presets.filter((preset) => !preset.builtIn)
+    ].map((preset) => preset.name);
+  }
+
+  /**
+   * Saves a user preset, replacing any user preset of the same name
+   * @param {string} name - Preset name
+   * @param {Object} data - Physical and composition data, plus any of orbit,
+   *   advanced, interior and moons (see serializePlanet)
+   * @param {string} [source='User'] - Where the preset came from
+   * @returns {Object} The saved preset
+   */
+  save(name, data, source = 'User') {
+    const trimmed = typeof name === 'string' ? name.trim() : name;
+    this.assertUserPreset(trimmed, { allowMissing: true });
+
+    const preset = { ...clone(data), name: trimmed, category: PresetCategory.USER, source };
+    const validation = validatePresetParams(preset);
+    if (!validation.isValid) {
+      throw new Error(`Invalid preset parameters: ${validation.errors.join(', ')}`);
+    }
+
+    const entry = { ...preset, builtIn: false };
+    this.presets.set(trimmed, entry);
+    this.persist();
+    return entry;
+  }
+
+  /**
+   * Renames a user preset
+   * @param {string} name - Current name
+   * @param {string} newName - New name
+   */
+  rename(name, newName) {
+    this.assertUserPreset(name);
+    const trimmed = typeof newName === 'string' ? newName.trim() : '';
+    if (!trimmed) {
+      throw new Error('Preset name is required');
+    }
+    if (trimmed !== name && this.presets.has(trimmed)) {
+      throw new Error(`A preset named "${trimmed}" already exists`);
+    }
+
+    // Rebuild the map so the preset keeps its place in the order
+    const entries = [...this.presets.entries()].map(([key, preset]) => (
+      key === name ? [trimmed, { ...preset, name: trimmed }] : [key, preset]
+    ));
+    this.presets = new Map(entries);
+    this.persist();
+  }
+
+  /**
+   * Deletes a user preset
+   * @param {string} name - Preset name
+   */
+  remove(name) {
+    this.assertUserPreset(name);
+    this.presets.delete(name);
+    this.persist();
+  }
+
+  /**
+   * Writes presets to a JSON file body
+   * @param {Array<string>} [names] - Presets to export; defaults to every user preset
+   * @returns {string} JSON text
+   */
+  exportPresets(names = this.getNames(PresetCategory.USER)) {
+    const presets = names.map((name) => {
+      const preset = this.presets.get(name);
+      if (!preset) {
+        throw new Error(`No preset named "${name}"`);
+      }
+      const { builtIn, ...data } = preset;
+      return data;
+    });
+    return JSON.stringify({ format: PRESET_FILE_FORMAT, version: PRESET_FILE_VERSION, presets }, null, 2);
+  }
+
+  /**
+   * Reads presets from an exported file as user presets
+   * Presets named after a built-in are rejected; those named after a user preset replace it.
+   * @param {string} text - JSON text from exportPresets
+   * @returns {Object} Names imported, and rejected presets with their reasons
+   */
+  importPresets(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Preset file is not valid JSON: ${error.message}`);
+    }
+    if (file?.format !== PRESET_FILE_FORMAT || !Array.isArray(file.presets)) {
+      throw new Error('Not a planet builder preset file');
+    }
+    if (file.version > PRESET_FILE_VERSION) {
+      throw new Error(`Preset file version ${file.version} is newer than this version supports (${PRESET_FILE_VERSION})`);
+    }
+
+    const imported = [];
+    const rejected = [];
+    for (const preset of file.presets) {
+      const name = typeof preset?.name === 'string' ? preset.name.trim() : '';
+      if (this.presets.get(name)?.builtIn) {
+        rejected.push({ name, errors: [`"${name}" is a built-in preset`] });
+        continue;
+      }
+
+      const candidate = { ...preset, name, category: PresetCategory.USER };
+      const validation = validatePresetParams(candidate);
+      if (!validation.isValid) {
+        rejected.push({ name, errors: validation.errors });
+        continue;
+      }
+
+      this.presets.set(name, { ...clone(candidate), source: candidate.source ?? 'Imported', builtIn: false });
+      imported.push(name);
+    }
+
+    if (imported.length > 0) {
+      this.persist();
+    }
+    return { imported, rejected };
+  }
+
+  /**
+   * Throws unless the name belongs to an editable user preset
+   * @private
+   */
+  assertUserPreset(name, { allowMissing = false } = {}) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Preset name is required');
+    }
+    const preset = this.presets.get(name);
+    if (!preset && !allowMissing) {
+      throw new Error(`No preset named "${name}"`);
+    }
+    if (preset?.builtIn) {
+      throw new Error(`"${name}" is a built-in preset and cannot be changed`);
+    }
+  }
+
+  /**
+   * Reads user presets from storage
+   * @private
+   * @returns {Array<Object>} Stored presets that were skipped, with their reasons
+   */
+  loadUserPresets() {
+    if (!this.storage) return [];
+
+    const text = this.storage.getItem(this.storageKey);
+    if (!text) return [];
+
+    try {
+      return this.importPresets(text).rejected;
+    } catch (error) {
+      return [{ name: '', errors: [error.message] }];
+    }
+  }
+
+  /**
+   * Writes user presets to storage
+   * @private
+   */
+  persist() {
+    if (this.storage) {
+      this.storage.setItem(this.storageKey, this.exportPresets());
+    }
+  }
+}
+
+export default PresetRegistry;
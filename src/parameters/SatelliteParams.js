@@ -0,0 +1,438 @@
+import PhysicalParameters from './PhysicalParams.js';
+import { solveKeplerEquation } from './OrbitalParams.js';
+import TidalModel from '../physics/Tides.js';
+import {
+  GRAVITATIONAL_CONSTANT,
+  SOLAR_MASS,
+  ASTRONOMICAL_UNIT,
+  PARAMETER_RANGES,
+  MOON
+} from '../utils/Constants.js';
+
+// Roche limit coefficients: d = k * R_p * (ρ_p / ρ_s)^(1/3)
+const FLUID_ROCHE_COEFFICIENT = 2.44;
+const RIGID_ROCHE_COEFFICIENT = 1.26;
+
+// Outermost stable prograde orbit as a fraction of the Hill radius, with
+// eccentricity corrections (Domingos et al. 2006)
+const STABLE_HILL_FRACTION = 0.4895;
+const PLANET_ECCENTRICITY_FACTOR = 1.0305;
+const MOON_ECCENTRICITY_FACTOR = 0.2738;
+
+// Satellites are assumed to form spinning every 12 hours before tides slow them
+const INITIAL_SPIN_PERIOD = 12; // hours
+
+// Default age of the planetary system, years
+const SYSTEM_AGE = 4.5e9;
+
+/**
+ * Whether a moon's orbit can survive
+ */
+export const OrbitStability = {
+  STABLE: 'stable',
+  INSIDE_ROCHE: 'inside Roche limit',
+  UNSTABLE: 'beyond stable region',
+  OUTSIDE_HILL: 'outside Hill sphere',
+  CROSSING: 'crosses another orbit'
+};
+
+/**
+ * A natural satellite: its own physical parameters plus an orbit around the planet
+ */
+export class Satellite {
+  /**
+   * Creates a new Satellite instance
+   * @param {Object} params - Parameter object
+   * @param {string} [params.name='Moon'] - Display name
+   * @param {Object} params.physical - Physical parameters (see PhysicalParameters)
+   * @param {Object} params.orbit - Orbit around the planet
+   * @param {number} params.orbit.semiMajorAxis - Semi-major axis in km
+   * @param {number} params.orbit.eccentricity - Orbital eccentricity (0-0.99)
+   * @param {number} [params.orbit.inclination=0] - Inclination to the planet's equator in degrees
+   * @param {number} [params.orbit.meanAnomaly=0] - Mean anomaly at time zero in degrees
+   */
+  constructor({ name = 'Moon', physical, orbit }) {
+    const validation = validateSatelliteParams({ physical, orbit });
+    if (!validation.isValid) {
+      throw new Error(`Invalid satellite parameters: ${validation.errors.join(', ')}`);
+    }
+
+    this.name = name;
+    this.physical = new PhysicalParameters(physical);
+    this.orbit = {
+      semiMajorAxis: orbit.semiMajorAxis,
+      eccentricity: orbit.eccentricity,
+      inclination: orbit.inclination ?? 0,
+      meanAnomaly: orbit.meanAnomaly ?? 0
+    };
+  }
+
+  /**
+   * Calculates the closest approach to the planet
+   * Formula: q = a * (1 - e)
+   * @returns {number} Periapsis distance in km
+   */
+  calculatePeriapsis() {
+    return this.orbit.semiMajorAxis * (1 - this.orbit.eccentricity);
+  }
+
+  /**
+   * Calculates the farthest distance from the planet
+   * Formula: Q = a * (1 + e)
+   * @returns {number} Apoapsis distance in km
+   */
+  calculateApoapsis() {
+    return this.orbit.semiMajorAxis * (1 + this.orbit.eccentricity);
+  }
+}
+
+/**
+ * A planet and the moons orbiting it
+ */
+class SatelliteSystem {
+  /**
+   * Creates a new SatelliteSystem instance
+   * @param {PhysicalParameters} planet - The planet the moons orbit
+   * @param {OrbitalParameters} planetOrbit - The planet's star and orbit, which bound the Hill sphere
+   * @param {Array<Object>} [moons=[]] - Satellite parameters (see Satellite)
+   */
+  constructor(planet, planetOrbit, moons = []) {
+    this.planet = planet;
+    this.planetOrbit = planetOrbit;
+    this.moons = [];
+    for (const moon of moons) {
+      this.addMoon(moon);
+    }
+  }
+
+  /**
+   * Adds a moon to the system
+   * @param {Object|Satellite} params - Satellite or satellite parameters
+   * @returns {Satellite} The added moon
+   */
+  addMoon(params) {
+    const moon = params instanceof Satellite ? params : new Satellite(params);
+    if (moon.physical.mass >= this.planet.mass) {
+      throw new Error(`Invalid satellite parameters: ${moon.name} must be less massive than its planet`);
+    }
+    this.moons.push(moon);
+    return moon;
+  }
+
+  /**
+   * Removes a moon from the system
+   * @param {number} index - Position of the moon in the moons array
+   * @returns {Satellite|null} The removed moon, or null if there was none
+   */
+  removeMoon(index) {
+    const [removed] = this.moons.splice(index, 1);
+    return removed ?? null;
+  }
+
+  /**
+   * Calculates the radius within which the planet's gravity dominates the star's
+   * Formula: r_H = a * (1 - e) * ∛(m / 3M), taken at periapsis
+   * @returns {number} Hill radius in km
+   */
+  calculateHillSphere() {
+    const { semiMajorAxis, eccentricity } = this.planetOrbit.orbit;
+    const massRatio = this.planet.mass / (3 * this.planetOrbit.star.mass * SOLAR_MASS);
+    return ((semiMajorAxis * (1 - eccentricity) * ASTRONOMICAL_UNIT) / 1000) * Math.cbrt(massRatio);
+  }
+
+  /**
+   * Calculates the distance inside which tides pull a satellite apart
+   * Formula: d = k * R_p * (ρ_p / ρ_s)^(1/3), k = 2.44 (fluid) or 1.26 (rigid)
+   * @param {number} satelliteDensity - Satellite density in kg/m³
+   * @param {boolean} [rigid=false] - Use the rigid-body limit instead of the fluid one
+   * @returns {number} Roche limit in km
+   */
+  calculateRocheLimit(satelliteDensity, rigid = false) {
+    const coefficient = rigid ? RIGID_ROCHE_COEFFICIENT : FLUID_ROCHE_COEFFICIENT;
+    return coefficient * this.planet.radius * Math.cbrt(this.planet.density / satelliteDensity);
+  }
+
+  /**
+   * Calculates the outermost orbit a prograde moon can keep long-term
+   * Formula: a_crit = 0.4895 * r_H * (1 - 1.0305 e_p - 0.2738 e_s)
+   * @param {number} [moonEccentricity=0] - Eccentricity of the moon's orbit
+   * @returns {number} Critical semi-major axis in km
+   */
+  calculateStableRadius(moonEccentricity = 0) {
+    const { semiMajorAxis, eccentricity } = this.planetOrbit.orbit;
+    const massRatio = this.planet.mass / (3 * this.planetOrbit.star.mass * SOLAR_MASS);
+    const hillRadius = ((semiMajorAxis * ASTRONOMICAL_UNIT) / 1000) * Math.cbrt(massRatio);
+    const correction = 1 - PLANET_ECCENTRICITY_FACTOR * eccentricity - MOON_ECCENTRICITY_FACTOR * moonEccentricity;
+    return Math.max(0, STABLE_HILL_FRACTION * hillRadius * correction);
+  }
+
+  /**
+   * Calculates a moon's orbital period using Kepler's third law
+   * Formula: T = 2π * √(a³ / (G * (M + m)))
+   * @param {Satellite} moon - The moon
+   * @returns {number} Orbital period in days
+   */
+  calculateOrbitalPeriod(moon) {
+    const semiMajorAxisMeters = moon.orbit.semiMajorAxis * 1000;
+    const periodSeconds = 2 * Math.PI * Math.sqrt(
+      (semiMajorAxisMeters ** 3) / (GRAVITATIONAL_CONSTANT * (this.planet.mass + moon.physical.mass))
+    );
+    return periodSeconds / 86400; // Convert s to days
+  }
+
+  /**
+   * Builds the tidal model of the planet acting on a moon
+   * @param {Satellite} moon - The moon
+   * @returns {TidalModel} Tidal model with the planet as parent
+   */
+  getTidalModel(moon) {
+    return new TidalModel({
+      physical: moon.physical,
+      parentMass: this.planet.mass,
+      semiMajorAxis: moon.orbit.semiMajorAxis,
+      eccentricity: moon.orbit.eccentricity
+    });
+  }
+
+  /**
+   * Calculates how long the planet's tides take to lock a moon's spin to its orbit,
+   * starting from a 12 hour spin
+   * @param {Satellite} moon - The moon
+   * @returns {number} Locking timescale in years
+   */
+  calculateTidalLockingTime(moon) {
+    return this.getTidalModel(moon).calculateLockingTime(INITIAL_SPIN_PERIOD);
+  }
+
+  /**
+   * Checks whether a moon's orbit can survive
+   * @param {Satellite} moon - The moon
+   * @returns {string} Stability (one of OrbitStability)
+   */
+  classifyOrbit(moon) {
+    if (moon.calculatePeriapsis() < this.calculateRocheLimit(moon.physical.density)) {
+      return OrbitStability.INSIDE_ROCHE;
+    }
+    if (moon.calculateApoapsis() > this.calculateHillSphere()) {
+      return OrbitStability.OUTSIDE_HILL;
+    }
+    if (moon.orbit.semiMajorAxis > this.calculateStableRadius(moon.orbit.eccentricity)) {
+      return OrbitStability.UNSTABLE;
+    }
+
+    const crossing = this.moons.some((other) => other !== moon
+      && other.calculatePeriapsis() <= moon.calculateApoapsis()
+      && moon.calculatePeriapsis() <= other.calculateApoapsis());
+    return crossing ? OrbitStability.CROSSING : OrbitStability.STABLE;
+  }
+
+  /**
+   * Calculates where a moon is at a given time, in the planet's frame with the
+   * spin axis along +Y and the equator in the X-Z plane
+   * @param {Satellite} moon - The moon
+   * @param {number} time - Time in days
+   * @returns {Object} Object with x, y, z and distance (km)
+   */
+  calculateMoonPosition(moon, time) {
+    const period = this.calculateOrbitalPeriod(moon);
+    const meanAnomaly = (moon.orbit.meanAnomaly * Math.PI) / 180 + (2 * Math.PI * time) / period;
+    const { trueAnomaly, radiusRatio } = solveKeplerEquation(meanAnomaly % (2 * Math.PI), moon.orbit.eccentricity);
+    const distance = moon.orbit.semiMajorAxis * radiusRatio;
+    const inclination = (moon.orbit.inclination * Math.PI) / 180;
+
+    return {
+      x: distance * Math.cos(trueAnomaly),
+      y: distance * Math.sin(trueAnomaly) * Math.sin(inclination),
+      z: -distance * Math.sin(trueAnomaly) * Math.cos(inclination),
+      distance
+    };
+  }
+
+  /**
+   * Analyzes every moon's orbit
+   * @param {number} [systemAge=4.5e9] - Age of the system in years, for tidal locking
+   * @returns {Array<Object>} Per-moon name, period (days), Roche limit (km),
+   *   stability, tidal-locking time (years), whether it is locked by now and
+   *   tidal heating (W)
+   */
+  analyzeMoons(systemAge = SYSTEM_AGE) {
+    return this.moons.map((moon) => {
+      const tidalLockingTime = this.calculateTidalLockingTime(moon);
+      return {
+        name: moon.name,
+        orbitalPeriod: this.calculateOrbitalPeriod(moon),
+        rocheLimit: this.calculateRocheLimit(moon.physical.density),
+        stability: this.classifyOrbit(moon),
+        tidalLockingTime,
+        tidallyLocked: tidalLockingTime < systemAge,
+        tidalHeating: this.getTidalModel(moon).calculateHeatingPower()
+      };
+    });
+  }
+
+  /**
+   * Returns all calculated properties as an object
+   * @returns {Object} Object containing all derived properties
+   */
+  getCalculatedProperties() {
+    return {
+      hillSphere: this.calculateHillSphere(),
+      stableRadius: this.calculateStableRadius(),
+      moons: this.analyzeMoons()
+    };
+  }
+
+  /**
+   * Returns a formatted string of all moons and calculated values
+   * @returns {string} Formatted parameter information
+   */
+  toString() {
+    const calculated = this.getCalculatedProperties();
+    const moonLines = calculated.moons.map((moon, i) => {
+      const { semiMajorAxis, eccentricity } = this.moons[i].orbit;
+      return `  ${moon.name}: ${semiMajorAxis.toFixed(0)} km, e ${eccentricity.toFixed(3)}, \
+period ${moon.orbitalPeriod.toFixed(2)} days, ${moon.stability}, \
+${moon.tidallyLocked ? 'tidally locked' : 'spinning freely'} (${moon.tidalLockingTime.toExponential(1)} yr)`;
+    });
+
+    return `
+Satellite System:
+  Hill Sphere: ${calculated.hillSphere.toExponential(3)} km
+  Stable Orbits Within: ${calculated.stableRadius.toExponential(3)} km
+  Moons: ${this.moons.length}
+${moonLines.join('\n')}
+    `.trim();
+  }
+}
+
+/**
+ * Validates satellite parameters against acceptable ranges
+ * Physical parameters are checked separately by PhysicalParameters.
+ * @param {Object} params - Parameters to validate
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateSatelliteParams(params) {
+  const errors = [];
+
+  if (!params.physical) {
+    errors.push('Physical parameters are required');
+  }
+
+  if (!params.orbit) {
+    errors.push('Orbit parameters are required');
+  } else {
+    const { semiMajorAxis, eccentricity, inclination, meanAnomaly } = params.orbit;
+
+    if (typeof semiMajorAxis !== 'number' || Number.isNaN(semiMajorAxis)) {
+      errors.push('Semi-major axis must be a number');
+    } else if (semiMajorAxis <= 0) {
+      errors.push('Semi-major axis must be positive');
+    }
+
+    if (typeof eccentricity !== 'number' || Number.isNaN(eccentricity)) {
+      errors.push('Eccentricity must be a number');
+    } else if (eccentricity < PARAMETER_RANGES.eccentricity.min || eccentricity > PARAMETER_RANGES.eccentricity.max) {
+      errors.push(`Eccentricity must be between ${PARAMETER_RANGES.eccentricity.min} and ${PARAMETER_RANGES.eccentricity.max}`);
+    }
+
+    if (inclination !== undefined && (typeof inclination !== 'number' || inclination < 0 || inclination > 180)) {
+      errors.push('Inclination must be between 0 and 180 degrees');
+    }
+
+    if (meanAnomaly !== undefined && (typeof meanAnomaly !== 'number' || meanAnomaly < 0 || meanAnomaly >= 360)) {
+      errors.push('Mean anomaly must be between 0 and 360 degrees');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// Earth's Moon
+export const EARTH_MOONS = [
+  {
+    name: 'Moon',
+    physical: MOON,
+    orbit: { semiMajorAxis: 384400, eccentricity: 0.0549, inclination: 5.145 }
+  }
+];
+
+// Jupiter's Galilean moons (rotation periods are their synchronous orbital periods)
+export const JUPITER_MOONS = [
+  {
+    name: 'Io',
+    physical: { mass: 8.932e22, radius: 1821.6, density: 3528, rotationRate: 42.46, axialTilt: 0 },
+    orbit: { semiMajorAxis: 421700, eccentricity: 0.0041, inclination: 0.05, meanAnomaly: 0 }
+  },
+  {
+    name: 'Europa',
+    physical: { mass: 4.8e22, radius: 1560.8, density: 3013, rotationRate: 85.23, axialTilt: 0.1 },
+    orbit: { semiMajorAxis: 671034, eccentricity: 0.009, inclination: 0.47, meanAnomaly: 90 }
+  },
+  {
+    name: 'Ganymede',
+    physical: { mass: 1.4819e23, radius: 2634.1, density: 1942, rotationRate: 171.71, axialTilt: 0.2 },
+    orbit: { semiMajorAxis: 1070412, eccentricity: 0.0013, inclination: 0.2, meanAnomaly: 200 }
+  },
+  {
+    name: 'Callisto',
+    physical: { mass: 1.0759e23, radius: 2410.3, density: 1834, rotationRate: 400.54, axialTilt: 0 },
+    orbit: { semiMajorAxis: 1882709, eccentricity: 0.0074, inclination: 0.19, meanAnomaly: 300 }
+  }
+];
+
+// Saturn's largest moons
+export const SATURN_MOONS = [
+  {
+    name: 'Dione',
+    physical: { mass: 1.095e21, radius: 561.4, density: 1478, rotationRate: 65.69, axialTilt: 0 },
+    orbit: { semiMajorAxis: 377396, eccentricity: 0.0022, inclination: 0.03, meanAnomaly: 0 }
+  },
+  {
+    name: 'Rhea',
+    physical: { mass: 2.306e21, radius: 763.8, density: 1236, rotationRate: 108.42, axialTilt: 0 },
+    orbit: { semiMajorAxis: 527108, eccentricity: 0.001, inclination: 0.35, meanAnomaly: 120 }
+  },
+  {
+    name: 'Titan',
+    physical: { mass: 1.3452e23, radius: 2574.7, density: 1880, rotationRate: 382.69, axialTilt: 0.3 },
+    orbit: { semiMajorAxis: 1221870, eccentricity: 0.0288, inclination: 0.35, meanAnomaly: 240 }
+  }
+];
+
+// Uranus' major moons, orbiting in its tipped equatorial plane
+export const URANUS_MOONS = [
+  {
+    name: 'Ariel',
+    physical: { mass: 1.251e21, radius: 578.9, density: 1539, rotationRate: 60.49, axialTilt: 0 },
+    orbit: { semiMajorAxis: 190900, eccentricity: 0.0012, inclination: 0.26, meanAnomaly: 0 }
+  },
+  {
+    name: 'Umbriel',
+    physical: { mass: 1.275e21, radius: 584.7, density: 1523, rotationRate: 99.46, axialTilt: 0 },
+    orbit: { semiMajorAxis: 266000, eccentricity: 0.0039, inclination: 0.13, meanAnomaly: 90 }
+  },
+  {
+    name: 'Titania',
+    physical: { mass: 3.4e21, radius: 788.4, density: 1655, rotationRate: 208.94, axialTilt: 0 },
+    orbit: { semiMajorAxis: 435910, eccentricity: 0.0011, inclination: 0.34, meanAnomaly: 180 }
+  },
+  {
+    name: 'Oberon',
+    physical: { mass: 3.076e21, radius: 761.4, density: 1664, rotationRate: 323.12, axialTilt: 0 },
+    orbit: { semiMajorAxis: 583520, eccentricity: 0.0014, inclination: 0.06, meanAnomaly: 270 }
+  }
+];
+
+// Neptune's Triton, on a retrograde orbit
+export const NEPTUNE_MOONS = [
+  {
+    name: 'Triton',
+    physical: { mass: 2.139e22, radius: 1353.4, density: 2061, rotationRate: 141.04, axialTilt: 0 },
+    orbit: { semiMajorAxis: 354759, eccentricity: 0.000016, inclination: 156.9, meanAnomaly: 0 }
+  }
+];
+
+export default SatelliteSystem;
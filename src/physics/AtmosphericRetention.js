@@ -0,0 +1,115 @@
+import { BOLTZMANN_CONSTANT, AVOGADRO_CONSTANT, MOLECULAR_WEIGHTS } from '../utils/Constants.js';
+
+/**
+ * Atmospheric retention model based on Jeans escape
+ * Compares each gas's thermal velocity at the exobase with the escape velocity
+ */
+
+/**
+ * Retention states for a gas over geologic time
+ */
+export const RetentionState = {
+  RETAINED: 'retained',
+  MARGINAL: 'marginal',
+  LOST: 'lost',
+  UNKNOWN: 'unknown'
+};
+
+// v_escape / v_thermal thresholds. Above 6 a gas survives billions of years,
+// below 4 it escapes within a geologically short time.
+export const RETENTION_THRESHOLDS = {
+  retained: 6,
+  marginal: 4
+};
+
+// The exobase is heated by stellar XUV well above the surface; Earth's sits
+// near 1000 K over a 288 K surface.
+const EXOBASE_HEATING_FACTOR = 3.5;
+
+/**
+ * Calculates the root-mean-square thermal velocity of a gas
+ * Formula: v_rms = √(3 * k * T / m)
+ * @param {number} molecularWeight - Molecular weight in kg/mol
+ * @param {number} temperature - Gas temperature in K
+ * @returns {number} Thermal velocity in km/s
+ */
+export function calculateThermalVelocity(molecularWeight, temperature) {
+  const moleculeMass = molecularWeight / AVOGADRO_CONSTANT;
+  const velocityMs = Math.sqrt((3 * BOLTZMANN_CONSTANT * temperature) / moleculeMass);
+  return velocityMs / 1000; // Convert m/s to km/s
+}
+
+/**
+ * Estimates the exobase temperature from the effective surface temperature
+ * @param {number} surfaceTemperature - Effective surface temperature in K
+ * @returns {number} Exobase temperature in K
+ */
+export function estimateExobaseTemperature(surfaceTemperature) {
+  return surfaceTemperature * EXOBASE_HEATING_FACTOR;
+}
+
+/**
+ * Classifies a gas by the ratio of escape velocity to thermal velocity
+ * @param {number} escapeRatio - v_escape / v_thermal
+ * @returns {string} One of RetentionState
+ */
+export function classifyRetention(escapeRatio) {
+  if (escapeRatio >= RETENTION_THRESHOLDS.retained) {
+    return RetentionState.RETAINED;
+  }
+  if (escapeRatio >= RETENTION_THRESHOLDS.marginal) {
+    return RetentionState.MARGINAL;
+  }
+  return RetentionState.LOST;
+}
+
+/**
+ * Analyzes which gases of an atmosphere a planet can hold on to
+ * @param {PhysicalParameters} physical - Planet physical parameters
+ * @param {CompositionParameters} composition - Planet composition parameters
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.exobaseTemperature] - Exobase temperature in K (estimated if omitted)
+ * @returns {Object} Per-gas results plus lists of retained, marginal and lost gases
+ */
+export function analyzeAtmosphericRetention(physical, composition, options = {}) {
+  const exobaseTemperature = options.exobaseTemperature
+    ?? estimateExobaseTemperature(composition.getEffectiveTemperature());
+  const escapeVelocity = physical.calculateEscapeVelocity();
+
+  const gases = Object.entries(composition.atmosphere.composition).map(([gas, percentage]) => {
+    const molecularWeight = MOLECULAR_WEIGHTS[gas];
+
+    // Gases without a known molecular weight (e.g. "other") cannot be classified
+    if (!molecularWeight) {
+      return {
+        gas,
+        percentage,
+        thermalVelocity: null,
+        escapeRatio: null,
+        state: RetentionState.UNKNOWN
+      };
+    }
+
+    const thermalVelocity = calculateThermalVelocity(molecularWeight, exobaseTemperature);
+    const escapeRatio = escapeVelocity / thermalVelocity;
+
+    return {
+      gas,
+      percentage,
+      thermalVelocity,
+      escapeRatio,
+      state: classifyRetention(escapeRatio)
+    };
+  });
+
+  const byState = (state) => gases.filter((result) => result.state === state).map((result) => result.gas);
+
+  return {
+    exobaseTemperature,
+    escapeVelocity,
+    gases,
+    retained: byState(RetentionState.RETAINED),
+    marginal: byState(RetentionState.MARGINAL),
+    lost: byState(RetentionState.LOST)
+  };
+}
@@ -0,0 +1,378 @@
+import { STEFAN_BOLTZMANN, ALBEDO_VALUES } from '../utils/Constants.js';
+
+/**
+ * One-dimensional latitudinal energy-balance climate model
+ * Budyko–Sellers/North style: each latitude band balances absorbed starlight,
+ * outgoing longwave radiation and meridional heat diffusion, with ice-albedo
+ * feedback. Seasons follow from axial tilt on a circular orbit.
+ */
+
+/**
+ * Astronomical seasons
+ */
+export const Season = {
+  SPRING: 'spring',
+  SUMMER: 'summer',
+  AUTUMN: 'autumn',
+  WINTER: 'winter'
+};
+
+// Northern-hemisphere season for each quarter of the orbit from the spring equinox
+const NORTHERN_SEASONS = [Season.SPRING, Season.SUMMER, Season.AUTUMN, Season.WINTER];
+const SOUTHERN_SEASONS = [Season.AUTUMN, Season.WINTER, Season.SPRING, Season.SUMMER];
+
+// Water freezes below this annual-mean temperature
+export const FREEZING_POINT = 273.15; // K
+
+// Bands colder than this are snow/ice covered and take the ice albedo
+const ICE_ALBEDO_THRESHOLD = 263.15; // K
+
+// Meridional heat diffusion for an Earth-like 1 atm atmosphere, W/(m²·K)
+const EARTH_DIFFUSION = 0.6;
+
+// Heat capacity of a ~10 m ocean mixed layer, J/(m²·K)
+const OCEAN_HEAT_CAPACITY = 4.2e7;
+
+// Heat capacity of a dry land surface layer, J/(m²·K)
+const LAND_HEAT_CAPACITY = 1e6;
+
+const STEPS_PER_YEAR = 360;
+const MAX_SPIN_UP_YEARS = 100;
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Daily-mean top-of-atmosphere insolation at a latitude
+ * Formula: Q = (S / π) * (h₀ sinφ sinδ + cosφ cosδ sin h₀)
+ * @param {number} stellarFlux - Stellar flux in W/m²
+ * @param {number} latitude - Latitude in radians
+ * @param {number} declination - Solar declination in radians
+ * @returns {number} Daily-mean insolation in W/m²
+ */
+export function calculateDailyInsolation(stellarFlux, latitude, declination) {
+  const cosH0 = -Math.tan(latitude) * Math.tan(declination);
+  let hourAngle;
+  if (cosH0 >= 1) {
+    hourAngle = 0; // Polar night
+  } else if (cosH0 <= -1) {
+    hourAngle = Math.PI; // Polar day
+  } else {
+    hourAngle = Math.acos(cosH0);
+  }
+
+  const insolation = (stellarFlux / Math.PI) * (
+    hourAngle * Math.sin(latitude) * Math.sin(declination)
+    + Math.cos(latitude) * Math.cos(declination) * Math.sin(hourAngle)
+  );
+  return Math.max(0, insolation);
+}
+
+/**
+ * Solar declination for a given axial tilt and orbital position
+ * Formula: sin δ = sin ε * sin λ
+ * @param {number} axialTilt - Axial tilt in degrees
+ * @param {number} solarLongitude - Orbital position from the northern spring equinox, in radians
+ * @returns {number} Declination in radians
+ */
+export function calculateSolarDeclination(axialTilt, solarLongitude) {
+  const tilt = (axialTilt * Math.PI) / 180;
+  return Math.asin(Math.sin(tilt) * Math.sin(solarLongitude));
+}
+
+/**
+ * Describes the season at one point of the orbit
+ * @param {number} axialTilt - Axial tilt in degrees
+ * @param {number} solarLongitude - Orbital position from the northern spring equinox, in degrees
+ * @param {number} stellarFlux - Instantaneous stellar flux in W/m²
+ * @returns {Object} Sub-solar latitude (degrees), season per hemisphere and
+ *   hemisphere-mean daily insolation (W/m²)
+ */
+export function calculateSeasonalState(axialTilt, solarLongitude, stellarFlux) {
+  const longitude = ((solarLongitude % 360) + 360) % 360;
+  const declination = calculateSolarDeclination(axialTilt, (longitude * Math.PI) / 180);
+  const quarter = Math.floor(longitude / 90) % 4;
+
+  // Area-weighted mean over each hemisphere (∫ Q cos φ dφ over 0 to π/2)
+  const samples = 90;
+  const dPhi = Math.PI / 2 / samples;
+  let northern = 0;
+  let southern = 0;
+  for (let i = 0; i < samples; i++) {
+    const latitude = (i + 0.5) * dPhi;
+    const weight = Math.cos(latitude) * dPhi;
+    northern += calculateDailyInsolation(stellarFlux, latitude, declination) * weight;
+    southern += calculateDailyInsolation(stellarFlux, -latitude, declination) * weight;
+  }
+
+  return {
+    subSolarLatitude: (declination * 180) / Math.PI,
+    northernSeason: NORTHERN_SEASONS[quarter],
+    southernSeason: SOUTHERN_SEASONS[quarter],
+    northernInsolation: northern,
+    southernInsolation: southern
+  };
+}
+
+/**
+ * Latitudinal energy-balance climate model
+ */
+class ClimateModel {
+  /**
+   * Creates a new ClimateModel instance
+   * @param {Object} params - Model parameters
+   * @param {number} params.axialTilt - Axial tilt in degrees (0-180)
+   * @param {number} params.stellarFlux - Orbit-averaged stellar flux in W/m²
+   * @param {number} params.albedo - Ice-free surface albedo (0-1)
+   * @param {number} [params.greenhouseWarming=0] - Greenhouse warming in K
+   * @param {number} [params.diffusion=0.6] - Meridional heat diffusion in W/(m²·K)
+   * @param {number} [params.heatCapacity=4.2e7] - Surface heat capacity in J/(m²·K)
+   * @param {number} [params.yearLength=365.25] - Orbital period in days
+   * @param {number} [params.bandCount=36] - Number of equal-area latitude bands
+   */
+  constructor({
+    axialTilt,
+    stellarFlux,
+    albedo,
+    greenhouseWarming = 0,
+    diffusion = EARTH_DIFFUSION,
+    heatCapacity = OCEAN_HEAT_CAPACITY,
+    yearLength = 365.25,
+    bandCount = 36
+  }) {
+    this.axialTilt = axialTilt;
+    this.stellarFlux = stellarFlux;
+    this.albedo = albedo;
+    this.greenhouseWarming = greenhouseWarming;
+    this.diffusion = diffusion;
+    this.heatCapacity = heatCapacity;
+    this.yearLength = yearLength;
+    this.bandCount = bandCount;
+
+    // Bands are equally spaced in x = sin(latitude), so each covers equal area
+    this.dx = 2 / bandCount;
+    this.x = Array.from({ length: bandCount }, (_, i) => -1 + (i + 0.5) * this.dx);
+    this.latitudes = this.x.map((x) => Math.asin(x));
+  }
+
+  /**
+   * Builds a climate model from planet parameters
+   * Stellar flux comes from the attached orbit, or is back-computed from the
+   * base temperature when no orbit is attached.
+   * @param {PhysicalParameters} physical - Planet physical parameters
+   * @param {CompositionParameters} composition - Planet composition parameters
+   * @param {Object} [options] - Overrides for any constructor parameter
+   * @returns {ClimateModel} Configured climate model
+   */
+  static fromPlanet(physical, composition, options = {}) {
+    const albedo = composition.surface.albedo;
+    const stellarFlux = composition.orbit
+      ? composition.orbit.calculateStellarFlux()
+      : (4 * STEFAN_BOLTZMANN * (composition.getBaseTemperature() ** 4)) / (1 - albedo);
+    const oceanFraction = composition.water.coverage / 100;
+
+    return new ClimateModel({
+      axialTilt: physical.axialTilt,
+      stellarFlux,
+      albedo,
+      greenhouseWarming: composition.calculateGreenhouseEffect(),
+      diffusion: EARTH_DIFFUSION * composition.atmosphere.pressure,
+      heatCapacity: LAND_HEAT_CAPACITY + OCEAN_HEAT_CAPACITY * oceanFraction,
+      yearLength: composition.orbit ? composition.orbit.calculateOrbitalPeriod() : 365.25,
+      ...options
+    });
+  }
+
+  /**
+   * Insolation per band at each step through the year
+   * @param {number} [steps=360] - Number of steps per orbit
+   * @returns {Array<Array<number>>} Insolation in W/m², indexed [step][band]
+   */
+  calculateSeasonalInsolation(steps = STEPS_PER_YEAR) {
+    return Array.from({ length: steps }, (_, step) => {
+      const solarLongitude = (2 * Math.PI * step) / steps;
+      const declination = calculateSolarDeclination(this.axialTilt, solarLongitude);
+      return this.latitudes.map((latitude) => calculateDailyInsolation(this.stellarFlux, latitude, declination));
+    });
+  }
+
+  /**
+   * Annual-mean insolation per band
+   * @returns {Array<number>} Insolation in W/m² for each band, south to north
+   */
+  calculateAnnualInsolation() {
+    const seasonal = this.calculateSeasonalInsolation();
+    return this.latitudes.map((_, band) => (
+      seasonal.reduce((sum, step) => sum + step[band], 0) / seasonal.length
+    ));
+  }
+
+  /**
+   * Albedo of a band at a given temperature (ice-albedo feedback)
+   * @param {number} temperature - Band temperature in K
+   * @returns {number} Albedo (0-1)
+   * @private
+   */
+  bandAlbedo(temperature) {
+    return temperature < ICE_ALBEDO_THRESHOLD ? Math.max(this.albedo, ALBEDO_VALUES.ICE) : this.albedo;
+  }
+
+  /**
+   * Advances band temperatures by one time step
+   * Diffusion and the linearized longwave cooling are treated implicitly,
+   * which keeps the scheme stable for long years and small heat capacities.
+   * @param {Array<number>} temperatures - Band temperatures in K
+   * @param {Array<number>} insolation - Band insolation in W/m²
+   * @param {number} dt - Time step in seconds
+   * @returns {Array<number>} New band temperatures in K
+   * @private
+   */
+  step(temperatures, insolation, dt) {
+    const n = this.bandCount;
+    const capacity = this.heatCapacity / dt;
+    const lower = new Array(n).fill(0);
+    const diag = new Array(n).fill(0);
+    const upper = new Array(n).fill(0);
+    const rhs = new Array(n).fill(0);
+
+    for (let i = 0; i < n; i++) {
+      const t = temperatures[i];
+      const emission = Math.max(t - this.greenhouseWarming, 1);
+      const olr = STEFAN_BOLTZMANN * (emission ** 4);
+      const olrSlope = 4 * STEFAN_BOLTZMANN * (emission ** 3);
+
+      // Diffusion D d/dx[(1 - x²) dT/dx], zero flux at the poles
+      const west = i > 0 ? (this.diffusion * (1 - (this.x[i] - this.dx / 2) ** 2)) / (this.dx ** 2) : 0;
+      const east = i < n - 1 ? (this.diffusion * (1 - (this.x[i] + this.dx / 2) ** 2)) / (this.dx ** 2) : 0;
+
+      lower[i] = -west;
+      upper[i] = -east;
+      diag[i] = capacity + olrSlope + west + east;
+      rhs[i] = capacity * t + insolation[i] * (1 - this.bandAlbedo(t)) - olr + olrSlope * t;
+    }
+
+    // Thomas algorithm for the tridiagonal system
+    for (let i = 1; i < n; i++) {
+      const factor = lower[i] / diag[i - 1];
+      diag[i] -= factor * upper[i - 1];
+      rhs[i] -= factor * rhs[i - 1];
+    }
+    const result = new Array(n);
+    result[n - 1] = rhs[n - 1] / diag[n - 1];
+    for (let i = n - 2; i >= 0; i--) {
+      result[i] = (rhs[i] - upper[i] * result[i + 1]) / diag[i];
+    }
+    return result;
+  }
+
+  /**
+   * Runs the seasonal cycle to equilibrium and summarizes the climate
+   * @returns {Object} Per-band profile plus global mean temperature, ice coverage,
+   *   ice-line latitudes and contiguous frozen latitude ranges (iceBands)
+   */
+  solve() {
+    const seasonal = this.calculateSeasonalInsolation();
+    const dt = (this.yearLength * SECONDS_PER_DAY) / STEPS_PER_YEAR;
+
+    // Start warm so the model settles on the ice-free branch when one exists
+    const meanAbsorbed = (this.stellarFlux * (1 - this.albedo)) / 4;
+    const startTemperature = (meanAbsorbed / STEFAN_BOLTZMANN) ** 0.25 + this.greenhouseWarming;
+    let temperatures = new Array(this.bandCount).fill(startTemperature);
+
+    let annualMean = null;
+    let minimum = null;
+    let maximum = null;
+
+    for (let year = 0; year < MAX_SPIN_UP_YEARS; year++) {
+      const sum = new Array(this.bandCount).fill(0);
+      const yearMin = new Array(this.bandCount).fill(Infinity);
+      const yearMax = new Array(this.bandCount).fill(-Infinity);
+
+      for (const insolation of seasonal) {
+        temperatures = this.step(temperatures, insolation, dt);
+        temperatures.forEach((t, band) => {
+          sum[band] += t;
+          yearMin[band] = Math.min(yearMin[band], t);
+          yearMax[band] = Math.max(yearMax[band], t);
+        });
+      }
+
+      const yearMean = sum.map((total) => total / STEPS_PER_YEAR);
+      const converged = annualMean
+        && yearMean.every((t, band) => Math.abs(t - annualMean[band]) < 0.01);
+
+      annualMean = yearMean;
+      minimum = yearMin;
+      maximum = yearMax;
+
+      if (converged) {
+        break;
+      }
+    }
+
+    const annualInsolation = this.latitudes.map((_, band) => (
+      seasonal.reduce((total, step) => total + step[band], 0) / seasonal.length
+    ));
+
+    const bands = this.latitudes.map((latitude, band) => ({
+      latitude: (latitude * 180) / Math.PI,
+      minLatitude: (Math.asin(this.x[band] - this.dx / 2) * 180) / Math.PI,
+      maxLatitude: (Math.asin(Math.min(1, this.x[band] + this.dx / 2)) * 180) / Math.PI,
+      insolation: annualInsolation[band],
+      temperature: annualMean[band],
+      minTemperature: minimum[band],
+      maxTemperature: maximum[band],
+      frozen: annualMean[band] < FREEZING_POINT
+    }));
+
+    // Equal-area bands make the global mean a plain average
+    const globalMeanTemperature = annualMean.reduce((total, t) => total + t, 0) / this.bandCount;
+    const frozenCount = bands.filter((band) => band.frozen).length;
+
+    return {
+      bands,
+      globalMeanTemperature,
+      iceCoverage: (frozenCount / this.bandCount) * 100,
+      iceLines: findIceLines(bands),
+      iceBands: mergeFrozenBands(bands)
+    };
+  }
+}
+
+/**
+ * Finds the equatorward edge of polar ice in each hemisphere
+ * @param {Array<Object>} bands - Band profile from solve(), south to north
+ * @returns {Object} North and south ice-line latitudes in degrees, or null when that pole is ice-free
+ */
+function findIceLines(bands) {
+  let north = null;
+  for (let i = bands.length - 1; i >= 0 && bands[i].frozen; i--) {
+    north = bands[i].minLatitude;
+  }
+
+  let south = null;
+  for (let i = 0; i < bands.length && bands[i].frozen; i++) {
+    south = bands[i].maxLatitude;
+  }
+
+  return { north, south };
+}
+
+/**
+ * Merges adjacent frozen bands into latitude ranges
+ * @param {Array<Object>} bands - Band profile from solve(), south to north
+ * @returns {Array<Object>} Ranges with minLatitude and maxLatitude in degrees
+ */
+function mergeFrozenBands(bands) {
+  const ranges = [];
+  for (const band of bands) {
+    if (!band.frozen) continue;
+    const last = ranges[ranges.length - 1];
+    if (last && Math.abs(last.maxLatitude - band.minLatitude) < 1e-9) {
+      last.maxLatitude = band.maxLatitude;
+    } else {
+      ranges.push({ minLatitude: band.minLatitude, maxLatitude: band.maxLatitude });
+    }
+  }
+  return ranges;
+}
+
+export default ClimateModel;
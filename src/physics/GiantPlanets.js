@@ -0,0 +1,72 @@
+import { STEFAN_BOLTZMANN } from '../utils/Constants.js';
+
+/**
+ * Banded atmospheres of gas and ice giants
+ * Zonal jets are spaced by the Rhines length L_β = π√(U / β), where eddies stop
+ * growing on the sphere (β = 2Ω / R). Internal heat drives the convection that
+ * builds contrasting belts and long-lived storms; cold atmospheres bury their
+ * cloud decks under haze and look bland.
+ */
+
+// Typical zonal jet speed, m/s (Jupiter's jets run 50-150 m/s)
+export const DEFAULT_JET_SPEED = 100;
+
+const MIN_BANDS = 2;
+const MAX_BANDS = 40;
+const MAX_STORMS = 4;
+
+// Band contrast floor, and the cloud-top temperatures over which haze clears, K
+const MIN_CONTRAST = 0.15;
+const HAZE_TEMPERATURE = 40;
+const CLEAR_TEMPERATURE_RANGE = 100;
+
+/**
+ * Calculates how many zones and belts fit between the poles
+ * Formula: N = πR / L_β = √(2ΩR / U)
+ * @param {number} rotationRate - Rotation period in hours
+ * @param {number} radius - Planet radius in km
+ * @param {number} [jetSpeed=100] - Zonal jet speed in m/s
+ * @returns {number} Number of bands (2-40)
+ */
+export function calculateBandCount(rotationRate, radius, jetSpeed = DEFAULT_JET_SPEED) {
+  const angularVelocity = (2 * Math.PI) / (rotationRate * 3600);
+  const bands = Math.round(Math.sqrt((2 * angularVelocity * radius * 1000) / jetSpeed));
+  return Math.min(MAX_BANDS, Math.max(MIN_BANDS, bands));
+}
+
+/**
+ * Calculates internal heat relative to absorbed sunlight
+ * Formula: F_int / (σ T_eq⁴)
+ * @param {number} internalHeatFlux - Heat flux from the interior in W/m²
+ * @param {number} equilibriumTemperature - Temperature from sunlight alone in K
+ * @returns {number} Internal to absorbed flux ratio (Jupiter ≈ 0.7, Uranus ≈ 0.06)
+ */
+export function calculateInternalHeatRatio(internalHeatFlux, equilibriumTemperature) {
+  return internalHeatFlux / (STEFAN_BOLTZMANN * equilibriumTemperature ** 4);
+}
+
+/**
+ * Describes the band structure of a giant's atmosphere
+ * @param {PhysicalParameters} physical - Planet physical parameters
+ * @param {CompositionParameters} composition - Planet composition
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.jetSpeed=100] - Zonal jet speed in m/s
+ * @returns {Object} Band count, internal heat ratio, belt/zone contrast (0-1) and
+ *   number of large storms
+ */
+export function analyzeBands(physical, composition, { jetSpeed = DEFAULT_JET_SPEED } = {}) {
+  const equilibriumTemperature = composition.orbit
+    ? composition.orbit.calculateEquilibriumTemperature(composition.surface.albedo)
+    : composition.surface.temperature;
+  const internalHeatRatio = calculateInternalHeatRatio(composition.internalHeatFlux, equilibriumTemperature);
+  const convection = Math.min(1, internalHeatRatio);
+  const clearing = Math.min(1, Math.max(0,
+    (composition.getEffectiveTemperature() - HAZE_TEMPERATURE) / CLEAR_TEMPERATURE_RANGE));
+
+  return {
+    bandCount: calculateBandCount(physical.rotationRate, physical.radius, jetSpeed),
+    internalHeatRatio,
+    contrast: MIN_CONTRAST + (1 - MIN_CONTRAST) * convection * clearing,
+    stormCount: Math.round(MAX_STORMS * convection)
+  };
+}
@@ -0,0 +1,249 @@
+import { EARTH } from '../utils/Constants.js';
+import { Quantity, SI_UNITS } from '../utils/Units.js';
+import { determinePhase, Phase, VOLATILES } from './VolatilePhases.js';
+import { RetentionState } from './AtmosphericRetention.js';
+
+/**
+ * Habitability assessment
+ * Earth Similarity Index (Schulze-Makuch et al. 2011), habitable-zone edges
+ * (Kopparapu et al. 2014) and the factors that limit habitability.
+ */
+
+// ESI weight exponents and Earth reference values for each planetary property
+export const ESI_WEIGHTS = {
+  radius: 0.57,
+  density: 1.07,
+  escapeVelocity: 0.7,
+  temperature: 5.58
+};
+
+const ESI_REFERENCE = {
+  radius: EARTH.radius,
+  density: EARTH.density,
+  escapeVelocity: EARTH.escapeVelocity,
+  temperature: 288
+};
+
+// Effective stellar flux limits S_eff = S☉ + aT + bT² + cT³ + dT⁴, T = Teff - 5780 K,
+// for a 1 Earth-mass planet. Valid for 2600-7200 K stars.
+const HABITABLE_ZONE_LIMITS = {
+  recentVenus: [1.776, 2.136e-4, 2.533e-8, -1.332e-11, -3.097e-15],
+  runawayGreenhouse: [1.107, 1.332e-4, 1.580e-8, -8.308e-12, -1.931e-15],
+  maximumGreenhouse: [0.356, 6.171e-5, 1.698e-9, -3.198e-12, -5.575e-16],
+  earlyMars: [0.320, 5.547e-5, 1.526e-9, -2.874e-12, -5.011e-16]
+};
+const SOLAR_TEMPERATURE = 5780; // K
+const MIN_HZ_TEMPERATURE = 2600; // K
+const MAX_HZ_TEMPERATURE = 7200; // K
+
+// Limits on bulk properties, relative to Earth
+const LOW_GRAVITY_LIMIT = 0.4;
+const HIGH_GRAVITY_LIMIT = 2.5;
+const VOLATILE_RICH_RADIUS = 1.6; // Above this most planets keep thick H/He envelopes
+const HIGH_ECCENTRICITY = 0.4;
+
+/**
+ * Where a planet sits relative to its star's habitable zone
+ */
+export const HabitableZoneStatus = {
+  TOO_HOT: 'inside inner edge',
+  OPTIMISTIC: 'optimistic',
+  CONSERVATIVE: 'conservative',
+  TOO_COLD: 'beyond outer edge'
+};
+
+/**
+ * Factors that limit a planet's habitability
+ */
+export const LimitingFactor = {
+  LOW_GRAVITY: 'low gravity',
+  HIGH_GRAVITY: 'high gravity',
+  VOLATILE_RICH: 'volatile-rich envelope',
+  ATMOSPHERE_LOSS: 'atmosphere loss',
+  THIN_ATMOSPHERE: 'thin atmosphere',
+  RUNAWAY_GREENHOUSE: 'runaway greenhouse',
+  TOO_HOT: 'too hot',
+  TOO_COLD: 'too cold',
+  NO_MAGNETIC_FIELD: 'no magnetic field',
+  ECCENTRIC_ORBIT: 'eccentric orbit',
+  NO_SURFACE: 'no solid surface'
+};
+
+/**
+ * Similarity of one property to Earth's
+ * Formula: ESI_x = (1 - |x - x₀| / (x + x₀))^w
+ * @param {number} value - Planet value
+ * @param {number} reference - Earth value
+ * @param {number} weight - Weight exponent
+ * @returns {number} Similarity between 0 and 1
+ */
+export function calculateSimilarity(value, reference, weight) {
+  return (1 - Math.abs(value - reference) / (value + reference)) ** weight;
+}
+
+/**
+ * Calculates the Earth Similarity Index
+ * The interior ESI combines radius and density, the surface ESI escape velocity
+ * and temperature; the global ESI is their geometric mean.
+ * @param {Object} properties - Planet properties
+ * @param {number} properties.radius - Radius in km
+ * @param {number} properties.density - Density in kg/m³
+ * @param {number} properties.escapeVelocity - Escape velocity in km/s
+ * @param {number} properties.temperature - Surface temperature in K
+ * @returns {Object} Global, interior and surface ESI plus each property's similarity
+ */
+export function calculateEarthSimilarityIndex(properties) {
+  const components = {};
+  for (const [property, weight] of Object.entries(ESI_WEIGHTS)) {
+    components[property] = calculateSimilarity(properties[property], ESI_REFERENCE[property], weight);
+  }
+
+  const interior = Math.sqrt(components.radius * components.density);
+  const surface = Math.sqrt(components.escapeVelocity * components.temperature);
+
+  return {
+    global: Math.sqrt(interior * surface),
+    interior,
+    surface,
+    components
+  };
+}
+
+/**
+ * Calculates habitable-zone edges for a star
+ * Formula: d = √(L / S_eff)
+ * @param {Object} star - Star with luminosity (L☉) and temperature (K)
+ * @returns {Object} Conservative (runaway to maximum greenhouse) and optimistic
+ *   (recent Venus to early Mars) inner and outer edges in AU
+ */
+export function calculateHabitableZone({ luminosity, temperature }) {
+  const t = Math.min(Math.max(temperature, MIN_HZ_TEMPERATURE), MAX_HZ_TEMPERATURE) - SOLAR_TEMPERATURE;
+  const distance = ([flux, a, b, c, d]) => Math.sqrt(
+    luminosity / (flux + a * t + b * t ** 2 + c * t ** 3 + d * t ** 4)
+  );
+
+  return {
+    conservative: {
+      inner: distance(HABITABLE_ZONE_LIMITS.runawayGreenhouse),
+      outer: distance(HABITABLE_ZONE_LIMITS.maximumGreenhouse)
+    },
+    optimistic: {
+      inner: distance(HABITABLE_ZONE_LIMITS.recentVenus),
+      outer: distance(HABITABLE_ZONE_LIMITS.earlyMars)
+    }
+  };
+}
+
+/**
+ * Classifies an orbital distance against the habitable zone
+ * @param {number} distance - Orbital distance in AU
+ * @param {Object} zone - Result of calculateHabitableZone
+ * @returns {string} Status (one of HabitableZoneStatus)
+ */
+export function classifyHabitableZone(distance, zone) {
+  if (distance < zone.optimistic.inner) return HabitableZoneStatus.TOO_HOT;
+  if (distance > zone.optimistic.outer) return HabitableZoneStatus.TOO_COLD;
+  if (distance >= zone.conservative.inner && distance <= zone.conservative.outer) {
+    return HabitableZoneStatus.CONSERVATIVE;
+  }
+  return HabitableZoneStatus.OPTIMISTIC;
+}
+
+/**
+ * Assesses how habitable a planet is
+ * @param {PhysicalParameters} physical - Planet physical parameters
+ * @param {CompositionParameters} composition - Planet composition
+ * @param {Object} [options] - Optional extra models
+ * @param {OrbitalParameters} [options.orbit=composition.orbit] - Host star and orbit
+ * @param {AdvancedParameters} [options.advanced] - Magnetic field and geology
+ * @param {UnitConverter} [options.units=SI_UNITS] - Display units for temperatures in descriptions
+ * @returns {Object} ESI, habitable zone and status, liquid-water flag and
+ *   limiting factors ({ factor, description })
+ */
+export function assessHabitability(physical, composition, { orbit = composition.orbit, advanced = null, units = SI_UNITS } = {}) {
+  const temperature = composition.getEffectiveTemperature();
+  const pressure = composition.atmosphere.pressure;
+  const gravity = physical.calculateSurfaceGravity() / EARTH.gravity;
+
+  const esi = calculateEarthSimilarityIndex({
+    radius: physical.radius,
+    density: physical.density,
+    escapeVelocity: physical.calculateEscapeVelocity(),
+    temperature
+  });
+
+  const limitingFactors = [];
+  const limit = (factor, description) => limitingFactors.push({ factor, description });
+
+  if (gravity < LOW_GRAVITY_LIMIT) {
+    limit(LimitingFactor.LOW_GRAVITY, `Surface gravity ${gravity.toFixed(2)} g struggles to hold an atmosphere`);
+  } else if (gravity > HIGH_GRAVITY_LIMIT) {
+    limit(LimitingFactor.HIGH_GRAVITY, `Surface gravity ${gravity.toFixed(2)} g`);
+  }
+
+  if (physical.radius / EARTH.radius > VOLATILE_RICH_RADIUS) {
+    limit(LimitingFactor.VOLATILE_RICH, 'Radius above 1.6 R⊕ suggests a thick hydrogen envelope');
+  }
+
+  const retention = composition.getAtmosphericRetention(physical);
+  const escaping = retention.gases
+    .filter(({ gas, state }) => (gas === 'H2O' || gas === 'N2') && state === RetentionState.LOST)
+    .map(({ gas }) => gas);
+  if (escaping.length > 0) {
+    limit(LimitingFactor.ATMOSPHERE_LOSS, `Cannot retain ${escaping.join(', ')}`);
+  }
+
+  if (pressure < VOLATILES.H2O.triplePoint.pressure) {
+    limit(LimitingFactor.THIN_ATMOSPHERE, 'Surface pressure below the triple point of water');
+  }
+
+  let habitableZone = null;
+  let zoneStatus = null;
+  if (orbit) {
+    habitableZone = calculateHabitableZone(orbit.star);
+    zoneStatus = classifyHabitableZone(orbit.orbit.semiMajorAxis, habitableZone);
+  }
+
+  const radiative = composition.getRadiativeBalance();
+  const waterPhase = determinePhase('H2O', temperature, pressure);
+  const liquidWater = composition.hasSolidSurface() && waterPhase === Phase.LIQUID;
+  if (!composition.hasSolidSurface()) {
+    limit(LimitingFactor.NO_SURFACE, `A ${composition.planetClass} has no surface to hold oceans`);
+  }
+  if (radiative.runaway) {
+    limit(LimitingFactor.RUNAWAY_GREENHOUSE, 'Oceans have boiled into a steam atmosphere');
+  } else if (zoneStatus === HabitableZoneStatus.TOO_HOT) {
+    limit(LimitingFactor.RUNAWAY_GREENHOUSE, 'Inside the habitable zone inner edge, where oceans would boil away');
+  }
+
+  if (waterPhase === Phase.SOLID) {
+    limit(LimitingFactor.TOO_COLD, `Too cold for liquid water at ${units.format(Quantity.TEMPERATURE, temperature)}`);
+  } else if (waterPhase === Phase.GAS && temperature > VOLATILES.H2O.triplePoint.temperature
+    && pressure >= VOLATILES.H2O.triplePoint.pressure) {
+    limit(LimitingFactor.TOO_HOT, `Too hot for liquid water at ${units.format(Quantity.TEMPERATURE, temperature)}`);
+  } else if (zoneStatus === HabitableZoneStatus.TOO_COLD) {
+    limit(LimitingFactor.TOO_COLD, 'Beyond the habitable zone outer edge, where CO2 condenses out');
+  }
+
+  if (orbit) {
+    if (orbit.orbit.eccentricity > HIGH_ECCENTRICITY) {
+      limit(LimitingFactor.ECCENTRIC_ORBIT, `Eccentricity ${orbit.orbit.eccentricity.toFixed(2)} drives extreme flux swings`);
+    }
+  }
+
+  if (advanced) {
+    const dynamo = advanced.assessDynamo(physical);
+    if (!advanced.magneticField.dynamoActive || !dynamo.plausible) {
+      limit(LimitingFactor.NO_MAGNETIC_FIELD, 'No dynamo to shield the atmosphere from stellar wind');
+    }
+  }
+
+  return {
+    esi,
+    habitableZone,
+    zoneStatus,
+    liquidWater,
+    limitingFactors,
+    potentiallyHabitable: liquidWater && limitingFactors.length === 0
+  };
+}
@@ -0,0 +1,245 @@
+import { GAS_CONSTANT, MOLECULAR_WEIGHTS, EARTH } from '../utils/Constants.js';
+
+/**
+ * Impact cratering
+ * Crater size from pi-group scaling (Collins, Melosh & Marcus 2005), atmospheric
+ * erosion from the tangent-plane cap plus global ground-motion loss
+ * (Schlichting et al. 2015), and ejecta escape from point-source ejecta-velocity
+ * scaling (Housen & Holsapple 2011).
+ */
+
+// Rocky asteroid and crustal rock, kg/m³
+export const DEFAULT_IMPACTOR_DENSITY = 3000;
+const TARGET_DENSITY = 2750;
+
+// Transient crater: D_tc = 1.161 (ρi/ρt)^(1/3) L^0.78 v^0.44 g^-0.22 sin^(1/3)θ (SI)
+const TRANSIENT_COEFFICIENT = 1.161;
+
+// Simple craters collapse to 1.25 D_tc; above the transition diameter (3.2 km on
+// Earth, inversely proportional to gravity) they slump into complex craters
+const SIMPLE_RIM_FACTOR = 1.25;
+const EARTH_TRANSITION_DIAMETER = 3200; // m
+const SIMPLE_DEPTH_RATIO = 0.2;
+
+// Ejecta leave faster than v for a fraction (v / √(g R_tc))^(-3μ), with μ = 0.55 for rock
+const EJECTA_VELOCITY_EXPONENT = 1.65;
+
+// Energy of one megaton of TNT, J
+export const MEGATON = 4.184e15;
+
+const PASCALS_PER_ATM = 101325;
+
+/**
+ * Validates impact parameters
+ * @param {Object} params - Parameters to validate
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateImpactParams(params) {
+  const errors = [];
+  const { mass, velocity, angle, latitude, longitude, density } = params;
+
+  if (typeof mass !== 'number' || !(mass > 0)) {
+    errors.push('Impactor mass must be a positive number');
+  }
+
+  if (typeof velocity !== 'number' || !(velocity > 0)) {
+    errors.push('Impact velocity must be a positive number');
+  }
+
+  if (typeof angle !== 'number' || !(angle > 0 && angle <= 90)) {
+    errors.push('Impact angle must be between 0 and 90 degrees');
+  }
+
+  if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+    errors.push('Latitude must be between -90 and 90 degrees');
+  }
+
+  if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+    errors.push('Longitude must be between -180 and 180 degrees');
+  }
+
+  if (density !== undefined && (typeof density !== 'number' || !(density > 0))) {
+    errors.push('Impactor density must be a positive number');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Calculates the transient (excavation) crater diameter
+ * Formula: D_tc = 1.161 * (ρi / ρt)^(1/3) * L^0.78 * v^0.44 * g^-0.22 * sin^(1/3)θ
+ * @param {Object} impact - Impact properties
+ * @param {number} impact.diameter - Impactor diameter in m
+ * @param {number} impact.density - Impactor density in kg/m³
+ * @param {number} impact.velocity - Impact velocity in m/s
+ * @param {number} impact.angle - Impact angle from the horizontal in degrees
+ * @param {number} gravity - Surface gravity in m/s²
+ * @returns {number} Transient crater diameter in m
+ */
+export function calculateTransientCraterDiameter({ diameter, density, velocity, angle }, gravity) {
+  return TRANSIENT_COEFFICIENT
+    * Math.cbrt(density / TARGET_DENSITY)
+    * (diameter ** 0.78)
+    * (velocity ** 0.44)
+    * (gravity ** -0.22)
+    * Math.cbrt(Math.sin((angle * Math.PI) / 180));
+}
+
+/**
+ * Calculates the final crater after collapse
+ * Simple: D = 1.25 D_tc, depth D/5. Complex: D = 1.17 D_tc^1.13 / D_c^0.13,
+ * depth 0.4 D^0.3 (km)
+ * @param {number} transientDiameter - Transient crater diameter in m
+ * @param {number} gravity - Surface gravity in m/s²
+ * @returns {Object} Final diameter and depth (km) and whether the crater is complex
+ */
+export function calculateFinalCrater(transientDiameter, gravity) {
+  const transitionDiameter = EARTH_TRANSITION_DIAMETER * (EARTH.gravity / gravity);
+  const simpleDiameter = SIMPLE_RIM_FACTOR * transientDiameter;
+
+  if (simpleDiameter < transitionDiameter) {
+    return {
+      diameter: simpleDiameter / 1000,
+      depth: (SIMPLE_DEPTH_RATIO * simpleDiameter) / 1000,
+      complex: false
+    };
+  }
+
+  const diameter = (1.17 * (transientDiameter ** 1.13)) / (transitionDiameter ** 0.13) / 1000;
+  return {
+    diameter,
+    depth: 0.4 * (diameter ** 0.3),
+    complex: true
+  };
+}
+
+/**
+ * Mean molecular weight of an atmosphere; unlisted gases count as N2
+ * @private
+ */
+function calculateMeanMolecularWeight(composition) {
+  let total = 0;
+  let weighted = 0;
+  for (const [gas, percentage] of Object.entries(composition)) {
+    weighted += percentage * (MOLECULAR_WEIGHTS[gas] || MOLECULAR_WEIGHTS.N2);
+    total += percentage;
+  }
+  return total > 0 ? weighted / total : MOLECULAR_WEIGHTS.N2;
+}
+
+/**
+ * Calculates how much atmosphere an impact blows off
+ * The larger of two mechanisms: the impactor's excess kinetic energy ejecting the
+ * cap of air above the plane tangent to the impact site (mass M_atm * H / 2R), and
+ * ground motion launching air globally,
+ * X = 0.4x + 1.4x² - 0.8x³ with x = v * m / (v_esc * M)
+ * @param {Object} params - Impact and planet properties
+ * @param {number} params.impactorMass - Impactor mass in kg
+ * @param {number} params.velocity - Impact velocity in m/s
+ * @param {number} params.planetMass - Planet mass in kg
+ * @param {number} params.radius - Planet radius in m
+ * @param {number} params.gravity - Surface gravity in m/s²
+ * @param {number} params.escapeVelocity - Escape velocity in m/s
+ * @param {number} params.atmosphereMass - Atmosphere mass in kg
+ * @param {number} params.scaleHeight - Atmospheric scale height in m
+ * @returns {number} Atmosphere mass lost in kg
+ */
+export function calculateAtmosphericErosion({
+  impactorMass,
+  velocity,
+  planetMass,
+  radius,
+  escapeVelocity,
+  atmosphereMass,
+  scaleHeight
+}) {
+  if (atmosphereMass <= 0) return 0;
+
+  const capMass = atmosphereMass * Math.min(1, scaleHeight / (2 * radius));
+  const excessEnergy = Math.max(0, (velocity / escapeVelocity) ** 2 - 1);
+  const localLoss = Math.min(capMass, impactorMass * excessEnergy);
+
+  const x = Math.min(1, (velocity * impactorMass) / (escapeVelocity * planetMass));
+  const globalFraction = Math.min(1, 0.4 * x + 1.4 * x ** 2 - 0.8 * x ** 3);
+
+  return Math.min(atmosphereMass, Math.max(localLoss, globalFraction * atmosphereMass));
+}
+
+/**
+ * Works out the consequences of an impact without changing the planet
+ * @param {PhysicalParameters} physical - Planet physical parameters
+ * @param {CompositionParameters} composition - Planet composition
+ * @param {Object} impact - Impact parameters
+ * @param {number} impact.mass - Impactor mass in kg
+ * @param {number} impact.velocity - Impact velocity in km/s
+ * @param {number} impact.angle - Impact angle from the horizontal in degrees (0-90)
+ * @param {number} impact.latitude - Impact latitude in degrees
+ * @param {number} impact.longitude - Impact longitude in degrees (-180 to 180)
+ * @param {number} [impact.density=3000] - Impactor density in kg/m³
+ * @returns {Object} Energy (J and megatons), impactor diameter (m), transient
+ *   diameter (m), the crater record, ejecta mass and escaping ejecta (kg), and
+ *   atmosphere lost (kg and atm); giants have no surface, so no crater (null)
+ *   and no ejecta
+ */
+export function simulateImpact(physical, composition, impact) {
+  const validation = validateImpactParams(impact);
+  if (!validation.isValid) {
+    throw new Error(`Invalid impact parameters: ${validation.errors.join(', ')}`);
+  }
+
+  const { mass, angle, latitude, longitude, density = DEFAULT_IMPACTOR_DENSITY } = impact;
+  const velocity = impact.velocity * 1000;
+  const gravity = physical.calculateSurfaceGravity();
+  const radius = physical.radius * 1000;
+  const escapeVelocity = physical.calculateEscapeVelocity() * 1000;
+
+  const energy = 0.5 * mass * velocity ** 2;
+  const impactorDiameter = Math.cbrt((6 * mass) / (Math.PI * density));
+  const transientDiameter = calculateTransientCraterDiameter(
+    { diameter: impactorDiameter, density, velocity, angle },
+    gravity
+  );
+  const crater = calculateFinalCrater(transientDiameter, gravity);
+  const solid = composition.hasSolidSurface();
+
+  // Excavated volume of the paraboloid transient crater: V = π D_tc³ / (16√2)
+  const ejectaMass = solid ? ((Math.PI * transientDiameter ** 3) / (16 * Math.SQRT2)) * TARGET_DENSITY : 0;
+  const ejectaSpeed = Math.sqrt(gravity * (transientDiameter / 2));
+  const escapingEjecta = ejectaMass * Math.min(1, (escapeVelocity / ejectaSpeed) ** -EJECTA_VELOCITY_EXPONENT);
+
+  const pressure = composition.atmosphere.pressure * PASCALS_PER_ATM;
+  const atmosphereMass = (pressure * 4 * Math.PI * radius ** 2) / gravity;
+  const scaleHeight = (GAS_CONSTANT * composition.getEffectiveTemperature())
+    / (calculateMeanMolecularWeight(composition.atmosphere.composition) * gravity);
+  const atmosphereLost = calculateAtmosphericErosion({
+    impactorMass: mass,
+    velocity,
+    planetMass: physical.mass,
+    radius,
+    escapeVelocity,
+    atmosphereMass,
+    scaleHeight
+  });
+
+  return {
+    energy,
+    energyMegatons: energy / MEGATON,
+    impactorDiameter,
+    transientDiameter,
+    crater: solid ? {
+      latitude,
+      longitude,
+      diameter: crater.diameter,
+      depth: crater.depth,
+      complex: crater.complex,
+      energy
+    } : null,
+    ejectaMass,
+    escapingEjecta,
+    atmosphereLost,
+    pressureLost: atmosphereMass > 0 ? (atmosphereLost / atmosphereMass) * composition.atmosphere.pressure : 0
+  };
+}
@@ -0,0 +1,310 @@
+import { GRAVITATIONAL_CONSTANT } from '../utils/Constants.js';
+
+/**
+ * Layered interior structure model
+ * Integrates hydrostatic equilibrium through an iron core, silicate mantle,
+ * water/ice layer and H/He envelope to derive radius from mass and composition.
+ */
+
+/**
+ * Equations of state for each layer
+ * Rocky and icy layers use the modified polytropes of Seager et al. (2007):
+ * ρ(P) = ρ0 + c * P^n (P in Pa, ρ in kg/m³). Above the perovskite transition the
+ * mantle uses the MgSiO3 perovskite fit; below it, upper-mantle olivine/pyroxene density.
+ * The H/He envelope uses an n = 1 polytrope, ρ = √(P / K), calibrated to Jupiter.
+ */
+export const LAYER_EOS = {
+  core: { name: 'Iron core', rho0: 8300, c: 0.00349, n: 0.528 },
+  mantle: {
+    name: 'Silicate mantle',
+    rho0: 4100,
+    c: 0.00161,
+    n: 0.541,
+    lowPressurePhase: { rho0: 3300, transitionPressure: 23.8e9 }
+  },
+  water: { name: 'Water/ice', rho0: 1460, c: 0.00311, n: 0.513 },
+  envelope: { name: 'H/He envelope', polytropeK: 2.1e5 }
+};
+
+// Layers in order from the center outward
+const LAYER_ORDER = ['core', 'mantle', 'water', 'envelope'];
+
+// Surface is defined at the 1 bar level, as is conventional for gas giants
+const SURFACE_PRESSURE = 1e5; // Pa
+
+/**
+ * Density of a layer material at a given pressure
+ * @param {string} layer - Layer name (core, mantle, water, envelope)
+ * @param {number} pressure - Pressure in Pa
+ * @returns {number} Density in kg/m³
+ */
+export function calculateLayerDensity(layer, pressure) {
+  const eos = LAYER_EOS[layer];
+  const p = Math.max(pressure, 0);
+  if (eos.polytropeK) {
+    return Math.sqrt(p / eos.polytropeK);
+  }
+  if (eos.lowPressurePhase && p < eos.lowPressurePhase.transitionPressure) {
+    return eos.lowPressurePhase.rho0 + eos.c * (p ** eos.n);
+  }
+  return eos.rho0 + eos.c * (p ** eos.n);
+}
+
+/**
+ * Interior structure built from mass fractions of each layer
+ */
+class InteriorModel {
+  /**
+   * Creates a new InteriorModel instance
+   * @param {Object} params - Layer mass fractions, summing to 1
+   * @param {number} params.core - Iron core mass fraction
+   * @param {number} params.mantle - Silicate mantle mass fraction
+   * @param {number} params.water - Water/ice mass fraction
+   * @param {number} params.envelope - H/He envelope mass fraction
+   */
+  constructor({ core, mantle, water, envelope }) {
+    // Validate parameters
+    const validation = validateInteriorParams({ core, mantle, water, envelope });
+    if (!validation.isValid) {
+      throw new Error(`Invalid interior parameters: ${validation.errors.join(', ')}`);
+    }
+
+    this.core = core;
+    this.mantle = mantle;
+    this.water = water;
+    this.envelope = envelope;
+  }
+
+  /**
+   * Integrates the structure outward in mass for a given central pressure
+   * @param {number} mass - Total planet mass in kg
+   * @param {number} centralPressure - Central pressure in Pa
+   * @returns {Object} Integration result; reachedSurface is true when pressure
+   *   dropped to the surface value before all mass was enclosed
+   * @private
+   */
+  integrate(mass, centralPressure) {
+    // Enclosed mass at the top of each layer
+    const boundaries = [];
+    let cumulative = 0;
+    for (const layer of LAYER_ORDER) {
+      cumulative += this[layer];
+      boundaries.push({ layer, top: cumulative * mass });
+    }
+
+    let layerIndex = boundaries.findIndex(({ top }) => top > 0);
+    let layer = boundaries[layerIndex].layer;
+
+    // Start from a tiny central sphere to avoid the r = 0 singularity
+    const centralDensity = calculateLayerDensity(layer, centralPressure);
+    let m = mass * 1e-9;
+    let r = Math.cbrt((3 * m) / (4 * Math.PI * centralDensity));
+    let p = centralPressure;
+    let momentOfInertia = 0.4 * m * r * r;
+    let coreRadius = this.core > 0 ? null : 0;
+    const layerRadii = {};
+
+    const derivatives = (mEval, rEval, pEval) => {
+      const rho = calculateLayerDensity(layer, pEval);
+      return {
+        drdm: 1 / (4 * Math.PI * rEval * rEval * rho),
+        dpdm: -(GRAVITATIONAL_CONSTANT * mEval) / (4 * Math.PI * (rEval ** 4))
+      };
+    };
+
+    const maxStep = mass / 500;
+    for (let step = 0; step < 200000 && m < mass; step++) {
+      const d = derivatives(m, r, p);
+
+      // Limit the step so pressure and radius change by at most 2%
+      let dm = Math.min(maxStep, (0.02 * p) / Math.abs(d.dpdm), (0.02 * r) / d.drdm);
+      dm = Math.min(dm, boundaries[layerIndex].top - m);
+
+      // Midpoint (RK2) step
+      const mid = derivatives(m + dm / 2, r + (d.drdm * dm) / 2, p + (d.dpdm * dm) / 2);
+      const rNext = r + mid.drdm * dm;
+      const pNext = p + mid.dpdm * dm;
+
+      if (pNext <= SURFACE_PRESSURE) {
+        return { reachedSurface: true, radius: r, pressure: p };
+      }
+
+      const rMid = (r + rNext) / 2;
+      momentOfInertia += (2 / 3) * rMid * rMid * dm;
+      m += dm;
+      r = rNext;
+      p = pNext;
+
+      // Move into the next non-empty layer once this one is filled
+      while (layerIndex < boundaries.length - 1 && m >= boundaries[layerIndex].top * (1 - 1e-12)) {
+        layerRadii[layer] = r;
+        if (layer === 'core') {
+          coreRadius = r;
+        }
+        layerIndex++;
+        layer = boundaries[layerIndex].layer;
+      }
+    }
+
+    layerRadii[layer] = r;
+    if (coreRadius === null) {
+      coreRadius = r;
+    }
+
+    return {
+      reachedSurface: false,
+      radius: r,
+      pressure: p,
+      coreRadius,
+      layerRadii,
+      momentOfInertia
+    };
+  }
+
+  /**
+   * Solves for the hydrostatic structure of a planet of the given mass
+   * Bisects on central pressure until the surface pressure is reached exactly
+   * when all mass is enclosed.
+   * @param {number} mass - Total planet mass in kg
+   * @returns {Object} Structure with radius (km), coreRadius (km), layerRadii (km),
+   *   centralPressure (GPa), meanDensity (kg/m³) and momentOfInertiaFactor
+   */
+  solve(mass) {
+    let low = Math.log(1e6);
+    let high = Math.log(1e20);
+    let result = null;
+
+    for (let i = 0; i < 40; i++) {
+      const mid = (low + high) / 2;
+      const trial = this.integrate(mass, Math.exp(mid));
+      if (trial.reachedSurface) {
+        low = mid; // Ran out of pressure before enclosing all mass
+      } else {
+        high = mid;
+        result = trial;
+      }
+    }
+
+    if (!result) {
+      throw new Error('Interior model did not converge for this mass');
+    }
+
+    const radiusMeters = result.radius;
+    const layerRadii = {};
+    for (const [layer, radius] of Object.entries(result.layerRadii)) {
+      layerRadii[layer] = radius / 1000;
+    }
+
+    return {
+      radius: radiusMeters / 1000, // Convert m to km
+      coreRadius: result.coreRadius / 1000,
+      layerRadii,
+      centralPressure: Math.exp(high) / 1e9, // Convert Pa to GPa
+      meanDensity: mass / ((4 / 3) * Math.PI * (radiusMeters ** 3)),
+      momentOfInertiaFactor: result.momentOfInertia / (mass * radiusMeters * radiusMeters)
+    };
+  }
+
+  /**
+   * Returns a formatted string of the layer fractions and solved structure
+   * @param {number} mass - Total planet mass in kg
+   * @returns {string} Formatted interior information
+   */
+  toString(mass) {
+    const structure = this.solve(mass);
+    return `
+Interior Structure:
+  Iron Core: ${(this.core * 100).toFixed(1)}%
+  Silicate Mantle: ${(this.mantle * 100).toFixed(1)}%
+  Water/Ice: ${(this.water * 100).toFixed(1)}%
+  H/He Envelope: ${(this.envelope * 100).toFixed(1)}%
+
+Solved Structure:
+  Radius: ${structure.radius.toFixed(1)} km
+  Core Radius: ${structure.coreRadius.toFixed(1)} km
+  Central Pressure: ${structure.centralPressure.toFixed(1)} GPa
+  Mean Density: ${structure.meanDensity.toFixed(1)} kg/m³
+  Moment of Inertia Factor: ${structure.momentOfInertiaFactor.toFixed(3)}
+    `.trim();
+  }
+}
+
+/**
+ * Validates interior layer fractions
+ * @param {Object} params - Parameters to validate
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateInteriorParams(params) {
+  const errors = [];
+
+  for (const layer of LAYER_ORDER) {
+    const fraction = params[layer];
+    if (typeof fraction !== 'number' || Number.isNaN(fraction)) {
+      errors.push(`${LAYER_EOS[layer].name} fraction must be a number`);
+    } else if (fraction < 0 || fraction > 1) {
+      errors.push(`${LAYER_EOS[layer].name} fraction must be between 0 and 1`);
+    }
+  }
+
+  if (errors.length === 0) {
+    const total = LAYER_ORDER.reduce((sum, layer) => sum + params[layer], 0);
+    if (Math.abs(total - 1) > 0.01) {
+      errors.push(`Layer fractions must sum to 1 (currently ${total.toFixed(2)})`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// Earth-like interior
+export const EARTH_INTERIOR = {
+  core: 0.325,
+  mantle: 0.675,
+  water: 0,
+  envelope: 0
+};
+
+// Mars-like interior
+export const MARS_INTERIOR = {
+  core: 0.24,
+  mantle: 0.76,
+  water: 0,
+  envelope: 0
+};
+
+// Moon-like interior
+export const MOON_INTERIOR = {
+  core: 0.02,
+  mantle: 0.98,
+  water: 0,
+  envelope: 0
+};
+
+// Jupiter-like interior
+export const JUPITER_INTERIOR = {
+  core: 0.02,
+  mantle: 0.02,
+  water: 0.01,
+  envelope: 0.95
+};
+
+// Saturn-like interior
+export const SATURN_INTERIOR = {
+  core: 0.05,
+  mantle: 0.1,
+  water: 0.1,
+  envelope: 0.75
+};
+
+// Uranus- and Neptune-like interior: mostly water ice under a thin envelope
+export const ICE_GIANT_INTERIOR = {
+  core: 0.1,
+  mantle: 0.25,
+  water: 0.6,
+  envelope: 0.05
+};
+
+export default InteriorModel;
@@ -0,0 +1,387 @@
+import { STEFAN_BOLTZMANN } from '../utils/Constants.js';
+
+/**
+ * Gray radiative-convective greenhouse model
+ * Each absorber contributes an infrared optical depth; the troposphere follows
+ * an adiabat (T ∝ p^(R/cp)) up to the tropopause, above which the stratosphere
+ * is in gray radiative equilibrium. The surface temperature is the one at which
+ * outgoing longwave radiation balances absorbed starlight.
+ */
+
+// Line absorbers in the strong-line regime, with pressure broadening:
+// τ = k * √(p_gas * P), partial and total pressure in atm
+export const LINE_ABSORPTION = {
+  CO2: 3.3,
+  CH4: 5,
+  H2O: 10.3,
+  N2O: 40
+};
+
+// Collision-induced absorption from pairs of molecules: τ = k * p_gas², in atm
+export const COLLISION_INDUCED_ABSORPTION = {
+  N2: 0.02,
+  H2: 1,
+  CO2: 0.003
+};
+
+// Dry-adiabat exponent R/cp for common atmospheric gases; others count as diatomic.
+// Water vapor is handled through the moist adiabat instead.
+const ADIABATIC_EXPONENTS = {
+  N2: 0.286,
+  O2: 0.286,
+  H2: 0.286,
+  Ar: 0.4,
+  He: 0.4,
+  CO2: 0.2,
+  CH4: 0.23,
+  N2O: 0.2,
+  NH3: 0.24
+};
+const DEFAULT_ADIABATIC_EXPONENT = 0.286;
+
+// Optical depth grows as p^1 for broadened lines and p^2 for collision pairs
+const LINE_PRESSURE_EXPONENT = 1;
+const COLLISION_PRESSURE_EXPONENT = 2;
+
+// Two-stream diffusivity factor
+const DIFFUSIVITY = 1.66;
+
+// Near-surface relative humidity over open water
+export const OCEAN_RELATIVE_HUMIDITY = 0.77;
+
+// Water vapor saturation pressure at the triple point, atm
+const TRIPLE_POINT_PRESSURE = 0.00603;
+const TRIPLE_POINT_TEMPERATURE = 273.15; // K
+const LATENT_HEAT_OVER_VAPOR_CONSTANT = 5417; // K, L / R_v for water
+
+// Pressure exerted per km of ocean if it were all evaporated, in atm
+// (ρ_water * g_Earth * 1 km / 1 atm)
+const OCEAN_COLUMN_PRESSURE = 96.8;
+
+// Hottest surface the solver searches; beyond this the greenhouse has run away
+export const MAX_SURFACE_TEMPERATURE = 2500; // K
+
+const INTEGRATION_STEPS = 200;
+const PROFILE_LEVELS = 60;
+const PROFILE_DECADES = 6;
+const SEARCH_FACTOR = 1.02;
+const BISECTION_STEPS = 40;
+
+/**
+ * Saturation vapor pressure of water from the Clausius–Clapeyron relation
+ * Formula: p = p₀ * exp(L/R_v * (1/T₀ - 1/T))
+ * @param {number} temperature - Temperature in K
+ * @returns {number} Saturation vapor pressure in atm
+ */
+export function calculateSaturationVaporPressure(temperature) {
+  return TRIPLE_POINT_PRESSURE * Math.exp(
+    LATENT_HEAT_OVER_VAPOR_CONSTANT * (1 / TRIPLE_POINT_TEMPERATURE - 1 / temperature)
+  );
+}
+
+/**
+ * Calculates the infrared optical depth of each absorber
+ * @param {Object} composition - Gas mole percentages
+ * @param {number} pressure - Dry surface pressure in atm
+ * @param {number} [waterVaporPressure=0] - Extra water vapor evaporated from oceans, atm
+ * @returns {Object} Optical depth per source, total optical depth and the
+ *   effective exponent n of τ ∝ p^n
+ */
+export function calculateOpticalDepths(composition, pressure, waterVaporPressure = 0) {
+  const totalPressure = pressure + waterVaporPressure;
+  const partialPressure = (gas) => ((composition[gas] || 0) / 100) * pressure
+    + (gas === 'H2O' ? waterVaporPressure : 0);
+
+  const sources = {};
+  let total = 0;
+  let weightedExponent = 0;
+
+  for (const [gas, absorption] of Object.entries(LINE_ABSORPTION)) {
+    const tau = absorption * Math.sqrt(partialPressure(gas) * totalPressure);
+    if (tau > 0) {
+      sources[gas] = tau;
+      total += tau;
+      weightedExponent += tau * LINE_PRESSURE_EXPONENT;
+    }
+  }
+
+  for (const [gas, absorption] of Object.entries(COLLISION_INDUCED_ABSORPTION)) {
+    const tau = absorption * partialPressure(gas) ** 2;
+    if (tau > 0) {
+      sources[`${gas}-${gas}`] = tau;
+      total += tau;
+      weightedExponent += tau * COLLISION_PRESSURE_EXPONENT;
+    }
+  }
+
+  return {
+    sources,
+    total,
+    pressureExponent: total > 0 ? weightedExponent / total : LINE_PRESSURE_EXPONENT
+  };
+}
+
+/**
+ * Calculates the mole-fraction-weighted dry-adiabat exponent R/cp
+ * @param {Object} composition - Gas mole percentages
+ * @returns {number} Adiabat exponent
+ */
+export function calculateAdiabaticExponent(composition) {
+  let total = 0;
+  let weighted = 0;
+  for (const [gas, percentage] of Object.entries(composition)) {
+    weighted += percentage * (ADIABATIC_EXPONENTS[gas] ?? DEFAULT_ADIABATIC_EXPONENT);
+    total += percentage;
+  }
+  return total > 0 ? weighted / total : DEFAULT_ADIABATIC_EXPONENT;
+}
+
+/**
+ * Radiative-convective model of a planet's atmosphere
+ */
+class RadiativeTransferModel {
+  /**
+   * Creates a new RadiativeTransferModel instance
+   * @param {Object} params - Model parameters
+   * @param {Object} params.composition - Gas mole percentages
+   * @param {number} params.pressure - Surface pressure in atm
+   * @param {number} [params.oceanCoverage=0] - Percentage of surface covered by water
+   * @param {number} [params.oceanDepth=0] - Average ocean depth in km
+   * @param {number} [params.relativeHumidity=OCEAN_RELATIVE_HUMIDITY] - Humidity over open water (0-1)
+   */
+  constructor({
+    composition,
+    pressure,
+    oceanCoverage = 0,
+    oceanDepth = 0,
+    relativeHumidity = OCEAN_RELATIVE_HUMIDITY
+  }) {
+    this.composition = composition;
+    this.pressure = pressure;
+    this.oceanCoverage = oceanCoverage;
+    this.oceanDepth = oceanDepth;
+    this.relativeHumidity = relativeHumidity;
+  }
+
+  /**
+   * Build a model from a planet's composition
+   * @param {CompositionParameters} composition - Planet composition
+   * @returns {RadiativeTransferModel} Model for the planet's atmosphere and oceans
+   */
+  static fromComposition(composition) {
+    return new RadiativeTransferModel({
+      composition: composition.atmosphere.composition,
+      pressure: composition.atmosphere.pressure,
+      oceanCoverage: composition.water.coverage,
+      oceanDepth: composition.water.depth
+    });
+  }
+
+  /**
+   * Water vapor evaporated from the oceans at a given surface temperature,
+   * limited by the total ocean inventory
+   * @param {number} surfaceTemperature - Surface temperature in K
+   * @returns {number} Water vapor partial pressure in atm
+   */
+  calculateWaterVaporPressure(surfaceTemperature) {
+    const coverage = this.oceanCoverage / 100;
+    if (coverage <= 0) return 0;
+
+    const humidity = this.relativeHumidity * coverage * calculateSaturationVaporPressure(surfaceTemperature);
+    return Math.min(humidity, this.calculateOceanInventory());
+  }
+
+  /**
+   * Water vapor pressure if the entire ocean evaporated
+   * @returns {number} Pressure in atm
+   */
+  calculateOceanInventory() {
+    return this.oceanDepth * (this.oceanCoverage / 100) * OCEAN_COLUMN_PRESSURE;
+  }
+
+  /**
+   * Builds the temperature profile for a trial surface temperature
+   * Above the tropopause the stratosphere follows the gray radiative equilibrium
+   * σT⁴ = σTe⁴ (1 + Dτ) / 2; below it convection holds the troposphere on the
+   * adiabat anchored at the surface. The tropopause is the highest level where
+   * the adiabat is warmer than the radiative profile.
+   * @param {number} surfaceTemperature - Trial surface temperature in K
+   * @param {number} equilibriumTemperature - Planetary equilibrium temperature in K
+   * @returns {Object} Optical depths, tropopause optical depth and a
+   *   temperatureAt(τ) function
+   */
+  calculateProfile(surfaceTemperature, equilibriumTemperature) {
+    const opticalDepth = this.getOpticalDepths(surfaceTemperature);
+    const total = opticalDepth.total;
+    const slope = this.getAdiabaticExponent(surfaceTemperature) / opticalDepth.pressureExponent;
+    const adiabat = (tau) => surfaceTemperature * Math.pow(tau / total, slope);
+    const radiative = (tau) => equilibriumTemperature * Math.pow((1 + DIFFUSIVITY * tau) / 2, 0.25);
+
+    // Scan down from the top of the atmosphere in log-spaced levels
+    let tropopauseDepth = total;
+    let above = 0;
+    for (let i = 0; i <= PROFILE_LEVELS && total > 0; i++) {
+      const tau = total * Math.pow(10, PROFILE_DECADES * (i / PROFILE_LEVELS - 1));
+      if (adiabat(tau) >= radiative(tau)) {
+        let low = above;
+        let high = tau;
+        for (let j = 0; j < BISECTION_STEPS; j++) {
+          const mid = (low + high) / 2;
+          if (adiabat(mid) >= radiative(mid)) {
+            high = mid;
+          } else {
+            low = mid;
+          }
+        }
+        tropopauseDepth = high;
+        break;
+      }
+      above = tau;
+    }
+
+    return {
+      opticalDepth,
+      tropopauseDepth,
+      temperatureAt: (tau) => (tau < tropopauseDepth ? radiative(tau) : adiabat(tau))
+    };
+  }
+
+  /**
+   * Calculates outgoing longwave radiation for a trial surface temperature
+   * Formula: OLR = σTs⁴ e^(-Dτs) + ∫ σT(τ)⁴ d(e^(-Dτ))
+   * @param {number} surfaceTemperature - Trial surface temperature in K
+   * @param {number} equilibriumTemperature - Planetary equilibrium temperature in K
+   * @returns {number} Outgoing longwave radiation in W/m²
+   */
+  calculateOutgoingRadiation(surfaceTemperature, equilibriumTemperature) {
+    const profile = this.calculateProfile(surfaceTemperature, equilibriumTemperature);
+    const surfaceTransmission = Math.exp(-DIFFUSIVITY * profile.opticalDepth.total);
+
+    let radiation = STEFAN_BOLTZMANN * (surfaceTemperature ** 4) * surfaceTransmission;
+    const dt = (1 - surfaceTransmission) / INTEGRATION_STEPS;
+    for (let i = 0; i < INTEGRATION_STEPS; i++) {
+      const transmission = surfaceTransmission + (i + 0.5) * dt;
+      const temperature = profile.temperatureAt(-Math.log(transmission) / DIFFUSIVITY);
+      radiation += STEFAN_BOLTZMANN * (temperature ** 4) * dt;
+    }
+
+    return radiation;
+  }
+
+  /**
+   * Optical depths including ocean water vapor at a surface temperature
+   * @param {number} surfaceTemperature - Surface temperature in K
+   * @returns {Object} Result of calculateOpticalDepths
+   */
+  getOpticalDepths(surfaceTemperature) {
+    return calculateOpticalDepths(
+      this.composition,
+      this.pressure,
+      this.calculateWaterVaporPressure(surfaceTemperature)
+    );
+  }
+
+  /**
+   * Adiabat exponent including latent heat release from ocean water vapor
+   * Formula: γ_moist = γ * (1 + X f) / (1 + X² γ f), X = L/(R_v T), f = p_vapor / p
+   * @param {number} surfaceTemperature - Surface temperature in K
+   * @returns {number} Effective R/cp of the near-surface air
+   */
+  getAdiabaticExponent(surfaceTemperature) {
+    const dry = calculateAdiabaticExponent(this.composition);
+    const vapor = this.calculateWaterVaporPressure(surfaceTemperature);
+    if (vapor <= 0) return dry;
+
+    const latent = LATENT_HEAT_OVER_VAPOR_CONSTANT / surfaceTemperature;
+    const vaporFraction = vapor / (this.pressure + vapor);
+    return dry * (1 + latent * vaporFraction) / (1 + latent * latent * dry * vaporFraction);
+  }
+
+  /**
+   * Calculates the tropopause for a surface temperature
+   * @param {number} surfaceTemperature - Surface temperature in K
+   * @param {number} equilibriumTemperature - Planetary equilibrium temperature in K
+   * @returns {Object} Tropopause temperature (K), pressure (atm) and optical depth
+   */
+  calculateTropopause(surfaceTemperature, equilibriumTemperature) {
+    const profile = this.calculateProfile(surfaceTemperature, equilibriumTemperature);
+    const { total, pressureExponent } = profile.opticalDepth;
+    const surfacePressure = this.pressure + this.calculateWaterVaporPressure(surfaceTemperature);
+    const tau = profile.tropopauseDepth;
+
+    return {
+      temperature: total > 0 ? profile.temperatureAt(tau) : surfaceTemperature,
+      pressure: total > 0 ? surfacePressure * Math.pow(tau / total, 1 / pressureExponent) : surfacePressure,
+      opticalDepth: tau
+    };
+  }
+
+  /**
+   * Solves for the surface temperature that balances the energy budget
+   * Searches upward from the equilibrium temperature so the coolest stable
+   * climate is found when water vapor feedback allows several.
+   * @param {number} equilibriumTemperature - Planetary equilibrium temperature in K
+   * @returns {Object} Surface temperature and greenhouse warming (K), tropopause,
+   *   total optical depth, ocean water vapor (atm), per-source contributions
+   *   and runaway flag
+   */
+  solve(equilibriumTemperature) {
+    const absorbed = STEFAN_BOLTZMANN * (equilibriumTemperature ** 4);
+    const imbalance = (temperature) => this.calculateOutgoingRadiation(temperature, equilibriumTemperature) - absorbed;
+
+    let low = equilibriumTemperature;
+    let high = equilibriumTemperature;
+    let runaway = false;
+    while (imbalance(high) < 0) {
+      low = high;
+      high *= SEARCH_FACTOR;
+      if (high >= MAX_SURFACE_TEMPERATURE) {
+        high = MAX_SURFACE_TEMPERATURE;
+        runaway = imbalance(high) < 0;
+        break;
+      }
+    }
+
+    let surfaceTemperature = high;
+    if (!runaway && high > low) {
+      for (let i = 0; i < BISECTION_STEPS; i++) {
+        const mid = (low + high) / 2;
+        if (imbalance(mid) < 0) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      surfaceTemperature = (low + high) / 2;
+    }
+
+    const opticalDepth = this.getOpticalDepths(surfaceTemperature);
+    const waterVaporPressure = this.calculateWaterVaporPressure(surfaceTemperature);
+    const greenhouseWarming = surfaceTemperature - equilibriumTemperature;
+
+    // A climate that has boiled off its whole ocean has also run away
+    const inventory = this.calculateOceanInventory();
+    if (inventory > 0 && waterVaporPressure >= inventory) {
+      runaway = true;
+    }
+
+    // Attribute warming to each source by its share of the optical depth
+    const contributions = Object.entries(opticalDepth.sources).map(([source, tau]) => ({
+      source,
+      opticalDepth: tau,
+      warming: greenhouseWarming * (tau / opticalDepth.total)
+    })).sort((a, b) => b.warming - a.warming);
+
+    return {
+      surfaceTemperature,
+      greenhouseWarming,
+      opticalDepth: opticalDepth.total,
+      tropopause: this.calculateTropopause(surfaceTemperature, equilibriumTemperature),
+      waterVaporPressure,
+      contributions,
+      runaway
+    };
+  }
+}
+
+export default RadiativeTransferModel;
@@ -0,0 +1,116 @@
+import { GRAVITATIONAL_CONSTANT } from '../utils/Constants.js';
+
+/**
+ * Rotational flattening
+ * Treats the planet as a uniform-density Maclaurin spheroid, whose eccentricity e
+ * is fixed by the spin rate through
+ * ω² / (πGρ) = 2√(1 - e²)(3 - 2e²) arcsin(e) / e³ - 6(1 - e²) / e²
+ * Real planets are centrally condensed and flatten less (Earth 1/298 against the
+ * uniform 1/230), so this is an upper estimate.
+ */
+
+// The Maclaurin sequence peaks at ω² / (πGρ) = 0.4494 (e = 0.9300); no
+// equilibrium spheroid exists for faster spin
+const MAX_ECCENTRICITY = 0.92995;
+const MAX_ROTATION_PARAMETER = 0.449331;
+
+// Below this rotation parameter the series q ≈ 8e²/15 avoids cancellation
+const SERIES_LIMIT = 1e-4;
+const BISECTION_STEPS = 60;
+
+/**
+ * Calculates the Maclaurin rotation parameter for an eccentricity
+ * Formula: q(e) = 2√(1 - e²)(3 - 2e²) arcsin(e) / e³ - 6(1 - e²) / e²
+ * @param {number} eccentricity - Meridional eccentricity (0-1)
+ * @returns {number} ω² / (πGρ)
+ */
+export function calculateRotationParameter(eccentricity) {
+  const e = eccentricity;
+  if (e === 0) return 0;
+  const e2 = e * e;
+  return (2 * Math.sqrt(1 - e2) * (3 - 2 * e2) * Math.asin(e)) / (e2 * e) - (6 * (1 - e2)) / e2;
+}
+
+/**
+ * Finds the Maclaurin spheroid eccentricity for a rotation parameter
+ * Takes the slowly rotating branch, below the peak of the sequence.
+ * @param {number} rotationParameter - ω² / (πGρ)
+ * @returns {number|null} Eccentricity, or null if spin is too fast for any spheroid
+ */
+export function calculateMaclaurinEccentricity(rotationParameter) {
+  if (rotationParameter > MAX_ROTATION_PARAMETER) return null;
+  if (rotationParameter < SERIES_LIMIT) {
+    return Math.sqrt((15 * rotationParameter) / 8);
+  }
+
+  let low = 0;
+  let high = MAX_ECCENTRICITY;
+  for (let i = 0; i < BISECTION_STEPS; i++) {
+    const mid = (low + high) / 2;
+    if (calculateRotationParameter(mid) < rotationParameter) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Calculates the shortest rotation period a body can hold together at
+ * Formula: P = 2π / √(0.4494 * π * G * ρ), the peak of the Maclaurin sequence
+ * @param {number} mass - Mass in kg
+ * @param {number} radius - Mean radius in km
+ * @returns {number} Breakup period in hours
+ */
+export function calculateBreakupPeriod(mass, radius) {
+  const density = mass / ((4 / 3) * Math.PI * ((radius * 1000) ** 3));
+  const angularVelocity = Math.sqrt(MAX_ROTATION_PARAMETER * Math.PI * GRAVITATIONAL_CONSTANT * density);
+  return (2 * Math.PI) / angularVelocity / 3600;
+}
+
+/**
+ * Calculates the rotationally flattened shape and effective surface gravity
+ * The spheroid keeps the volume of a sphere of the mean radius. Effective gravity
+ * at each pole and at the equator is point-mass gravity at that radius, minus
+ * centrifugal acceleration at the equator.
+ * @param {Object} body - Body properties
+ * @param {number} body.mass - Mass in kg
+ * @param {number} body.radius - Mean radius in km
+ * @param {number} body.rotationRate - Rotation period in hours
+ * @returns {Object} Angular velocity (rad/s), centrifugal acceleration at the
+ *   equator (m/s²), eccentricity, flattening, equatorial and polar radius (km),
+ *   equatorial and polar gravity (m/s²) and breakup period (hours)
+ */
+export function calculateRotationalShape({ mass, radius, rotationRate }) {
+  const breakupPeriod = calculateBreakupPeriod(mass, radius);
+  if (rotationRate <= breakupPeriod) {
+    throw new Error(`Rotation period of ${rotationRate} hours is shorter than the breakup period of ${breakupPeriod.toFixed(2)} hours`);
+  }
+
+  const density = mass / ((4 / 3) * Math.PI * ((radius * 1000) ** 3));
+  const angularVelocity = (2 * Math.PI) / (rotationRate * 3600);
+  const eccentricity = calculateMaclaurinEccentricity(
+    (angularVelocity ** 2) / (Math.PI * GRAVITATIONAL_CONSTANT * density)
+  );
+  const flattening = 1 - Math.sqrt(1 - eccentricity ** 2);
+
+  // Volume-preserving: R_eq² * R_pol = R³
+  const equatorialRadius = radius / Math.cbrt(1 - flattening);
+  const polarRadius = equatorialRadius * (1 - flattening);
+  const equatorialMeters = equatorialRadius * 1000;
+  const polarMeters = polarRadius * 1000;
+  const centrifugalAcceleration = (angularVelocity ** 2) * equatorialMeters;
+
+  return {
+    angularVelocity,
+    centrifugalAcceleration,
+    eccentricity,
+    flattening,
+    equatorialRadius,
+    polarRadius,
+    equatorialGravity: (GRAVITATIONAL_CONSTANT * mass) / (equatorialMeters ** 2) - centrifugalAcceleration,
+    polarGravity: (GRAVITATIONAL_CONSTANT * mass) / (polarMeters ** 2),
+    breakupPeriod
+  };
+}
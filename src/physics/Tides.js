@@ -0,0 +1,211 @@
+import {
+  GRAVITATIONAL_CONSTANT,
+  STEFAN_BOLTZMANN,
+  SOLAR_MASS,
+  ASTRONOMICAL_UNIT
+} from '../utils/Constants.js';
+
+/**
+ * Tidal interaction between a body and the star or planet it orbits
+ * Constant-Q tides on a homogeneous elastic body: despinning toward
+ * (pseudo-)synchronous rotation (Gladman et al. 1996; Hut 1981) and
+ * eccentricity-driven heating of a synchronous rotator (Segatz et al. 1988).
+ */
+
+// Tidal dissipation and rigidity of rock
+export const DEFAULT_QUALITY_FACTOR = 100;
+export const DEFAULT_RIGIDITY = 3e10; // Pa
+
+// Uniform sphere; centrally condensed bodies are lower (Earth 0.33)
+const DEFAULT_MOMENT_OF_INERTIA_FACTOR = 0.4;
+
+// Age at which a body is judged against its locking time, years
+const DEFAULT_AGE = 4.5e9;
+
+// Rotation within this fraction of the equilibrium period counts as locked
+const LOCK_TOLERANCE = 0.01;
+
+const SECONDS_PER_YEAR = 3.156e7;
+
+/**
+ * Calculates the rotation rate tides drive a body toward on an eccentric orbit,
+ * relative to the mean motion (pseudo-synchronous rotation)
+ * Formula: Ω / n = (1 + 15/2 e² + 45/8 e⁴ + 5/16 e⁶) / ((1 + 3e² + 3/8 e⁴)(1 - e²)^(3/2))
+ * @param {number} eccentricity - Orbital eccentricity (0-0.99)
+ * @returns {number} Equilibrium spin rate over mean motion (1 for a circular orbit)
+ */
+export function calculatePseudoSynchronousRatio(eccentricity) {
+  const e2 = eccentricity ** 2;
+  const numerator = 1 + 7.5 * e2 + 5.625 * e2 ** 2 + 0.3125 * e2 ** 3;
+  const denominator = (1 + 3 * e2 + 0.375 * e2 ** 2) * ((1 - e2) ** 1.5);
+  return numerator / denominator;
+}
+
+/**
+ * Tidal model of a body orbiting a more massive parent
+ */
+class TidalModel {
+  /**
+   * Creates a new TidalModel instance
+   * @param {Object} params - Model parameters
+   * @param {PhysicalParameters} params.physical - The tidally deformed body
+   * @param {number} params.parentMass - Mass of the star or planet it orbits, in kg
+   * @param {number} params.semiMajorAxis - Orbital semi-major axis in km
+   * @param {number} [params.eccentricity=0] - Orbital eccentricity (0-0.99)
+   * @param {number} [params.qualityFactor=100] - Tidal dissipation factor Q
+   * @param {number} [params.rigidity=3e10] - Shear modulus μ in Pa
+   * @param {number} [params.momentOfInertiaFactor=0.4] - I / (M R²)
+   */
+  constructor({
+    physical,
+    parentMass,
+    semiMajorAxis,
+    eccentricity = 0,
+    qualityFactor = DEFAULT_QUALITY_FACTOR,
+    rigidity = DEFAULT_RIGIDITY,
+    momentOfInertiaFactor = DEFAULT_MOMENT_OF_INERTIA_FACTOR
+  }) {
+    if (!(qualityFactor > 0)) {
+      throw new Error('Tidal quality factor must be positive');
+    }
+    if (!(rigidity > 0)) {
+      throw new Error('Rigidity must be positive');
+    }
+
+    this.physical = physical;
+    this.parentMass = parentMass;
+    this.semiMajorAxis = semiMajorAxis;
+    this.eccentricity = eccentricity;
+    this.qualityFactor = qualityFactor;
+    this.rigidity = rigidity;
+    this.momentOfInertiaFactor = momentOfInertiaFactor;
+  }
+
+  /**
+   * Builds a tidal model of a planet raised by its host star
+   * @param {PhysicalParameters} physical - Planet physical parameters
+   * @param {OrbitalParameters} orbit - Host star and orbit
+   * @param {Object} [options] - Overrides for any constructor parameter
+   * @returns {TidalModel} Configured tidal model
+   */
+  static fromOrbit(physical, orbit, options = {}) {
+    return new TidalModel({
+      physical,
+      parentMass: orbit.star.mass * SOLAR_MASS,
+      semiMajorAxis: (orbit.orbit.semiMajorAxis * ASTRONOMICAL_UNIT) / 1000,
+      eccentricity: orbit.orbit.eccentricity,
+      ...options
+    });
+  }
+
+  /**
+   * Calculates the body's tidal Love number
+   * Formula: k₂ = 1.5 / (1 + 19μ / (2ρgR))
+   * @returns {number} Love number k₂
+   */
+  calculateLoveNumber() {
+    const { density } = this.physical;
+    const gravity = this.physical.calculateSurfaceGravity();
+    const radius = this.physical.radius * 1000;
+    return 1.5 / (1 + (19 * this.rigidity) / (2 * density * gravity * radius));
+  }
+
+  /**
+   * Calculates the orbital mean motion
+   * Formula: n = √(G * (M + m) / a³)
+   * @returns {number} Mean motion in rad/s
+   */
+  calculateMeanMotion() {
+    const semiMajorAxis = this.semiMajorAxis * 1000;
+    return Math.sqrt((GRAVITATIONAL_CONSTANT * (this.parentMass + this.physical.mass)) / (semiMajorAxis ** 3));
+  }
+
+  /**
+   * Calculates how long tides take to despin the body to synchronous rotation
+   * Formula: t = ω * a⁶ * I * Q / (3 * G * M² * k₂ * R⁵)
+   * @param {number} [initialRotationPeriod=physical.rotationRate] - Starting spin period in hours
+   * @returns {number} Locking timescale in years
+   */
+  calculateLockingTime(initialRotationPeriod = this.physical.rotationRate) {
+    const radius = this.physical.radius * 1000;
+    const semiMajorAxis = this.semiMajorAxis * 1000;
+    const spinRate = (2 * Math.PI) / (initialRotationPeriod * 3600);
+    const momentOfInertia = this.momentOfInertiaFactor * this.physical.mass * (radius ** 2);
+
+    const seconds = (spinRate * (semiMajorAxis ** 6) * momentOfInertia * this.qualityFactor)
+      / (3 * GRAVITATIONAL_CONSTANT * (this.parentMass ** 2) * this.calculateLoveNumber() * (radius ** 5));
+    return seconds / SECONDS_PER_YEAR;
+  }
+
+  /**
+   * Calculates the rotation period tides drive the body toward
+   * Synchronous on a circular orbit, slightly faster on an eccentric one.
+   * @returns {number} Equilibrium rotation period in hours
+   */
+  calculateEquilibriumRotationPeriod() {
+    const spinRate = this.calculateMeanMotion() * calculatePseudoSynchronousRatio(this.eccentricity);
+    return (2 * Math.PI) / spinRate / 3600;
+  }
+
+  /**
+   * Calculates tidal heating of a synchronously rotating body on an eccentric orbit
+   * Formula: Ė = (21/2) * (k₂ / Q) * G * M² * R⁵ * n * e² / a⁶
+   * @returns {number} Heating power in W
+   */
+  calculateHeatingPower() {
+    const radius = this.physical.radius * 1000;
+    const semiMajorAxis = this.semiMajorAxis * 1000;
+    return (10.5 * (this.calculateLoveNumber() / this.qualityFactor) * GRAVITATIONAL_CONSTANT
+      * (this.parentMass ** 2) * (radius ** 5) * this.calculateMeanMotion() * (this.eccentricity ** 2))
+      / (semiMajorAxis ** 6);
+  }
+
+  /**
+   * Calculates tidal heat flowing out through the surface
+   * Formula: F = Ė / (4π R²)
+   * @returns {number} Heat flux in W/m²
+   */
+  calculateHeatFlux() {
+    const radius = this.physical.radius * 1000;
+    return this.calculateHeatingPower() / (4 * Math.PI * (radius ** 2));
+  }
+
+  /**
+   * Calculates how much tidal heat raises the surface temperature
+   * Formula: ΔT = (T⁴ + F / σ)^(1/4) - T
+   * @param {number} surfaceTemperature - Surface temperature without tides in K
+   * @returns {number} Temperature increase in K
+   */
+  calculateSurfaceWarming(surfaceTemperature) {
+    const heated = ((surfaceTemperature ** 4) + this.calculateHeatFlux() / STEFAN_BOLTZMANN) ** 0.25;
+    return heated - surfaceTemperature;
+  }
+
+  /**
+   * Runs the full tidal analysis
+   * @param {Object} [options] - Analysis options
+   * @param {number} [options.age=4.5e9] - Age of the system in years
+   * @param {number} [options.surfaceTemperature] - Surface temperature without tides in K
+   * @returns {Object} Love number, locking time (years), equilibrium rotation
+   *   period (hours), locked flag, heating power (W), heat flux (W/m²) and, given
+   *   a surface temperature, the warming it adds (K)
+   */
+  solve({ age = DEFAULT_AGE, surfaceTemperature = null } = {}) {
+    const lockingTime = this.calculateLockingTime();
+    const equilibriumRotationPeriod = this.calculateEquilibriumRotationPeriod();
+    const alreadySynchronous = Math.abs(this.physical.rotationRate - equilibriumRotationPeriod)
+      <= LOCK_TOLERANCE * equilibriumRotationPeriod;
+
+    return {
+      loveNumber: this.calculateLoveNumber(),
+      lockingTime,
+      equilibriumRotationPeriod,
+      tidallyLocked: alreadySynchronous || lockingTime < age,
+      heatingPower: this.calculateHeatingPower(),
+      heatFlux: this.calculateHeatFlux(),
+      surfaceWarming: surfaceTemperature === null ? null : this.calculateSurfaceWarming(surfaceTemperature)
+    };
+  }
+}
+
+export default TidalModel;
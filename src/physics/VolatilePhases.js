@@ -0,0 +1,164 @@
+import { GAS_CONSTANT } from '../utils/Constants.js';
+
+/**
+ * Phase diagrams for common planetary volatiles
+ * Each substance has a triple point and critical point joined by Clausius–Clapeyron
+ * vaporization and sublimation curves. The melting curve is taken as vertical
+ * through the triple point.
+ */
+
+/**
+ * Phases a volatile can take at the surface
+ */
+export const Phase = {
+  SOLID: 'solid',
+  LIQUID: 'liquid',
+  GAS: 'gas',
+  SUPERCRITICAL: 'supercritical'
+};
+
+// Triple and critical points (K, atm) and latent heats (J/mol). Vaporization
+// heats are fitted so each curve passes through the normal boiling point
+// (CO2, which has no liquid at 1 atm, through its critical point instead).
+export const VOLATILES = {
+  H2O: {
+    name: 'Water',
+    triplePoint: { temperature: 273.16, pressure: 0.006037 },
+    criticalPoint: { temperature: 647.1, pressure: 217.7 },
+    latentHeatVaporization: 43310,
+    latentHeatSublimation: 51060
+  },
+  CO2: {
+    name: 'Carbon dioxide',
+    triplePoint: { temperature: 216.55, pressure: 5.11 },
+    criticalPoint: { temperature: 304.13, pressure: 72.8 },
+    latentHeatVaporization: 16610,
+    latentHeatSublimation: 26100
+  },
+  CH4: {
+    name: 'Methane',
+    triplePoint: { temperature: 90.69, pressure: 0.1159 },
+    criticalPoint: { temperature: 190.56, pressure: 45.4 },
+    latentHeatVaporization: 8656,
+    latentHeatSublimation: 9596
+  },
+  N2: {
+    name: 'Nitrogen',
+    triplePoint: { temperature: 63.15, pressure: 0.1237 },
+    criticalPoint: { temperature: 126.19, pressure: 33.5 },
+    latentHeatVaporization: 5974,
+    latentHeatSublimation: 6694
+  },
+  NH3: {
+    name: 'Ammonia',
+    triplePoint: { temperature: 195.4, pressure: 0.06 },
+    criticalPoint: { temperature: 405.4, pressure: 111.3 },
+    latentHeatVaporization: 24677,
+    latentHeatSublimation: 30337
+  }
+};
+
+// Temperatures sampled between the coldest and warmest surface conditions
+const RANGE_SAMPLES = 24;
+
+/**
+ * Looks up a volatile's phase data
+ * @private
+ */
+function getVolatile(volatile) {
+  const data = VOLATILES[volatile];
+  if (!data) {
+    throw new Error(`Unknown volatile: ${volatile}`);
+  }
+  return data;
+}
+
+/**
+ * Calculates the saturation vapor pressure over the solid or liquid
+ * Formula: p = p_tp * exp(-L/R * (1/T - 1/T_tp))
+ * @param {string} volatile - Volatile key (H2O, CO2, CH4, N2, NH3)
+ * @param {number} temperature - Temperature in K
+ * @returns {number} Saturation vapor pressure in atm
+ */
+export function calculateVaporPressure(volatile, temperature) {
+  const { triplePoint, latentHeatVaporization, latentHeatSublimation } = getVolatile(volatile);
+  const latentHeat = temperature < triplePoint.temperature ? latentHeatSublimation : latentHeatVaporization;
+  return triplePoint.pressure * Math.exp(
+    (-latentHeat / GAS_CONSTANT) * (1 / temperature - 1 / triplePoint.temperature)
+  );
+}
+
+/**
+ * Calculates the temperature at which a volatile condenses at a given pressure:
+ * the boiling point above the triple-point pressure, the frost point below it
+ * @param {string} volatile - Volatile key
+ * @param {number} pressure - Pressure in atm
+ * @returns {number|null} Condensation temperature in K, or null above the
+ *   critical pressure where no phase boundary exists
+ */
+export function calculateCondensationTemperature(volatile, pressure) {
+  const { triplePoint, criticalPoint, latentHeatVaporization, latentHeatSublimation } = getVolatile(volatile);
+  if (pressure <= 0) return 0;
+  if (pressure >= criticalPoint.pressure) return null;
+
+  const latentHeat = pressure < triplePoint.pressure ? latentHeatSublimation : latentHeatVaporization;
+  return 1 / (1 / triplePoint.temperature - (GAS_CONSTANT / latentHeat) * Math.log(pressure / triplePoint.pressure));
+}
+
+/**
+ * Determines a volatile's phase at a temperature and pressure
+ * @param {string} volatile - Volatile key
+ * @param {number} temperature - Temperature in K
+ * @param {number} pressure - Pressure in atm
+ * @returns {string} Phase (one of Phase)
+ */
+export function determinePhase(volatile, temperature, pressure) {
+  const { triplePoint, criticalPoint } = getVolatile(volatile);
+
+  if (temperature >= criticalPoint.temperature) {
+    return pressure >= criticalPoint.pressure ? Phase.SUPERCRITICAL : Phase.GAS;
+  }
+  if (pressure < calculateVaporPressure(volatile, temperature)) {
+    return Phase.GAS;
+  }
+  return temperature < triplePoint.temperature ? Phase.SOLID : Phase.LIQUID;
+}
+
+/**
+ * Reports which phases each volatile can take at the surface
+ * @param {number} temperature - Mean surface temperature in K
+ * @param {number} pressure - Surface pressure in atm
+ * @param {Object} [range] - Surface temperature extremes, e.g. from the climate model
+ * @param {number} [range.minTemperature=temperature] - Coldest surface temperature in K
+ * @param {number} [range.maxTemperature=temperature] - Warmest surface temperature in K
+ * @param {Array<string>} [present] - Volatiles the planet actually has; defaults to all
+ * @returns {Object} Per-volatile phase at the mean temperature and all phases
+ *   reached over the range, plus lists of volatiles that can be liquid or solid
+ */
+export function analyzeVolatiles(
+  temperature,
+  pressure,
+  { minTemperature = temperature, maxTemperature = temperature } = {},
+  present = Object.keys(VOLATILES)
+) {
+  const volatiles = present.map((volatile) => {
+    const phases = new Set([determinePhase(volatile, temperature, pressure)]);
+    for (let i = 0; i <= RANGE_SAMPLES; i++) {
+      const sample = minTemperature + ((maxTemperature - minTemperature) * i) / RANGE_SAMPLES;
+      phases.add(determinePhase(volatile, sample, pressure));
+    }
+
+    return {
+      volatile,
+      phase: determinePhase(volatile, temperature, pressure),
+      phases: [...phases],
+      condensationTemperature: calculateCondensationTemperature(volatile, pressure)
+    };
+  });
+
+  return {
+    volatiles,
+    liquids: volatiles.filter(({ phases }) => phases.includes(Phase.LIQUID)).map(({ volatile }) => volatile),
+    solids: volatiles.filter(({ phases }) => phases.includes(Phase.SOLID)).map(({ volatile }) => volatile)
+  };
+}
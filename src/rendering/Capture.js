@@ -0,0 +1,416 @@
+import * as THREE from 'three';
+import { Zip, ZipPassThrough } from 'three/addons/libs/fflate.module.js';
+import { canvasToPNG } from '../utils/FileIO.js';
+
+/**
+ * Screenshot and animation capture
+ * Renders the scene off-screen, at any size the GPU allows, into a canvas of
+ * its own, so captures do not depend on the window size. The background can be
+ * left transparent (stars and the sun sphere are hidden). Animations follow a
+ * camera path frame by frame and are recorded to WebM with MediaRecorder or
+ * written as a numbered PNG sequence in a zip.
+ */
+
+export const CameraPath = {
+  TURNTABLE: 'turntable', // Planet spins in front of a fixed camera
+  ORBIT: 'orbit', // Camera circles the planet
+  FIXED: 'fixed' // Nothing moves but time, for time-lapses
+};
+
+export const CaptureFormat = {
+  WEBM: 'webm',
+  PNG_SEQUENCE: 'png'
+};
+
+// Capture limits; the GPU may allow less than MAX_CAPTURE_SIZE
+export const MAX_CAPTURE_SIZE = 8192;
+export const MAX_DURATION = 120;
+export const MAX_FRAME_RATE = 60;
+
+const MIN_CAPTURE_SIZE = 16;
+
+// Preferred WebM encodings, best first
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Video bits per second per pixel per frame
+const BITS_PER_PIXEL = 0.15;
+
+/**
+ * Validates capture parameters
+ * @param {Object} params - Capture parameters
+ * @param {number} params.width - Image width in pixels
+ * @param {number} params.height - Image height in pixels
+ * @param {number} [params.duration] - Animation length in seconds
+ * @param {number} [params.frameRate] - Animation frames per second
+ * @param {string} [params.path] - One of CameraPath
+ * @param {string} [params.format] - One of CaptureFormat
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateCaptureParams({ width, height, duration, frameRate, path, format }) {
+  const errors = [];
+
+  for (const [label, size] of [['Width', width], ['Height', height]]) {
+    if (!Number.isInteger(size) || size < MIN_CAPTURE_SIZE || size > MAX_CAPTURE_SIZE) {
+      errors.push(`${label} must be a whole number of pixels from ${MIN_CAPTURE_SIZE} to ${MAX_CAPTURE_SIZE}`);
+    }
+  }
+
+  if (duration !== undefined && !(duration > 0 && duration <= MAX_DURATION)) {
+    errors.push(`Duration must be more than 0 and at most ${MAX_DURATION} seconds`);
+  }
+
+  if (frameRate !== undefined && !(Number.isInteger(frameRate) && frameRate >= 1 && frameRate <= MAX_FRAME_RATE)) {
+    errors.push(`Frame rate must be a whole number from 1 to ${MAX_FRAME_RATE}`);
+  }
+
+  if (path !== undefined && !Object.values(CameraPath).includes(path)) {
+    errors.push(`Camera path must be one of: ${Object.values(CameraPath).join(', ')}`);
+  }
+
+  if (format !== undefined && !Object.values(CaptureFormat).includes(format)) {
+    errors.push(`Format must be one of: ${Object.values(CaptureFormat).join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Counts the frames in an animation
+ * @param {number} duration - Length in seconds
+ * @param {number} frameRate - Frames per second
+ * @returns {number} Number of frames, at least one
+ */
+export function getFrameCount(duration, frameRate) {
+  return Math.max(1, Math.round(duration * frameRate));
+}
+
+/**
+ * Works out the camera and planet spin for a point along a camera path
+ * Turntable and orbit paths make whole turns, so a looping video is seamless.
+ * @param {string} path - One of CameraPath
+ * @param {number} progress - Position along the path, 0 at the start and 1 at the end
+ * @param {Object} start - Pose at the start
+ * @param {Array<number>} start.position - Camera position [x, y, z]
+ * @param {Array<number>} start.target - Point the camera looks at [x, y, z]
+ * @param {number} [start.planetRotation=0] - Planet spin in radians
+ * @param {number} [turns=1] - Full turns over the path
+ * @returns {Object} Camera position and target, and planet spin added since the start
+ */
+export function getPathPose(path, progress, { position, target, planetRotation = 0 }, turns = 1) {
+  const angle = progress * turns * Math.PI * 2;
+  const pose = { position: [...position], target: [...target], planetRotation, spin: 0 };
+
+  if (path === CameraPath.TURNTABLE) {
+    pose.spin = angle;
+    pose.planetRotation = planetRotation + angle;
+  } else if (path === CameraPath.ORBIT) {
+    // Rotate about the vertical axis through the target, keeping height and distance
+    const dx = position[0] - target[0];
+    const dz = position[2] - target[2];
+    pose.position[0] = target[0] + dx * Math.cos(angle) + dz * Math.sin(angle);
+    pose.position[2] = target[2] - dx * Math.sin(angle) + dz * Math.cos(angle);
+  }
+
+  return pose;
+}
+
+/**
+ * Names a frame of a PNG sequence, zero-padded so the files sort in order
+ * @param {string} name - Base name
+ * @param {number} index - Frame number from 0
+ * @param {number} count - Frames in the sequence
+ * @returns {string} File name, e.g. earth_0042.png
+ */
+export function getFrameFilename(name, index, count) {
+  const digits = Math.max(4, String(count - 1).length);
+  return `${name}_${String(index).padStart(digits, '0')}.png`;
+}
+
+/**
+ * Encodes a canvas as a PNG blob
+ * @private
+ */
+function toBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the frame as PNG'))), 'image/png');
+  });
+}
+
+/**
+ * Resolves after a number of milliseconds
+ * @private
+ */
+function wait(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * PlanetCapture renders stills and animations of a PlanetRenderer's scene
+ */
+class PlanetCapture {
+  /**
+   * Creates a capture subsystem for a renderer
+   * @param {PlanetRenderer} view - Renderer whose scene, camera and planet are captured
+   */
+  constructor(view) {
+    this.view = view;
+    this.busy = false;
+    this.cancelled = false;
+  }
+
+  /**
+   * Creates the off-screen renderer and camera for a capture
+   * @private
+   */
+  begin({ width, height, transparent }) {
+    if (this.busy) {
+      throw new Error('A capture is already running');
+    }
+
+    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    renderer.setClearColor(0x000000, transparent ? 0 : 1);
+    renderer.shadowMap.enabled = this.view.renderer.shadowMap.enabled;
+    renderer.shadowMap.type = this.view.renderer.shadowMap.type;
+
+    const gl = renderer.getContext();
+    if (gl.drawingBufferWidth !== width || gl.drawingBufferHeight !== height) {
+      renderer.dispose();
+      renderer.forceContextLoss();
+      throw new Error(`${width} × ${height} is larger than this graphics card can render`);
+    }
+
+    const camera = this.view.camera.clone();
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    // Hide the backdrop for transparent captures
+    const hidden = transparent
+      ? [this.view.starField, this.view.sunMesh].filter((object) => object && object.visible)
+      : [];
+    hidden.forEach((object) => { object.visible = false; });
+
+    this.busy = true;
+    this.cancelled = false;
+    return { renderer, camera, hidden };
+  }
+
+  /**
+   * Releases the off-screen renderer and restores the scene
+   * @private
+   */
+  end({ renderer, hidden }) {
+    hidden.forEach((object) => { object.visible = true; });
+    renderer.dispose();
+    renderer.forceContextLoss();
+    this.busy = false;
+  }
+
+  /**
+   * Renders the scene with the capture camera at a pose
+   * @private
+   */
+  renderPose(session, pose) {
+    const { renderer, camera } = session;
+    camera.position.fromArray(pose.position);
+    camera.lookAt(new THREE.Vector3().fromArray(pose.target));
+    renderer.render(this.view.scene, camera);
+  }
+
+  /**
+   * Captures the current view as a PNG
+   * @param {Object} [options] - Screenshot options
+   * @param {number} [options.width=3840] - Width in pixels
+   * @param {number} [options.height=2160] - Height in pixels
+   * @param {boolean} [options.transparent=false] - Leave the background transparent
+   * @param {string} [options.name='planet'] - Base file name
+   * @returns {Promise<Object>} File name, PNG contents (Blob) and MIME type
+   */
+  async screenshot({ width = 3840, height = 2160, transparent = false, name = 'planet' } = {}) {
+    const validation = validateCaptureParams({ width, height });
+    if (!validation.isValid) {
+      throw new Error(`Invalid capture parameters: ${validation.errors.join(', ')}`);
+    }
+
+    const session = this.begin({ width, height, transparent });
+    try {
+      const { camera } = this.view.getViewState();
+      this.renderPose(session, camera);
+      const data = await toBlob(session.renderer.domElement);
+      return { filename: `${name}_${width}x${height}.png`, data, type: 'image/png' };
+    } finally {
+      this.end(session);
+    }
+  }
+
+  /**
+   * Records an animation along a camera path
+   * The live view pauses while recording. WebM frames are paced in real time, so
+   * sizes too large to render at the frame rate may stutter; PNG sequences are
+   * exact at any size.
+   * @param {Object} [options] - Recording options
+   * @param {number} [options.width=1920] - Width in pixels
+   * @param {number} [options.height=1080] - Height in pixels
+   * @param {number} [options.duration=10] - Length in seconds
+   * @param {number} [options.frameRate=30] - Frames per second
+   * @param {string} [options.path=CameraPath.TURNTABLE] - One of CameraPath
+   * @param {number} [options.turns=1] - Full turns of the planet or camera
+   * @param {string} [options.format=CaptureFormat.WEBM] - One of CaptureFormat
+   * @param {boolean} [options.transparent=false] - Leave the background transparent
+   *   (WebM keeps it only where the browser's encoder supports alpha)
+   * @param {string} [options.name='planet'] - Base file name
+   * @param {Function} [options.onFrame] - Called with progress (from 0, short of 1)
+   *   before each frame is drawn, e.g. to advance simulated time for a time-lapse
+   * @param {Function} [options.onProgress] - Called with the fraction of frames done
+   * @returns {Promise<Object>} File name, contents (Blob) and MIME type
+   */
+  async record({
+    width = 1920,
+    height = 1080,
+    duration = 10,
+    frameRate = 30,
+    path = CameraPath.TURNTABLE,
+    turns = 1,
+    format = CaptureFormat.WEBM,
+    transparent = false,
+    name = 'planet',
+    onFrame = () => {},
+    onProgress = () => {}
+  } = {}) {
+    const validation = validateCaptureParams({ width, height, duration, frameRate, path, format });
+    if (!validation.isValid) {
+      throw new Error(`Invalid capture parameters: ${validation.errors.join(', ')}`);
+    }
+    if (format === CaptureFormat.WEBM && typeof MediaRecorder === 'undefined') {
+      throw new Error('This browser cannot record video; record a PNG sequence instead');
+    }
+
+    const session = this.begin({ width, height, transparent });
+    const { camera, renderer: view } = this.view.getViewState();
+    const start = { ...camera, planetRotation: view.planetRotation };
+    const cloudRotation = view.cloudRotation;
+    const wasRunning = this.view.animationId !== null;
+    this.view.stop();
+
+    const frames = getFrameCount(duration, frameRate);
+    const drawFrame = (index) => {
+      // The last frame stops one step short of the first, so loops repeat cleanly
+      const progress = index / frames;
+      onFrame(progress);
+      const pose = getPathPose(path, progress, start, turns);
+      if (this.view.planetMesh) this.view.planetMesh.rotation.y = pose.planetRotation;
+      if (this.view.cloudMesh) this.view.cloudMesh.rotation.y = cloudRotation + pose.spin;
+      this.renderPose(session, pose);
+    };
+
+    try {
+      const result = format === CaptureFormat.WEBM
+        ? await this.recordWebM(session, { frames, frameRate, width, height, name, drawFrame, onProgress })
+        : await this.recordPNGSequence(session, { frames, name, drawFrame, onProgress });
+      return result;
+    } finally {
+      if (this.view.planetMesh) this.view.planetMesh.rotation.y = start.planetRotation;
+      if (this.view.cloudMesh) this.view.cloudMesh.rotation.y = cloudRotation;
+      this.end(session);
+      if (wasRunning) this.view.start();
+    }
+  }
+
+  /**
+   * Stops a running recording; record() then rejects
+   */
+  cancel() {
+    if (this.busy) {
+      this.cancelled = true;
+    }
+  }
+
+  /**
+   * Throws if the recording was cancelled
+   * @private
+   */
+  checkCancelled() {
+    if (this.cancelled) {
+      throw new Error('Capture cancelled');
+    }
+  }
+
+  /**
+   * Records frames to WebM in real time
+   * @private
+   */
+  async recordWebM(session, { frames, frameRate, width, height, name, drawFrame, onProgress }) {
+    const canvas = session.renderer.domElement;
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const type = WEBM_TYPES.find((candidate) => MediaRecorder.isTypeSupported(candidate)) ?? '';
+    const recorder = new MediaRecorder(stream, {
+      mimeType: type,
+      videoBitsPerSecond: Math.round(width * height * frameRate * BITS_PER_PIXEL)
+    });
+
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    });
+    const stopped = new Promise((resolve) => recorder.addEventListener('stop', resolve));
+
+    recorder.start();
+    const frameTime = 1000 / frameRate;
+    const startTime = performance.now();
+    try {
+      for (let i = 0; i < frames; i++) {
+        this.checkCancelled();
+        drawFrame(i);
+        track.requestFrame();
+        onProgress((i + 1) / frames);
+        await wait(Math.max(0, startTime + (i + 1) * frameTime - performance.now()));
+      }
+    } finally {
+      recorder.stop();
+      await stopped;
+      track.stop();
+    }
+
+    return { filename: `${name}.webm`, data: new Blob(chunks, { type: 'video/webm' }), type: 'video/webm' };
+  }
+
+  /**
+   * Renders every frame to PNG and zips the numbered sequence
+   * @private
+   */
+  async recordPNGSequence(session, { frames, name, drawFrame, onProgress }) {
+    const parts = [];
+    let failure = null;
+    const zip = new Zip((error, chunk) => {
+      if (error) {
+        failure = error;
+        return;
+      }
+      // Hand each piece to a Blob as it comes so the browser can page it out
+      parts.push(new Blob([chunk]));
+    });
+
+    for (let i = 0; i < frames; i++) {
+      this.checkCancelled();
+      drawFrame(i);
+      const png = await canvasToPNG(session.renderer.domElement);
+      const file = new ZipPassThrough(getFrameFilename(name, i, frames));
+      zip.add(file);
+      file.push(png, true);
+      onProgress((i + 1) / frames);
+    }
+    zip.end();
+
+    if (failure) {
+      throw failure;
+    }
+    return { filename: `${name}_frames.zip`, data: new Blob(parts, { type: 'application/zip' }), type: 'application/zip' };
+  }
+}
+
+export default PlanetCapture;
@@ -0,0 +1,133 @@
+import { zipSync, strToU8 } from 'three/addons/libs/fflate.module.js';
+import PlanetTextureLoader from '../utils/TextureLoader.js';
+import { buildHeightField, encodeHeightmap, describeProjection } from '../utils/Heightmap.js';
+import { canvasToPNG } from '../utils/FileIO.js';
+import { createRandom } from '../utils/Random.js';
+
+/**
+ * Texture map export
+ * Regenerates the planet's equirectangular maps (color, bump, specular and
+ * clouds; color only for giants) at a chosen resolution from the same seed and
+ * options the renderer used, so the exported world matches the one on screen.
+ * Optionally adds a 16-bit heightmap. Everything is zipped with a JSON file
+ * describing the projection, the files and the heightmap's elevation scale and
+ * sea level.
+ */
+
+export const MAPS_FORMAT = 'planet-builder-maps';
+export const MAPS_VERSION = 1;
+
+// Offered map widths; heights are half the width
+export const MAP_WIDTHS = [1024, 2048, 4096, 8192];
+export const MAX_MAP_WIDTH = 8192;
+
+// Narrowest map that still holds the features
+const MIN_MAP_WIDTH = 256;
+
+/**
+ * Validates map export parameters
+ * @param {Object} params - Map export parameters
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateMapExportParams({ width, heightmap = false, surface = true }) {
+  const errors = [];
+
+  if (!Number.isInteger(width) || width % 2 !== 0 || width < MIN_MAP_WIDTH || width > MAX_MAP_WIDTH) {
+    errors.push(`Map width must be an even number of pixels from ${MIN_MAP_WIDTH} to ${MAX_MAP_WIDTH}`);
+  }
+  if (heightmap && !surface) {
+    errors.push('Gas and ice giants have no surface for a heightmap');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Reads a canvas's pixels
+ * @private
+ */
+function readPixels(canvas) {
+  return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+}
+
+/**
+ * Exports the planet's texture maps as PNGs, zipped with their description
+ * @param {Object} recipe - How the renderer generated the maps
+ * @param {boolean} recipe.surface - Whether the planet has a solid surface (false for giants)
+ * @param {Object} recipe.options - Texture generation options, without random
+ * @param {number} [recipe.seed] - Terrain seed
+ * @param {Object} [options] - Export options
+ * @param {number} [options.width=2048] - Map width in pixels, up to MAX_MAP_WIDTH
+ * @param {boolean} [options.heightmap=false] - Add a 16-bit heightmap
+ * @param {string} [options.name='planet'] - Base file name
+ * @param {number} [options.oceanDepth] - Ocean depth in km, for the heightmap
+ * @param {boolean} [options.hasOcean=true] - Whether water fills the basins
+ * @param {number} [options.planetRadius] - Planet radius in km, recorded in the description
+ * @param {PlanetTextureLoader} [options.textureLoader] - Map generator
+ * @returns {Promise<Object>} File name, zip contents and MIME type
+ */
+export async function exportPlanetMaps(recipe, {
+  width = 2048,
+  heightmap = false,
+  name = 'planet',
+  oceanDepth,
+  hasOcean = true,
+  planetRadius = null,
+  textureLoader = new PlanetTextureLoader()
+} = {}) {
+  const validation = validateMapExportParams({ width, heightmap, surface: recipe.surface });
+  if (!validation.isValid) {
+    throw new Error(`Invalid map export parameters: ${validation.errors.join(', ')}`);
+  }
+
+  const seed = recipe.seed ?? null;
+  const options = { ...recipe.options, random: createRandom(seed), width, bumpWidth: width };
+
+  // Generators run in the renderer's order so they draw the same random numbers
+  const generators = recipe.surface
+    ? [
+      ['color', (o) => textureLoader.createPlanetTexture(o)],
+      ['bump', (o) => textureLoader.createBumpMap(o)],
+      ['specular', (o) => textureLoader.createSpecularMap(o)],
+      ['clouds', (o) => textureLoader.createCloudTexture(o)]
+    ]
+    : [['color', (o) => textureLoader.createBandedTexture(o)]];
+
+  const files = {};
+  const maps = {};
+  for (const [map, generate] of generators) {
+    const filename = `${name}_${map}.png`;
+    files[filename] = await canvasToPNG(generate(options).image);
+    maps[map] = filename;
+  }
+
+  const description = {
+    format: MAPS_FORMAT,
+    version: MAPS_VERSION,
+    name,
+    seed,
+    ...describeProjection(width, width / 2),
+    maps,
+    heightmap: null
+  };
+  if (planetRadius !== null) description.planetRadius = planetRadius;
+
+  if (heightmap) {
+    // The land mask takes the color map's numbers, then the bump map follows as before
+    const random = createRandom(seed);
+    const land = textureLoader.createLandMask({ ...recipe.options, random, width });
+    const bump = textureLoader.createBumpMap({ ...recipe.options, random, bumpWidth: width }).image;
+    const field = buildHeightField({ land: readPixels(land), bump: readPixels(bump), width, height: width / 2 }, { oceanDepth });
+    const { png, metadata } = encodeHeightmap(field, { hasOcean, planetRadius });
+
+    const filename = `${name}_height16.png`;
+    files[filename] = png;
+    description.heightmap = { file: filename, ...metadata };
+  }
+
+  files[`${name}_maps.json`] = strToU8(JSON.stringify(description, null, 2));
+  return { filename: `${name}_maps.zip`, data: zipSync(files), type: 'application/zip' };
+}
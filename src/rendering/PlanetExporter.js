@@ -0,0 +1,304 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { zipSync, strToU8 } from 'three/addons/libs/fflate.module.js';
+import { canvasToPNG } from '../utils/FileIO.js';
+
+/**
+ * Planet model export
+ * Writes the rendered planet, cloud shell and atmosphere shell to glTF binary
+ * (.glb) with the procedural maps embedded, or to OBJ + MTL with the maps as PNG
+ * files, zipped together. The shells keep their radii relative to the planet and
+ * the rotational flattening; the whole model is tilted by the axial tilt so the
+ * spin axis leans away from +Y, the orbit normal.
+ *
+ * glTF has no bump or specular maps, so the bump map is converted to a tangent
+ * space normal map and the specular map to a roughness map (shiny oceans are
+ * smooth). OBJ keeps the original maps. The atmosphere's glow shader cannot leave
+ * the browser either; it becomes a faint, emissive transparent shell.
+ */
+
+export const ModelFormat = {
+  GLB: 'glb',
+  OBJ: 'obj'
+};
+
+// The renderer draws 1 scene unit per 1000 km of radius
+export const DISPLAY_KM_PER_UNIT = 1000;
+
+// Height difference per pixel, in 0-1 gray levels, that tilts a normal by 45°, scaled
+const NORMAL_STRENGTH = 4;
+
+// Roughness of the shiniest (white) parts of the specular map; black parts are fully rough
+const MIN_ROUGHNESS = 0.2;
+
+// Stand-ins for the atmosphere glow shader
+const ATMOSPHERE_OPACITY = 0.25;
+const CLOUD_OPACITY = 0.4;
+
+// Rendered material behind each exported mesh, for the OBJ maps
+const sourceMaterials = new WeakMap();
+
+/**
+ * Converts a height map to a tangent-space normal map (OpenGL convention, +Y up)
+ * Heights are read from the red channel; longitude wraps, latitude is clamped.
+ * @param {Object} image - Pixels ({ data, width, height }, RGBA, rows top to bottom)
+ * @param {number} [strength=NORMAL_STRENGTH] - Relief exaggeration
+ * @returns {Uint8ClampedArray} RGBA normal map pixels of the same size
+ */
+export function bumpToNormalPixels({ data, width, height }, strength = NORMAL_STRENGTH) {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  const heightAt = (x, y) => data[(((y * width) + ((x + width) % width)) * 4)] / 255;
+
+  for (let y = 0; y < height; y++) {
+    const up = Math.max(y - 1, 0);
+    const down = Math.min(y + 1, height - 1);
+    for (let x = 0; x < width; x++) {
+      const slopeX = ((heightAt(x + 1, y) - heightAt(x - 1, y)) / 2) * strength;
+      const slopeY = ((heightAt(x, up) - heightAt(x, down)) / 2) * strength;
+      const length = Math.sqrt((slopeX * slopeX) + (slopeY * slopeY) + 1);
+
+      const i = ((y * width) + x) * 4;
+      pixels[i] = Math.round(((-slopeX / length) * 0.5 + 0.5) * 255);
+      pixels[i + 1] = Math.round(((-slopeY / length) * 0.5 + 0.5) * 255);
+      pixels[i + 2] = Math.round(((1 / length) * 0.5 + 0.5) * 255);
+      pixels[i + 3] = 255;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Converts a specular map to a roughness map: bright, reflective areas become smooth
+ * Roughness goes in every color channel, so it reads correctly from green, where
+ * glTF looks for it.
+ * @param {Object} image - Pixels ({ data, width, height }, RGBA)
+ * @returns {Uint8ClampedArray} RGBA roughness map pixels of the same size
+ */
+export function specularToRoughnessPixels({ data, width, height }) {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const roughness = 1 - (data[i] / 255) * (1 - MIN_ROUGHNESS);
+    pixels[i] = pixels[i + 1] = pixels[i + 2] = Math.round(roughness * 255);
+    pixels[i + 3] = 255;
+  }
+  return pixels;
+}
+
+/**
+ * Writes an MTL material library
+ * @param {Array<Object>} materials - Materials with name, diffuse color [r, g, b],
+ *   optional specular color, shininess, emissive color, opacity and texture file
+ *   names in maps (diffuse, specular, bump, opacity)
+ * @returns {string} MTL text
+ */
+export function writeMTL(materials) {
+  const color = (values) => values.map((value) => value.toFixed(4)).join(' ');
+  const lines = ['# Planet Builder material library'];
+
+  for (const { name, diffuse, specular = [0, 0, 0], shininess = 0, emissive = null, opacity = 1, maps = {} } of materials) {
+    lines.push('', `newmtl ${name}`, `Kd ${color(diffuse)}`, `Ks ${color(specular)}`, `Ns ${shininess}`);
+    if (emissive) lines.push(`Ke ${color(emissive)}`);
+    lines.push(`d ${opacity}`, `illum ${opacity < 1 ? 4 : 2}`);
+    if (maps.diffuse) lines.push(`map_Kd ${maps.diffuse}`);
+    if (maps.specular) lines.push(`map_Ks ${maps.specular}`);
+    if (maps.bump) lines.push(`map_Bump ${maps.bump}`, `bump ${maps.bump}`);
+    if (maps.opacity) lines.push(`map_d ${maps.opacity}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Reads a canvas texture's pixels
+ * @private
+ */
+function readPixels(texture) {
+  const { width, height } = texture.image;
+  return texture.image.getContext('2d').getImageData(0, 0, width, height);
+}
+
+/**
+ * Makes a texture from generated pixels, wrapping like the source texture
+ * @private
+ */
+function createTexture(pixels, source) {
+  const canvas = document.createElement('canvas');
+  canvas.width = source.image.width;
+  canvas.height = source.image.height;
+  canvas.getContext('2d').putImageData(new ImageData(pixels, canvas.width, canvas.height), 0, 0);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = source.wrapS;
+  texture.wrapT = source.wrapT;
+  return texture;
+}
+
+/**
+ * Copies a rendered mesh for export, sharing its geometry
+ * @private
+ */
+function copyMesh(mesh, name, material) {
+  const copy = new THREE.Mesh(mesh.geometry, material);
+  copy.name = name;
+  copy.scale.copy(mesh.scale);
+  sourceMaterials.set(copy, mesh.material);
+  return copy;
+}
+
+/**
+ * Builds an exportable copy of the rendered planet
+ * Materials are replaced with glTF-friendly standard materials; the rendered
+ * Phong and shader materials are remembered for the OBJ maps.
+ * @param {Object} meshes - Rendered meshes
+ * @param {THREE.Mesh} meshes.planet - Planet surface (or giant cloud tops)
+ * @param {THREE.Mesh} [meshes.clouds] - Cloud shell
+ * @param {THREE.Mesh} [meshes.atmosphere] - Atmosphere glow shell
+ * @param {Object} [options] - Export options
+ * @param {number} [options.axialTilt=0] - Axial tilt in degrees
+ * @param {number} [options.radius] - Planet radius in km, recorded on the model
+ * @param {number} [options.kmPerUnit=DISPLAY_KM_PER_UNIT] - Kilometres per model unit
+ * @param {boolean} [options.convertMaps=true] - Convert bump and specular maps for glTF
+ * @returns {THREE.Group} Model root named "Planet"
+ */
+export function createExportModel({ planet, clouds = null, atmosphere = null }, {
+  axialTilt = 0,
+  radius = null,
+  kmPerUnit = DISPLAY_KM_PER_UNIT,
+  convertMaps = true
+} = {}) {
+  if (!planet) {
+    throw new Error('There is no planet to export');
+  }
+  if (!(kmPerUnit > 0)) {
+    throw new Error('Kilometres per unit must be positive');
+  }
+
+  const root = new THREE.Group();
+  root.name = 'Planet';
+  root.rotation.z = -(axialTilt * Math.PI) / 180;
+  root.scale.setScalar(DISPLAY_KM_PER_UNIT / kmPerUnit);
+  root.userData = { axialTilt, kmPerUnit };
+  if (radius !== null) root.userData.radius = radius;
+
+  const source = planet.material;
+  const surface = new THREE.MeshStandardMaterial({
+    name: 'Surface',
+    map: source.map,
+    metalness: 0,
+    roughness: source.specularMap ? 1 : 0.8
+  });
+  if (convertMaps && source.bumpMap) {
+    surface.normalMap = createTexture(bumpToNormalPixels(readPixels(source.bumpMap)), source.bumpMap);
+  }
+  if (convertMaps && source.specularMap) {
+    surface.roughnessMap = createTexture(specularToRoughnessPixels(readPixels(source.specularMap)), source.specularMap);
+  }
+  root.add(copyMesh(planet, 'Surface', surface));
+
+  if (clouds) {
+    root.add(copyMesh(clouds, 'Clouds', new THREE.MeshStandardMaterial({
+      name: 'Clouds',
+      map: clouds.material.map,
+      transparent: true,
+      opacity: CLOUD_OPACITY,
+      depthWrite: false,
+      metalness: 0,
+      roughness: 1
+    })));
+  }
+
+  if (atmosphere) {
+    const glow = new THREE.Color(...atmosphere.material.uniforms.glowColor.value);
+    root.add(copyMesh(atmosphere, 'Atmosphere', new THREE.MeshStandardMaterial({
+      name: 'Atmosphere',
+      color: glow,
+      emissive: glow,
+      transparent: true,
+      opacity: ATMOSPHERE_OPACITY,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      metalness: 0,
+      roughness: 1
+    })));
+  }
+
+  root.updateMatrixWorld(true);
+  return root;
+}
+
+/**
+ * Writes a model as glTF binary with its textures embedded
+ * @param {THREE.Group} model - Model from createExportModel
+ * @returns {Promise<ArrayBuffer>} .glb file contents
+ */
+export function writeGLB(model) {
+  return new GLTFExporter().parseAsync(model, { binary: true, maxTextureSize: 4096 });
+}
+
+/**
+ * Writes a model as OBJ and MTL, with the original maps as PNG files, zipped
+ * @param {THREE.Group} model - Model from createExportModel
+ * @param {string} [name='planet'] - Base name for the files in the archive
+ * @returns {Promise<Uint8Array>} .zip file contents
+ */
+export async function writeOBJArchive(model, name = 'planet') {
+  const files = {};
+  const materials = [];
+
+  const addMap = async (texture, suffix) => {
+    if (!texture) return null;
+    const filename = `${name}_${suffix}.png`;
+    files[filename] = await canvasToPNG(texture.image);
+    return filename;
+  };
+
+  for (const mesh of model.children) {
+    const source = sourceMaterials.get(mesh);
+    if (mesh.name === 'Atmosphere') {
+      const glow = mesh.material.color.toArray();
+      materials.push({ name: mesh.name, diffuse: glow, emissive: glow, opacity: ATMOSPHERE_OPACITY });
+    } else if (mesh.name === 'Clouds') {
+      const clouds = await addMap(source.map, 'clouds');
+      materials.push({ name: mesh.name, diffuse: [1, 1, 1], opacity: CLOUD_OPACITY, maps: { diffuse: clouds, opacity: clouds } });
+    } else {
+      materials.push({
+        name: mesh.name,
+        diffuse: [1, 1, 1],
+        specular: source.specular ? source.specular.toArray() : [0, 0, 0],
+        shininess: source.shininess ?? 0,
+        maps: {
+          diffuse: await addMap(source.map, 'color'),
+          specular: await addMap(source.specularMap, 'specular'),
+          bump: await addMap(source.bumpMap, 'bump')
+        }
+      });
+    }
+  }
+
+  const obj = `mtllib ${name}.mtl\n${new OBJExporter().parse(model)}`;
+  files[`${name}.obj`] = strToU8(obj);
+  files[`${name}.mtl`] = strToU8(writeMTL(materials));
+  return zipSync(files);
+}
+
+/**
+ * Exports the rendered planet as a model file
+ * Usable from scripts: pass the renderer's meshes and download or save the result.
+ * @param {Object} meshes - Rendered meshes (see createExportModel)
+ * @param {Object} [options] - Export options (see createExportModel)
+ * @param {string} [options.format=ModelFormat.GLB] - One of ModelFormat
+ * @param {string} [options.name='planet'] - Base file name
+ * @returns {Promise<Object>} File name, contents and MIME type
+ */
+export async function exportPlanetModel(meshes, { format = ModelFormat.GLB, name = 'planet', ...options } = {}) {
+  if (format === ModelFormat.GLB) {
+    const model = createExportModel(meshes, options);
+    return { filename: `${name}.glb`, data: await writeGLB(model), type: 'model/gltf-binary' };
+  }
+  if (format === ModelFormat.OBJ) {
+    const model = createExportModel(meshes, { ...options, convertMaps: false });
+    return { filename: `${name}.zip`, data: await writeOBJArchive(model, name), type: 'application/zip' };
+  }
+  throw new Error(`Unknown model format "${format}"`);
+}
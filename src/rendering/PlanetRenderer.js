@@ -2,6 +2,20 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import PlanetTextureLoader from '../utils/TextureLoader.js';
 import { createAtmosphereMaterial } from './AtmosphereShader.js';
+import { exportPlanetModel } from './PlanetExporter.js';
+import { exportPlanetMaps } from './MapExporter.js';
+import PlanetCapture from './Capture.js';
+import { calculateRotationalShape } from '../physics/Rotation.js';
+import { createRandom } from '../utils/Random.js';
+
+// Moon orbits are drawn on a logarithmic scale so distant moons stay in view:
+// display distance = R * (base + scale * ln(a / R)), in planet radii R
+const MOON_ORBIT_BASE = 1.3;
+const MOON_ORBIT_SCALE = 0.6;
+const MOON_ORBIT_SEGMENTS = 128;
+
+// Pointer movement in pixels below which a press counts as a click, not a drag
+const CLICK_TOLERANCE = 5;
 
 /**
  * PlanetRenderer handles all Three.js rendering for the planet simulation
@@ -25,8 +39,16 @@ class PlanetRenderer {
     this.planetMesh = null;
     this.atmosphereMesh = null;
     this.cloudMesh = null;
+    this.starField = null;
+    this.textureRecipe = null;
+    this.flattening = 0;
+    this.tidallyLocked = false;
+    this.moonSystem = null;
+    this.moonMeshes = [];
     this.animationId = null;
     this.textureLoader = new PlanetTextureLoader();
+    this.frameClock = new THREE.Clock();
+    this.updateListeners = [];
 
     this.setupCamera();
     this.setupRenderer();
@@ -34,6 +56,9 @@ class PlanetRenderer {
     this.setupControls();
     this.setupStarfield();
 
+    // Screenshots and recordings, rendered off-screen
+    this.capture = new PlanetCapture(this);
+
     // Handle window resize
     window.addEventListener('resize', () => this.onWindowResize());
   }
@@ -100,6 +125,175 @@ class PlanetRenderer {
     this.scene.add(this.sunMesh);
   }
 
+  /**
+   * Moves the sun to match the planet's position along its orbit
+   * The planet's spin axis stays along +Y; the sun circles it on a plane
+   * inclined by the axial tilt, so its elevation is the sub-solar latitude.
+   * @param {number} solarLongitude - Orbital position from the northern spring equinox, in degrees
+   * @param {number} axialTilt - Axial tilt in degrees
+   */
+  setSunDirection(solarLongitude, axialTilt) {
+    const longitude = (solarLongitude * Math.PI) / 180;
+    const tilt = (axialTilt * Math.PI) / 180;
+    const distance = this.sunLight.position.length();
+
+    const direction = new THREE.Vector3(
+      Math.cos(longitude),
+      Math.sin(longitude) * Math.sin(tilt),
+      -Math.sin(longitude) * Math.cos(tilt)
+    );
+
+    this.sunLight.position.copy(direction).multiplyScalar(distance);
+    this.sunMesh.position.copy(this.sunLight.position).multiplyScalar(3);
+
+    if (this.tidallyLocked) {
+      this.faceSun();
+    }
+  }
+
+  /**
+   * Stops or restarts the planet's spin
+   * A tidally locked planet keeps the same hemisphere turned toward the sun.
+   * @param {boolean} locked - Whether the planet is tidally locked
+   */
+  setTidallyLocked(locked) {
+    this.tidallyLocked = locked;
+    if (locked) {
+      this.faceSun();
+    }
+  }
+
+  /**
+   * Turns the planet so its day side (local +Z) points at the sun
+   */
+  faceSun() {
+    if (!this.planetMesh) return;
+    const { x, z } = this.sunLight.position;
+    this.planetMesh.rotation.y = Math.atan2(x, z);
+  }
+
+  /**
+   * Captures the camera pose and renderer settings for saving
+   * @returns {Object} Camera position and target, and renderer settings
+   */
+  getViewState() {
+    return {
+      camera: {
+        position: this.camera.position.toArray(),
+        target: this.controls.target.toArray()
+      },
+      renderer: {
+        fieldOfView: this.camera.fov,
+        autoRotate: this.controls.autoRotate,
+        planetRotation: this.planetMesh?.rotation.y ?? 0,
+        cloudRotation: this.cloudMesh?.rotation.y ?? 0
+      }
+    };
+  }
+
+  /**
+   * Restores a camera pose and renderer settings saved by getViewState
+   * Call after the planet mesh is built, since rebuilding resets its spin.
+   * @param {Object} view - Saved view
+   * @param {Object} [view.camera] - Camera position and target vectors
+   * @param {Object} [view.renderer] - Renderer settings; missing ones are left as they are
+   */
+  setViewState({ camera = null, renderer = null }) {
+    if (camera) {
+      this.camera.position.fromArray(camera.position);
+      this.controls.target.fromArray(camera.target);
+    }
+
+    if (renderer) {
+      if (typeof renderer.fieldOfView === 'number') {
+        this.camera.fov = renderer.fieldOfView;
+        this.camera.updateProjectionMatrix();
+      }
+      if (typeof renderer.autoRotate === 'boolean') {
+        this.controls.autoRotate = renderer.autoRotate;
+      }
+      if (this.planetMesh && typeof renderer.planetRotation === 'number' && !this.tidallyLocked) {
+        this.planetMesh.rotation.y = renderer.planetRotation;
+      }
+      if (this.cloudMesh && typeof renderer.cloudRotation === 'number') {
+        this.cloudMesh.rotation.y = renderer.cloudRotation;
+      }
+    }
+
+    this.controls.update();
+  }
+
+  /**
+   * Exports the planet, cloud shell and atmosphere shell as a model file
+   * @param {Object} [options] - Format, file name, axial tilt and radius (see exportPlanetModel)
+   * @returns {Promise<Object>} File name, contents and MIME type
+   */
+  exportModel(options = {}) {
+    return exportPlanetModel({
+      planet: this.planetMesh,
+      clouds: this.cloudMesh,
+      atmosphere: this.atmosphereMesh
+    }, options);
+  }
+
+  /**
+   * Exports the planet's texture maps, regenerated at another resolution
+   * @param {Object} [options] - Width, heightmap and file options (see exportPlanetMaps)
+   * @returns {Promise<Object>} File name, zip contents and MIME type
+   */
+  exportMaps(options = {}) {
+    if (!this.textureRecipe) {
+      return Promise.reject(new Error('There is no planet to export'));
+    }
+    return exportPlanetMaps(this.textureRecipe, { ...options, textureLoader: this.textureLoader });
+  }
+
+  /**
+   * Registers a callback run once per frame before rendering
+   * @param {Function} listener - Called with the elapsed real time in seconds
+   */
+  onUpdate(listener) {
+    this.updateListeners.push(listener);
+  }
+
+  /**
+   * Registers a callback for clicks on the planet's surface
+   * Drags that rotate the camera are ignored.
+   * @param {Function} listener - Called with { latitude, longitude } in degrees
+   */
+  onSurfaceClick(listener) {
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const element = this.renderer.domElement;
+    let down = null;
+
+    element.addEventListener('pointerdown', (event) => {
+      down = { x: event.clientX, y: event.clientY };
+    });
+
+    element.addEventListener('pointerup', (event) => {
+      if (!down || !this.planetMesh) return;
+      const moved = Math.hypot(event.clientX - down.x, event.clientY - down.y);
+      down = null;
+      if (moved > CLICK_TOLERANCE) return;
+
+      const bounds = element.getBoundingClientRect();
+      pointer.set(
+        ((event.clientX - bounds.left) / bounds.width) * 2 - 1,
+        -((event.clientY - bounds.top) / bounds.height) * 2 + 1
+      );
+      raycaster.setFromCamera(pointer, this.camera);
+      const [hit] = raycaster.intersectObject(this.planetMesh);
+      if (!hit) return;
+
+      // Texture coordinates are equirectangular, so they give latitude and longitude directly
+      listener({
+        latitude: (hit.uv.y - 0.5) * 180,
+        longitude: (hit.uv.x - 0.5) * 360
+      });
+    });
+  }
+
   /**
    * Creates a starfield background
    */
@@ -124,8 +318,8 @@ class PlanetRenderer {
       new THREE.Float32BufferAttribute(starsVertices, 3)
     );
 
-    const starField = new THREE.Points(starsGeometry, starsMaterial);
-    this.scene.add(starField);
+    this.starField = new THREE.Points(starsGeometry, starsMaterial);
+    this.scene.add(this.starField);
   }
 
   /**
@@ -145,9 +339,13 @@ class PlanetRenderer {
    * Creates a planet mesh with enhanced visuals
    * @param {Object} params - Planet physical parameters
    * @param {Object} composition - Planet composition parameters (optional)
+   * @param {Object} [options] - Extra rendering inputs
+   * @param {Array<Object>} [options.iceBands] - Frozen latitude ranges from the climate model
+   * @param {number} [options.seed] - Terrain seed; the same seed gives the same
+   *   continents, clouds and storms. Without one the textures are random.
    * @returns {THREE.Mesh} The planet mesh
    */
-  createPlanetMesh(params, composition = null) {
+  createPlanetMesh(params, composition = null, options = {}) {
     // Remove existing meshes if any
     if (this.planetMesh) {
       this.scene.remove(this.planetMesh);
@@ -169,13 +367,27 @@ class PlanetRenderer {
 
     // Scale the radius for better visualization
     const displayRadius = params.radius / 1000;
+    const random = createRandom(options.seed);
+
+    if (composition && !composition.hasSolidSurface()) {
+      return this.createGiantMesh(params, composition, displayRadius, random, options.seed ?? null);
+    }
 
     // Get composition parameters if available
     const textureOptions = composition ? {
       waterCoverage: composition.water.coverage,
-      temperature: composition.surface.temperature,
-      iceCaps: composition.water.iceCaps
+      temperature: composition.getEffectiveTemperature(),
+      iceCaps: composition.water.iceCaps,
+      oceanColor: composition.getOceanColor(),
+      craters: composition.surface.craters,
+      planetRadius: params.radius
     } : {};
+    if (options.iceBands) {
+      textureOptions.iceBands = options.iceBands;
+    }
+    // Remember how the maps were made so they can be regenerated for export
+    this.textureRecipe = { surface: true, options: { ...textureOptions }, seed: options.seed ?? null };
+    textureOptions.random = random;
 
     // Create textures with composition
     const textures = this.textureLoader.createPlanetTextures(textureOptions);
@@ -208,9 +420,75 @@ class PlanetRenderer {
       this.createCloudLayer(displayRadius, textures.cloudMap);
     }
 
+    // Squash the spheres into the rotational spheroid
+    this.setPlanetShape(calculateRotationalShape(params).flattening);
+
+    if (this.tidallyLocked) {
+      this.faceSun();
+    }
+
     return this.planetMesh;
   }
 
+  /**
+   * Creates a gas or ice giant: banded cloud tops with no surface relief or oceans
+   * @private
+   */
+  createGiantMesh(params, composition, displayRadius, random, seed) {
+    const { bandCount, contrast, stormCount } = composition.getBandStructure(params);
+    const colors = composition.getBandColors();
+    const bandOptions = {
+      bandCount,
+      contrast,
+      stormCount,
+      zoneColor: colors.zone,
+      beltColor: colors.belt,
+      stormColor: colors.storm
+    };
+    this.textureRecipe = { surface: false, options: bandOptions, seed };
+    const map = this.textureLoader.createBandedTexture({ ...bandOptions, random });
+
+    const geometry = new THREE.SphereGeometry(displayRadius, 64, 64);
+    const material = new THREE.MeshPhongMaterial({
+      map,
+      specular: new THREE.Color(0x111111),
+      shininess: 5
+    });
+
+    this.planetMesh = new THREE.Mesh(geometry, material);
+    this.planetMesh.castShadow = true;
+    this.planetMesh.receiveShadow = true;
+    this.scene.add(this.planetMesh);
+
+    // The cloud tops are the visible surface, so no separate cloud layer
+    this.cloudMesh = null;
+    this.createAtmosphere(displayRadius, composition.getAtmosphereColor());
+
+    this.setPlanetShape(calculateRotationalShape(params).flattening);
+
+    if (this.tidallyLocked) {
+      this.faceSun();
+    }
+
+    return this.planetMesh;
+  }
+
+  /**
+   * Flattens the planet, atmosphere and clouds into an oblate spheroid of the same volume
+   * @param {number} flattening - Flattening (R_eq - R_pol) / R_eq
+   */
+  setPlanetShape(flattening) {
+    this.flattening = flattening;
+    const equatorial = 1 / Math.cbrt(1 - flattening);
+    const polar = equatorial * (1 - flattening);
+
+    for (const mesh of [this.planetMesh, this.atmosphereMesh, this.cloudMesh]) {
+      if (mesh) {
+        mesh.scale.set(equatorial, polar, equatorial);
+      }
+    }
+  }
+
   /**
    * Creates an atmospheric glow around the planet
    * @param {number} radius - Planet radius
@@ -249,6 +527,81 @@ class PlanetRenderer {
     this.scene.add(this.cloudMesh);
   }
 
+  /**
+   * Replaces the rendered moons and their orbit lines
+   * Moons are drawn at true size relative to the planet; orbit distances are compressed.
+   * @param {SatelliteSystem} system - The planet's satellite system
+   */
+  setMoons(system) {
+    this.clearMoons();
+    this.moonSystem = system;
+
+    for (const moon of system.moons) {
+      const mesh = new THREE.Mesh(
+        new THREE.SphereGeometry(moon.physical.radius / 1000, 32, 32),
+        new THREE.MeshPhongMaterial({ color: 0xb0aaa0, shininess: 5 })
+      );
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+
+      const period = system.calculateOrbitalPeriod(moon);
+      const points = [];
+      for (let i = 0; i < MOON_ORBIT_SEGMENTS; i++) {
+        const position = system.calculateMoonPosition(moon, (period * i) / MOON_ORBIT_SEGMENTS);
+        points.push(this.toMoonDisplayPosition(position, system.planet.radius));
+      }
+      const orbitLine = new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color: 0x666688, transparent: true, opacity: 0.5 })
+      );
+
+      this.scene.add(mesh);
+      this.scene.add(orbitLine);
+      this.moonMeshes.push({ moon, mesh, orbitLine });
+    }
+  }
+
+  /**
+   * Moves the moons to their positions at a given time
+   * @param {number} time - Simulation time in days
+   */
+  updateMoonPositions(time) {
+    if (!this.moonSystem) return;
+
+    for (const { moon, mesh } of this.moonMeshes) {
+      const position = this.moonSystem.calculateMoonPosition(moon, time);
+      mesh.position.copy(this.toMoonDisplayPosition(position, this.moonSystem.planet.radius));
+    }
+  }
+
+  /**
+   * Converts a moon position in km to compressed scene coordinates
+   * @param {Object} position - Position with x, y, z and distance in km
+   * @param {number} planetRadius - Planet radius in km
+   * @returns {THREE.Vector3} Scene position
+   */
+  toMoonDisplayPosition({ x, y, z, distance }, planetRadius) {
+    const displayDistance = (planetRadius / 1000)
+      * (MOON_ORBIT_BASE + MOON_ORBIT_SCALE * Math.log(Math.max(distance / planetRadius, 1)));
+    return new THREE.Vector3(x, y, z).multiplyScalar(displayDistance / distance);
+  }
+
+  /**
+   * Removes all rendered moons
+   */
+  clearMoons() {
+    for (const { mesh, orbitLine } of this.moonMeshes) {
+      this.scene.remove(mesh);
+      this.scene.remove(orbitLine);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      orbitLine.geometry.dispose();
+      orbitLine.material.dispose();
+    }
+    this.moonMeshes = [];
+    this.moonSystem = null;
+  }
+
   /**
    * Updates the planet's size based on new radius parameter
    * @param {number} radius - New radius in kilometers
@@ -281,8 +634,14 @@ class PlanetRenderer {
   animate() {
     this.animationId = requestAnimationFrame(() => this.animate());
 
-    // Rotate planet
-    if (this.planetMesh) {
+    // Let the simulation advance before drawing
+    const delta = this.frameClock.getDelta();
+    for (const listener of this.updateListeners) {
+      listener(delta);
+    }
+
+    // Rotate planet, unless tides hold one face to the sun
+    if (this.planetMesh && !this.tidallyLocked) {
       this.planetMesh.rotation.y += 0.0005;
     }
 
@@ -336,6 +695,7 @@ class PlanetRenderer {
    * Cleans up resources
    */
   dispose() {
+    this.capture.cancel();
     this.stop();
 
     if (this.planetMesh) {
@@ -353,6 +713,8 @@ class PlanetRenderer {
       this.cloudMesh.material.dispose();
     }
 
+    this.clearMoons();
+
     if (this.renderer) {
       this.renderer.dispose();
     }
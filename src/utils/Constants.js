@@ -6,6 +6,14 @@
 export const GRAVITATIONAL_CONSTANT = 6.674e-11; // m³/(kg·s²)
 export const BOLTZMANN_CONSTANT = 1.380649e-23; // J/K
 export const STEFAN_BOLTZMANN = 5.670374419e-8; // W/(m²·K⁴)
+export const AVOGADRO_CONSTANT = 6.02214076e23; // 1/mol
+export const GAS_CONSTANT = 8.314462618; // J/(mol·K)
+
+// Astronomical reference values
+export const SOLAR_MASS = 1.989e30;          // kg
+export const SOLAR_LUMINOSITY = 3.828e26;    // W
+export const SOLAR_RADIUS = 6.957e8;         // m
+export const ASTRONOMICAL_UNIT = 1.496e11;   // m
 
 // Gas molecular weights (kg/mol)
 export const MOLECULAR_WEIGHTS = {
@@ -30,6 +38,16 @@ export const EARTH = {
   escapeVelocity: 11.2 // km/s
 };
 
+export const VENUS = {
+  mass: 4.8673e24,      // kg
+  radius: 6051.8,       // km
+  density: 5243,        // kg/m³
+  gravity: 8.87,        // m/s²
+  rotationRate: 5832.6, // hours (243 days, retrograde)
+  axialTilt: 177.4,     // degrees
+  escapeVelocity: 10.36 // km/s
+};
+
 export const MARS = {
   mass: 6.4171e23,     // kg
   radius: 3389.5,      // km
@@ -50,6 +68,36 @@ export const JUPITER = {
   escapeVelocity: 59.5 // km/s
 };
 
+export const SATURN = {
+  mass: 5.683e26,      // kg
+  radius: 58232,       // km
+  density: 687,        // kg/m³
+  gravity: 10.44,      // m/s²
+  rotationRate: 10.66, // hours
+  axialTilt: 26.73,    // degrees
+  escapeVelocity: 35.5 // km/s
+};
+
+export const URANUS = {
+  mass: 8.681e25,      // kg
+  radius: 25362,       // km
+  density: 1270,       // kg/m³
+  gravity: 8.69,       // m/s²
+  rotationRate: 17.24, // hours
+  axialTilt: 97.77,    // degrees
+  escapeVelocity: 21.3 // km/s
+};
+
+export const NEPTUNE = {
+  mass: 1.024e26,      // kg
+  radius: 24622,       // km
+  density: 1638,       // kg/m³
+  gravity: 11.15,      // m/s²
+  rotationRate: 16.11, // hours
+  axialTilt: 28.32,    // degrees
+  escapeVelocity: 23.5 // km/s
+};
+
 export const MOON = {
   mass: 7.342e22,      // kg
   radius: 1737.4,      // km
@@ -65,8 +113,13 @@ export const PARAMETER_RANGES = {
   mass: { min: 1e20, max: 1e30 },          // kg
   radius: { min: 100, max: 100000 },       // km
   density: { min: 500, max: 15000 },       // kg/m³
-  rotationRate: { min: 0.1, max: 1000 },   // hours
-  axialTilt: { min: 0, max: 180 }          // degrees
+  rotationRate: { min: 0.1, max: 10000 },  // hours (Venus turns once in 5833)
+  axialTilt: { min: 0, max: 180 },         // degrees
+  stellarMass: { min: 0.08, max: 150 },    // solar masses
+  luminosity: { min: 1e-5, max: 1e6 },     // solar luminosities
+  stellarTemperature: { min: 2000, max: 50000 }, // K
+  semiMajorAxis: { min: 0.01, max: 1000 }, // AU
+  eccentricity: { min: 0, max: 0.99 }      // dimensionless
 };
 
 // Albedo values for different surface types
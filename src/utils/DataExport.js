@@ -0,0 +1,280 @@
+import { SI_UNITS, Quantity } from './Units.js';
+import TidalModel, { DEFAULT_QUALITY_FACTOR, DEFAULT_RIGIDITY } from '../physics/Tides.js';
+
+/**
+ * Data export
+ * Writes every input and derived property of a planet as JSON or as a flat CSV
+ * row for analysis elsewhere. Values are always in the internal units (SI_UNITS
+ * plus the astronomical units the parameters use), whatever the display units,
+ * so a column means the same thing in every file. Notebooks read these files by
+ * column name: new columns may be appended to DATA_COLUMNS, but existing ones must
+ * never be renamed, reordered or change unit. Bump DATA_EXPORT_VERSION when columns
+ * are added.
+ */
+
+// Identifies data export files
+export const DATA_EXPORT_FORMAT = 'planet-builder-data';
+export const DATA_EXPORT_VERSION = 1;
+
+const KG = SI_UNITS.getSymbol(Quantity.MASS);
+const KM = SI_UNITS.getSymbol(Quantity.RADIUS);
+const KG_M3 = SI_UNITS.getSymbol(Quantity.DENSITY);
+const M_S2 = SI_UNITS.getSymbol(Quantity.GRAVITY);
+const KM_S = SI_UNITS.getSymbol(Quantity.VELOCITY);
+const K = SI_UNITS.getSymbol(Quantity.TEMPERATURE);
+
+/**
+ * Exported columns, in file order
+ * Each has its CSV column name, the JSON section and key it appears under, its
+ * unit (null for counts, ratios, flags and text) and a getter reading it from the
+ * collected planet state. Sections a planet lacks (e.g. no orbit) export as null.
+ * Per-moon values are lists in moon order, joined with semicolons in CSV.
+ */
+export const DATA_COLUMNS = [
+  // Planet
+  { column: 'name', section: 'planet', key: 'name', unit: null, get: ({ name }) => name },
+  { column: 'moon_count', section: 'planet', key: 'moonCount', unit: null, get: ({ satellites }) => satellites?.moons.length ?? 0 },
+
+  // Physical inputs
+  { column: 'mass_kg', section: 'physical', key: 'mass', unit: KG, get: ({ physical }) => physical.mass },
+  { column: 'radius_km', section: 'physical', key: 'radius', unit: KM, get: ({ physical }) => physical.radius },
+  { column: 'density_kg_m3', section: 'physical', key: 'density', unit: KG_M3, get: ({ physical }) => physical.density },
+  { column: 'rotation_period_h', section: 'physical', key: 'rotationPeriod', unit: 'h', get: ({ physical }) => physical.rotationRate },
+  { column: 'axial_tilt_deg', section: 'physical', key: 'axialTilt', unit: '°', get: ({ physical }) => physical.axialTilt },
+
+  // Physical derived
+  { column: 'surface_gravity_m_s2', section: 'physical', key: 'surfaceGravity', unit: M_S2, get: ({ physicalProps }) => physicalProps.surfaceGravity },
+  { column: 'equatorial_gravity_m_s2', section: 'physical', key: 'equatorialGravity', unit: M_S2, get: ({ physicalProps }) => physicalProps.equatorialGravity },
+  { column: 'polar_gravity_m_s2', section: 'physical', key: 'polarGravity', unit: M_S2, get: ({ physicalProps }) => physicalProps.polarGravity },
+  { column: 'escape_velocity_km_s', section: 'physical', key: 'escapeVelocity', unit: KM_S, get: ({ physicalProps }) => physicalProps.escapeVelocity },
+  { column: 'volume_km3', section: 'physical', key: 'volume', unit: 'km³', get: ({ physicalProps }) => physicalProps.volume },
+  { column: 'density_consistent', section: 'physical', key: 'densityConsistent', unit: null, get: ({ physicalProps }) => physicalProps.densityConsistent },
+  { column: 'flattening', section: 'physical', key: 'flattening', unit: null, get: ({ physicalProps }) => physicalProps.flattening },
+  { column: 'breakup_period_h', section: 'physical', key: 'breakupPeriod', unit: 'h', get: ({ physicalProps }) => physicalProps.breakupPeriod },
+
+  // Composition inputs
+  { column: 'planet_class', section: 'composition', key: 'planetClass', unit: null, get: ({ composition }) => composition.planetClass },
+  { column: 'internal_heat_flux_w_m2', section: 'composition', key: 'internalHeatFlux', unit: 'W/m²', get: ({ composition }) => composition.internalHeatFlux },
+  { column: 'surface_pressure_atm', section: 'composition', key: 'surfacePressure', unit: 'atm', get: ({ composition }) => composition.atmosphere.pressure },
+  { column: 'atmosphere_thickness_km', section: 'composition', key: 'atmosphereThickness', unit: KM, get: ({ composition }) => composition.atmosphere.thickness },
+  { column: 'atmosphere_composition_pct', section: 'composition', key: 'atmosphereComposition', unit: '%', get: ({ composition }) => ({ ...composition.atmosphere.composition }) },
+  { column: 'water_coverage_pct', section: 'composition', key: 'waterCoverage', unit: '%', get: ({ composition }) => composition.water.coverage },
+  { column: 'ocean_depth_km', section: 'composition', key: 'oceanDepth', unit: KM, get: ({ composition }) => composition.water.depth },
+  { column: 'ice_caps_pct', section: 'composition', key: 'iceCaps', unit: '%', get: ({ composition }) => composition.water.iceCaps },
+  { column: 'albedo', section: 'composition', key: 'albedo', unit: null, get: ({ composition }) => composition.surface.albedo },
+  { column: 'surface_temperature_setting_k', section: 'composition', key: 'surfaceTemperatureSetting', unit: K, get: ({ composition }) => composition.surface.temperature },
+  { column: 'crater_count', section: 'composition', key: 'craterCount', unit: null, get: ({ composition }) => composition.surface.craters.length },
+
+  // Composition derived
+  { column: 'base_temperature_k', section: 'composition', key: 'baseTemperature', unit: K, get: ({ composition }) => composition.getBaseTemperature() },
+  { column: 'greenhouse_warming_k', section: 'composition', key: 'greenhouseWarming', unit: K, get: ({ radiative }) => radiative.greenhouseWarming },
+  { column: 'effective_temperature_k', section: 'composition', key: 'effectiveTemperature', unit: K, get: ({ composition }) => composition.getEffectiveTemperature() },
+  { column: 'runaway_greenhouse', section: 'composition', key: 'runawayGreenhouse', unit: null, get: ({ radiative }) => radiative.runaway },
+  { column: 'dominant_gas', section: 'composition', key: 'dominantGas', unit: null, get: ({ composition }) => composition.getDominantGas() },
+  { column: 'liquid_water', section: 'composition', key: 'liquidWater', unit: null, get: ({ composition }) => composition.canSupportLiquidWater() },
+  { column: 'ocean_volatile', section: 'composition', key: 'oceanVolatile', unit: null, get: ({ ocean }) => ocean?.volatile },
+  { column: 'ocean_phase', section: 'composition', key: 'oceanPhase', unit: null, get: ({ ocean }) => ocean?.phase },
+  { column: 'gases_marginal', section: 'composition', key: 'gasesMarginal', unit: null, get: ({ retention }) => retention.marginal },
+  { column: 'gases_lost', section: 'composition', key: 'gasesLost', unit: null, get: ({ retention }) => retention.lost },
+
+  // Orbit inputs
+  { column: 'star_mass_msun', section: 'orbit', key: 'starMass', unit: 'M☉', get: ({ orbit }) => orbit?.star.mass },
+  { column: 'star_luminosity_lsun', section: 'orbit', key: 'starLuminosity', unit: 'L☉', get: ({ orbit }) => orbit?.star.luminosity },
+  { column: 'star_temperature_k', section: 'orbit', key: 'starTemperature', unit: K, get: ({ orbit }) => orbit?.star.temperature },
+  { column: 'semi_major_axis_au', section: 'orbit', key: 'semiMajorAxis', unit: 'AU', get: ({ orbit }) => orbit?.orbit.semiMajorAxis },
+  { column: 'eccentricity', section: 'orbit', key: 'eccentricity', unit: null, get: ({ orbit }) => orbit?.orbit.eccentricity },
+  { column: 'longitude_of_perihelion_deg', section: 'orbit', key: 'longitudeOfPerihelion', unit: '°', get: ({ orbit }) => orbit?.orbit.longitudeOfPerihelion },
+
+  // Orbit derived
+  { column: 'stellar_radius_rsun', section: 'orbit', key: 'stellarRadius', unit: 'R☉', get: ({ orbitProps }) => orbitProps?.stellarRadius },
+  { column: 'orbital_period_days', section: 'orbit', key: 'orbitalPeriod', unit: 'days', get: ({ orbitProps }) => orbitProps?.orbitalPeriod },
+  { column: 'periapsis_au', section: 'orbit', key: 'periapsis', unit: 'AU', get: ({ orbitProps }) => orbitProps?.periapsis },
+  { column: 'apoapsis_au', section: 'orbit', key: 'apoapsis', unit: 'AU', get: ({ orbitProps }) => orbitProps?.apoapsis },
+  { column: 'stellar_flux_w_m2', section: 'orbit', key: 'stellarFlux', unit: 'W/m²', get: ({ orbitProps }) => orbitProps?.stellarFlux },
+  { column: 'equilibrium_temperature_k', section: 'orbit', key: 'equilibriumTemperature', unit: K, get: ({ orbitProps }) => orbitProps?.equilibriumTemperature },
+  { column: 'hz_conservative_inner_au', section: 'orbit', key: 'habitableZoneConservativeInner', unit: 'AU', get: ({ orbitProps }) => orbitProps?.habitableZone.conservative.inner },
+  { column: 'hz_conservative_outer_au', section: 'orbit', key: 'habitableZoneConservativeOuter', unit: 'AU', get: ({ orbitProps }) => orbitProps?.habitableZone.conservative.outer },
+  { column: 'hz_optimistic_inner_au', section: 'orbit', key: 'habitableZoneOptimisticInner', unit: 'AU', get: ({ orbitProps }) => orbitProps?.habitableZone.optimistic.inner },
+  { column: 'hz_optimistic_outer_au', section: 'orbit', key: 'habitableZoneOptimisticOuter', unit: 'AU', get: ({ orbitProps }) => orbitProps?.habitableZone.optimistic.outer },
+
+  // Geology inputs and derived
+  { column: 'volcanic_activity', section: 'advanced', key: 'volcanicActivity', unit: null, get: ({ advanced }) => advanced?.volcanism.activityLevel },
+  { column: 'volcano_count', section: 'advanced', key: 'volcanoCount', unit: null, get: ({ advanced }) => advanced?.volcanism.volcanoCount },
+  { column: 'eruption_interval_yr', section: 'advanced', key: 'eruptionInterval', unit: 'yr', get: ({ advanced }) => advanced?.volcanism.eruptionFrequency },
+  { column: 'lava_composition', section: 'advanced', key: 'lavaComposition', unit: null, get: ({ advanced }) => advanced?.volcanism.lavaComposition },
+  { column: 'volcanic_gas_emissions_tg_yr', section: 'advanced', key: 'gasEmissions', unit: 'Tg/yr', get: ({ advanced }) => advanced && { ...advanced.volcanism.gasEmissions } },
+  { column: 'magnetic_field_t', section: 'advanced', key: 'magneticField', unit: 'T', get: ({ advanced }) => advanced?.magneticField.strength },
+  { column: 'dynamo_active', section: 'advanced', key: 'dynamoActive', unit: null, get: ({ advanced }) => advanced?.magneticField.dynamoActive },
+  { column: 'magnetic_pole_offset_deg', section: 'advanced', key: 'poleOffset', unit: '°', get: ({ advanced }) => advanced?.magneticField.poleOffset },
+  { column: 'magnetic_field_shape', section: 'advanced', key: 'fieldShape', unit: null, get: ({ advanced }) => advanced?.magneticField.fieldShape },
+  { column: 'core_state', section: 'advanced', key: 'coreState', unit: null, get: ({ advanced }) => advanced?.magneticField.coreState },
+  { column: 'tectonic_state', section: 'advanced', key: 'tectonicState', unit: null, get: ({ advanced }) => advanced?.tectonics.state },
+  { column: 'plate_count', section: 'advanced', key: 'plateCount', unit: null, get: ({ advanced }) => advanced?.tectonics.plateCount },
+  { column: 'plate_movement_rate_cm_yr', section: 'advanced', key: 'movementRate', unit: 'cm/yr', get: ({ advanced }) => advanced?.tectonics.movementRate },
+  { column: 'dynamo_plausible', section: 'advanced', key: 'dynamoPlausible', unit: null, get: ({ advancedProps }) => advancedProps?.dynamoPlausible },
+  { column: 'total_outgassing_tg_yr', section: 'advanced', key: 'totalOutgassing', unit: 'Tg/yr', get: ({ advancedProps }) => advancedProps?.totalOutgassing },
+  { column: 'eruptions_per_year', section: 'advanced', key: 'eruptionsPerYear', unit: '1/yr', get: ({ advancedProps }) => advancedProps?.eruptionsPerYear },
+
+  // Interior inputs
+  { column: 'core_fraction', section: 'interior', key: 'coreFraction', unit: null, get: ({ interior }) => interior?.core },
+  { column: 'mantle_fraction', section: 'interior', key: 'mantleFraction', unit: null, get: ({ interior }) => interior?.mantle },
+  { column: 'water_fraction', section: 'interior', key: 'waterFraction', unit: null, get: ({ interior }) => interior?.water },
+  { column: 'envelope_fraction', section: 'interior', key: 'envelopeFraction', unit: null, get: ({ interior }) => interior?.envelope },
+
+  // Interior derived
+  { column: 'core_radius_km', section: 'interior', key: 'coreRadius', unit: KM, get: ({ structure }) => structure?.coreRadius },
+  { column: 'central_pressure_gpa', section: 'interior', key: 'centralPressure', unit: 'GPa', get: ({ structure }) => structure?.centralPressure },
+  { column: 'moment_of_inertia_factor', section: 'interior', key: 'momentOfInertiaFactor', unit: null, get: ({ structure }) => structure?.momentOfInertiaFactor },
+
+  // Tides raised by the star
+  { column: 'tidally_locked', section: 'tides', key: 'tidallyLocked', unit: null, get: ({ tides }) => tides?.tidallyLocked },
+  { column: 'tidal_locking_time_yr', section: 'tides', key: 'lockingTime', unit: 'yr', get: ({ tides }) => tides?.lockingTime },
+  { column: 'equilibrium_rotation_period_h', section: 'tides', key: 'equilibriumRotationPeriod', unit: 'h', get: ({ tides }) => tides?.equilibriumRotationPeriod },
+  { column: 'tidal_heat_flux_w_m2', section: 'tides', key: 'heatFlux', unit: 'W/m²', get: ({ tides }) => tides?.heatFlux },
+  { column: 'tidal_surface_warming_k', section: 'tides', key: 'surfaceWarming', unit: K, get: ({ tides }) => tides?.surfaceWarming },
+
+  // Moon inputs, one list entry per moon
+  { column: 'moon_names', section: 'moons', key: 'names', unit: null, get: ({ satellites }) => satellites?.moons.map(({ name }) => name) },
+  { column: 'moon_mass_kg', section: 'moons', key: 'mass', unit: KG, get: ({ satellites }) => satellites?.moons.map(({ physical }) => physical.mass) },
+  { column: 'moon_radius_km', section: 'moons', key: 'radius', unit: KM, get: ({ satellites }) => satellites?.moons.map(({ physical }) => physical.radius) },
+  { column: 'moon_density_kg_m3', section: 'moons', key: 'density', unit: KG_M3, get: ({ satellites }) => satellites?.moons.map(({ physical }) => physical.density) },
+  { column: 'moon_rotation_period_h', section: 'moons', key: 'rotationPeriod', unit: 'h', get: ({ satellites }) => satellites?.moons.map(({ physical }) => physical.rotationRate) },
+  { column: 'moon_axial_tilt_deg', section: 'moons', key: 'axialTilt', unit: '°', get: ({ satellites }) => satellites?.moons.map(({ physical }) => physical.axialTilt) },
+  { column: 'moon_semi_major_axis_km', section: 'moons', key: 'semiMajorAxis', unit: KM, get: ({ satellites }) => satellites?.moons.map(({ orbit }) => orbit.semiMajorAxis) },
+  { column: 'moon_eccentricity', section: 'moons', key: 'eccentricity', unit: null, get: ({ satellites }) => satellites?.moons.map(({ orbit }) => orbit.eccentricity) },
+  { column: 'moon_inclination_deg', section: 'moons', key: 'inclination', unit: '°', get: ({ satellites }) => satellites?.moons.map(({ orbit }) => orbit.inclination) },
+  { column: 'moon_mean_anomaly_deg', section: 'moons', key: 'meanAnomaly', unit: '°', get: ({ satellites }) => satellites?.moons.map(({ orbit }) => orbit.meanAnomaly) },
+
+  // Moon derived
+  { column: 'hill_sphere_km', section: 'moons', key: 'hillSphere', unit: KM, get: ({ moonProps }) => moonProps?.hillSphere },
+  { column: 'moon_stable_radius_km', section: 'moons', key: 'stableRadius', unit: KM, get: ({ moonProps }) => moonProps?.stableRadius },
+  { column: 'moon_orbital_period_days', section: 'moons', key: 'orbitalPeriod', unit: 'days', get: ({ moonProps }) => moonProps?.moons.map(({ orbitalPeriod }) => orbitalPeriod) },
+  { column: 'moon_roche_limit_km', section: 'moons', key: 'rocheLimit', unit: KM, get: ({ moonProps }) => moonProps?.moons.map(({ rocheLimit }) => rocheLimit) },
+  { column: 'moon_orbit_stability', section: 'moons', key: 'stability', unit: null, get: ({ moonProps }) => moonProps?.moons.map(({ stability }) => stability) },
+  { column: 'moon_tidal_locking_time_yr', section: 'moons', key: 'tidalLockingTime', unit: 'yr', get: ({ moonProps }) => moonProps?.moons.map(({ tidalLockingTime }) => tidalLockingTime) },
+  { column: 'moon_tidally_locked', section: 'moons', key: 'tidallyLocked', unit: null, get: ({ moonProps }) => moonProps?.moons.map(({ tidallyLocked }) => tidallyLocked) },
+  { column: 'moon_tidal_heating_w', section: 'moons', key: 'tidalHeating', unit: 'W', get: ({ moonProps }) => moonProps?.moons.map(({ tidalHeating }) => tidalHeating) },
+
+  // Habitability
+  { column: 'esi', section: 'habitability', key: 'esi', unit: null, get: ({ habitability }) => habitability.esi.global },
+  { column: 'esi_interior', section: 'habitability', key: 'esiInterior', unit: null, get: ({ habitability }) => habitability.esi.interior },
+  { column: 'esi_surface', section: 'habitability', key: 'esiSurface', unit: null, get: ({ habitability }) => habitability.esi.surface },
+  { column: 'habitable_zone_status', section: 'habitability', key: 'zoneStatus', unit: null, get: ({ habitability }) => habitability.zoneStatus },
+  { column: 'limiting_factors', section: 'habitability', key: 'limitingFactors', unit: null, get: ({ habitability }) => habitability.limitingFactors.map(({ factor }) => factor) },
+  { column: 'potentially_habitable', section: 'habitability', key: 'potentiallyHabitable', unit: null, get: ({ habitability }) => habitability.potentiallyHabitable }
+];
+
+/**
+ * Solves the interior, or gives null for masses outside the model's range
+ * @private
+ */
+function solveInterior(interior, mass) {
+  try {
+    return interior.solve(mass);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collects the planet data every column is read from
+ * @private
+ */
+function gatherState(planet, { name, qualityFactor, rigidity }) {
+  const { physical, composition, orbit = null, advanced = null, interior = null, satellites = null } = planet;
+  const surfaceTemperature = composition.getEffectiveTemperature();
+
+  return {
+    name,
+    physical,
+    composition,
+    orbit,
+    advanced,
+    interior,
+    satellites,
+    moonProps: satellites ? satellites.getCalculatedProperties() : null,
+    physicalProps: physical.getCalculatedProperties(),
+    radiative: composition.getRadiativeBalance(),
+    ocean: composition.getOceanState(),
+    retention: composition.getAtmosphericRetention(physical),
+    orbitProps: orbit ? orbit.getCalculatedProperties(composition.surface.albedo) : null,
+    advancedProps: advanced ? advanced.getCalculatedProperties(physical) : null,
+    structure: interior ? solveInterior(interior, physical.mass) : null,
+    tides: orbit ? TidalModel.fromOrbit(physical, orbit, { qualityFactor, rigidity }).solve({ surfaceTemperature }) : null,
+    habitability: composition.getHabitability(physical, { orbit, advanced })
+  };
+}
+
+/**
+ * Reads every exported value of a planet
+ * @param {Object} planet - Planet models: physical, composition and optionally
+ *   orbit, advanced, interior and satellites
+ * @param {Object} [options] - Export options
+ * @param {string} [options.name=''] - Planet name
+ * @param {number} [options.qualityFactor=DEFAULT_QUALITY_FACTOR] - Tidal quality factor Q
+ * @param {number} [options.rigidity=DEFAULT_RIGIDITY] - Rigidity for the tidal model in Pa
+ * @returns {Array<Object>} One entry per column of DATA_COLUMNS, with column,
+ *   section, key, unit and value (null when it does not apply)
+ */
+export function collectPlanetData(planet, { name = '', qualityFactor = DEFAULT_QUALITY_FACTOR, rigidity = DEFAULT_RIGIDITY } = {}) {
+  const state = gatherState(planet, { name, qualityFactor, rigidity });
+  return DATA_COLUMNS.map(({ column, section, key, unit, get }) => ({
+    column,
+    section,
+    key,
+    unit,
+    value: get(state) ?? null
+  }));
+}
+
+/**
+ * Writes collected planet data as JSON, grouped by section
+ * @param {Array<Object>} data - Output of collectPlanetData
+ * @returns {string} JSON text with each value and its unit
+ */
+export function writeDataJSON(data) {
+  const properties = {};
+  for (const { section, key, unit, value } of data) {
+    properties[section] = properties[section] ?? {};
+    properties[section][key] = { value, unit };
+  }
+
+  return JSON.stringify({
+    format: DATA_EXPORT_FORMAT,
+    version: DATA_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    properties
+  }, null, 2);
+}
+
+/**
+ * Formats a value as a CSV field
+ * Lists are joined with semicolons and gas mixes written as gas=percent pairs,
+ * so each planet stays on one row; fields are quoted when they need it.
+ * @private
+ */
+function toCSVField(value) {
+  let text;
+  if (value === null) {
+    text = '';
+  } else if (Array.isArray(value)) {
+    text = value.join(';');
+  } else if (typeof value === 'object') {
+    text = Object.entries(value).map(([gas, percent]) => `${gas}=${percent}`).join(';');
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes collected planet data as CSV: a header row of column names, then one
+ * row per planet
+ * @param {Array<Array<Object>>} planets - collectPlanetData output for each planet
+ * @returns {string} CSV text
+ */
+export function writeDataCSV(planets) {
+  const header = DATA_COLUMNS.map(({ column }) => column).join(',');
+  const rows = planets.map((data) => data.map(({ value }) => toCSVField(value)).join(','));
+  return `${[header, ...rows].join('\n')}\n`;
+}
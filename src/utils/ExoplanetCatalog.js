@@ -0,0 +1,460 @@
+import PhysicalParameters, {
+  validatePhysicalParams,
+  calculateDerivedValue,
+  DerivedVariable
+} from '../parameters/PhysicalParams.js';
+import OrbitalParameters, { validateOrbitalParams } from '../parameters/OrbitalParams.js';
+import {
+  EARTH_COMPOSITION,
+  MARS_COMPOSITION,
+  VENUS_COMPOSITION,
+  JUPITER_COMPOSITION,
+  NEPTUNE_COMPOSITION,
+  PlanetClass
+} from '../parameters/CompositionParams.js';
+import TidalModel from '../physics/Tides.js';
+import { EARTH, JUPITER, PARAMETER_RANGES } from './Constants.js';
+
+/**
+ * Exoplanet catalog import
+ * Reads CSV or VOTable exports in NASA Exoplanet Archive column format (e.g. the
+ * Planetary Systems Composite table) and maps each row onto planet parameters.
+ * Missing masses or radii come from the Chen & Kipping (2017) mass-radius
+ * relation; missing star properties from main-sequence scalings.
+ */
+
+/**
+ * Catalog file formats
+ * @enum {string}
+ */
+export const CatalogFormat = {
+  CSV: 'csv',
+  VOTABLE: 'votable'
+};
+
+// Mass-radius relation (Chen & Kipping 2017): R = C M^S per regime, in Earth units.
+// Above the Jovian transition radius barely depends on mass, so radius-only
+// giants are given a Jupiter mass.
+const TERRAN_LIMIT = 2.04;   // M⊕
+const NEPTUNIAN_LIMIT = 131.6; // M⊕ (0.414 MJ)
+const TERRAN = { constant: 1.008, exponent: 0.279 };
+const NEPTUNIAN = { constant: 0.808, exponent: 0.589 };
+const JOVIAN = { constant: 17.74, exponent: -0.044 };
+
+const JUPITER_MASSES = JUPITER.mass / EARTH.mass;
+const JUPITER_RADII = JUPITER.radius / EARTH.radius;
+
+// Class boundaries for the composition guess
+const GAS_GIANT_MASS = 50;  // M⊕
+const GAS_GIANT_RADIUS = 6; // R⊕
+const ICE_GIANT_MASS = 10;  // M⊕
+const ICE_GIANT_RADIUS = 2; // R⊕ (above the radius valley)
+
+// Equilibrium temperatures (Bond albedo 0.3) separating Mars-, Earth- and Venus-like guesses
+const GUESS_ALBEDO = 0.3;
+const COLD_TEMPERATURE = 220; // K
+const HOT_TEMPERATURE = 290;  // K
+
+// Rotation of planets tides have not locked, hours (catalogs do not list spin)
+const DEFAULT_ROTATION = { terrestrial: 24, giant: 10 };
+
+const SOLAR_TEMPERATURE = 5772; // K
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Parses a number from a catalog cell
+ * @private
+ */
+function parseNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parses CSV text into rows keyed by column name
+ * Lines starting with # (archive header comments) and blank lines are skipped;
+ * quoted fields may contain commas, doubled quotes and newlines.
+ * @param {string} text - CSV text with a header row
+ * @returns {Array<Object>} Rows of string values
+ */
+export function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let atLineStart = true;
+  let comment = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (comment) {
+      if (char === '\n') {
+        comment = false;
+        atLineStart = true;
+      }
+      continue;
+    }
+    if (atLineStart && char === '#') {
+      comment = true;
+      continue;
+    }
+    atLineStart = false;
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      atLineStart = true;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map((name) => name.trim());
+  return nonEmpty.slice(1).map((cells) => Object.fromEntries(
+    header.map((name, index) => [name, (cells[index] ?? '').trim()])
+  ));
+}
+
+/**
+ * Replaces XML entities and character references
+ * @private
+ */
+function decodeXML(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Parses a VOTable into rows keyed by field name
+ * Only the TABLEDATA serialization is supported.
+ * @param {string} text - VOTable XML
+ * @returns {Array<Object>} Rows of string values
+ */
+export function parseVOTable(text) {
+  const fields = [...text.matchAll(/<FIELD\b([^>]*)>/gi)].map(([, attributes]) => {
+    const name = attributes.match(/\bname\s*=\s*"([^"]*)"/i) || attributes.match(/\bID\s*=\s*"([^"]*)"/i);
+    return name ? decodeXML(name[1]) : '';
+  });
+
+  const table = text.match(/<TABLEDATA\b[^>]*>([\s\S]*?)<\/TABLEDATA>/i);
+  if (!table) {
+    if (/<(BINARY|BINARY2|FITS)\b/i.test(text)) {
+      throw new Error('Only TABLEDATA VOTables are supported');
+    }
+    return [];
+  }
+
+  return [...table[1].matchAll(/<TR\b[^>]*>([\s\S]*?)<\/TR>/gi)].map(([, row]) => {
+    const cells = [...row.matchAll(/<TD\b[^>]*\/>|<TD\b[^>]*>([\s\S]*?)<\/TD>/gi)]
+      .map(([, value]) => decodeXML(value ?? '').trim());
+    return Object.fromEntries(fields.map((name, index) => [name, cells[index] ?? '']));
+  });
+}
+
+/**
+ * Estimates radius from mass
+ * Formula: R = C M^S (Chen & Kipping 2017)
+ * @param {number} mass - Mass in Earth masses
+ * @returns {number} Radius in Earth radii
+ */
+export function estimateRadiusFromMass(mass) {
+  const { constant, exponent } = mass < TERRAN_LIMIT ? TERRAN : mass < NEPTUNIAN_LIMIT ? NEPTUNIAN : JOVIAN;
+  return constant * mass ** exponent;
+}
+
+/**
+ * Estimates mass from radius by inverting the mass-radius relation
+ * Radii above the Neptunian regime are given a Jupiter mass, since giant radii
+ * hardly constrain mass.
+ * @param {number} radius - Radius in Earth radii
+ * @returns {number} Mass in Earth masses
+ */
+export function estimateMassFromRadius(radius) {
+  if (radius < estimateRadiusFromMass(TERRAN_LIMIT)) {
+    return (radius / TERRAN.constant) ** (1 / TERRAN.exponent);
+  }
+  if (radius < estimateRadiusFromMass(NEPTUNIAN_LIMIT)) {
+    return (radius / NEPTUNIAN.constant) ** (1 / NEPTUNIAN.exponent);
+  }
+  return JUPITER_MASSES;
+}
+
+/**
+ * Guesses a composition preset from a planet's size and temperature
+ * @param {Object} planet - Planet properties
+ * @param {number} planet.mass - Mass in Earth masses
+ * @param {number} planet.radius - Radius in Earth radii
+ * @param {number} planet.equilibriumTemperature - Equilibrium temperature in K
+ * @returns {Object} Composition preset
+ */
+export function guessComposition({ mass, radius, equilibriumTemperature }) {
+  if (mass >= GAS_GIANT_MASS || radius >= GAS_GIANT_RADIUS) return JUPITER_COMPOSITION;
+  if (mass >= ICE_GIANT_MASS || radius >= ICE_GIANT_RADIUS) return NEPTUNE_COMPOSITION;
+  if (equilibriumTemperature < COLD_TEMPERATURE) return MARS_COMPOSITION;
+  if (equilibriumTemperature > HOT_TEMPERATURE) return VENUS_COMPOSITION;
+  return EARTH_COMPOSITION;
+}
+
+/**
+ * Fills in the host star, estimating missing values on the main sequence
+ * (L ∝ M⁴, T ∝ M^0.6) or from the Stefan-Boltzmann law when the radius is known
+ * @private
+ */
+function mapStar(row, estimated) {
+  let mass = parseNumber(row.st_mass);
+  const logLuminosity = parseNumber(row.st_lum);
+  let luminosity = logLuminosity === null ? null : 10 ** logLuminosity;
+  let temperature = parseNumber(row.st_teff);
+  const radius = parseNumber(row.st_rad);
+
+  if (luminosity === null && radius !== null && temperature !== null) {
+    luminosity = radius ** 2 * (temperature / SOLAR_TEMPERATURE) ** 4;
+    estimated.push('luminosity');
+  }
+  if (mass === null) {
+    mass = luminosity === null ? 1 : luminosity ** 0.25;
+    estimated.push('stellarMass');
+  }
+  if (luminosity === null) {
+    luminosity = mass ** 4;
+    estimated.push('luminosity');
+  }
+  if (temperature === null) {
+    temperature = radius !== null
+      ? SOLAR_TEMPERATURE * (luminosity / radius ** 2) ** 0.25
+      : SOLAR_TEMPERATURE * mass ** 0.6;
+    estimated.push('stellarTemperature');
+  }
+
+  return { mass, luminosity, temperature };
+}
+
+/**
+ * Maps one catalog row onto planet parameters
+ * @param {Object} row - Row keyed by archive column name (pl_name, hostname,
+ *   pl_bmasse/pl_bmassj, pl_rade/pl_radj, pl_orbper, pl_orbsmax, pl_orbeccen,
+ *   st_mass, st_lum, st_teff, st_rad)
+ * @returns {Object} Planet (or null) and the errors that rejected it
+ */
+export function mapCatalogRow(row) {
+  const name = row.pl_name || 'Unnamed planet';
+  const estimated = [];
+
+  const massJupiter = parseNumber(row.pl_bmassj);
+  const radiusJupiter = parseNumber(row.pl_radj);
+  let massEarth = parseNumber(row.pl_bmasse) ?? (massJupiter === null ? null : massJupiter * JUPITER_MASSES);
+  let radiusEarth = parseNumber(row.pl_rade) ?? (radiusJupiter === null ? null : radiusJupiter * JUPITER_RADII);
+
+  if (massEarth === null && radiusEarth === null) {
+    return { planet: null, errors: ['Mass or radius is required'] };
+  }
+  if (massEarth === null) {
+    massEarth = estimateMassFromRadius(radiusEarth);
+    estimated.push('mass');
+  }
+  if (radiusEarth === null) {
+    radiusEarth = estimateRadiusFromMass(massEarth);
+    estimated.push('radius');
+  }
+
+  const star = mapStar(row, estimated);
+
+  // Kepler's third law in solar units: a³ = M P²
+  const period = parseNumber(row.pl_orbper);
+  let semiMajorAxis = parseNumber(row.pl_orbsmax);
+  if (semiMajorAxis === null && period !== null) {
+    semiMajorAxis = Math.cbrt(star.mass * (period / 365.25) ** 2);
+    estimated.push('semiMajorAxis');
+  }
+  if (semiMajorAxis === null) {
+    return { planet: null, errors: ['Orbital period or semi-major axis is required'] };
+  }
+  const eccentricity = parseNumber(row.pl_orbeccen) ?? 0;
+
+  const orbit = { star, orbit: { semiMajorAxis, eccentricity } };
+  const orbitalValidation = validateOrbitalParams(orbit);
+  if (!orbitalValidation.isValid) {
+    return { planet: null, errors: orbitalValidation.errors };
+  }
+
+  const composition = guessComposition({
+    mass: massEarth,
+    radius: radiusEarth,
+    equilibriumTemperature: new OrbitalParameters(orbit).calculateEquilibriumTemperature(GUESS_ALBEDO)
+  });
+  const giant = composition.planetClass !== undefined && composition.planetClass !== PlanetClass.TERRESTRIAL;
+
+  const physical = {
+    mass: massEarth * EARTH.mass,
+    radius: radiusEarth * EARTH.radius,
+    rotationRate: giant ? DEFAULT_ROTATION.giant : DEFAULT_ROTATION.terrestrial,
+    axialTilt: 0
+  };
+  physical.density = calculateDerivedValue(physical, DerivedVariable.DENSITY);
+  estimated.push('rotationRate', 'axialTilt');
+
+  const validation = validatePhysicalParams(physical);
+  if (!validation.isValid) {
+    return { planet: null, errors: validation.errors };
+  }
+
+  // Close-in planets are despun to (pseudo-)synchronous rotation
+  const tides = TidalModel.fromOrbit(new PhysicalParameters(physical), new OrbitalParameters(orbit)).solve();
+  if (tides.tidallyLocked) {
+    physical.rotationRate = Math.min(tides.equilibriumRotationPeriod, PARAMETER_RANGES.rotationRate.max);
+    const locked = validatePhysicalParams(physical);
+    if (!locked.isValid) {
+      return { planet: null, errors: locked.errors };
+    }
+  }
+
+  return {
+    planet: {
+      name,
+      hostname: row.hostname || '',
+      physical,
+      orbit,
+      composition,
+      estimated
+    },
+    errors: []
+  };
+}
+
+/**
+ * Validates catalog import options
+ * @param {Object} params - Parameters to validate
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateCatalogParams(params) {
+  const errors = [];
+
+  if (typeof params.text !== 'string') {
+    errors.push('Catalog text must be a string');
+  }
+
+  if (params.format !== undefined && !Object.values(CatalogFormat).includes(params.format)) {
+    errors.push(`Catalog format must be one of: ${Object.values(CatalogFormat).join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Planets imported from an exoplanet catalog file
+ */
+class ExoplanetCatalog {
+  /**
+   * Parses a catalog and maps every row, keeping rejected rows with their reasons
+   * @param {string} text - CSV or VOTable contents
+   * @param {Object} [options] - Import options
+   * @param {string} [options.format] - One of CatalogFormat; detected from the text when omitted
+   */
+  constructor(text, { format } = {}) {
+    const validation = validateCatalogParams({ text, format });
+    if (!validation.isValid) {
+      throw new Error(`Invalid catalog parameters: ${validation.errors.join(', ')}`);
+    }
+
+    this.format = format ?? ExoplanetCatalog.detectFormat(text);
+    const rows = this.format === CatalogFormat.VOTABLE ? parseVOTable(text) : parseCSV(text);
+
+    this.planets = [];
+    this.rejected = [];
+    rows.forEach((row, index) => {
+      const { planet, errors } = mapCatalogRow(row);
+      if (planet) {
+        this.planets.push(planet);
+      } else {
+        this.rejected.push({ row: index + 1, name: row.pl_name || '', errors });
+      }
+    });
+  }
+
+  /**
+   * Detects whether catalog text is a VOTable or CSV
+   * @param {string} text - Catalog contents
+   * @returns {string} One of CatalogFormat
+   */
+  static detectFormat(text) {
+    return /^\s*(<\?xml|<VOTABLE)/i.test(text.replace(/^\uFEFF/, ''))
+      ? CatalogFormat.VOTABLE
+      : CatalogFormat.CSV;
+  }
+
+  /**
+   * Finds planets whose name or host star contains the query
+   * @param {string} query - Case-insensitive search text
+   * @returns {Array<Object>} Matching planets
+   */
+  search(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [...this.planets];
+    return this.planets.filter(({ name, hostname }) => (
+      name.toLowerCase().includes(needle) || hostname.toLowerCase().includes(needle)
+    ));
+  }
+
+  /**
+   * Looks up an imported planet by name
+   * @param {string} name - Planet name
+   * @returns {Object|null} Planet, or null if not imported
+   */
+  getPlanet(name) {
+    return this.planets.find((planet) => planet.name === name) ?? null;
+  }
+
+  /**
+   * Get formatted import summary
+   * @returns {string} Imported and rejected counts, with rejection reasons
+   */
+  toString() {
+    const rejectedLines = this.rejected.map(({ row, name, errors }) => (
+      `  Row ${row}${name ? ` (${name})` : ''}: ${errors.join(', ')}`
+    ));
+    return `
+Exoplanet Catalog (${this.format}):
+  Imported: ${this.planets.length}
+  Rejected: ${this.rejected.length}${rejectedLines.length > 0 ? `\n${rejectedLines.join('\n')}` : ''}
+    `.trim();
+  }
+}
+
+export default ExoplanetCatalog;
@@ -0,0 +1,70 @@
+/**
+ * Browser file helpers: offer data as a download, or ask the user for a file
+ */
+
+/**
+ * Turn a name into a safe file name by replacing characters file systems reject
+ * @param {string} name - Display name, e.g. a planet name
+ * @returns {string} File name without extension
+ */
+export function toFilename(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, '-');
+}
+
+/**
+ * Offer content to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob|ArrayBuffer|Uint8Array} content - File contents
+ * @param {string} [type='application/octet-stream'] - MIME type for non-Blob content
+ */
+export function downloadFile(filename, content, type = 'application/octet-stream') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Encode a canvas as PNG bytes
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @returns {Promise<Uint8Array>} PNG file contents
+ */
+export function canvasToPNG(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Could not encode the canvas as PNG'));
+        return;
+      }
+      blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+    }, 'image/png');
+  });
+}
+
+/**
+ * Ask the user to pick a file
+ * The promise stays pending if the picker is dismissed.
+ * @param {string} [accept=''] - Accepted extensions or MIME types, e.g. ".csv,.xml"
+ * @returns {Promise<File>} The chosen file
+ */
+export function openFile(accept = '') {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => {
+      const [file] = input.files;
+      if (file) {
+        resolve(file);
+      }
+    });
+    input.click();
+  });
+}
@@ -0,0 +1,156 @@
+import { encodeGrayscalePNG16 } from './PNG.js';
+
+/**
+ * Heightmaps for terrain tools
+ * Turns the generated land mask and bump map into elevations in metres: ocean
+ * floors sit at the ocean depth, coastlines at sea level (0 m) and continents
+ * rise above it, with the bump map's relief and craters on top. Elevations are
+ * written as a 16-bit grayscale PNG stretched over their full range, with a
+ * companion description of the projection, elevation scale and sea level.
+ */
+
+export const HEIGHTMAP_FORMAT = 'planet-builder-heightmap';
+export const HEIGHTMAP_VERSION = 1;
+
+const MAX_VALUE = 65535;
+
+// Mean continent height above sea level in m
+const LAND_ELEVATION = 800;
+
+// Elevation change for the full swing of the bump map (black to white) in m
+const RELIEF = 3000;
+
+// Ocean depth in km assumed for dry worlds, whose basins are left empty
+const DEFAULT_BASIN_DEPTH = 4;
+
+// Width of the slope from ocean floor to coast, as a fraction of the map width
+const SHELF_WIDTH = 1 / 256;
+
+/**
+ * Box-blurs a grid in place along one axis
+ * Longitude (x) wraps around; latitude (y) is clamped at the poles.
+ * @private
+ */
+function blurAxis(values, width, height, radius, horizontal) {
+  const length = horizontal ? width : height;
+  const lines = horizontal ? height : width;
+  const index = horizontal ? (line, i) => line * width + i : (line, i) => i * width + line;
+  const sample = horizontal
+    ? (line, i) => values[index(line, ((i % length) + length) % length)]
+    : (line, i) => values[index(line, Math.min(Math.max(i, 0), length - 1))];
+  const line = new Float32Array(length);
+  const span = radius * 2 + 1;
+
+  for (let l = 0; l < lines; l++) {
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) {
+      sum += sample(l, i);
+    }
+    for (let i = 0; i < length; i++) {
+      line[i] = sum / span;
+      sum += sample(l, i + radius + 1) - sample(l, i - radius);
+    }
+    for (let i = 0; i < length; i++) {
+      values[index(l, i)] = line[i];
+    }
+  }
+}
+
+/**
+ * Builds elevations from a land mask and bump map of the same size
+ * @param {Object} maps - Generated maps
+ * @param {Uint8ClampedArray} maps.land - Land mask pixels (RGBA, white land, black ocean)
+ * @param {Uint8ClampedArray} maps.bump - Bump map pixels (RGBA, mid-gray flat)
+ * @param {number} maps.width - Width in pixels
+ * @param {number} maps.height - Height in pixels
+ * @param {Object} [options] - Terrain options
+ * @param {number} [options.oceanDepth=4] - Ocean depth in km
+ * @returns {Object} Elevations in m (Float32Array, row by row from the top left),
+ *   width and height
+ */
+export function buildHeightField({ land, bump, width, height }, { oceanDepth = DEFAULT_BASIN_DEPTH } = {}) {
+  const count = width * height;
+  if (land.length !== count * 4 || bump.length !== count * 4) {
+    throw new Error('Land mask and bump map must both be width × height RGBA pixels');
+  }
+
+  // Soften coastlines into continental shelves
+  const mask = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    mask[i] = land[i * 4] / 255;
+  }
+  const radius = Math.max(1, Math.round(width * SHELF_WIDTH));
+  blurAxis(mask, width, height, radius, true);
+  blurAxis(mask, width, height, radius, false);
+
+  const floor = -(oceanDepth > 0 ? oceanDepth : DEFAULT_BASIN_DEPTH) * 1000;
+  const elevations = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const m = mask[i];
+    const base = m < 0.5 ? floor * (1 - m * 2) : LAND_ELEVATION * (m - 0.5) * 2;
+    elevations[i] = base + ((bump[i * 4] - 128) / 128) * RELIEF;
+  }
+
+  return { elevations, width, height };
+}
+
+/**
+ * Describes an equirectangular map's projection
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Object} Projection, extent and pixel layout
+ */
+export function describeProjection(width, height) {
+  return {
+    projection: 'equirectangular',
+    width,
+    height,
+    longitude: { west: -180, east: 180 },
+    latitude: { north: 90, south: -90 },
+    degreesPerPixel: 360 / width,
+    origin: 'Top-left pixel edge at 90°N, 180°W; rows run south, columns run east'
+  };
+}
+
+/**
+ * Encodes a height field as a 16-bit PNG and its description
+ * Values 0 and 65535 are the lowest and highest elevations:
+ * elevation (m) = min + value × scale.
+ * @param {Object} field - Output of buildHeightField
+ * @param {Object} [options] - Description options
+ * @param {boolean} [options.hasOcean=true] - Whether water fills the land below sea level
+ * @param {number} [options.planetRadius] - Planet radius in km
+ * @returns {Object} PNG file contents and metadata
+ */
+export function encodeHeightmap({ elevations, width, height }, { hasOcean = true, planetRadius = null } = {}) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const elevation of elevations) {
+    if (elevation < min) min = elevation;
+    if (elevation > max) max = elevation;
+  }
+  const range = max > min ? max - min : 1;
+
+  const values = new Uint16Array(elevations.length);
+  for (let i = 0; i < elevations.length; i++) {
+    values[i] = Math.round(((elevations[i] - min) / range) * MAX_VALUE);
+  }
+
+  const seaLevel = -min / range;
+  const metadata = {
+    format: HEIGHTMAP_FORMAT,
+    version: HEIGHTMAP_VERSION,
+    ...describeProjection(width, height),
+    bitDepth: 16,
+    elevation: { unit: 'm', min, max, scale: range / MAX_VALUE },
+    seaLevel: {
+      elevation: 0,
+      value: Math.round(seaLevel * MAX_VALUE),
+      normalized: seaLevel,
+      ocean: hasOcean
+    }
+  };
+  if (planetRadius !== null) metadata.planetRadius = planetRadius;
+
+  return { png: encodeGrayscalePNG16(values, width, height), metadata };
+}
@@ -0,0 +1,105 @@
+import { zlibSync } from 'three/addons/libs/fflate.module.js';
+
+/**
+ * PNG encoding for images a canvas cannot produce
+ * Canvases only write 8-bit color, so 16-bit grayscale images (heightmaps) are
+ * encoded here directly.
+ */
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// PNG color type and scanline filter used
+const GRAYSCALE = 0;
+const FILTER_SUB = 1;
+
+// CRC-32 lookup table (polynomial 0xedb88320)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Calculates the CRC-32 of some bytes
+ * @param {Uint8Array} bytes - Data to check
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Wraps data in a PNG chunk: length, type, data and CRC
+ * @private
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Encodes a 16-bit grayscale PNG
+ * Rows use the Sub filter, which suits smooth data such as terrain.
+ * @param {Uint16Array} values - Samples, row by row from the top left
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Uint8Array} PNG file contents
+ */
+export function encodeGrayscalePNG16(values, width, height) {
+  if (!(Number.isInteger(width) && Number.isInteger(height) && width > 0 && height > 0)) {
+    throw new Error('PNG width and height must be positive integers');
+  }
+  if (values.length !== width * height) {
+    throw new Error(`Expected ${width * height} samples, got ${values.length}`);
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header.set([16, GRAYSCALE, 0, 0, 0], 8);
+
+  // Big-endian samples, each byte minus the same byte of the previous sample
+  const rowLength = 1 + width * 2;
+  const raw = new Uint8Array(rowLength * height);
+  for (let y = 0; y < height; y++) {
+    const start = y * rowLength;
+    raw[start] = FILTER_SUB;
+    let previous = 0;
+    for (let x = 0; x < width; x++) {
+      const value = values[y * width + x];
+      const i = start + 1 + x * 2;
+      raw[i] = ((value >> 8) - (previous >> 8)) & 0xff;
+      raw[i + 1] = ((value & 0xff) - (previous & 0xff)) & 0xff;
+      previous = value;
+    }
+  }
+
+  const chunks = [
+    Uint8Array.from(SIGNATURE),
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlibSync(raw, { level: 6 })),
+    createChunk('IEND', new Uint8Array(0))
+  ];
+
+  const png = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    png.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return png;
+}
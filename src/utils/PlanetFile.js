@@ -0,0 +1,233 @@
+import { validatePhysicalParams } from '../parameters/PhysicalParams.js';
+import { validateCompositionParams } from '../parameters/CompositionParams.js';
+import { validateOrbitalParams } from '../parameters/OrbitalParams.js';
+import { validateAdvancedParams } from '../parameters/AdvancedParams.js';
+import { validateSatelliteParams } from '../parameters/SatelliteParams.js';
+import { serializePlanet, completePreset } from '../parameters/PresetRegistry.js';
+import { validateInteriorParams } from '../physics/InteriorModel.js';
+import { validateUnitParams } from './Units.js';
+import { isValidSeed, MAX_SEED } from './Random.js';
+
+/**
+ * Planet save files
+ * A .planet.json file holds the whole planet (physical, composition, orbit,
+ * geology, interior, moons and terrain seed) together with the view: renderer
+ * settings, camera pose, display units and the simulation clock. Files carry a
+ * schema version; older versions are brought up to date by the migrations below
+ * before they are validated, so saved planets keep loading as parameters are added.
+ */
+
+// Identifies planet save files
+export const PLANET_FILE_FORMAT = 'planet-builder-planet';
+export const PLANET_FILE_VERSION = 1;
+export const PLANET_FILE_EXTENSION = '.planet.json';
+
+/**
+ * Upgrades from each older schema version, keyed by the version they upgrade from
+ * Each migration takes a file of that version and returns one of the next version.
+ * When the format changes, bump PLANET_FILE_VERSION and add the step from the old
+ * version here; never edit a released migration.
+ */
+export const MIGRATIONS = {};
+
+/**
+ * Checks that a value is an array of three finite numbers
+ * @private
+ */
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+/**
+ * Prefixes each error with the file section it came from
+ * @private
+ */
+function sectionErrors(section, errors) {
+  return errors.map((error) => `${section}: ${error}`);
+}
+
+/**
+ * Builds a planet save file
+ * @param {Object} state - What to save
+ * @param {Object} state.planet - Current planet (see serializePlanet)
+ * @param {string} [state.name=''] - Planet name
+ * @param {number} [state.seed] - Terrain seed
+ * @param {Object} [state.renderer] - Renderer settings (see PlanetRenderer.getViewState)
+ * @param {Object} [state.camera] - Camera pose with position and target vectors
+ * @param {Object} [state.units] - Display unit system and temperature scale
+ * @param {Object} [state.simulation] - Clock time and speed
+ * @returns {Object} Plain file data, ready for JSON
+ */
+export function createPlanetFile({ planet, name = '', seed = null, renderer = null, camera = null, units = null, simulation = null }) {
+  const file = {
+    format: PLANET_FILE_FORMAT,
+    version: PLANET_FILE_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    planet: serializePlanet(planet)
+  };
+
+  if (seed !== null) file.seed = seed;
+  if (renderer) file.renderer = { ...renderer };
+  if (camera) file.camera = { position: [...camera.position], target: [...camera.target] };
+  if (units) file.units = { system: units.system, temperatureScale: units.temperatureScale };
+  if (simulation) file.simulation = { time: simulation.time, speed: simulation.speed };
+
+  return file;
+}
+
+/**
+ * Brings a file up to the current schema version
+ * @param {Object} file - Parsed planet file
+ * @param {Object} [options] - Migration options
+ * @param {Object} [options.migrations=MIGRATIONS] - Upgrade steps keyed by source version
+ * @param {number} [options.targetVersion=PLANET_FILE_VERSION] - Version to upgrade to
+ * @returns {Object} The file at the target version
+ */
+export function migratePlanetFile(file, { migrations = MIGRATIONS, targetVersion = PLANET_FILE_VERSION } = {}) {
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    throw new Error('Planet file has no valid version');
+  }
+  if (file.version > targetVersion) {
+    throw new Error(`Planet file version ${file.version} is newer than this version supports (${targetVersion})`);
+  }
+
+  let migrated = file;
+  while (migrated.version < targetVersion) {
+    const migrate = migrations[migrated.version];
+    if (!migrate) {
+      throw new Error(`No migration from planet file version ${migrated.version}`);
+    }
+    migrated = migrate(migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Validates a planet file at the current schema version
+ * Errors are prefixed with the section they belong to.
+ * @param {Object} file - Planet file to validate
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validatePlanetFile(file) {
+  const errors = [];
+  const planet = file.planet;
+
+  if (!planet || typeof planet !== 'object') {
+    return { isValid: false, errors: ['Planet parameters are required'] };
+  }
+
+  if (!planet.physical) {
+    errors.push('Physical parameters are required');
+  } else {
+    errors.push(...sectionErrors('Physical', validatePhysicalParams(planet.physical).errors));
+  }
+
+  if (!planet.composition) {
+    errors.push('Composition parameters are required');
+  } else {
+    errors.push(...sectionErrors('Composition', validateCompositionParams(planet.composition).errors));
+  }
+
+  if (planet.orbit) {
+    errors.push(...sectionErrors('Orbit', validateOrbitalParams(planet.orbit).errors));
+  }
+  if (planet.advanced) {
+    errors.push(...sectionErrors('Advanced', validateAdvancedParams(planet.advanced).errors));
+  }
+  if (planet.interior) {
+    errors.push(...sectionErrors('Interior', validateInteriorParams(planet.interior).errors));
+  }
+  if (planet.moons !== undefined) {
+    if (!Array.isArray(planet.moons)) {
+      errors.push('Moons must be an array');
+    } else {
+      planet.moons.forEach((moon, index) => {
+        const section = `Moon ${moon?.name ?? index + 1}`;
+        errors.push(...sectionErrors(section, validateSatelliteParams(moon ?? {}).errors));
+        if (moon?.physical) {
+          errors.push(...sectionErrors(section, validatePhysicalParams(moon.physical).errors));
+        }
+      });
+    }
+  }
+
+  if (file.seed !== undefined && !isValidSeed(file.seed)) {
+    errors.push(`Seed must be a whole number from 0 to ${MAX_SEED}`);
+  }
+  if (file.camera && !(isVector(file.camera.position) && isVector(file.camera.target))) {
+    errors.push('Camera: Position and target must be three numbers each');
+  }
+  if (file.renderer && typeof file.renderer !== 'object') {
+    errors.push('Renderer settings must be an object');
+  }
+  if (file.units) {
+    errors.push(...sectionErrors('Units', validateUnitParams(file.units).errors));
+  }
+  if (file.simulation) {
+    const { time, speed } = file.simulation;
+    if (!Number.isFinite(time)) {
+      errors.push('Simulation: Time must be a number');
+    }
+    if (!Number.isFinite(speed) || speed < 0) {
+      errors.push('Simulation: Speed must be a non-negative number');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Writes a planet save file
+ * @param {Object} state - What to save (see createPlanetFile)
+ * @returns {string} JSON text
+ */
+export function writePlanetFile(state) {
+  return JSON.stringify(createPlanetFile(state), null, 2);
+}
+
+/**
+ * Reads a planet save file, migrating and validating it
+ * Problems are returned rather than thrown so they can be shown to the user.
+ * @param {string} text - JSON text of a .planet.json file
+ * @returns {Object} The loaded state (planet completed with defaults, plus any
+ *   seed, renderer, camera, units and simulation sections), or null, and the errors
+ */
+export function readPlanetFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    return { state: null, errors: [`Planet file is not valid JSON: ${error.message}`] };
+  }
+  if (file?.format !== PLANET_FILE_FORMAT) {
+    return { state: null, errors: ['Not a planet builder planet file'] };
+  }
+
+  try {
+    file = migratePlanetFile(file);
+  } catch (error) {
+    return { state: null, errors: [error.message] };
+  }
+
+  const validation = validatePlanetFile(file);
+  if (!validation.isValid) {
+    return { state: null, errors: validation.errors };
+  }
+
+  return {
+    state: {
+      name: typeof file.name === 'string' ? file.name : '',
+      planet: completePreset(file.planet),
+      seed: file.seed ?? null,
+      renderer: file.renderer ?? null,
+      camera: file.camera ?? null,
+      units: file.units ?? null,
+      simulation: file.simulation ?? null
+    },
+    errors: []
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Seeded pseudo-random numbers
+ * Procedural textures draw from these so a planet looks the same every time it
+ * is rebuilt, and on every machine that is given the same seed.
+ */
+
+// Seeds are unsigned 32-bit integers
+export const MAX_SEED = 0xffffffff;
+
+// Seed of the terrain shown when no other is chosen
+export const DEFAULT_SEED = 1;
+
+/**
+ * Checks whether a value can be used as a seed
+ * @param {*} seed - Candidate seed
+ * @returns {boolean} True for integers from 0 to MAX_SEED
+ */
+export function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+/**
+ * Picks a fresh seed at random
+ * @returns {number} Seed from 0 to MAX_SEED
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Creates a generator that repeats the same sequence for the same seed (mulberry32)
+ * @param {number} [seed] - Seed from 0 to MAX_SEED; without one, Math.random is returned
+ * @returns {Function} Generator returning numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  if (seed === undefined || seed === null) {
+    return Math.random;
+  }
+  if (!isValidSeed(seed)) {
+    throw new Error(`Seed must be an integer between 0 and ${MAX_SEED}`);
+  }
+
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Lattice of the coarsest noise octave: cells across and down the map
+const NOISE_BASE_CELLS = 8;
+
+// Amplitude of each octave relative to the one before
+const NOISE_PERSISTENCE = 0.7;
+
+/**
+ * Creates seeded fractal value noise for an equirectangular map, wrapping east to west
+ * Each octave is a lattice of random values fixed by the seed alone, sampled at
+ * every pixel, so wider maps keep the same landforms and add finer octaves down
+ * to cells two pixels across instead of stretching a small map.
+ * @param {number} width - Map width in pixels; the height is half of it
+ * @param {number} seed - Seed from 0 to MAX_SEED
+ * @returns {Float32Array} Row-major values from -1 to 1
+ */
+export function createFractalNoise(width, seed) {
+  if (!isValidSeed(seed)) {
+    throw new Error(`Seed must be an integer between 0 and ${MAX_SEED}`);
+  }
+
+  const height = width / 2;
+  const noise = new Float32Array(width * height);
+  const smooth = (t) => t * t * (3 - 2 * t);
+
+  // Divide by the sum over every octave so adding fine ones never rescales coarse ones
+  let amplitude = 1 - NOISE_PERSISTENCE;
+  for (let octave = 0, cellsX = NOISE_BASE_CELLS; cellsX * 2 <= width; octave++, cellsX *= 2) {
+    const cellsY = cellsX / 2;
+    const random = createRandom((seed + Math.imul(octave + 1, 0x9e3779b9)) >>> 0);
+    const lattice = Float32Array.from({ length: cellsX * (cellsY + 1) }, () => random() * 2 - 1);
+
+    const left = new Int32Array(width);
+    const right = new Int32Array(width);
+    const blendX = new Float32Array(width);
+    for (let x = 0; x < width; x++) {
+      const u = ((x + 0.5) / width) * cellsX;
+      left[x] = Math.floor(u);
+      right[x] = (left[x] + 1) % cellsX;
+      blendX[x] = smooth(u - left[x]);
+    }
+
+    for (let y = 0; y < height; y++) {
+      const v = ((y + 0.5) / height) * cellsY;
+      const row = Math.floor(v);
+      const blendY = smooth(v - row);
+      const top = row * cellsX;
+      const bottom = top + cellsX;
+      const offset = y * width;
+
+      for (let x = 0; x < width; x++) {
+        const upper = lattice[top + left[x]] + (lattice[top + right[x]] - lattice[top + left[x]]) * blendX[x];
+        const lower = lattice[bottom + left[x]] + (lattice[bottom + right[x]] - lattice[bottom + left[x]]) * blendX[x];
+        noise[offset + x] += (upper + (lower - upper) * blendY) * amplitude;
+      }
+    }
+
+    amplitude *= NOISE_PERSISTENCE;
+  }
+
+  return noise;
+}
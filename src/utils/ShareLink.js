@@ -0,0 +1,424 @@
+import { validatePhysicalParams } from '../parameters/PhysicalParams.js';
+import { validateCompositionParams, PlanetClass } from '../parameters/CompositionParams.js';
+import { validateOrbitalParams } from '../parameters/OrbitalParams.js';
+import { validateInteriorParams } from '../physics/InteriorModel.js';
+import { BUILT_IN_PRESETS, completePreset } from '../parameters/PresetRegistry.js';
+import { DEFAULT_SEED, MAX_SEED, isValidSeed } from './Random.js';
+
+/**
+ * Shareable links
+ * The URL hash carries the built-in preset the planet started from, its name if
+ * that differs, the terrain seed and every physical, composition, orbit and
+ * interior value that differs from the preset, e.g.
+ * #v=1&preset=Jupiter&name=Big%20J&seed=42&a=3. Planets that did not start from
+ * a built-in preset (catalog planets, user presets, files) are encoded against
+ * the built-in preset of their class, so links work for people who do not have
+ * them. Moons and geology come from the preset; a link can only say the planet
+ * has no moons. Each value is checked on its own; rejected values fall back to
+ * the preset's.
+ */
+
+export const SHARE_LINK_VERSION = 1;
+
+// Preset assumed when a link names none, or one that is not built in
+const DEFAULT_PRESET = 'Earth';
+
+// Built-in preset each class of planet is encoded against
+const CLASS_PRESETS = {
+  [PlanetClass.TERRESTRIAL]: 'Earth',
+  [PlanetClass.GAS_GIANT]: 'Jupiter',
+  [PlanetClass.ICE_GIANT]: 'Neptune'
+};
+
+// Numbers are shortened to this many significant digits
+const SIGNIFICANT_DIGITS = 6;
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const GAS_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+
+/**
+ * Writes a number in as few characters as the precision allows
+ * @private
+ */
+function formatNumber(value) {
+  return String(Number(value.toPrecision(SIGNIFICANT_DIGITS)));
+}
+
+/**
+ * Reads a number, refusing anything that is not plainly one
+ * @private
+ */
+function parseNumber(text) {
+  if (!NUMBER_PATTERN.test(text)) {
+    throw new Error('not a number');
+  }
+  return Number(text);
+}
+
+// How each kind of value is written to and read from the hash
+const NUMBER_CODEC = {
+  encode: formatNumber,
+  decode: parseNumber
+};
+
+const TEXT_CODEC = {
+  encode: (value) => value,
+  decode: (text) => text
+};
+
+// Gases as name:percent pairs, e.g. N2:78.08,O2:20.95
+const GAS_CODEC = {
+  encode: (gases) => Object.entries(gases).map(([gas, percent]) => `${gas}:${formatNumber(percent)}`).join(','),
+  decode: (text) => {
+    const gases = {};
+    for (const pair of text.split(',')) {
+      const [gas, percent, extra] = pair.split(':');
+      if (!GAS_PATTERN.test(gas ?? '') || percent === undefined || extra !== undefined) {
+        throw new Error('expected gas:percent pairs');
+      }
+      gases[gas] = parseNumber(percent);
+    }
+    return gases;
+  }
+};
+
+// Craters as latitude:longitude:diameter:depth:complex:energy, separated by commas
+const CRATER_CODEC = {
+  encode: (craters) => craters.map(({ latitude, longitude, diameter, depth, complex, energy }) => (
+    [latitude, longitude, diameter, depth].map(formatNumber).concat(complex ? 1 : 0, formatNumber(energy)).join(':')
+  )).join(','),
+  decode: (text) => {
+    if (text === '') return [];
+    return text.split(',').map((entry, index) => {
+      const values = entry.split(':');
+      if (values.length !== 6) {
+        throw new Error(`crater ${index + 1} needs latitude:longitude:diameter:depth:complex:energy`);
+      }
+      const [latitude, longitude, diameter, depth, complex, energy] = values.map(parseNumber);
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180 || diameter <= 0 || depth < 0 || energy < 0
+        || (complex !== 0 && complex !== 1)) {
+        throw new Error(`crater ${index + 1} is out of range`);
+      }
+      return { latitude, longitude, diameter, depth, complex: complex === 1, energy };
+    });
+  }
+};
+
+// Hash keys for physical parameters
+const PHYSICAL_FIELDS = [
+  { key: 'm', label: 'Mass', path: ['mass'], codec: NUMBER_CODEC },
+  { key: 'r', label: 'Radius', path: ['radius'], codec: NUMBER_CODEC },
+  { key: 'd', label: 'Density', path: ['density'], codec: NUMBER_CODEC },
+  { key: 'rot', label: 'Rotation', path: ['rotationRate'], codec: NUMBER_CODEC },
+  { key: 'tilt', label: 'Axial tilt', path: ['axialTilt'], codec: NUMBER_CODEC }
+];
+
+// Hash keys for composition parameters, with values assumed when a preset leaves them out
+const COMPOSITION_FIELDS = [
+  { key: 'class', label: 'Planet class', path: ['planetClass'], codec: TEXT_CODEC, fallback: PlanetClass.TERRESTRIAL },
+  { key: 'heat', label: 'Internal heat', path: ['internalHeatFlux'], codec: NUMBER_CODEC, fallback: 0 },
+  { key: 'p', label: 'Surface pressure', path: ['atmosphere', 'pressure'], codec: NUMBER_CODEC },
+  { key: 'h', label: 'Atmosphere thickness', path: ['atmosphere', 'thickness'], codec: NUMBER_CODEC },
+  { key: 'gas', label: 'Atmosphere gases', path: ['atmosphere', 'composition'], codec: GAS_CODEC },
+  { key: 'w', label: 'Water coverage', path: ['water', 'coverage'], codec: NUMBER_CODEC },
+  { key: 'wd', label: 'Ocean depth', path: ['water', 'depth'], codec: NUMBER_CODEC },
+  { key: 'ice', label: 'Ice caps', path: ['water', 'iceCaps'], codec: NUMBER_CODEC },
+  { key: 'alb', label: 'Albedo', path: ['surface', 'albedo'], codec: NUMBER_CODEC },
+  { key: 't', label: 'Surface temperature', path: ['surface', 'temperature'], codec: NUMBER_CODEC },
+  { key: 'cr', label: 'Craters', path: ['surface', 'craters'], codec: CRATER_CODEC, fallback: [] }
+];
+
+// Hash keys for the host star and orbit
+const ORBIT_FIELDS = [
+  { key: 'ms', label: 'Stellar mass', path: ['star', 'mass'], codec: NUMBER_CODEC },
+  { key: 'lum', label: 'Stellar luminosity', path: ['star', 'luminosity'], codec: NUMBER_CODEC },
+  { key: 'teff', label: 'Stellar temperature', path: ['star', 'temperature'], codec: NUMBER_CODEC },
+  { key: 'a', label: 'Semi-major axis', path: ['orbit', 'semiMajorAxis'], codec: NUMBER_CODEC },
+  { key: 'e', label: 'Eccentricity', path: ['orbit', 'eccentricity'], codec: NUMBER_CODEC },
+  { key: 'peri', label: 'Longitude of perihelion', path: ['orbit', 'longitudeOfPerihelion'], codec: NUMBER_CODEC, fallback: 0 }
+];
+
+// Hash keys for the interior layer fractions
+const INTERIOR_FIELDS = [
+  { key: 'core', label: 'Core fraction', path: ['core'], codec: NUMBER_CODEC },
+  { key: 'mantle', label: 'Mantle fraction', path: ['mantle'], codec: NUMBER_CODEC },
+  { key: 'ices', label: 'Water/ice fraction', path: ['water'], codec: NUMBER_CODEC },
+  { key: 'env', label: 'Envelope fraction', path: ['envelope'], codec: NUMBER_CODEC }
+];
+
+const KNOWN_KEYS = new Set([
+  'v', 'preset', 'name', 'seed', 'moons',
+  ...[...PHYSICAL_FIELDS, ...COMPOSITION_FIELDS, ...ORBIT_FIELDS, ...INTERIOR_FIELDS].map(({ key }) => key)
+]);
+
+/**
+ * Finds a built-in preset by name
+ * @private
+ */
+function findBuiltIn(name) {
+  return BUILT_IN_PRESETS.find((preset) => preset.name === name) ?? null;
+}
+
+/**
+ * Writes plain data with its keys sorted, so equal data compares equal
+ * @private
+ */
+function canonical(value) {
+  return JSON.stringify(value, (key, entry) => (
+    entry && typeof entry === 'object' && !Array.isArray(entry)
+      ? Object.fromEntries(Object.keys(entry).sort().map((name) => [name, entry[name]]))
+      : entry
+  ));
+}
+
+/**
+ * Describes moons by the values a SatelliteSystem keeps, defaults filled in
+ * @private
+ */
+function describeMoons(moons) {
+  return moons.map(({ name, physical, orbit }) => [
+    name,
+    ...['mass', 'radius', 'density', 'rotationRate', 'axialTilt'].map((key) => formatNumber(physical[key])),
+    ...['semiMajorAxis', 'eccentricity', 'inclination', 'meanAnomaly'].map((key) => formatNumber(orbit[key] ?? 0))
+  ].join(':')).join(',');
+}
+
+/**
+ * Reads a field's value, or its fallback if missing
+ * @private
+ */
+function getField(params, { path, fallback }) {
+  return path.reduce((value, key) => value?.[key], params) ?? fallback;
+}
+
+/**
+ * Returns a deep copy of params with a field replaced
+ * @private
+ */
+function setField(params, { path }, value) {
+  const copy = JSON.parse(JSON.stringify(params));
+  let target = copy;
+  for (const key of path.slice(0, -1)) {
+    target = target[key];
+  }
+  target[path.at(-1)] = value;
+  return copy;
+}
+
+/**
+ * Escapes a value for the hash, leaving the separators used inside values readable
+ * @private
+ */
+function escapeValue(value) {
+  return encodeURIComponent(value).replace(/%3A/g, ':').replace(/%2C/g, ',').replace(/%2B/g, '+');
+}
+
+/**
+ * Splits a hash into its settings
+ * @private
+ * @returns {Object} Settings by key, and entries that could not be read
+ */
+function parseHash(hash) {
+  const settings = new Map();
+  const malformed = [];
+  for (const entry of hash.replace(/^#/, '').split('&')) {
+    if (entry === '') continue;
+    const separator = entry.indexOf('=');
+    try {
+      if (separator < 1) throw new URIError();
+      settings.set(decodeURIComponent(entry.slice(0, separator)), decodeURIComponent(entry.slice(separator + 1)));
+    } catch {
+      malformed.push(`Could not read "${entry}"`);
+    }
+  }
+  return { settings, malformed };
+}
+
+/**
+ * Applies the link's values for one parameter section to the preset's
+ * Values are all tried together first; if the result is invalid, each is checked
+ * against the preset on its own to find the culprits.
+ * @private
+ */
+function decodeSection(fields, base, settings, validate, rejected) {
+  const decoded = [];
+  for (const field of fields) {
+    if (!settings.has(field.key)) continue;
+    const text = settings.get(field.key);
+    try {
+      decoded.push({ field, text, value: field.codec.decode(text) });
+    } catch (error) {
+      rejected.push(`${field.label} "${text}": ${error.message}`);
+    }
+  }
+
+  const apply = (entries) => entries.reduce((params, { field, value }) => setField(params, field, value), base);
+  const combined = apply(decoded);
+  if (validate(combined).isValid) {
+    return combined;
+  }
+
+  const baseErrors = new Set(validate(base).errors);
+  const accepted = decoded.filter(({ field, text, value }) => {
+    const errors = validate(setField(base, field, value)).errors.filter((error) => !baseErrors.has(error));
+    if (errors.length > 0) {
+      rejected.push(`${field.label} "${text}": ${errors.join(', ')}`);
+    }
+    return errors.length === 0;
+  });
+
+  const result = apply(accepted);
+  const errors = validate(result).errors;
+  if (errors.length > 0) {
+    rejected.push(`${accepted.map(({ field }) => field.label).join(', ')} do not fit together (${errors.join(', ')})`);
+    return base;
+  }
+  return result;
+}
+
+/**
+ * Encodes a planet as a URL hash
+ * Moons and geology cannot be carried in a link, so a planet whose moons (other
+ * than having none) or geology differ from its preset's is refused.
+ * @param {Object} state - Planet to share
+ * @param {string} [state.name] - Planet name; defaults to the preset's
+ * @param {string} [state.preset] - Built-in preset the planet started from; when
+ *   missing or not built in, the built-in preset of the planet's class
+ * @param {number} [state.seed=DEFAULT_SEED] - Terrain seed
+ * @param {Object} state.physical - Physical parameters
+ * @param {Object} state.composition - Composition parameters
+ * @param {Object} [state.orbit] - Host star and orbit; the preset's if missing
+ * @param {Object} [state.interior] - Interior layer fractions; the preset's if missing
+ * @param {Object} [state.advanced] - Volcanism, magnetic field and tectonics, checked against the preset's
+ * @param {Array<Object>} [state.moons] - Moons, checked against the preset's
+ * @returns {string} Hash without the leading #
+ * @throws {Error} If the planet's moons or geology cannot be shared in a link
+ */
+export function encodeShareLink({
+  name,
+  preset = null,
+  seed = DEFAULT_SEED,
+  physical,
+  composition,
+  orbit = null,
+  interior = null,
+  advanced = null,
+  moons = null
+}) {
+  const base = findBuiltIn(preset)
+    ?? findBuiltIn(CLASS_PRESETS[composition.planetClass] ?? DEFAULT_PRESET);
+
+  const unshareable = [];
+  if (advanced && canonical(advanced) !== canonical(base.advanced)) {
+    unshareable.push('geology');
+  }
+  if (moons && moons.length > 0 && describeMoons(moons) !== describeMoons(base.moons)) {
+    unshareable.push('moons');
+  }
+  if (unshareable.length > 0) {
+    throw new Error(`A link cannot carry ${unshareable.join(' or ')} that differ from the ${base.name} preset`);
+  }
+
+  const entries = [['v', SHARE_LINK_VERSION], ['preset', base.name]];
+  if (name && name !== base.name) {
+    entries.push(['name', name]);
+  }
+  entries.push(['seed', seed]);
+
+  const addChanged = (fields, params, baseParams) => {
+    for (const field of fields) {
+      const text = field.codec.encode(getField(params, field));
+      if (text !== field.codec.encode(getField(baseParams, field))) {
+        entries.push([field.key, text]);
+      }
+    }
+  };
+  addChanged(PHYSICAL_FIELDS, physical, base.physical);
+  addChanged(COMPOSITION_FIELDS, composition, base.composition);
+  addChanged(ORBIT_FIELDS, orbit ?? base.orbit, base.orbit);
+  addChanged(INTERIOR_FIELDS, interior ?? base.interior, base.interior);
+  if (moons && moons.length === 0 && base.moons.length > 0) {
+    entries.push(['moons', 0]);
+  }
+
+  return entries.map(([key, value]) => `${key}=${escapeValue(String(value))}`).join('&');
+}
+
+/**
+ * Decodes a URL hash made by encodeShareLink
+ * Anything that cannot be used is listed in rejected and replaced by the preset's
+ * value (or Earth and the default seed, when the link itself is unusable).
+ * @param {string} hash - URL hash, with or without the leading #
+ * @returns {Object|null} Planet name, built-in preset name, seed, planet
+ *   (completed with the preset's geology and moons) and rejected messages;
+ *   null for an empty hash
+ */
+export function decodeShareLink(hash) {
+  const { settings, malformed } = parseHash(hash);
+  if (settings.size === 0 && malformed.length === 0) {
+    return null;
+  }
+
+  const rejected = [...malformed];
+  const fallback = (reason) => ({
+    name: DEFAULT_PRESET,
+    preset: DEFAULT_PRESET,
+    seed: DEFAULT_SEED,
+    planet: completePreset(findBuiltIn(DEFAULT_PRESET)),
+    rejected: [...rejected, reason]
+  });
+
+  const version = settings.get('v');
+  if (version === undefined || !/^\d+$/.test(version)) {
+    return fallback('The link has no version, so it was not made by Planet Builder');
+  }
+  if (Number(version) > SHARE_LINK_VERSION) {
+    return fallback(`The link is version ${version}, newer than this version supports (${SHARE_LINK_VERSION})`);
+  }
+
+  for (const key of settings.keys()) {
+    if (!KNOWN_KEYS.has(key)) {
+      rejected.push(`Unknown setting "${key}"`);
+    }
+  }
+
+  const presetName = settings.get('preset')?.trim() || DEFAULT_PRESET;
+  let base = findBuiltIn(presetName);
+  if (!base) {
+    rejected.push(`Unknown preset "${presetName}": started from ${DEFAULT_PRESET}`);
+    base = findBuiltIn(DEFAULT_PRESET);
+  }
+  const name = settings.get('name')?.trim() || presetName;
+
+  let seed = DEFAULT_SEED;
+  if (settings.has('seed')) {
+    const text = settings.get('seed');
+    if (/^\d+$/.test(text) && isValidSeed(Number(text))) {
+      seed = Number(text);
+    } else {
+      rejected.push(`Seed "${text}": must be a whole number from 0 to ${MAX_SEED}`);
+    }
+  }
+
+  const physical = decodeSection(PHYSICAL_FIELDS, base.physical, settings, validatePhysicalParams, rejected);
+  const composition = decodeSection(COMPOSITION_FIELDS, base.composition, settings, validateCompositionParams, rejected);
+  const orbit = decodeSection(ORBIT_FIELDS, base.orbit, settings, validateOrbitalParams, rejected);
+  const interior = decodeSection(INTERIOR_FIELDS, base.interior, settings, validateInteriorParams, rejected);
+
+  let moons = base.moons;
+  if (settings.has('moons')) {
+    if (settings.get('moons') === '0') {
+      moons = [];
+    } else {
+      rejected.push(`Moons "${settings.get('moons')}": a link can only say 0`);
+    }
+  }
+
+  return {
+    name,
+    preset: base.name,
+    seed,
+    planet: completePreset({ ...base, physical, composition, orbit, interior, moons }),
+    rejected
+  };
+}
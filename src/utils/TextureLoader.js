@@ -1,4 +1,24 @@
 import * as THREE from 'three';
+import { createFractalNoise, MAX_SEED } from './Random.js';
+
+// Width of each generated map at which its features were designed; wider maps
+// scale every feature so the same seed draws the same world at any resolution
+const BASE_WIDTH = 1024;
+const BUMP_BASE_WIDTH = 512;
+
+// Gray levels from mid-gray to the highest and lowest terrain noise
+const BUMP_RELIEF = 80;
+
+/**
+ * Creates a canvas for an equirectangular map, twice as wide as it is tall
+ * @private
+ */
+function createMapCanvas(width) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = width / 2;
+  return canvas;
+}
 
 /**
  * TextureLoader utility for loading and creating planet textures
@@ -41,18 +61,27 @@ class PlanetTextureLoader {
    * @param {number} options.waterCoverage - Percentage of water coverage (0-100)
    * @param {number} options.temperature - Surface temperature in Kelvin
    * @param {number} options.iceCaps - Ice cap percentage (0-100)
+   * @param {Array<Object>} [options.iceBands] - Frozen latitude ranges ({ minLatitude, maxLatitude }
+   *   in degrees) from the climate model; replaces the symmetric iceCaps bands when given
+   * @param {number} [options.oceanColor] - Hex color of the ocean liquid or ice; replaces
+   *   the temperature-based water color when given
+   * @param {Function} [options.random=Math.random] - Source of random numbers in [0, 1)
+   * @param {number} [options.width=1024] - Width in pixels; the height is half of it
    * @returns {THREE.Texture} Generated texture
    */
   createPlanetTexture(options = {}) {
     const {
       waterCoverage = 71,
       temperature = 288,
-      iceCaps = 3
+      iceCaps = 3,
+      iceBands = null,
+      oceanColor = null,
+      random = Math.random,
+      width = BASE_WIDTH
     } = options;
 
-    const canvas = document.createElement('canvas');
-    canvas.width = 1024;
-    canvas.height = 512;
+    const canvas = createMapCanvas(width);
+    const scale = width / BASE_WIDTH;
     const ctx = canvas.getContext('2d');
 
     // Determine colors based on temperature
@@ -66,6 +95,9 @@ class PlanetTextureLoader {
     } else if (temperature < 280) {
       waterColor = '#2a5d8a'; // Cold dark blue
     }
+    if (oceanColor !== null) {
+      waterColor = `#${oceanColor.toString(16).padStart(6, '0')}`;
+    }
 
     // Land color
     let landColor = '#2d5a2f'; // Green
@@ -80,25 +112,171 @@ class PlanetTextureLoader {
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
     // Add land or water masses based on coverage
-    const numPatches = 40 + Math.floor((100 - waterCoverage) / 2);
     ctx.fillStyle = waterCoverage > 50 ? landColor : waterColor;
+    this.drawSurfacePatches(ctx, waterCoverage, random, scale);
+
+    // Add ice where the climate model puts bands below freezing
+    if (iceBands) {
+      ctx.fillStyle = '#ffffff';
+      for (const { minLatitude, maxLatitude } of iceBands) {
+        const top = ((90 - maxLatitude) / 180) * canvas.height;
+        const bottom = ((90 - minLatitude) / 180) * canvas.height;
+        ctx.fillRect(0, top, canvas.width, bottom - top);
+      }
+    } else if (iceCaps > 0) {
+      // Add polar ice caps if temperature allows
+      ctx.fillStyle = '#ffffff';
+      const capHeight = Math.floor((iceCaps / 100) * 50 * scale);
+      ctx.fillRect(0, 0, canvas.width, capHeight);
+      ctx.fillRect(0, canvas.height - capHeight, canvas.width, capHeight);
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+
+    return texture;
+  }
+
+  /**
+   * Draw the minority surface type (land on ocean worlds, seas on dry ones) as
+   * round patches in the current fill style
+   * @param {CanvasRenderingContext2D} ctx - Map canvas context
+   * @param {number} waterCoverage - Percentage of water coverage (0-100)
+   * @param {Function} random - Source of random numbers in [0, 1)
+   * @param {number} scale - Map width relative to BASE_WIDTH
+   */
+  drawSurfacePatches(ctx, waterCoverage, random, scale) {
+    const numPatches = 40 + Math.floor((100 - waterCoverage) / 2);
 
     for (let i = 0; i < numPatches; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const size = 20 + Math.random() * 80;
+      const x = random() * ctx.canvas.width;
+      const y = random() * ctx.canvas.height;
+      const size = (20 + random() * 80) * scale;
 
       ctx.beginPath();
       ctx.arc(x, y, size, 0, Math.PI * 2);
       ctx.fill();
     }
+  }
 
-    // Add polar ice caps if temperature allows
-    if (iceCaps > 0) {
-      ctx.fillStyle = '#ffffff';
-      const capHeight = Math.floor((iceCaps / 100) * 50);
-      ctx.fillRect(0, 0, canvas.width, capHeight);
-      ctx.fillRect(0, canvas.height - capHeight, canvas.width, capHeight);
+  /**
+   * Create a land mask matching createPlanetTexture: white land, black ocean
+   * Draws the same numbers from random as createPlanetTexture, so it can stand
+   * in for it at the start of a seeded sequence.
+   * @param {Object} [options] - Options as for createPlanetTexture
+   * @returns {HTMLCanvasElement} Land mask canvas
+   */
+  createLandMask(options = {}) {
+    const { waterCoverage = 71, random = Math.random, width = BASE_WIDTH } = options;
+
+    const canvas = createMapCanvas(width);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = waterCoverage > 50 ? '#000000' : '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = waterCoverage > 50 ? '#ffffff' : '#000000';
+    this.drawSurfacePatches(ctx, waterCoverage, random, width / BASE_WIDTH);
+
+    return canvas;
+  }
+
+  /**
+   * Create a banded cloud texture for a gas or ice giant
+   * Zones (bright) and belts (dark) alternate from an equatorial zone toward the poles.
+   * @param {Object} [options] - Texture generation options
+   * @param {number} [options.bandCount=16] - Number of zones and belts pole to pole
+   * @param {number} [options.contrast=1] - Belt/zone contrast (0-1)
+   * @param {number} [options.zoneColor=0xeee0c4] - Hex color of the zones
+   * @param {number} [options.beltColor=0x9c6a44] - Hex color of the belts
+   * @param {number} [options.stormColor=0xb8553a] - Hex color of large storms
+   * @param {number} [options.stormCount=1] - Number of large oval storms
+   * @param {Function} [options.random=Math.random] - Source of random numbers in [0, 1)
+   * @param {number} [options.width=1024] - Width in pixels; the height is half of it
+   * @returns {THREE.Texture} Generated texture
+   */
+  createBandedTexture(options = {}) {
+    const {
+      bandCount = 16,
+      contrast = 1,
+      zoneColor = 0xeee0c4,
+      beltColor = 0x9c6a44,
+      stormColor = 0xb8553a,
+      stormCount = 1,
+      random = Math.random,
+      width = BASE_WIDTH
+    } = options;
+
+    const canvas = createMapCanvas(width);
+    const scale = width / BASE_WIDTH;
+    const ctx = canvas.getContext('2d');
+
+    const toRGB = (hex) => [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff];
+    const zone = toRGB(zoneColor);
+    const belt = toRGB(beltColor);
+
+    const imageData = ctx.createImageData(canvas.width, canvas.height);
+    const data = imageData.data;
+
+    // Random phase offsets for the turbulent edges between bands
+    const wavePhases = [random(), random(), random()].map((r) => r * Math.PI * 2);
+
+    // One streak per row of the base-size map, stretched over wider maps
+    const streaks = Array.from({ length: BASE_WIDTH / 2 }, () => (random() - 0.5) * 0.15);
+
+    for (let y = 0; y < canvas.height; y++) {
+      const latitude = 90 - (y / canvas.height) * 180;
+      const row = y / scale;
+      const streak = streaks[Math.floor(row)];
+      const polarDarkening = 1 - 0.35 * Math.abs(latitude / 90) ** 4;
+
+      for (let x = 0; x < canvas.width; x++) {
+        const longitude = (x / canvas.width) * Math.PI * 2;
+        const wobble = 0.06 * Math.sin(longitude * 6 + wavePhases[0] + row * 0.05)
+          + 0.03 * Math.sin(longitude * 17 + wavePhases[1])
+          + 0.02 * Math.sin(longitude * 41 + wavePhases[2] + row * 0.2);
+
+        // cos peaks at the equator so the planet wears a bright equatorial zone
+        const bandPhase = (y / canvas.height) * bandCount - bandCount / 2 + wobble;
+        const brightness = 0.5 + 0.5 * Math.cos(Math.PI * bandPhase);
+        const mix = Math.max(0, Math.min(1, 0.5 + contrast * (brightness - 0.5) + streak * contrast));
+
+        const i = (y * canvas.width + x) * 4;
+        for (let c = 0; c < 3; c++) {
+          data[i + c] = (belt[c] + (zone[c] - belt[c]) * mix) * polarDarkening;
+        }
+        data[i + 3] = 255;
+      }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+
+    // Oval storms, the first a great red spot in the southern tropics
+    const [r, g, b] = toRGB(stormColor);
+    for (let i = 0; i < stormCount; i++) {
+      const large = i === 0;
+      const latitude = large ? -22 : (random() - 0.5) * 120;
+      const x = random() * canvas.width;
+      const y = ((90 - latitude) / 180) * canvas.height;
+      const radiusX = (large ? 40 : 10 + random() * 15) * scale;
+      const radiusY = radiusX * 0.5;
+
+      const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radiusX);
+      gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0.9)`);
+      gradient.addColorStop(0.7, `rgba(${r}, ${g}, ${b}, 0.6)`);
+      gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+
+      // Repeat across the longitude seam
+      for (const offset of [-canvas.width, 0, canvas.width]) {
+        ctx.save();
+        ctx.translate(x + offset, y);
+        ctx.scale(1, radiusY / radiusX);
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(0, 0, radiusX, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+      }
     }
 
     const texture = new THREE.CanvasTexture(canvas);
@@ -110,31 +288,39 @@ class PlanetTextureLoader {
 
   /**
    * Create a procedural bump map for terrain
+   * @param {Object} [options] - Bump map options
+   * @param {Array<Object>} [options.craters] - Craters to stamp ({ latitude, longitude,
+   *   diameter, depth } with sizes in km)
+   * @param {number} [options.planetRadius=6371] - Planet radius in km, for crater sizes
+   * @param {Function} [options.random=Math.random] - Source of random numbers in [0, 1)
+   * @param {number} [options.bumpWidth=512] - Width in pixels; the height is half of it
    * @returns {THREE.Texture} Generated bump map
    */
-  createBumpMap() {
-    const canvas = document.createElement('canvas');
-    canvas.width = 512;
-    canvas.height = 256;
-    const ctx = canvas.getContext('2d');
+  createBumpMap(options = {}) {
+    const { craters = [], planetRadius = 6371, random = Math.random, bumpWidth = BUMP_BASE_WIDTH } = options;
 
-    // Base gray
-    ctx.fillStyle = '#808080';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const canvas = createMapCanvas(bumpWidth);
+    const ctx = canvas.getContext('2d');
 
-    // Add noise for terrain variation
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    // One number seeds the noise, which is sampled at every pixel of any width
+    const noise = createFractalNoise(bumpWidth, Math.floor(random() * (MAX_SEED + 1)));
+    const imageData = ctx.createImageData(canvas.width, canvas.height);
     const data = imageData.data;
 
-    for (let i = 0; i < data.length; i += 4) {
-      const noise = Math.random() * 60 - 30;
-      data[i] = Math.max(0, Math.min(255, 128 + noise));
-      data[i + 1] = Math.max(0, Math.min(255, 128 + noise));
-      data[i + 2] = Math.max(0, Math.min(255, 128 + noise));
+    for (let i = 0; i < noise.length; i++) {
+      const value = 128 + noise[i] * BUMP_RELIEF;
+      data[i * 4] = value;
+      data[i * 4 + 1] = value;
+      data[i * 4 + 2] = value;
+      data[i * 4 + 3] = 255;
     }
 
     ctx.putImageData(imageData, 0, 0);
 
+    for (const crater of craters) {
+      this.stampCrater(ctx, crater, planetRadius);
+    }
+
     const texture = new THREE.CanvasTexture(canvas);
     texture.wrapS = THREE.RepeatWrapping;
     texture.wrapT = THREE.ClampToEdgeWrapping;
@@ -142,14 +328,52 @@ class PlanetTextureLoader {
     return texture;
   }
 
+  /**
+   * Draw a crater into an equirectangular height map: a dark bowl inside a bright rim
+   * @param {CanvasRenderingContext2D} ctx - Height map canvas context
+   * @param {Object} crater - Crater with latitude, longitude, diameter and depth
+   * @param {number} planetRadius - Planet radius in km
+   */
+  stampCrater(ctx, { latitude, longitude, diameter, depth }, planetRadius) {
+    const { width, height } = ctx.canvas;
+    const x = ((longitude + 180) / 360) * width;
+    const y = ((90 - latitude) / 180) * height;
+
+    // Pixels per radian match on both axes; east-west stretches toward the poles
+    const radiusY = Math.max(1, ((diameter / 2 / planetRadius) / Math.PI) * height);
+    const stretch = 1 / Math.max(Math.cos((latitude * Math.PI) / 180), 0.05);
+
+    // Deep simple bowls are darker than shallow complex craters
+    const floor = Math.round(128 - 100 * Math.min(1, (5 * depth) / diameter));
+    const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radiusY * 1.3);
+    gradient.addColorStop(0, `rgb(${floor}, ${floor}, ${floor})`);
+    gradient.addColorStop(0.6, 'rgb(110, 110, 110)');
+    gradient.addColorStop(0.77, 'rgb(200, 200, 200)');
+    gradient.addColorStop(1, 'rgba(128, 128, 128, 0)');
+
+    // Repeat across the longitude seam
+    for (const offset of [-width, 0, width]) {
+      ctx.save();
+      ctx.translate(x + offset, y);
+      ctx.scale(stretch, 1);
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(0, 0, radiusY * 1.3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
+  }
+
   /**
    * Create a specular map for water reflection
+   * @param {Object} [options] - Specular map options
+   * @param {Function} [options.random=Math.random] - Source of random numbers in [0, 1)
+   * @param {number} [options.width=1024] - Width in pixels; the height is half of it
    * @returns {THREE.Texture} Generated specular map
    */
-  createSpecularMap() {
-    const canvas = document.createElement('canvas');
-    canvas.width = 1024;
-    canvas.height = 512;
+  createSpecularMap({ random = Math.random, width = BASE_WIDTH } = {}) {
+    const canvas = createMapCanvas(width);
+    const scale = width / BASE_WIDTH;
     const ctx = canvas.getContext('2d');
 
     // Black base (no reflection for land)
@@ -161,9 +385,9 @@ class PlanetTextureLoader {
 
     // Simplified ocean areas (opposite of land)
     for (let i = 0; i < 40; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const size = 30 + Math.random() * 100;
+      const x = random() * canvas.width;
+      const y = random() * canvas.height;
+      const size = (30 + random() * 100) * scale;
 
       ctx.beginPath();
       ctx.arc(x, y, size, 0, Math.PI * 2);
@@ -179,12 +403,14 @@ class PlanetTextureLoader {
 
   /**
    * Create a cloud texture
+   * @param {Object} [options] - Cloud texture options
+   * @param {Function} [options.random=Math.random] - Source of random numbers in [0, 1)
+   * @param {number} [options.width=1024] - Width in pixels; the height is half of it
    * @returns {THREE.Texture} Generated cloud texture
    */
-  createCloudTexture() {
-    const canvas = document.createElement('canvas');
-    canvas.width = 1024;
-    canvas.height = 512;
+  createCloudTexture({ random = Math.random, width = BASE_WIDTH } = {}) {
+    const canvas = createMapCanvas(width);
+    const scale = width / BASE_WIDTH;
     const ctx = canvas.getContext('2d');
 
     // Transparent base
@@ -194,10 +420,10 @@ class PlanetTextureLoader {
     ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
 
     for (let i = 0; i < 60; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const size = 20 + Math.random() * 60;
-      const opacity = 0.3 + Math.random() * 0.5;
+      const x = random() * canvas.width;
+      const y = random() * canvas.height;
+      const size = (20 + random() * 60) * scale;
+      const opacity = 0.3 + random() * 0.5;
 
       ctx.fillStyle = `rgba(255, 255, 255, ${opacity})`;
       ctx.beginPath();
@@ -214,15 +440,18 @@ class PlanetTextureLoader {
 
   /**
    * Create all textures needed for a planet
-   * @param {Object} options - Texture generation options
+   * The textures draw from one sequence in a fixed order, so a seeded generator
+   * reproduces the whole set.
+   * @param {Object} options - Texture generation options, including width and
+   *   bumpWidth to generate at other resolutions
    * @returns {Object} Object containing all textures
    */
   createPlanetTextures(options = {}) {
     return {
       map: this.createPlanetTexture(options),
-      bumpMap: this.createBumpMap(),
-      specularMap: this.createSpecularMap(),
-      cloudMap: this.createCloudTexture()
+      bumpMap: this.createBumpMap(options),
+      specularMap: this.createSpecularMap(options),
+      cloudMap: this.createCloudTexture(options)
     };
   }
 }
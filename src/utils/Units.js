@@ -0,0 +1,217 @@
+import { GRAVITATIONAL_CONSTANT, EARTH, JUPITER } from './Constants.js';
+
+/**
+ * Unit conversion and formatting
+ * Parameters are stored in fixed internal units (kg, km, kg/m³, m/s², km/s, K);
+ * a UnitConverter translates them to and from the units chosen for display.
+ * Relative systems only rescale planet-scale quantities; everything else keeps
+ * its internal unit.
+ */
+
+/**
+ * Unit systems for planet-scale quantities
+ * @enum {string}
+ */
+export const UnitSystem = {
+  SI: 'SI',
+  EARTH: 'Earth-relative',
+  JUPITER: 'Jupiter-relative'
+};
+
+/**
+ * Temperature scales
+ * @enum {string}
+ */
+export const TemperatureScale = {
+  KELVIN: 'Kelvin',
+  CELSIUS: 'Celsius',
+  FAHRENHEIT: 'Fahrenheit'
+};
+
+/**
+ * Quantities with selectable units
+ * @enum {string}
+ */
+export const Quantity = {
+  MASS: 'mass',
+  RADIUS: 'radius',
+  DENSITY: 'density',
+  GRAVITY: 'gravity',
+  VELOCITY: 'velocity',
+  TEMPERATURE: 'temperature',
+  TEMPERATURE_CHANGE: 'temperatureChange'
+};
+
+const ZERO_CELSIUS = 273.15; // K
+
+const fixed = (digits) => (value) => value.toFixed(digits);
+const exponential = (digits) => (value) => value.toExponential(digits);
+const significant = (digits) => (value) => String(parseFloat(value.toPrecision(digits)));
+
+/**
+ * Units of a reference body, with gravity, density and escape velocity derived
+ * from its mass and radius so the body itself reads exactly 1
+ * @private
+ */
+function createRelativeUnits({ mass, radius }, suffix) {
+  const meters = radius * 1000;
+  return {
+    mass: { symbol: `M${suffix}`, scale: mass, format: significant(4) },
+    radius: { symbol: `R${suffix}`, scale: radius, format: significant(4) },
+    density: { symbol: `ρ${suffix}`, scale: mass / ((4 / 3) * Math.PI * meters ** 3), format: significant(4) },
+    gravity: { symbol: `g${suffix}`, scale: (GRAVITATIONAL_CONSTANT * mass) / meters ** 2, format: significant(4) },
+    velocity: { symbol: `v${suffix}`, scale: Math.sqrt((2 * GRAVITATIONAL_CONSTANT * mass) / meters) / 1000, format: significant(4) }
+  };
+}
+
+// Display unit per quantity: one display unit is `scale` internal units
+const SYSTEM_UNITS = {
+  [UnitSystem.SI]: {
+    mass: { symbol: 'kg', scale: 1, format: exponential(3) },
+    radius: { symbol: 'km', scale: 1, format: fixed(1) },
+    density: { symbol: 'kg/m³', scale: 1, format: fixed(1) },
+    gravity: { symbol: 'm/s²', scale: 1, format: fixed(2) },
+    velocity: { symbol: 'km/s', scale: 1, format: fixed(2) }
+  },
+  [UnitSystem.EARTH]: createRelativeUnits(EARTH, '⊕'),
+  [UnitSystem.JUPITER]: createRelativeUnits(JUPITER, '♃')
+};
+
+// Temperatures convert as T = (K - offset) / scale; changes only use the scale
+const TEMPERATURE_UNITS = {
+  [TemperatureScale.KELVIN]: { symbol: 'K', scale: 1, offset: 0 },
+  [TemperatureScale.CELSIUS]: { symbol: '°C', scale: 1, offset: ZERO_CELSIUS },
+  [TemperatureScale.FAHRENHEIT]: { symbol: '°F', scale: 5 / 9, offset: ZERO_CELSIUS - 32 * (5 / 9) }
+};
+
+/**
+ * Validates unit parameters
+ * @param {Object} params - Parameters to validate
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+export function validateUnitParams(params) {
+  const errors = [];
+
+  if (!Object.values(UnitSystem).includes(params.system)) {
+    errors.push(`Unit system must be one of: ${Object.values(UnitSystem).join(', ')}`);
+  }
+
+  if (!Object.values(TemperatureScale).includes(params.temperatureScale)) {
+    errors.push(`Temperature scale must be one of: ${Object.values(TemperatureScale).join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Converts and formats values between internal and display units
+ */
+class UnitConverter {
+  /**
+   * Creates a new UnitConverter instance
+   * @param {Object} [params] - Unit choices
+   * @param {string} [params.system=UnitSystem.SI] - Unit system for planet-scale quantities
+   * @param {string} [params.temperatureScale=TemperatureScale.KELVIN] - Temperature scale
+   */
+  constructor({ system = UnitSystem.SI, temperatureScale = TemperatureScale.KELVIN } = {}) {
+    const validation = validateUnitParams({ system, temperatureScale });
+    if (!validation.isValid) {
+      throw new Error(`Invalid unit parameters: ${validation.errors.join(', ')}`);
+    }
+
+    this.system = system;
+    this.temperatureScale = temperatureScale;
+  }
+
+  /**
+   * Looks up the display unit of a quantity
+   * @param {string} quantity - One of Quantity
+   * @returns {Object} Unit with symbol, scale and, for temperatures, offset
+   */
+  getUnit(quantity) {
+    const temperature = TEMPERATURE_UNITS[this.temperatureScale];
+    if (quantity === Quantity.TEMPERATURE) {
+      return { ...temperature, format: fixed(1) };
+    }
+    if (quantity === Quantity.TEMPERATURE_CHANGE) {
+      return { ...temperature, offset: 0, format: significant(3) };
+    }
+
+    const unit = SYSTEM_UNITS[this.system][quantity];
+    if (!unit) {
+      throw new Error(`Unknown quantity "${quantity}"`);
+    }
+    return { ...unit, offset: 0 };
+  }
+
+  /**
+   * Gets the symbol of a quantity's display unit
+   * @param {string} quantity - One of Quantity
+   * @returns {string} Unit symbol, e.g. "M⊕"
+   */
+  getSymbol(quantity) {
+    return this.getUnit(quantity).symbol;
+  }
+
+  /**
+   * Converts a value from internal to display units
+   * @param {string} quantity - One of Quantity
+   * @param {number} value - Value in internal units
+   * @returns {number} Value in display units
+   */
+  toDisplay(quantity, value) {
+    const { scale, offset } = this.getUnit(quantity);
+    return (value - offset) / scale;
+  }
+
+  /**
+   * Converts a value from display to internal units
+   * @param {string} quantity - One of Quantity
+   * @param {number} value - Value in display units
+   * @returns {number} Value in internal units
+   */
+  fromDisplay(quantity, value) {
+    const { scale, offset } = this.getUnit(quantity);
+    return value * scale + offset;
+  }
+
+  /**
+   * Formats a value in display units with its symbol
+   * @param {string} quantity - One of Quantity
+   * @param {number} value - Value in internal units
+   * @returns {string} Formatted value, e.g. "1.5 M⊕"
+   */
+  format(quantity, value) {
+    const unit = this.getUnit(quantity);
+    const number = unit.format(this.toDisplay(quantity, value));
+    return unit.symbol.startsWith('°') ? `${number}${unit.symbol}` : `${number} ${unit.symbol}`;
+  }
+
+  /**
+   * Converts a value to display units, rounded as format() would show it
+   * @param {string} quantity - One of Quantity
+   * @param {number} value - Value in internal units
+   * @returns {number} Rounded value in display units
+   */
+  round(quantity, value) {
+    return parseFloat(this.getUnit(quantity).format(this.toDisplay(quantity, value)));
+  }
+
+  /**
+   * Builds a label naming a quantity's display unit
+   * @param {string} name - Label text
+   * @param {string} quantity - One of Quantity
+   * @returns {string} Label, e.g. "Mass (M⊕)"
+   */
+  label(name, quantity) {
+    return `${name} (${this.getSymbol(quantity)})`;
+  }
+}
+
+// Internal units, used when no converter is given
+export const SI_UNITS = new UnitConverter();
+
+export default UnitConverter;
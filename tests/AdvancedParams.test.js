@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import AdvancedParameters, {
+  validateAdvancedParams,
+  ActivityLevel,
+  CoreState,
+  TectonicState,
+  EARTH_ADVANCED,
+  MARS_ADVANCED,
+  VENUS_ADVANCED
+} from '../src/parameters/AdvancedParams.js';
+import PhysicalParameters from '../src/parameters/PhysicalParams.js';
+import { EARTH, MOON } from '../src/utils/Constants.js';
+
+describe('AdvancedParameters', () => {
+  describe('Construction and Validation', () => {
+    it('should create valid instances from all presets', () => {
+      for (const preset of [EARTH_ADVANCED, MARS_ADVANCED, VENUS_ADVANCED]) {
+        expect(validateAdvancedParams(preset).isValid).toBe(true);
+        expect(() => new AdvancedParameters(preset)).not.toThrow();
+      }
+    });
+
+    it('should reject an unknown activity level', () => {
+      const result = validateAdvancedParams({
+        ...EARTH_ADVANCED,
+        volcanism: { ...EARTH_ADVANCED.volcanism, activityLevel: 'apocalyptic' }
+      });
+      expect(result.isValid).toBe(false);
+    });
+
+    it('should reject volcanoes on a volcanically dead planet', () => {
+      const result = validateAdvancedParams({
+        ...EARTH_ADVANCED,
+        volcanism: { ...EARTH_ADVANCED.volcanism, activityLevel: ActivityLevel.NONE, volcanoCount: 5 }
+      });
+      expect(result.errors).toContain('Volcano count must be 0 when activity level is none');
+    });
+
+    it('should reject active tectonics with a single plate', () => {
+      const result = validateAdvancedParams({
+        ...EARTH_ADVANCED,
+        tectonics: { state: TectonicState.ACTIVE, plateCount: 1, movementRate: 5 }
+      });
+      expect(result.isValid).toBe(false);
+    });
+
+    it('should reject an active dynamo with no field', () => {
+      const result = validateAdvancedParams({
+        ...EARTH_ADVANCED,
+        magneticField: { ...EARTH_ADVANCED.magneticField, strength: 0 }
+      });
+      expect(result.errors).toContain('An active dynamo must produce a field stronger than 0 Tesla');
+    });
+
+    it('should reject several plates or moving plates under a stagnant lid', () => {
+      const result = validateAdvancedParams({
+        ...EARTH_ADVANCED,
+        tectonics: { state: TectonicState.STAGNANT_LID, plateCount: 15, movementRate: 5 }
+      });
+      expect(result.errors).toEqual([
+        'A stagnant lid is a single plate',
+        'Plates only move when tectonics is active'
+      ]);
+    });
+
+    it('should reject missing sections', () => {
+      const result = validateAdvancedParams({});
+      expect(result.errors).toHaveLength(3);
+    });
+  });
+
+  describe('Dynamo Assessment', () => {
+    it('should find a dynamo plausible for Earth', () => {
+      const advanced = new AdvancedParameters(EARTH_ADVANCED);
+      const earth = new PhysicalParameters(EARTH);
+      expect(advanced.assessDynamo(earth).plausible).toBe(true);
+    });
+
+    it('should rule out a dynamo without a convecting core', () => {
+      const advanced = new AdvancedParameters(MARS_ADVANCED);
+      const earth = new PhysicalParameters(EARTH);
+      expect(advanced.magneticField.coreState).toBe(CoreState.STAGNANT);
+      expect(advanced.assessDynamo(earth).plausible).toBe(false);
+    });
+
+    it('should rule out a dynamo on a slow rotator', () => {
+      const advanced = new AdvancedParameters(EARTH_ADVANCED);
+      const moon = new PhysicalParameters(MOON);
+      const props = advanced.getCalculatedProperties(moon);
+      expect(props.dynamoPlausible).toBe(false);
+      expect(props.dynamoConsistent).toBe(false);
+    });
+  });
+
+  describe('Volcanism', () => {
+    it('should sum gas emissions', () => {
+      const advanced = new AdvancedParameters(EARTH_ADVANCED);
+      expect(advanced.calculateTotalOutgassing()).toBe(820);
+    });
+
+    it('should report no outgassing when activity is none', () => {
+      const advanced = new AdvancedParameters(EARTH_ADVANCED);
+      advanced.volcanism.activityLevel = ActivityLevel.NONE;
+      expect(advanced.calculateTotalOutgassing()).toBe(0);
+      expect(advanced.calculateEruptionsPerYear()).toBe(0);
+    });
+  });
+
+  describe('toString', () => {
+    it('should include all three sections', () => {
+      const advanced = new AdvancedParameters(VENUS_ADVANCED);
+      const str = advanced.toString(new PhysicalParameters(EARTH));
+      expect(str).toContain('Volcanism:');
+      expect(str).toContain('Magnetic Field:');
+      expect(str).toContain('Plate Tectonics:');
+      expect(str).toContain('Dynamo Plausible: No');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import PhysicalParameters from '../src/parameters/PhysicalParams.js';
+import CompositionParameters, { EARTH_COMPOSITION } from '../src/parameters/CompositionParams.js';
+import {
+  RetentionState,
+  calculateThermalVelocity,
+  classifyRetention,
+  analyzeAtmosphericRetention
+} from '../src/physics/AtmosphericRetention.js';
+import { EARTH, MOON, JUPITER, MOLECULAR_WEIGHTS } from '../src/utils/Constants.js';
+
+describe('AtmosphericRetention', () => {
+  describe('Thermal Velocity', () => {
+    it('should calculate N2 rms velocity near 0.52 km/s at 300 K', () => {
+      expect(calculateThermalVelocity(MOLECULAR_WEIGHTS.N2, 300)).toBeCloseTo(0.517, 2);
+    });
+
+    it('should be faster for lighter gases', () => {
+      expect(calculateThermalVelocity(MOLECULAR_WEIGHTS.H2, 300))
+        .toBeGreaterThan(calculateThermalVelocity(MOLECULAR_WEIGHTS.CO2, 300));
+    });
+  });
+
+  describe('Classification', () => {
+    it('should classify by escape ratio thresholds', () => {
+      expect(classifyRetention(10)).toBe(RetentionState.RETAINED);
+      expect(classifyRetention(5)).toBe(RetentionState.MARGINAL);
+      expect(classifyRetention(2)).toBe(RetentionState.LOST);
+    });
+  });
+
+  describe('Planet Analysis', () => {
+    it('should let Earth keep N2 and O2', () => {
+      const earth = new PhysicalParameters(EARTH);
+      const composition = new CompositionParameters(EARTH_COMPOSITION);
+      const result = analyzeAtmosphericRetention(earth, composition);
+
+      expect(result.retained).toContain('N2');
+      expect(result.retained).toContain('O2');
+      expect(result.lost).toHaveLength(0);
+    });
+
+    it('should lose hydrogen on Earth at a 1000 K exobase', () => {
+      const earth = new PhysicalParameters(EARTH);
+      const composition = new CompositionParameters({
+        ...EARTH_COMPOSITION,
+        atmosphere: { composition: { H2: 90, He: 10 }, pressure: 1, thickness: 100 }
+      });
+      const result = analyzeAtmosphericRetention(earth, composition, { exobaseTemperature: 1000 });
+
+      expect(result.lost).toContain('H2');
+    });
+
+    it('should object to a hydrogen atmosphere on the Moon', () => {
+      const moon = new PhysicalParameters(MOON);
+      const composition = new CompositionParameters({
+        ...EARTH_COMPOSITION,
+        atmosphere: { composition: { H2: 100 }, pressure: 10, thickness: 100 }
+      });
+      const result = composition.getAtmosphericRetention(moon);
+
+      expect(result.lost).toEqual(['H2']);
+      expect(composition.toString(moon)).toContain('H2: lost');
+    });
+
+    it('should let Jupiter retain hydrogen', () => {
+      const jupiter = new PhysicalParameters(JUPITER);
+      const composition = new CompositionParameters({
+        ...EARTH_COMPOSITION,
+        atmosphere: { composition: { H2: 90, He: 10 }, pressure: 1, thickness: 100 },
+        surface: { albedo: 0.34, temperature: 165 }
+      });
+      const result = analyzeAtmosphericRetention(jupiter, composition);
+
+      expect(result.retained).toEqual(['H2', 'He']);
+    });
+
+    it('should report gases without a molecular weight as unknown', () => {
+      const earth = new PhysicalParameters(EARTH);
+      const composition = new CompositionParameters({
+        ...EARTH_COMPOSITION,
+        atmosphere: { composition: { N2: 99, other: 1 }, pressure: 1, thickness: 100 }
+      });
+      const result = analyzeAtmosphericRetention(earth, composition);
+      const other = result.gases.find(({ gas }) => gas === 'other');
+
+      expect(other.state).toBe(RetentionState.UNKNOWN);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateCaptureParams,
+  getFrameCount,
+  getPathPose,
+  getFrameFilename,
+  CameraPath,
+  CaptureFormat,
+  MAX_CAPTURE_SIZE
+} from '../src/rendering/Capture.js';
+
+const START = { position: [0, 5, 20], target: [0, 0, 0], planetRotation: 1 };
+
+describe('Capture', () => {
+  describe('validateCaptureParams', () => {
+    it('should accept 4K and 8K stills and a typical recording', () => {
+      expect(validateCaptureParams({ width: 3840, height: 2160 }).isValid).toBe(true);
+      expect(validateCaptureParams({ width: 7680, height: 4320 }).isValid).toBe(true);
+      expect(validateCaptureParams({
+        width: 1920,
+        height: 1080,
+        duration: 10,
+        frameRate: 30,
+        path: CameraPath.ORBIT,
+        format: CaptureFormat.PNG_SEQUENCE
+      }).isValid).toBe(true);
+    });
+
+    it('should reject sizes, durations, rates and options out of range', () => {
+      const result = validateCaptureParams({
+        width: MAX_CAPTURE_SIZE + 1,
+        height: 10.5,
+        duration: 0,
+        frameRate: 120,
+        path: 'spiral',
+        format: 'gif'
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toHaveLength(6);
+    });
+  });
+
+  describe('getFrameCount', () => {
+    it('should round to whole frames and never return zero', () => {
+      expect(getFrameCount(10, 30)).toBe(300);
+      expect(getFrameCount(2.5, 24)).toBe(60);
+      expect(getFrameCount(0.01, 1)).toBe(1);
+    });
+  });
+
+  describe('getPathPose', () => {
+    it('should spin the planet on a turntable and leave the camera still', () => {
+      const pose = getPathPose(CameraPath.TURNTABLE, 0.25, START);
+
+      expect(pose.position).toEqual(START.position);
+      expect(pose.spin).toBeCloseTo(Math.PI / 2);
+      expect(pose.planetRotation).toBeCloseTo(1 + Math.PI / 2);
+    });
+
+    it('should circle the camera at the same height and distance on an orbit', () => {
+      const pose = getPathPose(CameraPath.ORBIT, 0.25, START);
+
+      expect(pose.position[0]).toBeCloseTo(20);
+      expect(pose.position[1]).toBe(5);
+      expect(pose.position[2]).toBeCloseTo(0);
+      expect(pose.planetRotation).toBe(1);
+      expect(pose.target).toEqual(START.target);
+    });
+
+    it('should return to the start after whole turns', () => {
+      const pose = getPathPose(CameraPath.ORBIT, 1, START, 2);
+
+      pose.position.forEach((value, i) => expect(value).toBeCloseTo(START.position[i]));
+    });
+
+    it('should keep everything still on a fixed path', () => {
+      const pose = getPathPose(CameraPath.FIXED, 0.5, START);
+
+      expect(pose.position).toEqual(START.position);
+      expect(pose.spin).toBe(0);
+    });
+  });
+
+  describe('getFrameFilename', () => {
+    it('should zero-pad frame numbers so they sort in order', () => {
+      expect(getFrameFilename('earth', 42, 300)).toBe('earth_0042.png');
+      expect(getFrameFilename('earth', 7, 12000)).toBe('earth_00007.png');
+    });
+  });
+});
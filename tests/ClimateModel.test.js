@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import ClimateModel, {
+  calculateDailyInsolation,
+  calculateSolarDeclination,
+  calculateSeasonalState,
+  Season,
+  FREEZING_POINT
+} from '../src/physics/ClimateModel.js';
+import PhysicalParameters from '../src/parameters/PhysicalParams.js';
+import CompositionParameters, { EARTH_COMPOSITION } from '../src/parameters/CompositionParams.js';
+import OrbitalParameters, { EARTH_ORBIT } from '../src/parameters/OrbitalParams.js';
+import { EARTH } from '../src/utils/Constants.js';
+
+const earthLike = (overrides = {}) => new ClimateModel({
+  axialTilt: 23.5,
+  stellarFlux: 1361,
+  albedo: 0.3,
+  greenhouseWarming: 33,
+  ...overrides
+});
+
+describe('ClimateModel', () => {
+  describe('Insolation', () => {
+    it('should give S/π at the equator on an equinox', () => {
+      expect(calculateDailyInsolation(1361, 0, 0)).toBeCloseTo(1361 / Math.PI, 5);
+    });
+
+    it('should give zero insolation during polar night', () => {
+      const declination = calculateSolarDeclination(23.5, (3 * Math.PI) / 2);
+      expect(calculateDailyInsolation(1361, (85 * Math.PI) / 180, declination)).toBe(0);
+    });
+
+    it('should average to a quarter of the stellar flux over the globe', () => {
+      const annual = earthLike().calculateAnnualInsolation();
+      const globalMean = annual.reduce((sum, q) => sum + q, 0) / annual.length;
+      expect(globalMean).toBeCloseTo(1361 / 4, -1);
+    });
+
+    it('should make poles receive more sunlight than the equator at 90° tilt', () => {
+      const annual = earthLike({ axialTilt: 90 }).calculateAnnualInsolation();
+      const equator = annual[annual.length / 2];
+      expect(annual[0]).toBeGreaterThan(equator);
+      expect(annual[annual.length - 1]).toBeGreaterThan(equator);
+    });
+  });
+
+  describe('Energy Balance', () => {
+    it('should give an Earth-like climate with polar ice', () => {
+      const climate = earthLike().solve();
+      expect(climate.globalMeanTemperature).toBeGreaterThan(280);
+      expect(climate.globalMeanTemperature).toBeLessThan(295);
+      expect(climate.iceLines.north).toBeGreaterThan(50);
+      expect(climate.iceLines.south).toBeLessThan(-50);
+    });
+
+    it('should freeze over completely without greenhouse warming', () => {
+      const climate = earthLike({ greenhouseWarming: 0 }).solve();
+      expect(climate.iceCoverage).toBe(100);
+      expect(climate.bands.every((band) => band.temperature < FREEZING_POINT)).toBe(true);
+    });
+
+    it('should have larger seasonal swings at high tilt', () => {
+      const mild = earthLike({ axialTilt: 10 }).solve();
+      const extreme = earthLike({ axialTilt: 90 }).solve();
+      const swing = ({ bands }) => bands[0].maxTemperature - bands[0].minTemperature;
+      expect(swing(extreme)).toBeGreaterThan(swing(mild));
+    });
+
+    it('should merge frozen bands into polar ranges', () => {
+      const climate = earthLike().solve();
+      expect(climate.iceBands).toHaveLength(2);
+      expect(climate.iceBands[0].minLatitude).toBeCloseTo(-90, 5);
+      expect(climate.iceBands[1].maxLatitude).toBeCloseTo(90, 5);
+    });
+  });
+
+  describe('Seasons', () => {
+    it('should put the sub-solar point at the tilt on the June solstice', () => {
+      const state = calculateSeasonalState(23.5, 90, 1361);
+      expect(state.subSolarLatitude).toBeCloseTo(23.5, 5);
+      expect(state.northernSeason).toBe(Season.SUMMER);
+      expect(state.southernSeason).toBe(Season.WINTER);
+    });
+
+    it('should give equal hemispheric insolation on an equinox', () => {
+      const state = calculateSeasonalState(23.5, 0, 1361);
+      expect(state.subSolarLatitude).toBeCloseTo(0, 5);
+      expect(state.northernInsolation).toBeCloseTo(state.southernInsolation, 5);
+    });
+
+    it('should favour the summer hemisphere', () => {
+      const state = calculateSeasonalState(23.5, 270, 1361);
+      expect(state.southernInsolation).toBeGreaterThan(state.northernInsolation);
+      expect(state.northernSeason).toBe(Season.WINTER);
+    });
+
+    it('should have no seasons without tilt', () => {
+      const state = calculateSeasonalState(0, 90, 1361);
+      expect(state.subSolarLatitude).toBeCloseTo(0, 5);
+      expect(state.northernInsolation).toBeCloseTo(state.southernInsolation, 5);
+    });
+  });
+
+  describe('fromPlanet', () => {
+    it('should take flux and tilt from planet parameters', () => {
+      const physical = new PhysicalParameters(EARTH);
+      const orbit = new OrbitalParameters(EARTH_ORBIT);
+      const composition = new CompositionParameters(EARTH_COMPOSITION, orbit);
+      const model = ClimateModel.fromPlanet(physical, composition);
+
+      expect(model.axialTilt).toBe(EARTH.axialTilt);
+      expect(model.stellarFlux).toBeCloseTo(orbit.calculateStellarFlux(), 5);
+      expect(model.yearLength).toBeCloseTo(365.25, 0);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DATA_COLUMNS,
+  DATA_EXPORT_FORMAT,
+  DATA_EXPORT_VERSION,
+  collectPlanetData,
+  writeDataJSON,
+  writeDataCSV
+} from '../src/utils/DataExport.js';
+import PresetRegistry, { createPlanetModels } from '../src/parameters/PresetRegistry.js';
+
+const presets = new PresetRegistry({ storage: null });
+
+const buildPlanet = (name) => createPlanetModels(presets.get(name));
+
+const valueOf = (data, column) => data.find((entry) => entry.column === column).value;
+
+describe('DataExport', () => {
+  describe('Columns', () => {
+    it('should have unique snake_case names', () => {
+      const names = DATA_COLUMNS.map(({ column }) => column);
+      expect(new Set(names).size).toBe(names.length);
+      names.forEach((name) => expect(name).toMatch(/^[a-z][a-z0-9_]*$/));
+    });
+
+    it('should keep the published column order', () => {
+      // Notebooks read these columns by name; never rename or reorder them
+      expect(DATA_COLUMNS.slice(0, 9).map(({ column }) => column)).toEqual([
+        'name', 'moon_count', 'mass_kg', 'radius_km', 'density_kg_m3',
+        'rotation_period_h', 'axial_tilt_deg', 'surface_gravity_m_s2', 'equatorial_gravity_m_s2'
+      ]);
+    });
+
+    it('should keep the columns of each section together', () => {
+      const sections = DATA_COLUMNS.map(({ section }) => section)
+        .filter((section, index, all) => section !== all[index - 1]);
+      expect(sections).toEqual(['planet', 'physical', 'composition', 'orbit', 'advanced', 'interior', 'tides', 'moons', 'habitability']);
+    });
+  });
+
+  describe('Collecting', () => {
+    it('should export every input, including interior fractions, geology and moons', () => {
+      const planet = buildPlanet('Jupiter');
+      const data = collectPlanetData(planet);
+
+      expect(valueOf(data, 'envelope_fraction')).toBe(planet.interior.envelope);
+      expect(valueOf(data, 'magnetic_pole_offset_deg')).toBe(planet.advanced.magneticField.poleOffset);
+      expect(valueOf(data, 'plate_count')).toBe(0);
+      expect(valueOf(data, 'moon_names')).toEqual(['Io', 'Europa', 'Ganymede', 'Callisto']);
+      expect(valueOf(data, 'moon_mass_kg')[2]).toBe(1.4819e23);
+      expect(valueOf(data, 'moon_orbital_period_days')[0]).toBeCloseTo(1.77, 1);
+    });
+
+    it('should read inputs and derived values in internal units', () => {
+      const planet = buildPlanet('Earth');
+      const data = collectPlanetData(planet, { name: 'Earth' });
+
+      expect(data).toHaveLength(DATA_COLUMNS.length);
+      expect(valueOf(data, 'name')).toBe('Earth');
+      expect(valueOf(data, 'mass_kg')).toBe(planet.physical.mass);
+      expect(valueOf(data, 'surface_gravity_m_s2')).toBeCloseTo(planet.physical.calculateSurfaceGravity(), 10);
+      expect(valueOf(data, 'effective_temperature_k')).toBe(planet.composition.getEffectiveTemperature());
+      expect(valueOf(data, 'greenhouse_warming_k')).toBeGreaterThan(0);
+      expect(valueOf(data, 'dominant_gas')).toBe('N2');
+      expect(valueOf(data, 'liquid_water')).toBe(true);
+      expect(valueOf(data, 'ocean_phase')).toBe('liquid');
+      expect(valueOf(data, 'orbital_period_days')).toBeCloseTo(365.25, 0);
+      expect(valueOf(data, 'moon_count')).toBe(1);
+      expect(data.find((entry) => entry.column === 'effective_temperature_k')).toMatchObject({
+        section: 'composition',
+        key: 'effectiveTemperature',
+        unit: 'K'
+      });
+    });
+
+    it('should export missing sections as null', () => {
+      const { physical, composition } = buildPlanet('Mars');
+      const data = collectPlanetData({ physical, composition });
+      expect(valueOf(data, 'semi_major_axis_au')).toBeNull();
+      expect(valueOf(data, 'tidally_locked')).toBeNull();
+      expect(valueOf(data, 'core_radius_km')).toBeNull();
+      expect(valueOf(data, 'moon_count')).toBe(0);
+    });
+
+    it('should export the interior as null when the model has no solution', () => {
+      const planet = buildPlanet('Earth');
+      planet.interior = { solve: () => { throw new Error('Interior model did not converge for this mass'); } };
+      const data = collectPlanetData(planet);
+      expect(valueOf(data, 'core_radius_km')).toBeNull();
+      expect(valueOf(data, 'radius_km')).toBe(planet.physical.radius);
+    });
+
+    it('should leave oceans out for giants', () => {
+      const data = collectPlanetData(buildPlanet('Jupiter'));
+      expect(valueOf(data, 'planet_class')).toBe('gas giant');
+      expect(valueOf(data, 'ocean_phase')).toBeNull();
+      expect(valueOf(data, 'liquid_water')).toBe(false);
+    });
+  });
+
+  describe('Writing', () => {
+    const data = collectPlanetData(buildPlanet('Earth'), { name: 'Earth, "blue"' });
+
+    it('should group JSON values with their units by section', () => {
+      const file = JSON.parse(writeDataJSON(data));
+      expect(file).toMatchObject({ format: DATA_EXPORT_FORMAT, version: DATA_EXPORT_VERSION });
+      expect(file.properties.planet.name.value).toBe('Earth, "blue"');
+      expect(file.properties.physical.radius).toEqual({ value: 6371, unit: 'km' });
+      expect(file.properties.composition.atmosphereComposition.value).toMatchObject({ N2: 78.08 });
+      expect(file.properties.habitability.limitingFactors.value).toBeInstanceOf(Array);
+    });
+
+    it('should write a header and one CSV row per planet', () => {
+      const { physical, composition } = buildPlanet('Mars');
+      const lines = writeDataCSV([data, collectPlanetData({ physical, composition }, { name: 'Mars' })]).trimEnd().split('\n');
+      expect(lines).toHaveLength(3);
+      expect(lines[0].split(',')).toEqual(DATA_COLUMNS.map(({ column }) => column));
+      expect(lines[1]).toMatch(/^"Earth, ""blue""",1,/);
+      expect(lines[1]).toContain('N2=78.08;O2=20.95');
+      expect(lines[2]).toMatch(/^Mars,0,/);
+      expect(lines[2]).toContain(',,,');
+    });
+  });
+});
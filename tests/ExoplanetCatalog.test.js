@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import ExoplanetCatalog, {
+  CatalogFormat,
+  parseCSV,
+  parseVOTable,
+  estimateRadiusFromMass,
+  estimateMassFromRadius,
+  mapCatalogRow,
+  validateCatalogParams
+} from '../src/utils/ExoplanetCatalog.js';
+import PhysicalParameters from '../src/parameters/PhysicalParams.js';
+import CompositionParameters, {
+  PlanetClass,
+  EARTH_COMPOSITION
+} from '../src/parameters/CompositionParams.js';
+import OrbitalParameters from '../src/parameters/OrbitalParams.js';
+import { EARTH } from '../src/utils/Constants.js';
+
+const CSV = `# This file was produced by the NASA Exoplanet Archive
+# COLUMN pl_name:        Planet Name
+pl_name,hostname,pl_orbper,pl_orbsmax,pl_orbeccen,pl_rade,pl_bmasse,pl_bmassj,st_teff,st_rad,st_mass,st_lum
+51 Peg b,51 Peg,4.230785,0.0527,0.013,,,0.46,5768,1.15,1.09,0.13
+"Kepler-22 b",Kepler-22,289.8623,,0,2.1,,,5596,0.87,0.86,
+TRAPPIST-1 e,TRAPPIST-1,6.101013,0.02925,0.0051,0.92,0.692,,2566,0.12,0.09,-3.26
+HD 80606 b,HD 80606,111.4367,0.4565,0.93,,,4.1,5561,1.04,1.05,
+Mystery b,Nowhere,10,,,,,,5000,1,1,0
+Tiny b,Somewhere,365,1,0,0.01,,,5772,1,1,0
+`;
+
+const VOTABLE = `<?xml version="1.0" encoding="UTF-8"?>
+<VOTABLE version="1.3">
+ <RESOURCE>
+  <TABLE>
+   <FIELD name="pl_name" datatype="char" arraysize="*"/>
+   <FIELD name="hostname" datatype="char" arraysize="*"/>
+   <FIELD name="pl_orbper" datatype="double" unit="days"/>
+   <FIELD name="pl_rade" datatype="double"/>
+   <FIELD name="pl_bmasse" datatype="double"/>
+   <FIELD name="st_teff" datatype="double"/>
+   <FIELD name="st_mass" datatype="double"/>
+   <DATA>
+    <TABLEDATA>
+     <TR><TD>Proxima Cen b</TD><TD>Proxima Cen</TD><TD>11.1868</TD><TD/><TD>1.07</TD><TD>2900</TD><TD>0.12</TD></TR>
+     <TR><TD>WASP-18 b</TD><TD>WASP-18 &amp; co</TD><TD>0.94145223</TD><TD>13.3</TD><TD>3305</TD><TD>6400</TD><TD>1.22</TD></TR>
+    </TABLEDATA>
+   </DATA>
+  </TABLE>
+ </RESOURCE>
+</VOTABLE>`;
+
+describe('ExoplanetCatalog', () => {
+  describe('Parsing', () => {
+    it('should skip archive comments and unquote CSV fields', () => {
+      const rows = parseCSV(CSV);
+      expect(rows).toHaveLength(6);
+      expect(rows[1].pl_name).toBe('Kepler-22 b');
+      expect(rows[0].pl_bmassj).toBe('0.46');
+    });
+
+    it('should handle quoted commas, doubled quotes and CRLF line endings', () => {
+      const rows = parseCSV('pl_name,hostname\r\n"HD 1, b","The ""Star"""\r\n');
+      expect(rows).toEqual([{ pl_name: 'HD 1, b', hostname: 'The "Star"' }]);
+    });
+
+    it('should read VOTable TABLEDATA with empty cells and entities', () => {
+      const rows = parseVOTable(VOTABLE);
+      expect(rows).toHaveLength(2);
+      expect(rows[0].pl_rade).toBe('');
+      expect(rows[0].st_mass).toBe('0.12');
+      expect(rows[1].hostname).toBe('WASP-18 & co');
+    });
+
+    it('should refuse binary VOTables', () => {
+      expect(() => parseVOTable('<VOTABLE><FIELD name="a"/><DATA><BINARY2/></DATA></VOTABLE>'))
+        .toThrow('Only TABLEDATA VOTables are supported');
+    });
+
+    it('should detect the format', () => {
+      expect(ExoplanetCatalog.detectFormat(VOTABLE)).toBe(CatalogFormat.VOTABLE);
+      expect(ExoplanetCatalog.detectFormat(CSV)).toBe(CatalogFormat.CSV);
+    });
+
+    it('should validate import options', () => {
+      expect(validateCatalogParams({ text: CSV }).isValid).toBe(true);
+      expect(validateCatalogParams({ text: null, format: 'fits' }).errors).toHaveLength(2);
+      expect(() => new ExoplanetCatalog(CSV, { format: 'fits' })).toThrow('Invalid catalog parameters');
+    });
+  });
+
+  describe('Mass-Radius Relation', () => {
+    it('should give Earth about one Earth radius', () => {
+      expect(estimateRadiusFromMass(1)).toBeCloseTo(1, 1);
+    });
+
+    it('should be continuous at the regime boundaries', () => {
+      expect(estimateRadiusFromMass(2.0399)).toBeCloseTo(estimateRadiusFromMass(2.04), 1);
+      expect(estimateRadiusFromMass(131.59)).toBeCloseTo(estimateRadiusFromMass(131.6), 0);
+    });
+
+    it('should invert below the giant regime', () => {
+      for (const mass of [0.5, 1.5, 10, 80]) {
+        expect(estimateMassFromRadius(estimateRadiusFromMass(mass))).toBeCloseTo(mass, 6);
+      }
+    });
+
+    it('should give radius-only giants a Jupiter mass', () => {
+      expect(estimateMassFromRadius(15)).toBeCloseTo(317.8, 0);
+    });
+  });
+
+  describe('Mapping Rows', () => {
+    const catalog = new ExoplanetCatalog(CSV);
+
+    it('should import valid rows and report rejected ones with reasons', () => {
+      expect(catalog.planets.map(({ name }) => name)).toEqual(['Kepler-22 b', 'TRAPPIST-1 e', 'HD 80606 b']);
+      expect(catalog.rejected.map(({ row, name }) => [row, name])).toEqual([
+        [1, '51 Peg b'],
+        [5, 'Mystery b'],
+        [6, 'Tiny b']
+      ]);
+      expect(catalog.rejected[1].errors).toEqual(['Mass or radius is required']);
+      expect(catalog.toString()).toContain('Row 6 (Tiny b): Mass must be between');
+    });
+
+    it('should reject inflated giants below the density range', () => {
+      expect(catalog.rejected[0].errors).toEqual(['Density must be between 500 and 15000 kg/m³']);
+    });
+
+    it('should convert Jupiter masses and fill in the radius', () => {
+      const planet = catalog.getPlanet('HD 80606 b');
+      expect(planet.physical.mass / EARTH.mass).toBeCloseTo(4.1 * 317.8, -1);
+      expect(planet.estimated).toEqual(expect.arrayContaining(['radius', 'luminosity']));
+      expect(planet.composition.planetClass).toBe(PlanetClass.GAS_GIANT);
+      expect(planet.orbit.orbit.eccentricity).toBe(0.93);
+    });
+
+    it('should lock close-in planets to their orbital period', () => {
+      const planet = catalog.getPlanet('TRAPPIST-1 e');
+      expect(planet.physical.rotationRate).toBeCloseTo(6.101 * 24, 0);
+      expect(planet.composition.planetClass).toBeUndefined();
+    });
+
+    it('should derive the orbit from the period and the mass from the radius', () => {
+      const planet = catalog.getPlanet('Kepler-22 b');
+      expect(planet.estimated).toEqual(expect.arrayContaining(['mass', 'semiMajorAxis', 'luminosity']));
+      expect(planet.orbit.orbit.semiMajorAxis).toBeCloseTo(0.81, 1);
+      expect(planet.composition.planetClass).toBe(PlanetClass.ICE_GIANT);
+    });
+
+    it('should build valid planet parameters', () => {
+      for (const planet of catalog.planets) {
+        const orbit = new OrbitalParameters(planet.orbit);
+        expect(() => new PhysicalParameters(planet.physical)).not.toThrow();
+        expect(() => new CompositionParameters(planet.composition, orbit)).not.toThrow();
+      }
+    });
+
+    it('should guess an Earth-like composition for a temperate rocky planet', () => {
+      const { planet } = mapCatalogRow({ pl_name: 'Twin', pl_rade: '1', pl_bmasse: '1', pl_orbsmax: '1', st_mass: '1', st_lum: '0', st_teff: '5772' });
+      expect(planet.composition).toBe(EARTH_COMPOSITION);
+      expect(planet.physical.density).toBeCloseTo(EARTH.density, -2);
+    });
+
+    it('should import VOTables', () => {
+      const votable = new ExoplanetCatalog(VOTABLE);
+      expect(votable.format).toBe(CatalogFormat.VOTABLE);
+      expect(votable.planets).toHaveLength(2);
+      expect(votable.getPlanet('Proxima Cen b').estimated).toContain('radius');
+    });
+  });
+
+  describe('Search', () => {
+    const catalog = new ExoplanetCatalog(CSV);
+
+    it('should match names and host stars without regard to case', () => {
+      expect(catalog.search('trappist').map(({ name }) => name)).toEqual(['TRAPPIST-1 e']);
+      expect(catalog.search('hd 80606')).toHaveLength(1);
+      expect(catalog.search('')).toHaveLength(3);
+      expect(catalog.getPlanet('Mystery b')).toBeNull();
+    });
+  });
+});
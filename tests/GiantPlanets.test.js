@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import {
+  analyzeBands,
+  calculateBandCount,
+  calculateInternalHeatRatio
+} from '../src/physics/GiantPlanets.js';
+import PhysicalParameters from '../src/parameters/PhysicalParams.js';
+import CompositionParameters, {
+  PlanetClass,
+  EARTH_COMPOSITION,
+  JUPITER_COMPOSITION,
+  SATURN_COMPOSITION,
+  URANUS_COMPOSITION,
+  NEPTUNE_COMPOSITION,
+  validateCompositionParams
+} from '../src/parameters/CompositionParams.js';
+import OrbitalParameters, {
+  JUPITER_ORBIT,
+  SATURN_ORBIT,
+  URANUS_ORBIT,
+  NEPTUNE_ORBIT
+} from '../src/parameters/OrbitalParams.js';
+import { LimitingFactor } from '../src/physics/Habitability.js';
+import { simulateImpact } from '../src/physics/Impacts.js';
+import SimulationEngine from '../src/core/SimulationEngine.js';
+import { JUPITER, SATURN, URANUS, NEPTUNE } from '../src/utils/Constants.js';
+
+const createGiant = (physical, composition, orbit) => {
+  const orbitalParams = new OrbitalParameters(orbit);
+  return {
+    physical: new PhysicalParameters(physical),
+    orbit: orbitalParams,
+    composition: new CompositionParameters(composition, orbitalParams)
+  };
+};
+
+describe('Giant Planets', () => {
+  describe('Validation', () => {
+    it('should accept the giant presets', () => {
+      for (const preset of [JUPITER_COMPOSITION, SATURN_COMPOSITION, URANUS_COMPOSITION, NEPTUNE_COMPOSITION]) {
+        expect(validateCompositionParams(preset).isValid).toBe(true);
+      }
+    });
+
+    it('should default to a terrestrial planet without internal heat', () => {
+      const earth = new CompositionParameters(EARTH_COMPOSITION);
+      expect(earth.planetClass).toBe(PlanetClass.TERRESTRIAL);
+      expect(earth.internalHeatFlux).toBe(0);
+      expect(earth.hasSolidSurface()).toBe(true);
+    });
+
+    it('should reject oceans and ice caps on giants', () => {
+      const result = validateCompositionParams({
+        ...JUPITER_COMPOSITION,
+        water: { coverage: 50, depth: 1, iceCaps: 0 }
+      });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Giants have no surface for oceans or ice caps');
+    });
+
+    it('should reject unknown classes and negative heat flux', () => {
+      const result = validateCompositionParams({ ...JUPITER_COMPOSITION, planetClass: 'brown dwarf', internalHeatFlux: -1 });
+      expect(result.errors).toHaveLength(2);
+    });
+  });
+
+  describe('Bands', () => {
+    it('should space Jupiter into about sixteen bands', () => {
+      const bands = calculateBandCount(JUPITER.rotationRate, JUPITER.radius);
+      expect(bands).toBeGreaterThanOrEqual(12);
+      expect(bands).toBeLessThanOrEqual(20);
+    });
+
+    it('should give slower, smaller giants fewer bands', () => {
+      expect(calculateBandCount(URANUS.rotationRate, URANUS.radius))
+        .toBeLessThan(calculateBandCount(JUPITER.rotationRate, JUPITER.radius));
+      expect(calculateBandCount(1000, 1000)).toBe(2);
+    });
+
+    it('should compare internal heat to absorbed sunlight', () => {
+      expect(calculateInternalHeatRatio(5.67, 100)).toBeCloseTo(1, 2);
+    });
+
+    it('should make Jupiter contrasty and stormy, Uranus bland', () => {
+      const jupiter = createGiant(JUPITER, JUPITER_COMPOSITION, JUPITER_ORBIT);
+      const uranus = createGiant(URANUS, URANUS_COMPOSITION, URANUS_ORBIT);
+      const jupiterBands = analyzeBands(jupiter.physical, jupiter.composition);
+      const uranusBands = uranus.composition.getBandStructure(uranus.physical);
+
+      expect(jupiterBands.internalHeatRatio).toBeGreaterThan(0.5);
+      expect(jupiterBands.stormCount).toBeGreaterThan(0);
+      expect(uranusBands.internalHeatRatio).toBeLessThan(0.2);
+      expect(uranusBands.contrast).toBeLessThan(jupiterBands.contrast);
+    });
+
+    it('should tint methane-rich ice giants blue', () => {
+      const neptune = new CompositionParameters(NEPTUNE_COMPOSITION);
+      const saturn = new CompositionParameters(SATURN_COMPOSITION);
+      expect(neptune.getBandColors().zone & 0xff).toBeGreaterThan((neptune.getBandColors().zone >> 16) & 0xff);
+      expect(saturn.getBandColors().zone & 0xff).toBeLessThan((saturn.getBandColors().zone >> 16) & 0xff);
+    });
+  });
+
+  describe('Temperatures', () => {
+    it('should warm the 1 bar level with internal heat', () => {
+      const cases = [
+        [JUPITER, JUPITER_COMPOSITION, JUPITER_ORBIT, 124],
+        [SATURN, SATURN_COMPOSITION, SATURN_ORBIT, 95],
+        [NEPTUNE, NEPTUNE_COMPOSITION, NEPTUNE_ORBIT, 59]
+      ];
+      for (const [physical, composition, orbit, effective] of cases) {
+        const giant = createGiant(physical, composition, orbit);
+        const equilibrium = giant.orbit.calculateEquilibriumTemperature(composition.surface.albedo);
+        expect(giant.composition.getBaseTemperature()).toBeGreaterThan(equilibrium);
+        expect(giant.composition.getBaseTemperature()).toBeCloseTo(effective, -1);
+      }
+    });
+  });
+
+  describe('No Surface', () => {
+    it('should have no oceans, liquid water or habitability', () => {
+      const { physical, composition } = createGiant(JUPITER, JUPITER_COMPOSITION, JUPITER_ORBIT);
+      expect(composition.hasSolidSurface()).toBe(false);
+      expect(composition.canSupportLiquidWater()).toBe(false);
+      expect(composition.getOceanState()).toBeNull();
+      expect(composition.getOceanColor()).toBeNull();
+
+      const habitability = composition.getHabitability(physical);
+      expect(habitability.potentiallyHabitable).toBe(false);
+      expect(habitability.limitingFactors.map(({ factor }) => factor)).toContain(LimitingFactor.NO_SURFACE);
+      expect(composition.toString(physical)).toContain('Planet Class: gas giant');
+    });
+
+    it('should swallow impactors without leaving craters', () => {
+      const { physical, composition } = createGiant(JUPITER, JUPITER_COMPOSITION, JUPITER_ORBIT);
+      const impact = { mass: 1e12, velocity: 60, angle: 45, latitude: -44, longitude: 30 };
+      expect(simulateImpact(physical, composition, impact)).toMatchObject({ crater: null, ejectaMass: 0, escapingEjecta: 0 });
+
+      composition.applyImpact(physical, impact);
+      expect(composition.surface.craters).toHaveLength(0);
+    });
+
+    it('should refuse to evolve a giant', () => {
+      const { physical, composition, orbit } = createGiant(SATURN, SATURN_COMPOSITION, SATURN_ORBIT);
+      expect(() => new SimulationEngine({ physical, composition, orbit })).toThrow('needs a solid surface');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HabitableZoneStatus,
+  LimitingFactor,
+  assessHabitability,
+  calculateEarthSimilarityIndex,
+  calculateHabitableZone,
+  calculateSimilarity,
+  classifyHabitableZone
+} from '../src/physics/Habitability.js';
+import PhysicalParameters from '../src/parameters/PhysicalParams.js';
+import CompositionParameters, {
+  EARTH_COMPOSITION,
+  MARS_COMPOSITION,
+  VENUS_COMPOSITION
+} from '../src/parameters/CompositionParams.js';
+import OrbitalParameters, { SUN, EARTH_ORBIT, MARS_ORBIT, VENUS_ORBIT } from '../src/parameters/OrbitalParams.js';
+import AdvancedParameters, { MARS_ADVANCED } from '../src/parameters/AdvancedParams.js';
+import { EARTH, MARS } from '../src/utils/Constants.js';
+import UnitConverter, { TemperatureScale } from '../src/utils/Units.js';
+
+const assess = (physical, composition, orbit, options) => assessHabitability(
+  new PhysicalParameters(physical),
+  new CompositionParameters(composition, new OrbitalParameters(orbit)),
+  options
+);
+
+describe('Habitability', () => {
+  describe('Earth Similarity Index', () => {
+    it('should give Earth an ESI of 1', () => {
+      const esi = calculateEarthSimilarityIndex({
+        radius: EARTH.radius,
+        density: EARTH.density,
+        escapeVelocity: EARTH.escapeVelocity,
+        temperature: 288
+      });
+      expect(esi.global).toBeCloseTo(1, 10);
+    });
+
+    it('should give Mars an ESI near the published 0.64-0.70', () => {
+      const esi = calculateEarthSimilarityIndex({
+        radius: MARS.radius,
+        density: MARS.density,
+        escapeVelocity: MARS.escapeVelocity,
+        temperature: 210
+      });
+      expect(esi.global).toBeGreaterThan(0.6);
+      expect(esi.global).toBeLessThan(0.72);
+    });
+
+    it('should penalize temperature more than radius', () => {
+      const radius = calculateSimilarity(1.2, 1, 0.57);
+      const temperature = calculateSimilarity(1.2, 1, 5.58);
+      expect(temperature).toBeLessThan(radius);
+    });
+  });
+
+  describe('Habitable Zone', () => {
+    it('should put the Sun\'s conservative zone near 0.95-1.68 AU', () => {
+      const zone = calculateHabitableZone(SUN);
+      expect(zone.conservative.inner).toBeCloseTo(0.95, 1);
+      expect(zone.conservative.outer).toBeCloseTo(1.68, 1);
+    });
+
+    it('should make the optimistic zone wider than the conservative one', () => {
+      const zone = calculateHabitableZone(SUN);
+      expect(zone.optimistic.inner).toBeLessThan(zone.conservative.inner);
+      expect(zone.optimistic.outer).toBeGreaterThan(zone.conservative.outer);
+    });
+
+    it('should move closer for a dim red dwarf', () => {
+      const zone = calculateHabitableZone({ luminosity: 0.001, temperature: 2600 });
+      expect(zone.conservative.outer).toBeLessThan(0.1);
+    });
+
+    it('should classify the inner planets', () => {
+      const zone = calculateHabitableZone(SUN);
+      expect(classifyHabitableZone(0.723, zone)).toBe(HabitableZoneStatus.TOO_HOT);
+      expect(classifyHabitableZone(1.0, zone)).toBe(HabitableZoneStatus.CONSERVATIVE);
+      expect(classifyHabitableZone(5.2, zone)).toBe(HabitableZoneStatus.TOO_COLD);
+    });
+  });
+
+  describe('Limiting Factors', () => {
+    it('should find no limits for Earth', () => {
+      const result = assess(EARTH, EARTH_COMPOSITION, EARTH_ORBIT);
+      expect(result.limitingFactors).toEqual([]);
+      expect(result.potentiallyHabitable).toBe(true);
+    });
+
+    it('should flag low gravity, cold and no magnetic field for Mars', () => {
+      const result = assess(MARS, MARS_COMPOSITION, MARS_ORBIT, { advanced: new AdvancedParameters(MARS_ADVANCED) });
+      const factors = result.limitingFactors.map(({ factor }) => factor);
+      expect(factors).toContain(LimitingFactor.LOW_GRAVITY);
+      expect(factors).toContain(LimitingFactor.TOO_COLD);
+      expect(factors).toContain(LimitingFactor.NO_MAGNETIC_FIELD);
+      expect(result.potentiallyHabitable).toBe(false);
+    });
+
+    it('should give temperatures in the display units', () => {
+      const units = new UnitConverter({ temperatureScale: TemperatureScale.CELSIUS });
+      const result = assess(MARS, MARS_COMPOSITION, MARS_ORBIT, { units });
+      const cold = result.limitingFactors.find(({ factor }) => factor === LimitingFactor.TOO_COLD);
+      expect(cold.description).toMatch(/at -\d+(\.\d)?°C$/);
+    });
+
+    it('should flag a runaway greenhouse for Venus', () => {
+      const result = assess(EARTH, VENUS_COMPOSITION, VENUS_ORBIT);
+      const factors = result.limitingFactors.map(({ factor }) => factor);
+      expect(factors).toContain(LimitingFactor.RUNAWAY_GREENHOUSE);
+      expect(factors).toContain(LimitingFactor.TOO_HOT);
+    });
+
+    it('should flag large radii as volatile-rich', () => {
+      const superEarth = { ...EARTH, radius: EARTH.radius * 2, mass: EARTH.mass * 8 };
+      const result = assess(superEarth, EARTH_COMPOSITION, EARTH_ORBIT);
+      expect(result.limitingFactors.map(({ factor }) => factor)).toContain(LimitingFactor.VOLATILE_RICH);
+    });
+  });
+});
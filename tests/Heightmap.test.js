@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { buildHeightField, encodeHeightmap, describeProjection } from '../src/utils/Heightmap.js';
+import { validateMapExportParams, MAP_WIDTHS, MAX_MAP_WIDTH } from '../src/rendering/MapExporter.js';
+
+const WIDTH = 512;
+const HEIGHT = 256;
+
+// RGBA gray pixels from a function of column and row
+const grayPixels = (level) => {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const value = level(x, y);
+      data.set([value, value, value, 255], (y * WIDTH + x) * 4);
+    }
+  }
+  return data;
+};
+
+// Land on the eastern half, flat bump map
+const halfLand = () => ({
+  land: grayPixels((x) => (x >= WIDTH / 2 ? 255 : 0)),
+  bump: grayPixels(() => 128),
+  width: WIDTH,
+  height: HEIGHT
+});
+
+const at = ({ elevations }, x, y) => elevations[y * WIDTH + x];
+
+describe('Heightmap', () => {
+  describe('Height Field', () => {
+    it('should put ocean floors at the ocean depth and coasts at sea level', () => {
+      const field = buildHeightField(halfLand(), { oceanDepth: 3 });
+      expect(at(field, 128, 100)).toBeCloseTo(-3000, 3);
+      expect(at(field, 384, 100)).toBeCloseTo(800, 3);
+
+      // Elevation climbs steadily through the coast
+      const coast = [254, 255, 256, 257, 258].map((x) => at(field, x, 100));
+      coast.slice(1).forEach((elevation, i) => expect(elevation).toBeGreaterThan(coast[i]));
+      expect(coast[0]).toBeLessThan(0);
+      expect(coast[4]).toBeGreaterThan(0);
+    });
+
+    it('should wrap the shelf across the date line', () => {
+      const field = buildHeightField(halfLand());
+      expect(at(field, WIDTH - 1, 50)).toBeGreaterThan(0);
+      expect(at(field, 0, 50)).toBeLessThan(0);
+      expect(at(field, 0, 50)).toBeGreaterThan(-4000);
+    });
+
+    it('should add relief from the bump map', () => {
+      const maps = halfLand();
+      maps.bump = grayPixels((x) => (x === 384 ? 0 : 128));
+      const field = buildHeightField(maps);
+      expect(at(field, 384, 10)).toBeCloseTo(800 - 3000, 3);
+    });
+
+    it('should refuse maps of different sizes', () => {
+      expect(() => buildHeightField({ ...halfLand(), bump: new Uint8ClampedArray(16) })).toThrow('width × height');
+    });
+  });
+
+  describe('Encoding', () => {
+    it('should record the elevation scale and sea level', () => {
+      const { png, metadata } = encodeHeightmap(buildHeightField(halfLand(), { oceanDepth: 3 }), { planetRadius: 6371 });
+      expect(png).toBeInstanceOf(Uint8Array);
+      expect(metadata).toMatchObject({
+        projection: 'equirectangular',
+        width: WIDTH,
+        height: HEIGHT,
+        bitDepth: 16,
+        planetRadius: 6371,
+        elevation: { unit: 'm' }
+      });
+      expect(metadata.elevation.min).toBeCloseTo(-3000, 3);
+      expect(metadata.elevation.max).toBeCloseTo(800, 3);
+      expect(metadata.seaLevel.normalized).toBeCloseTo(3000 / 3800, 6);
+      expect(metadata.elevation.min + metadata.seaLevel.value * metadata.elevation.scale).toBeCloseTo(0, 0);
+    });
+
+    it('should describe the projection', () => {
+      expect(describeProjection(8192, 4096)).toMatchObject({
+        degreesPerPixel: 360 / 8192,
+        longitude: { west: -180, east: 180 },
+        latitude: { north: 90, south: -90 }
+      });
+    });
+  });
+
+  describe('Map Export Parameters', () => {
+    it('should allow sizes up to 8K by 4K', () => {
+      expect(MAP_WIDTHS.at(-1)).toBe(MAX_MAP_WIDTH);
+      MAP_WIDTHS.forEach((width) => expect(validateMapExportParams({ width }).isValid).toBe(true));
+      expect(validateMapExportParams({ width: 16384 }).errors[0]).toMatch(/from 256 to 8192/);
+      expect(validateMapExportParams({ width: 1025 }).isValid).toBe(false);
+    });
+
+    it('should refuse heightmaps for giants', () => {
+      expect(validateMapExportParams({ width: 1024, heightmap: true, surface: false }).errors)
+        .toEqual(['Gas and ice giants have no surface for a heightmap']);
+    });
+  });
+});
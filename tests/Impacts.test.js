@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import {
+  simulateImpact,
+  calculateFinalCrater,
+  calculateAtmosphericErosion,
+  validateImpactParams,
+  MEGATON
+} from '../src/physics/Impacts.js';
+import PhysicalParameters from '../src/parameters/PhysicalParams.js';
+import CompositionParameters, { EARTH_COMPOSITION } from '../src/parameters/CompositionParams.js';
+import OrbitalParameters, { EARTH_ORBIT } from '../src/parameters/OrbitalParams.js';
+import { EARTH, MOON } from '../src/utils/Constants.js';
+
+const createEarth = () => ({
+  physical: new PhysicalParameters(EARTH),
+  composition: new CompositionParameters(EARTH_COMPOSITION, new OrbitalParameters(EARTH_ORBIT))
+});
+
+// Canyon Diablo: ~40 m iron impactor at 12.8 km/s
+const METEOR_CRATER = { mass: 2.6e8, velocity: 12.8, angle: 45, latitude: 35, longitude: -111, density: 7800 };
+
+// Chicxulub: ~10 km rocky impactor at 20 km/s
+const CHICXULUB = { mass: 1.57e15, velocity: 20, angle: 45, latitude: 21, longitude: -89.5 };
+
+describe('Impacts', () => {
+  describe('Validation', () => {
+    it('should accept a valid impact', () => {
+      expect(validateImpactParams(CHICXULUB).isValid).toBe(true);
+    });
+
+    it('should reject bad mass, angle and location', () => {
+      const result = validateImpactParams({ ...CHICXULUB, mass: 0, angle: 120, latitude: 95 });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toHaveLength(3);
+    });
+
+    it('should throw when simulating an invalid impact', () => {
+      const { physical, composition } = createEarth();
+      expect(() => simulateImpact(physical, composition, { ...CHICXULUB, velocity: -1 }))
+        .toThrow('Invalid impact parameters');
+    });
+  });
+
+  describe('Crater Scaling', () => {
+    it('should reproduce Meteor Crater as a simple crater', () => {
+      const { physical, composition } = createEarth();
+      const { crater } = simulateImpact(physical, composition, METEOR_CRATER);
+      expect(crater.complex).toBe(false);
+      expect(crater.diameter).toBeGreaterThan(1.0);
+      expect(crater.diameter).toBeLessThan(1.8);
+      expect(crater.depth / crater.diameter).toBeCloseTo(0.2, 5);
+    });
+
+    it('should reproduce Chicxulub as a complex crater', () => {
+      const { physical, composition } = createEarth();
+      const result = simulateImpact(physical, composition, CHICXULUB);
+      expect(result.crater.complex).toBe(true);
+      expect(result.crater.diameter).toBeGreaterThan(100);
+      expect(result.crater.diameter).toBeLessThan(180);
+      expect(result.energyMegatons).toBeCloseTo((0.5 * CHICXULUB.mass * 2e4 ** 2) / MEGATON, -3);
+    });
+
+    it('should make larger craters in lower gravity', () => {
+      const earth = calculateFinalCrater(2000, EARTH.gravity);
+      const moon = calculateFinalCrater(2000, MOON.gravity);
+      expect(earth.complex).toBe(false);
+      expect(moon.diameter).toBeGreaterThanOrEqual(earth.diameter);
+    });
+
+    it('should make smaller craters from grazing impacts', () => {
+      const { physical, composition } = createEarth();
+      const steep = simulateImpact(physical, composition, CHICXULUB);
+      const grazing = simulateImpact(physical, composition, { ...CHICXULUB, angle: 10 });
+      expect(grazing.crater.diameter).toBeLessThan(steep.crater.diameter);
+    });
+  });
+
+  describe('Atmospheric Erosion', () => {
+    it('should lose nothing without an atmosphere', () => {
+      expect(calculateAtmosphericErosion({
+        impactorMass: 1e15,
+        velocity: 2e4,
+        planetMass: EARTH.mass,
+        radius: 6.371e6,
+        escapeVelocity: 11186,
+        atmosphereMass: 0,
+        scaleHeight: 8500
+      })).toBe(0);
+    });
+
+    it('should strip a larger fraction with larger impactors', () => {
+      const { physical, composition } = createEarth();
+      const small = simulateImpact(physical, composition, CHICXULUB);
+      const large = simulateImpact(physical, composition, { ...CHICXULUB, mass: 1e21 });
+      expect(small.pressureLost).toBeGreaterThan(0);
+      expect(small.pressureLost).toBeLessThan(0.01);
+      expect(large.pressureLost).toBeGreaterThan(small.pressureLost);
+      expect(large.pressureLost).toBeLessThanOrEqual(composition.atmosphere.pressure);
+    });
+
+    it('should let some ejecta escape a small body', () => {
+      const moon = new PhysicalParameters(MOON);
+      const airless = new CompositionParameters({
+        ...EARTH_COMPOSITION,
+        atmosphere: { composition: { N2: 100 }, pressure: 0, thickness: 0 }
+      });
+      const result = simulateImpact(moon, airless, CHICXULUB);
+      expect(result.escapingEjecta).toBeGreaterThan(0);
+      expect(result.escapingEjecta).toBeLessThan(result.ejectaMass);
+      expect(result.atmosphereLost).toBe(0);
+    });
+  });
+
+  describe('Applying Impacts', () => {
+    it('should accumulate craters and thin the atmosphere', () => {
+      const { physical, composition } = createEarth();
+      const pressure = composition.atmosphere.pressure;
+      composition.applyImpact(physical, CHICXULUB);
+      composition.applyImpact(physical, METEOR_CRATER);
+      expect(composition.surface.craters).toHaveLength(2);
+      expect(composition.surface.craters[0]).toMatchObject({ latitude: 21, longitude: -89.5 });
+      expect(composition.atmosphere.pressure).toBeLessThan(pressure);
+    });
+
+    it('should copy craters rather than share them', () => {
+      const { physical, composition } = createEarth();
+      composition.applyImpact(physical, CHICXULUB);
+      const copy = new CompositionParameters(composition);
+      copy.applyImpact(physical, METEOR_CRATER);
+      expect(composition.surface.craters).toHaveLength(1);
+      expect(copy.surface.craters).toHaveLength(2);
+    });
+  });
+});
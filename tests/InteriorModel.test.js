@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import InteriorModel, {
+  validateInteriorParams,
+  calculateLayerDensity,
+  EARTH_INTERIOR,
+  MARS_INTERIOR,
+  JUPITER_INTERIOR
+} from '../src/physics/InteriorModel.js';
+import { EARTH, MARS, JUPITER } from '../src/utils/Constants.js';
+
+describe('InteriorModel', () => {
+  describe('Construction and Validation', () => {
+    it('should accept fractions that sum to 1', () => {
+      expect(validateInteriorParams(EARTH_INTERIOR).isValid).toBe(true);
+    });
+
+    it('should reject fractions that do not sum to 1', () => {
+      const result = validateInteriorParams({ core: 0.5, mantle: 0.6, water: 0, envelope: 0 });
+      expect(result.isValid).toBe(false);
+    });
+
+    it('should throw for a missing layer fraction', () => {
+      expect(() => new InteriorModel({ core: 0.3, mantle: 0.7, water: 0 })).toThrow();
+    });
+  });
+
+  describe('Equations of State', () => {
+    it('should compress iron to Earth core densities at 360 GPa', () => {
+      expect(calculateLayerDensity('core', 360e9)).toBeGreaterThan(12000);
+      expect(calculateLayerDensity('core', 360e9)).toBeLessThan(14000);
+    });
+
+    it('should give zero envelope density at zero pressure', () => {
+      expect(calculateLayerDensity('envelope', 0)).toBe(0);
+    });
+  });
+
+  describe('Mass-Radius Solver', () => {
+    it('should recover Earth radius within 5%', () => {
+      const structure = new InteriorModel(EARTH_INTERIOR).solve(EARTH.mass);
+      expect(Math.abs(structure.radius - EARTH.radius) / EARTH.radius).toBeLessThan(0.05);
+    });
+
+    it('should give Earth-like core radius, central pressure and moment of inertia', () => {
+      const structure = new InteriorModel(EARTH_INTERIOR).solve(EARTH.mass);
+      expect(structure.coreRadius).toBeGreaterThan(3000);
+      expect(structure.coreRadius).toBeLessThan(3800);
+      expect(structure.centralPressure).toBeGreaterThan(300);
+      expect(structure.centralPressure).toBeLessThan(450);
+      expect(structure.momentOfInertiaFactor).toBeCloseTo(0.33, 1);
+    });
+
+    it('should recover Mars radius within 5%', () => {
+      const structure = new InteriorModel(MARS_INTERIOR).solve(MARS.mass);
+      expect(Math.abs(structure.radius - MARS.radius) / MARS.radius).toBeLessThan(0.05);
+    });
+
+    it('should recover Jupiter radius within 10%', () => {
+      const structure = new InteriorModel(JUPITER_INTERIOR).solve(JUPITER.mass);
+      expect(Math.abs(structure.radius - JUPITER.radius) / JUPITER.radius).toBeLessThan(0.1);
+    });
+
+    it('should solve brown dwarf masses up to the mass slider maximum', () => {
+      const model = new InteriorModel(JUPITER_INTERIOR);
+      for (const mass of [80 * JUPITER.mass, 1e30]) {
+        const structure = model.solve(mass);
+        expect(structure.radius / JUPITER.radius).toBeGreaterThan(0.8);
+        expect(structure.radius / JUPITER.radius).toBeLessThan(1.2);
+      }
+    });
+
+    it('should make water worlds larger than rocky planets of the same mass', () => {
+      const mass = 5 * EARTH.mass;
+      const rocky = new InteriorModel(EARTH_INTERIOR).solve(mass);
+      const waterWorld = new InteriorModel({ core: 0.16, mantle: 0.34, water: 0.5, envelope: 0 }).solve(mass);
+      expect(waterWorld.radius).toBeGreaterThan(rocky.radius);
+    });
+
+    it('should make mean density consistent with mass and radius', () => {
+      const structure = new InteriorModel(EARTH_INTERIOR).solve(EARTH.mass);
+      const volume = (4 / 3) * Math.PI * ((structure.radius * 1000) ** 3);
+      expect(structure.meanDensity).toBeCloseTo(EARTH.mass / volume, 3);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import OrbitalParameters, { validateOrbitalParams, EARTH_ORBIT, MARS_ORBIT } from '../src/parameters/OrbitalParams.js';
+import CompositionParameters, { EARTH_COMPOSITION } from '../src/parameters/CompositionParams.js';
+
+describe('OrbitalParameters', () => {
+  describe('Construction and Validation', () => {
+    it('should create a valid OrbitalParameters instance with Earth values', () => {
+      const orbit = new OrbitalParameters(EARTH_ORBIT);
+      expect(orbit.star.luminosity).toBe(1.0);
+      expect(orbit.orbit.semiMajorAxis).toBe(1.0);
+    });
+
+    it('should throw error for eccentricity of 1 or more', () => {
+      expect(() => {
+        new OrbitalParameters({
+          star: EARTH_ORBIT.star,
+          orbit: { semiMajorAxis: 1.0, eccentricity: 1.0 }
+        });
+      }).toThrow();
+    });
+
+    it('should reject missing star parameters', () => {
+      const result = validateOrbitalParams({ orbit: EARTH_ORBIT.orbit });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Star parameters are required');
+    });
+  });
+
+  describe('Orbital Calculations', () => {
+    it('should calculate a one-year period for Earth', () => {
+      const orbit = new OrbitalParameters(EARTH_ORBIT);
+      expect(orbit.calculateOrbitalPeriod()).toBeCloseTo(365.25, 0);
+    });
+
+    it('should calculate the solar constant at 1 AU', () => {
+      const orbit = new OrbitalParameters({
+        star: EARTH_ORBIT.star,
+        orbit: { semiMajorAxis: 1.0, eccentricity: 0 }
+      });
+      expect(orbit.calculateStellarFlux()).toBeCloseTo(1361, -1);
+    });
+
+    it('should calculate a stellar radius of about one solar radius for the Sun', () => {
+      const orbit = new OrbitalParameters(EARTH_ORBIT);
+      expect(orbit.calculateStellarRadius()).toBeCloseTo(1.0, 1);
+    });
+  });
+
+  describe('Equilibrium Temperature', () => {
+    it('should calculate Earth equilibrium temperature near 255 K', () => {
+      const orbit = new OrbitalParameters(EARTH_ORBIT);
+      expect(orbit.calculateEquilibriumTemperature(0.3)).toBeCloseTo(255, -1);
+    });
+
+    it('should be colder for Mars than for Earth', () => {
+      const earth = new OrbitalParameters(EARTH_ORBIT);
+      const mars = new OrbitalParameters(MARS_ORBIT);
+      expect(mars.calculateEquilibriumTemperature(0.25))
+        .toBeLessThan(earth.calculateEquilibriumTemperature(0.25));
+    });
+
+    it('should warm up when the planet moves closer to the star', () => {
+      const orbit = new OrbitalParameters(EARTH_ORBIT);
+      const before = orbit.calculateEquilibriumTemperature(0.3);
+      orbit.orbit.semiMajorAxis = 0.5;
+      expect(orbit.calculateEquilibriumTemperature(0.3)).toBeCloseTo(before * Math.SQRT2, 0);
+    });
+  });
+
+  describe('Orbital Position', () => {
+    it('should start at periapsis', () => {
+      const orbit = new OrbitalParameters(MARS_ORBIT);
+      const position = orbit.calculateOrbitalPosition(0);
+      expect(position.trueAnomaly).toBeCloseTo(0, 5);
+      expect(position.distance).toBeCloseTo(orbit.calculatePeriapsis(), 5);
+      expect(position.solarLongitude).toBeCloseTo(MARS_ORBIT.orbit.longitudeOfPerihelion, 5);
+    });
+
+    it('should reach apoapsis half an orbit later', () => {
+      const orbit = new OrbitalParameters(MARS_ORBIT);
+      const position = orbit.calculateOrbitalPosition(orbit.calculateOrbitalPeriod() / 2);
+      expect(position.trueAnomaly).toBeCloseTo(180, 5);
+      expect(position.distance).toBeCloseTo(orbit.calculateApoapsis(), 5);
+    });
+
+    it('should repeat every orbital period', () => {
+      const orbit = new OrbitalParameters(MARS_ORBIT);
+      const period = orbit.calculateOrbitalPeriod();
+      const first = orbit.calculateOrbitalPosition(100);
+      const later = orbit.calculateOrbitalPosition(100 + 3 * period);
+      expect(later.trueAnomaly).toBeCloseTo(first.trueAnomaly, 5);
+      expect(later.stellarFlux).toBeCloseTo(first.stellarFlux, 5);
+    });
+
+    it('should receive more flux at periapsis than at apoapsis', () => {
+      const orbit = new OrbitalParameters(MARS_ORBIT);
+      const periapsis = orbit.calculateOrbitalPosition(0);
+      const apoapsis = orbit.calculateOrbitalPosition(orbit.calculateOrbitalPeriod() / 2);
+      expect(periapsis.stellarFlux).toBeGreaterThan(apoapsis.stellarFlux);
+    });
+  });
+
+  describe('Composition integration', () => {
+    it('should drive the composition base temperature from the orbit', () => {
+      const orbit = new OrbitalParameters(EARTH_ORBIT);
+      const composition = new CompositionParameters(EARTH_COMPOSITION, orbit);
+      const expected = orbit.calculateEquilibriumTemperature(EARTH_COMPOSITION.surface.albedo);
+      expect(composition.getBaseTemperature()).toBeCloseTo(expected, 5);
+    });
+
+    it('should fall back to the surface temperature without an orbit', () => {
+      const composition = new CompositionParameters(EARTH_COMPOSITION);
+      expect(composition.getBaseTemperature()).toBe(EARTH_COMPOSITION.surface.temperature);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { unzlibSync } from 'three/addons/libs/fflate.module.js';
+import { encodeGrayscalePNG16, crc32 } from '../src/utils/PNG.js';
+
+// Splits a PNG into its chunks
+const readChunks = (png) => {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    chunks.push({ type, data, crc: view.getUint32(offset + 8 + length), checked: png.subarray(offset + 4, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+};
+
+describe('PNG', () => {
+  it('should match the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('should write a 16-bit grayscale image that decodes to the same samples', () => {
+    const values = Uint16Array.from([0, 1, 256, 65535, 40000, 39999]);
+    const png = encodeGrayscalePNG16(values, 3, 2);
+    expect(Array.from(png.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    const chunks = readChunks(png);
+    expect(chunks.map(({ type }) => type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    chunks.forEach(({ crc, checked }) => expect(crc).toBe(crc32(checked)));
+    expect(Array.from(chunks[0].data)).toEqual([0, 0, 0, 3, 0, 0, 0, 2, 16, 0, 0, 0, 0]);
+
+    // Undo the Sub filter
+    const raw = unzlibSync(chunks[1].data);
+    const decoded = [];
+    for (let y = 0; y < 2; y++) {
+      const row = raw.subarray(y * 7, y * 7 + 7);
+      expect(row[0]).toBe(1);
+      const bytes = [];
+      for (let i = 1; i < 7; i++) {
+        bytes.push((row[i] + (i > 2 ? bytes[i - 3] : 0)) & 0xff);
+      }
+      for (let x = 0; x < 3; x++) {
+        decoded.push((bytes[x * 2] << 8) | bytes[x * 2 + 1]);
+      }
+    }
+    expect(decoded).toEqual(Array.from(values));
+  });
+
+  it('should refuse mismatched sizes', () => {
+    expect(() => encodeGrayscalePNG16(new Uint16Array(5), 3, 2)).toThrow('Expected 6 samples, got 5');
+    expect(() => encodeGrayscalePNG16(new Uint16Array(0), 0, 0)).toThrow('positive integers');
+  });
+});
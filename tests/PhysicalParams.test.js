@@ -1,5 +1,9 @@
 import { describe, it, expect } from 'vitest';
-import PhysicalParameters, { validatePhysicalParams } from '../src/parameters/PhysicalParams.js';
+import PhysicalParameters, {
+  validatePhysicalParams,
+  calculateDerivedValue,
+  DerivedVariable
+} from '../src/parameters/PhysicalParams.js';
 import { EARTH, MARS, JUPITER, MOON } from '../src/utils/Constants.js';
 
 describe('PhysicalParameters', () => {
@@ -37,6 +41,16 @@ describe('PhysicalParameters', () => {
       }).toThrow();
     });
 
+    it('should report rotation faster than breakup as invalid', () => {
+      const result = validatePhysicalParams({ ...JUPITER, rotationRate: 0.1 });
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toContain('breakup period');
+    });
+
+    it('should throw error for rotation faster than breakup', () => {
+      expect(() => new PhysicalParameters({ ...JUPITER, rotationRate: 0.1 })).toThrow('breakup period');
+    });
+
     it('should throw error for invalid axial tilt', () => {
       expect(() => {
         new PhysicalParameters({
@@ -182,4 +196,56 @@ describe('PhysicalParameters', () => {
       expect(str).toContain('Escape Velocity:');
     });
   });
+
+  describe('Constraint Solving', () => {
+    it('should derive Earth density from mass and radius', () => {
+      expect(calculateDerivedValue(EARTH, DerivedVariable.DENSITY)).toBeCloseTo(5514, -1);
+    });
+
+    it('should derive Earth radius from mass and density', () => {
+      expect(calculateDerivedValue(EARTH, DerivedVariable.RADIUS)).toBeCloseTo(6371, -1);
+    });
+
+    it('should recompute density when mass changes with density derived', () => {
+      const params = new PhysicalParameters(EARTH);
+      const result = params.updateWithConstraint('mass', EARTH.mass * 2, DerivedVariable.DENSITY);
+
+      expect(result.isValid).toBe(true);
+      expect(params.radius).toBe(EARTH.radius);
+      expect(params.isDensityConsistent()).toBe(true);
+    });
+
+    it('should recompute radius when density changes with radius derived', () => {
+      const params = new PhysicalParameters(EARTH);
+      params.updateWithConstraint('density', EARTH.density * 2, DerivedVariable.RADIUS);
+
+      expect(params.radius).toBeCloseTo(EARTH.radius / Math.cbrt(2), -1);
+      expect(params.mass).toBe(EARTH.mass);
+    });
+
+    it('should refuse edits that push the derived value out of range', () => {
+      const params = new PhysicalParameters(EARTH);
+      const result = params.updateWithConstraint('mass', 1e30, DerivedVariable.DENSITY);
+
+      expect(result.isValid).toBe(false);
+      expect(params.mass).toBe(EARTH.mass);
+      expect(params.density).toBe(EARTH.density);
+    });
+
+    it('should refuse direct edits of the derived variable', () => {
+      const params = new PhysicalParameters(EARTH);
+      const result = params.updateWithConstraint('density', 3000, DerivedVariable.DENSITY);
+
+      expect(result.isValid).toBe(false);
+      expect(params.density).toBe(EARTH.density);
+    });
+
+    it('should leave the trio independent with no derived variable', () => {
+      const params = new PhysicalParameters(EARTH);
+      params.updateWithConstraint('mass', EARTH.mass * 2, DerivedVariable.NONE);
+
+      expect(params.density).toBe(EARTH.density);
+      expect(params.isDensityConsistent()).toBe(false);
+    });
+  });
 });
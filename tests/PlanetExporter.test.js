@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { unzipSync, strFromU8 } from 'three/addons/libs/fflate.module.js';
+import {
+  bumpToNormalPixels,
+  specularToRoughnessPixels,
+  writeMTL,
+  createExportModel,
+  writeOBJArchive,
+  exportPlanetModel
+} from '../src/rendering/PlanetExporter.js';
+
+// Gray pixels from a list of levels, one row
+const grayImage = (levels, width = levels.length) => {
+  const data = new Uint8ClampedArray(levels.length * 4);
+  levels.forEach((level, i) => data.set([level, level, level, 255], i * 4));
+  return { data, width, height: levels.length / width };
+};
+
+// Rendered meshes without textures, shaped like PlanetRenderer's
+const renderedMeshes = () => {
+  const planet = new THREE.Mesh(new THREE.SphereGeometry(6.371, 8, 8), new THREE.MeshPhongMaterial());
+  planet.scale.set(1.001, 0.998, 1.001);
+  const clouds = new THREE.Mesh(new THREE.SphereGeometry(6.371 * 1.01, 8, 8), new THREE.MeshPhongMaterial());
+  const atmosphere = new THREE.Mesh(
+    new THREE.SphereGeometry(6.371 * 1.15, 8, 8),
+    new THREE.ShaderMaterial({ uniforms: { glowColor: { value: [0.3, 0.6, 1] } } })
+  );
+  return { planet, clouds, atmosphere };
+};
+
+describe('PlanetExporter', () => {
+  describe('Map Conversion', () => {
+    it('should point flat normals straight out', () => {
+      const pixels = bumpToNormalPixels(grayImage([128, 128, 128, 128], 2));
+      expect(Array.from(pixels.slice(0, 4))).toEqual([128, 128, 255, 255]);
+    });
+
+    it('should tilt normals away from rising ground', () => {
+      // Height rises to the east, so the normal leans west (red below half)
+      const pixels = bumpToNormalPixels(grayImage([0, 128, 255]));
+      expect(pixels[4]).toBeLessThan(128);
+      expect(pixels[5]).toBe(128);
+    });
+
+    it('should make shiny areas smooth', () => {
+      const pixels = specularToRoughnessPixels(grayImage([255, 0]));
+      expect(pixels[1]).toBe(Math.round(0.2 * 255));
+      expect(pixels[5]).toBe(255);
+    });
+  });
+
+  describe('Model', () => {
+    it('should keep the shells, flattening and axial tilt', () => {
+      const model = createExportModel(renderedMeshes(), { axialTilt: 23.44, radius: 6371 });
+      expect(model.children.map(({ name }) => name)).toEqual(['Surface', 'Clouds', 'Atmosphere']);
+      expect(model.children[0].scale.y).toBe(0.998);
+      expect(model.rotation.z).toBeCloseTo(-(23.44 * Math.PI) / 180, 10);
+      expect(model.userData).toEqual({ axialTilt: 23.44, kmPerUnit: 1000, radius: 6371 });
+
+      const pole = new THREE.Vector3(0, 1, 0).applyQuaternion(model.quaternion);
+      expect(THREE.MathUtils.radToDeg(pole.angleTo(new THREE.Vector3(0, 1, 0)))).toBeCloseTo(23.44, 6);
+    });
+
+    it('should replace the glow shader with a transparent shell', () => {
+      const atmosphere = createExportModel(renderedMeshes()).children[2];
+      expect(atmosphere.material.isMeshStandardMaterial).toBe(true);
+      expect(atmosphere.material.transparent).toBe(true);
+      expect(atmosphere.material.color.toArray()).toEqual([0.3, 0.6, 1]);
+    });
+
+    it('should scale to the requested units', () => {
+      const model = createExportModel(renderedMeshes(), { kmPerUnit: 1 });
+      const box = new THREE.Box3().setFromObject(model.children[0]);
+      expect(box.max.x).toBeCloseTo(6371 * 1.001, 0);
+      expect(() => createExportModel({ planet: null })).toThrow('no planet');
+    });
+  });
+
+  describe('OBJ', () => {
+    it('should bundle the OBJ with its material library', async () => {
+      const files = unzipSync(await writeOBJArchive(createExportModel(renderedMeshes()), 'earth'));
+      expect(Object.keys(files).sort()).toEqual(['earth.mtl', 'earth.obj']);
+
+      const obj = strFromU8(files['earth.obj']);
+      expect(obj.startsWith('mtllib earth.mtl\n')).toBe(true);
+      expect(obj).toContain('o Surface\nusemtl Surface');
+
+      const mtl = strFromU8(files['earth.mtl']);
+      expect(mtl).toContain('newmtl Atmosphere');
+      expect(mtl).toContain('d 0.25');
+    });
+
+    it('should write texture references', () => {
+      const mtl = writeMTL([{ name: 'Surface', diffuse: [1, 1, 1], maps: { diffuse: 'a_color.png', bump: 'a_bump.png' } }]);
+      expect(mtl).toContain('map_Kd a_color.png');
+      expect(mtl).toContain('bump a_bump.png');
+      expect(mtl).not.toContain('map_Ks');
+    });
+
+    it('should refuse unknown formats', async () => {
+      await expect(exportPlanetModel(renderedMeshes(), { format: 'fbx' })).rejects.toThrow('Unknown model format "fbx"');
+    });
+  });
+});
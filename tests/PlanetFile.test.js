@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PLANET_FILE_FORMAT,
+  PLANET_FILE_VERSION,
+  createPlanetFile,
+  migratePlanetFile,
+  validatePlanetFile,
+  writePlanetFile,
+  readPlanetFile
+} from '../src/utils/PlanetFile.js';
+import PresetRegistry, { createPlanetModels } from '../src/parameters/PresetRegistry.js';
+import { PlanetClass } from '../src/parameters/CompositionParams.js';
+import UnitConverter, { UnitSystem, TemperatureScale } from '../src/utils/Units.js';
+import SimulationClock from '../src/core/SimulationClock.js';
+
+const presets = new PresetRegistry({ storage: null });
+
+const buildPlanet = (name) => createPlanetModels(presets.get(name));
+
+const VIEW = {
+  camera: { position: [1, 2, 20], target: [0, 0, 0] },
+  renderer: { fieldOfView: 60, autoRotate: true, planetRotation: 1.2, cloudRotation: 0.4 }
+};
+
+describe('PlanetFile', () => {
+  describe('Round Trip', () => {
+    it('should restore the planet, view, units and clock', () => {
+      const planet = buildPlanet('Earth');
+      planet.composition.surface.craters.push({ latitude: -30, longitude: 45, diameter: 120, depth: 2, complex: true, energy: 3e23 });
+      const units = new UnitConverter({ system: UnitSystem.EARTH, temperatureScale: TemperatureScale.CELSIUS });
+      const clock = new SimulationClock({ time: 91.3, speed: 25 });
+
+      const text = writePlanetFile({ name: 'Cratered Earth', planet, seed: 2024, ...VIEW, units, simulation: clock });
+      const { state, errors } = readPlanetFile(text);
+
+      expect(errors).toEqual([]);
+      expect(state.name).toBe('Cratered Earth');
+      expect(state.seed).toBe(2024);
+      expect(state.planet.physical.mass).toBe(planet.physical.mass);
+      expect(state.planet.composition.surface.craters).toHaveLength(1);
+      expect(state.planet.orbit).toEqual({ star: planet.orbit.star, orbit: planet.orbit.orbit });
+      expect(state.planet.moons.map(({ name }) => name)).toEqual(['Moon']);
+      expect(state.camera).toEqual(VIEW.camera);
+      expect(state.renderer).toEqual(VIEW.renderer);
+      expect(state.units).toEqual({ system: UnitSystem.EARTH, temperatureScale: TemperatureScale.CELSIUS });
+      expect(state.simulation).toEqual({ time: 91.3, speed: 25 });
+    });
+
+    it('should keep the planet class of giants', () => {
+      const { state } = readPlanetFile(writePlanetFile({ planet: buildPlanet('Neptune') }));
+      expect(state.planet.composition.planetClass).toBe(PlanetClass.ICE_GIANT);
+      expect(state.planet.composition.internalHeatFlux).toBeGreaterThan(0);
+      expect(state.camera).toBeNull();
+      expect(state.seed).toBeNull();
+    });
+
+    it('should stamp the format and current version', () => {
+      const file = createPlanetFile({ planet: buildPlanet('Mars') });
+      expect(file).toMatchObject({ format: PLANET_FILE_FORMAT, version: PLANET_FILE_VERSION });
+      expect(Date.parse(file.savedAt)).not.toBeNaN();
+    });
+
+    it('should fill in sections a file leaves out', () => {
+      const { planet } = createPlanetFile({ planet: buildPlanet('Earth') });
+      const text = JSON.stringify({
+        format: PLANET_FILE_FORMAT,
+        version: PLANET_FILE_VERSION,
+        planet: { physical: planet.physical, composition: planet.composition }
+      });
+      const { state } = readPlanetFile(text);
+      expect(state.planet.orbit.orbit.semiMajorAxis).toBe(1);
+      expect(state.planet.moons).toEqual([]);
+    });
+  });
+
+  describe('Validation', () => {
+    const file = createPlanetFile({ planet: buildPlanet('Earth'), ...VIEW });
+
+    it('should accept a saved planet', () => {
+      expect(validatePlanetFile(file).isValid).toBe(true);
+    });
+
+    it('should report readable errors by section', () => {
+      const broken = structuredClone(file);
+      broken.planet.physical.mass = -5;
+      broken.planet.composition.water.coverage = 140;
+      broken.planet.moons[0].orbit.eccentricity = 2;
+      broken.camera.target = [0, 0];
+      broken.seed = -1;
+      broken.units = { system: 'furlongs', temperatureScale: TemperatureScale.KELVIN };
+
+      const { state, errors } = readPlanetFile(JSON.stringify(broken));
+      expect(state).toBeNull();
+      expect(errors).toContain('Physical: Mass must be positive');
+      expect(errors.some((error) => error.startsWith('Composition: Water coverage'))).toBe(true);
+      expect(errors.some((error) => error.startsWith('Moon Moon: Eccentricity'))).toBe(true);
+      expect(errors).toContain('Camera: Position and target must be three numbers each');
+      expect(errors.some((error) => error.startsWith('Seed must be a whole number'))).toBe(true);
+      expect(errors.some((error) => error.startsWith('Units: Unit system'))).toBe(true);
+    });
+
+    it('should reject craters that are not a list of craters on the globe', () => {
+      const broken = structuredClone(file);
+      broken.planet.composition.surface.craters = 'abc';
+      expect(readPlanetFile(JSON.stringify(broken)).errors).toEqual(['Composition: Craters must be an array']);
+
+      broken.planet.composition.surface.craters = [
+        null,
+        { latitude: 'x', longitude: 0, diameter: 10, depth: 1, complex: false, energy: 1e20 },
+        { latitude: 10, longitude: 200, diameter: 10, depth: 1, complex: false, energy: 1e20 },
+        { latitude: 10, longitude: 20, diameter: 10, depth: 1, complex: false, energy: 1e20 }
+      ];
+      const { state, errors } = readPlanetFile(JSON.stringify(broken));
+      expect(state).toBeNull();
+      expect(errors).toHaveLength(3);
+      expect(errors.map((error) => error.split(' needs')[0])).toEqual([
+        'Composition: Crater 1',
+        'Composition: Crater 2',
+        'Composition: Crater 3'
+      ]);
+    });
+
+    it('should require physical and composition parameters', () => {
+      expect(validatePlanetFile({ planet: {} }).errors).toEqual([
+        'Physical parameters are required',
+        'Composition parameters are required'
+      ]);
+    });
+
+    it('should refuse text that is not a planet file', () => {
+      expect(readPlanetFile('{oops').errors[0]).toMatch(/not valid JSON/);
+      expect(readPlanetFile('{"format": "planet-builder-presets"}').errors).toEqual(['Not a planet builder planet file']);
+    });
+  });
+
+  describe('Migrations', () => {
+    const original = { format: PLANET_FILE_FORMAT, version: 1, planet: { physical: { mass: 1 } } };
+
+    it('should apply each step in order up to the target version', () => {
+      const migrations = {
+        1: (file) => ({ ...file, version: 2, planet: { ...file.planet, moons: [] } }),
+        2: (file) => ({ ...file, version: 3, units: { system: UnitSystem.SI, temperatureScale: TemperatureScale.KELVIN } })
+      };
+      const migrated = migratePlanetFile(original, { migrations, targetVersion: 3 });
+      expect(migrated.version).toBe(3);
+      expect(migrated.planet.moons).toEqual([]);
+      expect(migrated.units.system).toBe(UnitSystem.SI);
+      expect(original.version).toBe(1);
+    });
+
+    it('should leave current files alone', () => {
+      expect(migratePlanetFile(original)).toBe(original);
+    });
+
+    it('should refuse newer, unversioned and unmigratable files', () => {
+      expect(() => migratePlanetFile({ ...original, version: PLANET_FILE_VERSION + 1 })).toThrow('newer');
+      expect(() => migratePlanetFile({ ...original, version: '1' })).toThrow('no valid version');
+      expect(() => migratePlanetFile(original, { migrations: {}, targetVersion: 2 })).toThrow('No migration from planet file version 1');
+    });
+
+    it('should report version problems as load errors', () => {
+      const { state, errors } = readPlanetFile(JSON.stringify({ ...original, version: 99 }));
+      expect(state).toBeNull();
+      expect(errors[0]).toMatch(/version 99 is newer/);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest';
+import PresetRegistry, {
+  PresetCategory,
+  BUILT_IN_PRESETS,
+  validatePresetParams,
+  serializePlanet,
+  completePreset,
+  createPlanetModels
+} from '../src/parameters/PresetRegistry.js';
+import {
+  EARTH_COMPOSITION,
+  VENUS_COMPOSITION,
+  MOON_COMPOSITION,
+  PlanetClass
+} from '../src/parameters/CompositionParams.js';
+import { EARTH, MARS } from '../src/utils/Constants.js';
+
+// In-memory stand-in for window.localStorage
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+const MARS_LIKE = { physical: MARS, composition: EARTH_COMPOSITION };
+
+describe('PresetRegistry', () => {
+  describe('Built-in Presets', () => {
+    const registry = new PresetRegistry({ storage: null });
+
+    it('should register the Solar System bodies', () => {
+      expect(registry.getNames()).toEqual(['Earth', 'Venus', 'Mars', 'Moon', 'Jupiter', 'Saturn', 'Uranus', 'Neptune']);
+      expect(registry.getNames(PresetCategory.USER)).toEqual([]);
+    });
+
+    it('should give the Moon and Venus their own compositions', () => {
+      expect(registry.get('Venus').composition).toEqual(VENUS_COMPOSITION);
+      expect(registry.get('Moon').composition).toEqual(MOON_COMPOSITION);
+      expect(registry.get('Earth')).toMatchObject({ category: PresetCategory.SOLAR_SYSTEM, source: expect.any(String) });
+    });
+
+    it('should build every built-in planet', () => {
+      for (const name of registry.getNames()) {
+        expect(() => createPlanetModels(registry.get(name))).not.toThrow();
+      }
+    });
+
+    it('should hand out copies that cannot change the registry', () => {
+      registry.get('Earth').composition.atmosphere.composition.CO2 = 50;
+      expect(registry.get('Earth').composition.atmosphere.composition.CO2).toBe(0.04);
+    });
+
+    it('should refuse duplicate and invalid presets', () => {
+      expect(() => registry.register(BUILT_IN_PRESETS[0])).toThrow('already exists');
+      expect(() => registry.register({ ...MARS_LIKE, name: 'Bad', category: 'Fiction' }))
+        .toThrow('Invalid preset parameters');
+    });
+
+    it('should return null for unknown presets', () => {
+      expect(registry.get('Vulcan')).toBeNull();
+      expect(registry.has('Vulcan')).toBe(false);
+    });
+  });
+
+  describe('Validation', () => {
+    it('should collect errors from every section', () => {
+      const result = validatePresetParams({
+        name: ' ',
+        category: PresetCategory.USER,
+        physical: { ...EARTH, mass: -1 },
+        composition: { ...EARTH_COMPOSITION, water: { coverage: 150, depth: 1, iceCaps: 0 } }
+      });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Preset name is required');
+      expect(result.errors).toContain('Mass must be positive');
+      expect(result.errors.some((error) => /Water coverage/i.test(error))).toBe(true);
+    });
+
+    it('should fill in the orbit, geology and interior by planet class', () => {
+      const completed = completePreset({ name: 'Puffy', physical: EARTH, composition: { ...EARTH_COMPOSITION, planetClass: PlanetClass.ICE_GIANT, water: { coverage: 0, depth: 0, iceCaps: 0 } } });
+      expect(completed.interior.envelope).toBeGreaterThan(0);
+      expect(completed.orbit.orbit.semiMajorAxis).toBe(1);
+      expect(completed.moons).toEqual([]);
+    });
+  });
+
+  describe('User Presets', () => {
+    it('should save the current planet and rebuild it exactly', () => {
+      const registry = new PresetRegistry({ storage: null });
+      const planet = createPlanetModels(registry.get('Earth'));
+      planet.composition.surface.craters.push({ latitude: 10, longitude: 20, diameter: 50, depth: 1, complex: true, energy: 1e22 });
+      planet.orbit.orbit.semiMajorAxis = 1.1;
+
+      registry.save('Hot Earth', serializePlanet(planet));
+      const saved = registry.get('Hot Earth');
+      expect(saved).toMatchObject({ name: 'Hot Earth', category: PresetCategory.USER, source: 'User' });
+      expect(saved.orbit.orbit.semiMajorAxis).toBe(1.1);
+      expect(saved.composition.surface.craters).toHaveLength(1);
+      expect(saved.moons.map(({ name }) => name)).toEqual(['Moon']);
+      expect(() => createPlanetModels(saved)).not.toThrow();
+      expect(registry.getNames().at(-1)).toBe('Hot Earth');
+    });
+
+    it('should rename and delete user presets but not built-ins', () => {
+      const registry = new PresetRegistry({ storage: null });
+      registry.save('Draft', MARS_LIKE);
+      registry.save('Other', MARS_LIKE);
+
+      registry.rename('Draft', 'Final');
+      expect(registry.getNames(PresetCategory.USER)).toEqual(['Final', 'Other']);
+      expect(() => registry.rename('Final', 'Other')).toThrow('already exists');
+      expect(() => registry.rename('Earth', 'Terra')).toThrow('built-in');
+      expect(() => registry.save('Mars', MARS_LIKE)).toThrow('built-in');
+
+      registry.remove('Final');
+      expect(registry.has('Final')).toBe(false);
+      expect(() => registry.remove('Final')).toThrow('No preset named');
+      expect(() => registry.remove('Moon')).toThrow('built-in');
+    });
+
+    it('should persist user presets in storage', () => {
+      const storage = createStorage();
+      const registry = new PresetRegistry({ storage });
+      registry.save('Kept', MARS_LIKE);
+
+      const reopened = new PresetRegistry({ storage });
+      expect(reopened.getNames(PresetCategory.USER)).toEqual(['Kept']);
+      expect(reopened.loadErrors).toEqual([]);
+
+      reopened.remove('Kept');
+      expect(new PresetRegistry({ storage }).has('Kept')).toBe(false);
+    });
+
+    it('should report corrupt storage instead of failing', () => {
+      const storage = createStorage();
+      storage.setItem('planet-builder.presets', '{not json');
+      const registry = new PresetRegistry({ storage });
+      expect(registry.loadErrors).toHaveLength(1);
+      expect(registry.has('Earth')).toBe(true);
+    });
+  });
+
+  describe('Import and Export', () => {
+    it('should round-trip exported presets', () => {
+      const source = new PresetRegistry({ storage: null });
+      source.save('Shared', MARS_LIKE, 'A friend');
+
+      const target = new PresetRegistry({ storage: null });
+      const result = target.importPresets(source.exportPresets());
+      expect(result).toEqual({ imported: ['Shared'], rejected: [] });
+      expect(target.get('Shared')).toMatchObject({ category: PresetCategory.USER, source: 'A friend' });
+    });
+
+    it('should reject built-in names and invalid presets with reasons', () => {
+      const registry = new PresetRegistry({ storage: null });
+      const file = JSON.stringify({
+        format: 'planet-builder-presets',
+        version: 1,
+        presets: [
+          { ...MARS_LIKE, name: 'Earth' },
+          { name: 'Broken', physical: { ...MARS, radius: 0 }, composition: EARTH_COMPOSITION },
+          { ...MARS_LIKE, name: 'Fine' }
+        ]
+      });
+      const { imported, rejected } = registry.importPresets(file);
+      expect(imported).toEqual(['Fine']);
+      expect(rejected.map(({ name }) => name)).toEqual(['Earth', 'Broken']);
+      expect(rejected[1].errors).toContain('Radius must be a number');
+    });
+
+    it('should reject presets with moons or craters that would not build', () => {
+      const registry = new PresetRegistry({ storage: null });
+      const file = JSON.stringify({
+        format: 'planet-builder-presets',
+        version: 1,
+        presets: [
+          { ...MARS_LIKE, name: 'Empty Moon', moons: [{}] },
+          { name: 'Bad Craters', physical: MARS, composition: { ...EARTH_COMPOSITION, surface: { ...EARTH_COMPOSITION.surface, craters: 'abc' } } }
+        ]
+      });
+      const { imported, rejected } = registry.importPresets(file);
+      expect(imported).toEqual([]);
+      expect(rejected[0].errors).toEqual(['Moon 1: Physical parameters are required', 'Moon 1: Orbit parameters are required']);
+      expect(rejected[1].errors).toEqual(['Craters must be an array']);
+    });
+
+    it('should refuse files that are not preset exports', () => {
+      const registry = new PresetRegistry({ storage: null });
+      expect(() => registry.importPresets('nope')).toThrow('not valid JSON');
+      expect(() => registry.importPresets('{"presets": []}')).toThrow('Not a planet builder preset file');
+      expect(() => registry.importPresets('{"format": "planet-builder-presets", "version": 99, "presets": []}'))
+        .toThrow('newer');
+    });
+  });
+});
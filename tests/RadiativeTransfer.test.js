@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import RadiativeTransferModel, {
+  calculateOpticalDepths,
+  calculateSaturationVaporPressure
+} from '../src/physics/RadiativeTransfer.js';
+import CompositionParameters, {
+  EARTH_COMPOSITION,
+  MARS_COMPOSITION,
+  VENUS_COMPOSITION
+} from '../src/parameters/CompositionParams.js';
+import OrbitalParameters, { EARTH_ORBIT, MARS_ORBIT, VENUS_ORBIT } from '../src/parameters/OrbitalParams.js';
+
+const planet = (composition, orbit) => new CompositionParameters(composition, new OrbitalParameters(orbit));
+
+describe('RadiativeTransferModel', () => {
+  describe('Optical Depths', () => {
+    it('should give no opacity without an atmosphere', () => {
+      expect(calculateOpticalDepths({ N2: 100 }, 0).total).toBe(0);
+    });
+
+    it('should grow with pressure at fixed composition (pressure broadening)', () => {
+      const thin = calculateOpticalDepths({ CO2: 100 }, 0.1);
+      const thick = calculateOpticalDepths({ CO2: 100 }, 10);
+      expect(thick.sources.CO2).toBeCloseTo(thin.sources.CO2 * 100, 5);
+    });
+
+    it('should include collision-induced absorption for N2 and H2', () => {
+      const depths = calculateOpticalDepths({ N2: 90, H2: 10 }, 1.5);
+      expect(depths.sources['N2-N2']).toBeGreaterThan(0);
+      expect(depths.sources['H2-H2']).toBeGreaterThan(0);
+      expect(depths.pressureExponent).toBe(2);
+    });
+
+    it('should follow Clausius-Clapeyron for water vapor', () => {
+      expect(calculateSaturationVaporPressure(273.15)).toBeCloseTo(0.00603, 5);
+      expect(calculateSaturationVaporPressure(300)).toBeGreaterThan(calculateSaturationVaporPressure(290));
+    });
+  });
+
+  describe('Surface Temperature', () => {
+    it('should give Earth about 33 K of greenhouse warming', () => {
+      const warming = planet(EARTH_COMPOSITION, EARTH_ORBIT).calculateGreenhouseEffect();
+      expect(warming).toBeGreaterThan(28);
+      expect(warming).toBeLessThan(38);
+    });
+
+    it('should make water vapor the main greenhouse gas on Earth', () => {
+      const { contributions } = planet(EARTH_COMPOSITION, EARTH_ORBIT).getRadiativeBalance();
+      expect(contributions[0].source).toBe('H2O');
+    });
+
+    it('should bring Venus near 737 K', () => {
+      const temperature = planet(VENUS_COMPOSITION, VENUS_ORBIT).getEffectiveTemperature();
+      expect(Math.abs(temperature - 737) / 737).toBeLessThan(0.03);
+    });
+
+    it('should never cool a thin atmosphere', () => {
+      const warming = planet(MARS_COMPOSITION, MARS_ORBIT).calculateGreenhouseEffect();
+      expect(warming).toBeGreaterThanOrEqual(0);
+      expect(warming).toBeLessThan(10);
+    });
+
+    it('should warm more with more CO2', () => {
+      const model = (co2) => new RadiativeTransferModel({
+        composition: { N2: 100 - co2, CO2: co2 },
+        pressure: 1
+      });
+      expect(model(1).solve(255).surfaceTemperature).toBeGreaterThan(model(0.04).solve(255).surfaceTemperature);
+    });
+
+    it('should split the warming between its sources', () => {
+      const result = planet(VENUS_COMPOSITION, VENUS_ORBIT).getRadiativeBalance();
+      const total = result.contributions.reduce((sum, { warming }) => sum + warming, 0);
+      expect(total).toBeCloseTo(result.greenhouseWarming, 5);
+    });
+
+    it('should put a cold tropopause above the surface', () => {
+      const result = planet(EARTH_COMPOSITION, EARTH_ORBIT).getRadiativeBalance();
+      expect(result.tropopause.temperature).toBeLessThan(result.surfaceTemperature);
+      expect(result.tropopause.pressure).toBeLessThan(EARTH_COMPOSITION.atmosphere.pressure);
+    });
+
+    it('should run away for an ocean world close to its star', () => {
+      const orbit = { ...EARTH_ORBIT, orbit: { ...EARTH_ORBIT.orbit, semiMajorAxis: 0.7 } };
+      const result = planet(EARTH_COMPOSITION, orbit).getRadiativeBalance();
+      expect(result.runaway).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, createFractalNoise, randomSeed, isValidSeed, MAX_SEED } from '../src/utils/Random.js';
+
+describe('Random', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const sequence = Array.from({ length: 5 }, first);
+    expect(Array.from({ length: 5 }, second)).toEqual(sequence);
+    expect(Array.from({ length: 5 }, createRandom(43))).not.toEqual(sequence);
+  });
+
+  it('should stay within [0, 1) and spread evenly', () => {
+    const random = createRandom(MAX_SEED);
+    const values = Array.from({ length: 10000 }, random);
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(1);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    expect(mean).toBeCloseTo(0.5, 1);
+  });
+
+  it('should fall back to Math.random without a seed', () => {
+    expect(createRandom()).toBe(Math.random);
+  });
+
+  it('should only accept 32-bit unsigned seeds', () => {
+    expect(isValidSeed(0)).toBe(true);
+    expect(isValidSeed(MAX_SEED + 1)).toBe(false);
+    expect(isValidSeed(1.5)).toBe(false);
+    expect(() => createRandom(-1)).toThrow('Seed must be an integer');
+    expect(isValidSeed(randomSeed())).toBe(true);
+  });
+
+  describe('createFractalNoise', () => {
+    it('should repeat for the same seed and stay within -1 to 1', () => {
+      const noise = createFractalNoise(64, 7);
+      expect(noise).toHaveLength(64 * 32);
+      expect(createFractalNoise(64, 7)).toEqual(noise);
+      expect(createFractalNoise(64, 8)).not.toEqual(noise);
+      noise.forEach((value) => expect(Math.abs(value)).toBeLessThanOrEqual(1));
+    });
+
+    it('should add detail at wider maps instead of stretching the narrow one', () => {
+      const narrow = createFractalNoise(64, 7);
+      const wide = createFractalNoise(512, 7);
+      // Mean step between neighbouring pixels, in pixels of the narrow map
+      const roughness = (noise, width, step) => {
+        let sum = 0;
+        for (let x = 0; x + step < width; x += step) sum += Math.abs(noise[x + step] - noise[x]);
+        return sum / Math.floor((width - 1) / step);
+      };
+      expect(roughness(wide, 512, 1) * 8).toBeGreaterThan(roughness(narrow, 64, 1));
+      // The same landforms sit in the same places
+      expect(wide[4 + 512 * 4]).toBeCloseTo(narrow[0], 0);
+    });
+
+    it('should join seamlessly where east meets west', () => {
+      const noise = createFractalNoise(256, 3);
+      for (let y = 0; y < 128; y += 16) {
+        expect(Math.abs(noise[y * 256 + 255] - noise[y * 256])).toBeLessThan(0.2);
+      }
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateBreakupPeriod,
+  calculateMaclaurinEccentricity,
+  calculateRotationParameter,
+  calculateRotationalShape
+} from '../src/physics/Rotation.js';
+import { EARTH, JUPITER } from '../src/utils/Constants.js';
+
+describe('Rotation', () => {
+  describe('Maclaurin Spheroids', () => {
+    it('should invert the rotation parameter', () => {
+      for (const eccentricity of [0.01, 0.3, 0.6, 0.9]) {
+        const q = calculateRotationParameter(eccentricity);
+        expect(calculateMaclaurinEccentricity(q)).toBeCloseTo(eccentricity, 6);
+      }
+    });
+
+    it('should have no spheroid above the peak of the sequence', () => {
+      expect(calculateMaclaurinEccentricity(0.45)).toBeNull();
+    });
+
+    it('should be spherical without rotation', () => {
+      expect(calculateMaclaurinEccentricity(0)).toBe(0);
+    });
+  });
+
+  describe('Planet Shapes', () => {
+    it('should flatten Earth by about 1/230', () => {
+      const shape = calculateRotationalShape(EARTH);
+      expect(1 / shape.flattening).toBeGreaterThan(220);
+      expect(1 / shape.flattening).toBeLessThan(240);
+    });
+
+    it('should give Earth weaker gravity at the equator than the poles', () => {
+      const shape = calculateRotationalShape(EARTH);
+      expect(shape.equatorialGravity).toBeCloseTo(9.76, 1);
+      expect(shape.polarGravity).toBeCloseTo(9.88, 1);
+      expect(shape.centrifugalAcceleration).toBeCloseTo(0.0337, 3);
+    });
+
+    it('should flatten fast-spinning Jupiter by roughly a tenth', () => {
+      const shape = calculateRotationalShape(JUPITER);
+      expect(shape.flattening).toBeGreaterThan(0.06);
+      expect(shape.flattening).toBeLessThan(0.12);
+    });
+
+    it('should preserve volume', () => {
+      const shape = calculateRotationalShape(JUPITER);
+      expect(shape.equatorialRadius ** 2 * shape.polarRadius).toBeCloseTo(JUPITER.radius ** 3, -6);
+    });
+  });
+
+  describe('Breakup', () => {
+    it('should put Earth\'s breakup period near 2.4 hours', () => {
+      expect(calculateBreakupPeriod(EARTH.mass, EARTH.radius)).toBeCloseTo(2.42, 1);
+    });
+
+    it('should throw when spinning faster than breakup', () => {
+      expect(() => calculateRotationalShape({ ...JUPITER, rotationRate: 0.1 })).toThrow();
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import SatelliteSystem, {
+  Satellite,
+  OrbitStability,
+  EARTH_MOONS,
+  JUPITER_MOONS,
+  validateSatelliteParams
+} from '../src/parameters/SatelliteParams.js';
+import PhysicalParameters from '../src/parameters/PhysicalParams.js';
+import OrbitalParameters, { EARTH_ORBIT, JUPITER_ORBIT } from '../src/parameters/OrbitalParams.js';
+import { EARTH, JUPITER, MOON } from '../src/utils/Constants.js';
+
+const createEarthSystem = (moons = EARTH_MOONS) => new SatelliteSystem(
+  new PhysicalParameters(EARTH),
+  new OrbitalParameters(EARTH_ORBIT),
+  moons
+);
+
+const moonAt = (semiMajorAxis, eccentricity = 0) => ({
+  name: 'Test',
+  physical: MOON,
+  orbit: { semiMajorAxis, eccentricity }
+});
+
+describe('SatelliteParams', () => {
+  describe('Validation', () => {
+    it('should accept the Moon', () => {
+      expect(validateSatelliteParams(EARTH_MOONS[0]).isValid).toBe(true);
+    });
+
+    it('should reject a negative semi-major axis', () => {
+      const result = validateSatelliteParams(moonAt(-1));
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Semi-major axis must be positive');
+    });
+
+    it('should reject a moon as massive as its planet', () => {
+      const system = new SatelliteSystem(new PhysicalParameters(MOON), new OrbitalParameters(EARTH_ORBIT));
+      expect(() => system.addMoon(moonAt(100000))).toThrow();
+    });
+  });
+
+  describe('Earth-Moon System', () => {
+    it('should give the Moon a 27.3 day sidereal period', () => {
+      const system = createEarthSystem();
+      expect(system.calculateOrbitalPeriod(system.moons[0])).toBeCloseTo(27.3, 1);
+    });
+
+    it('should give Earth a Hill sphere near 1.5 million km', () => {
+      const hill = createEarthSystem().calculateHillSphere();
+      expect(hill).toBeGreaterThan(1.4e6);
+      expect(hill).toBeLessThan(1.55e6);
+    });
+
+    it('should put the fluid Roche limit for the Moon near 18,000 km', () => {
+      const system = createEarthSystem();
+      expect(system.calculateRocheLimit(MOON.density)).toBeCloseTo(18400, -3);
+      expect(system.calculateRocheLimit(MOON.density, true)).toBeLessThan(system.calculateRocheLimit(MOON.density));
+    });
+
+    it('should find the Moon stable and tidally locked', () => {
+      const [moon] = createEarthSystem().analyzeMoons();
+      expect(moon.stability).toBe(OrbitStability.STABLE);
+      expect(moon.tidallyLocked).toBe(true);
+    });
+
+    it('should lock distant moons more slowly', () => {
+      const system = createEarthSystem([moonAt(200000), moonAt(600000)]);
+      const [near, far] = system.moons.map((moon) => system.calculateTidalLockingTime(moon));
+      expect(far / near).toBeCloseTo(3 ** 6, 0);
+    });
+  });
+
+  describe('Orbit Stability', () => {
+    it('should flag a moon inside the Roche limit', () => {
+      const system = createEarthSystem([moonAt(15000)]);
+      expect(system.classifyOrbit(system.moons[0])).toBe(OrbitStability.INSIDE_ROCHE);
+    });
+
+    it('should flag a moon past the stable fraction of the Hill sphere', () => {
+      const system = createEarthSystem([moonAt(1.0e6)]);
+      expect(system.classifyOrbit(system.moons[0])).toBe(OrbitStability.UNSTABLE);
+    });
+
+    it('should flag a moon outside the Hill sphere', () => {
+      const system = createEarthSystem([moonAt(2e6)]);
+      expect(system.classifyOrbit(system.moons[0])).toBe(OrbitStability.OUTSIDE_HILL);
+    });
+
+    it('should flag crossing orbits', () => {
+      const system = createEarthSystem([moonAt(300000, 0.3), moonAt(350000)]);
+      expect(system.classifyOrbit(system.moons[0])).toBe(OrbitStability.CROSSING);
+    });
+
+    it('should find the Galilean moons stable', () => {
+      const system = new SatelliteSystem(
+        new PhysicalParameters(JUPITER),
+        new OrbitalParameters(JUPITER_ORBIT),
+        JUPITER_MOONS
+      );
+      expect(system.analyzeMoons().map(({ stability }) => stability))
+        .toEqual(JUPITER_MOONS.map(() => OrbitStability.STABLE));
+    });
+  });
+
+  describe('Moon Positions', () => {
+    it('should return to the same place after one period', () => {
+      const system = createEarthSystem();
+      const moon = system.moons[0];
+      const period = system.calculateOrbitalPeriod(moon);
+      const start = system.calculateMoonPosition(moon, 0);
+      const end = system.calculateMoonPosition(moon, period);
+      expect(end.x).toBeCloseTo(start.x, 3);
+      expect(end.z).toBeCloseTo(start.z, 3);
+    });
+
+    it('should start an eccentric orbit at periapsis', () => {
+      const moon = new Satellite(moonAt(400000, 0.2));
+      const position = createEarthSystem([moon]).calculateMoonPosition(moon, 0);
+      expect(position.distance).toBeCloseTo(moon.calculatePeriapsis(), 3);
+    });
+
+    it('should move Io around Jupiter about twice per Europa orbit', () => {
+      const system = new SatelliteSystem(
+        new PhysicalParameters(JUPITER),
+        new OrbitalParameters(JUPITER_ORBIT),
+        JUPITER_MOONS
+      );
+      const [io, europa] = system.moons.map((moon) => system.calculateOrbitalPeriod(moon));
+      expect(europa / io).toBeCloseTo(2, 1);
+    });
+  });
+});
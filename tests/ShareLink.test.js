@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+import { encodeShareLink, decodeShareLink, SHARE_LINK_VERSION } from '../src/utils/ShareLink.js';
+import PhysicalParameters from '../src/parameters/PhysicalParams.js';
+import CompositionParameters, {
+  EARTH_COMPOSITION,
+  MARS_COMPOSITION,
+  PlanetClass
+} from '../src/parameters/CompositionParams.js';
+import { EARTH, MARS } from '../src/utils/Constants.js';
+import { DEFAULT_SEED } from '../src/utils/Random.js';
+import PresetRegistry, { serializePlanet, createPlanetModels } from '../src/parameters/PresetRegistry.js';
+
+const presets = new PresetRegistry({ storage: null });
+
+// Everything the app shares, as plain data
+const presetState = (name) => serializePlanet(createPlanetModels(presets.get(name)));
+
+const marsLike = () => ({
+  physical: new PhysicalParameters(MARS),
+  composition: new CompositionParameters(MARS_COMPOSITION)
+});
+
+describe('ShareLink', () => {
+  describe('Encoding', () => {
+    it('should only carry values that differ from the preset', () => {
+      expect(encodeShareLink({ preset: 'Mars', seed: 7, ...marsLike() })).toBe(`v=${SHARE_LINK_VERSION}&preset=Mars&seed=7`);
+      expect(encodeShareLink({ preset: 'Jupiter', ...presetState('Jupiter') })).toBe(`v=1&preset=Jupiter&seed=${DEFAULT_SEED}`);
+    });
+
+    it('should round-trip edited planets', () => {
+      const planet = marsLike();
+      planet.physical.axialTilt = 40;
+      planet.composition.atmosphere.pressure = 0.5;
+      planet.composition.atmosphere.composition = { CO2: 60, N2: 40 };
+      planet.composition.surface.craters.push({ latitude: -12.5, longitude: 100, diameter: 80, depth: 1.2, complex: true, energy: 4.2e23 });
+
+      const hash = encodeShareLink({ preset: 'Mars', seed: 123456, ...planet });
+      expect(hash).toContain('tilt=40&p=0.5&gas=CO2:60,N2:40');
+
+      const { name, seed, planet: decoded, rejected } = decodeShareLink(`#${hash}`);
+      expect(rejected).toEqual([]);
+      expect(name).toBe('Mars');
+      expect(seed).toBe(123456);
+      expect(decoded.physical.axialTilt).toBe(40);
+      expect(decoded.composition.atmosphere.composition).toEqual({ CO2: 60, N2: 40 });
+      expect(decoded.composition.surface.craters).toEqual(planet.composition.surface.craters);
+      expect(decoded.moons).toEqual([]);
+    });
+
+    it('should encode planets from user presets against the built-in preset of their class', () => {
+      const physical = new PhysicalParameters({ ...EARTH, rotationRate: 30 });
+      const composition = new CompositionParameters({ ...EARTH_COMPOSITION, planetClass: PlanetClass.TERRESTRIAL });
+      const hash = encodeShareLink({ name: 'My World', physical, composition });
+      expect(hash).toBe(`v=1&preset=Earth&name=My%20World&seed=${DEFAULT_SEED}&rot=30`);
+
+      const { name, preset, planet, rejected } = decodeShareLink(hash);
+      expect(rejected).toEqual([]);
+      expect(name).toBe('My World');
+      expect(preset).toBe('Earth');
+      expect(planet.physical.rotationRate).toBe(30);
+      expect(planet.physical.mass).toBe(EARTH.mass);
+    });
+
+    it('should keep a renamed planet\'s own preset, orbit and moons', () => {
+      const hash = encodeShareLink({ ...presetState('Jupiter'), name: 'Big J', preset: 'Jupiter' });
+      expect(hash).toBe(`v=1&preset=Jupiter&name=Big%20J&seed=${DEFAULT_SEED}`);
+
+      const { name, planet } = decodeShareLink(hash);
+      const jupiter = presets.get('Jupiter');
+      expect(name).toBe('Big J');
+      expect(planet.orbit).toEqual(jupiter.orbit);
+      expect(planet.interior).toEqual(jupiter.interior);
+      expect(planet.moons).toEqual(jupiter.moons);
+    });
+
+    it('should carry the orbit, interior and a lack of moons', () => {
+      // A catalog-style giant: class defaults, its own orbit, no moons
+      const state = { ...presetState('Jupiter'), moons: [] };
+      state.orbit = {
+        star: { mass: 1.1, luminosity: 1.3, temperature: 6000 },
+        orbit: { semiMajorAxis: 0.05, eccentricity: 0 }
+      };
+      state.interior = { core: 0.05, mantle: 0.05, water: 0, envelope: 0.9 };
+
+      const hash = encodeShareLink({ ...state, name: 'HD 000 b' });
+      expect(hash).toContain('ms=1.1&lum=1.3&teff=6000&a=0.05&e=0&core=0.05&mantle=0.05&ices=0&env=0.9&moons=0');
+
+      const { planet, rejected } = decodeShareLink(hash);
+      expect(rejected).toEqual([]);
+      expect(planet.orbit).toEqual(state.orbit);
+      expect(planet.interior).toEqual(state.interior);
+      expect(planet.moons).toEqual([]);
+    });
+
+    it('should refuse planets whose moons or geology a link cannot carry', () => {
+      const state = presetState('Earth');
+      state.moons[0].orbit.semiMajorAxis = 500000;
+      state.advanced.volcanism.volcanoCount = 10;
+      expect(() => encodeShareLink({ ...state, preset: 'Earth' }))
+        .toThrow('A link cannot carry geology or moons that differ from the Earth preset');
+    });
+
+    it('should keep large numbers readable', () => {
+      const physical = new PhysicalParameters({ ...EARTH, mass: 6.5e24, density: 6000 });
+      const hash = encodeShareLink({ physical, composition: new CompositionParameters(EARTH_COMPOSITION) });
+      expect(hash).toContain('m=6.5e+24');
+      expect(decodeShareLink(hash).planet.physical.mass).toBe(6.5e24);
+    });
+  });
+
+  describe('Decoding', () => {
+    it('should ignore empty hashes', () => {
+      expect(decodeShareLink('')).toBeNull();
+      expect(decodeShareLink('#')).toBeNull();
+    });
+
+    it('should drop out-of-range values and keep the rest', () => {
+      const { planet, rejected } = decodeShareLink('#v=1&preset=Mars&tilt=200&w=20&alb=abc');
+      expect(planet.physical.axialTilt).toBe(MARS.axialTilt);
+      expect(planet.composition.water.coverage).toBe(20);
+      expect(planet.composition.surface.albedo).toBe(MARS_COMPOSITION.surface.albedo);
+      expect(rejected).toEqual([
+        expect.stringMatching(/^Axial tilt "200": Axial tilt must be between/),
+        'Albedo "abc": not a number'
+      ]);
+    });
+
+    it('should fall back to the preset when values only fail together', () => {
+      // A 10 hour day suits Earth, but would tear apart an Earth mass spread over 20000 km
+      const { planet, rejected } = decodeShareLink('#v=1&preset=Earth&r=20000&rot=10');
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0]).toMatch(/^Radius, Rotation do not fit together \(Rotation period must be longer/);
+      expect(planet.physical).toEqual(EARTH);
+    });
+
+    it('should report unknown presets and settings, bad seeds and unreadable entries', () => {
+      const { name, preset, seed, planet, rejected } = decodeShareLink('#v=1&preset=Atlantis&seed=-4&zoom=3&%E0%A4%A=1&cr=1:2:3');
+      expect(name).toBe('Atlantis');
+      expect(preset).toBe('Earth');
+      expect(planet.physical).toEqual(EARTH);
+      expect(seed).toBe(DEFAULT_SEED);
+      expect(rejected).toEqual([
+        'Could not read "%E0%A4%A=1"',
+        'Unknown setting "zoom"',
+        'Unknown preset "Atlantis": started from Earth',
+        expect.stringMatching(/^Seed "-4"/),
+        'Craters "1:2:3": crater 1 needs latitude:longitude:diameter:depth:complex:energy'
+      ]);
+    });
+
+    it('should start from Earth when the link is not usable', () => {
+      const newer = decodeShareLink('#v=9&preset=Mars&tilt=10');
+      expect(newer.name).toBe('Earth');
+      expect(newer.planet.physical).toEqual(EARTH);
+      expect(newer.rejected).toEqual(['The link is version 9, newer than this version supports (1)']);
+
+      expect(decodeShareLink('#v=1&preset=constructor').rejected).toEqual(['Unknown preset "constructor": started from Earth']);
+
+      expect(decodeShareLink('#section-2').rejected).toEqual([
+        'Could not read "section-2"',
+        'The link has no version, so it was not made by Planet Builder'
+      ]);
+    });
+  });
+});
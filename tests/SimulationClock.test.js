@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import SimulationClock from '../src/core/SimulationClock.js';
+
+describe('SimulationClock', () => {
+  it('should start paused at time zero', () => {
+    const clock = new SimulationClock();
+    expect(clock.time).toBe(0);
+    expect(clock.playing).toBe(false);
+  });
+
+  it('should not advance while paused', () => {
+    const clock = new SimulationClock();
+    expect(clock.tick(1)).toBe(0);
+  });
+
+  it('should advance by speed times elapsed seconds while playing', () => {
+    const clock = new SimulationClock({ speed: 5 });
+    clock.play();
+    clock.tick(0.5);
+    clock.tick(0.5);
+    expect(clock.time).toBeCloseTo(5, 10);
+  });
+
+  it('should toggle between playing and paused', () => {
+    const clock = new SimulationClock();
+    expect(clock.toggle()).toBe(true);
+    expect(clock.toggle()).toBe(false);
+  });
+
+  it('should jump to a given time', () => {
+    const clock = new SimulationClock();
+    clock.setTime(180);
+    expect(clock.time).toBe(180);
+  });
+
+  it('should reject negative speeds', () => {
+    const clock = new SimulationClock();
+    expect(() => clock.setSpeed(-1)).toThrow();
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import SimulationEngine, { estimateStellarAge } from '../src/core/SimulationEngine.js';
+import PhysicalParameters from '../src/parameters/PhysicalParams.js';
+import CompositionParameters, { EARTH_COMPOSITION } from '../src/parameters/CompositionParams.js';
+import OrbitalParameters, { EARTH_ORBIT } from '../src/parameters/OrbitalParams.js';
+import AdvancedParameters, { EARTH_ADVANCED, MARS_ADVANCED } from '../src/parameters/AdvancedParams.js';
+import { EARTH, MARS } from '../src/utils/Constants.js';
+
+const createEngine = ({ physical = EARTH, orbit = EARTH_ORBIT, advanced = EARTH_ADVANCED } = {}, options) => {
+  const orbitParams = new OrbitalParameters(orbit);
+  return new SimulationEngine({
+    physical: new PhysicalParameters(physical),
+    composition: new CompositionParameters(EARTH_COMPOSITION, orbitParams),
+    orbit: orbitParams,
+    advanced: new AdvancedParameters(advanced)
+  }, options);
+};
+
+describe('SimulationEngine', () => {
+  it('should reject a non-positive time step', () => {
+    expect(() => createEngine({}, { timeStep: 0 })).toThrow();
+  });
+
+  it('should record the starting state plus one snapshot per step', () => {
+    const engine = createEngine({}, { timeStep: 1e8 });
+    const history = engine.run(5e8);
+    expect(history).toHaveLength(6);
+    expect(history[0].age).toBe(0);
+    expect(history[5].age).toBeCloseTo(5e8, 0);
+  });
+
+  it('should brighten the star about 1% per 100 Myr', () => {
+    const engine = createEngine({}, { timeStep: 1e8 });
+    engine.run(1e9);
+    const luminosity = engine.history[engine.history.length - 1].luminosity;
+    expect(luminosity).toBeGreaterThan(1.07);
+    expect(luminosity).toBeLessThan(1.12);
+  });
+
+  it('should not modify the planet it started from', () => {
+    const orbit = new OrbitalParameters(EARTH_ORBIT);
+    const composition = new CompositionParameters(EARTH_COMPOSITION, orbit);
+    const engine = new SimulationEngine({
+      physical: new PhysicalParameters(EARTH),
+      composition,
+      orbit,
+      advanced: new AdvancedParameters(EARTH_ADVANCED)
+    }, { timeStep: 2e8 });
+    engine.run(1e9);
+
+    expect(orbit.star.luminosity).toBe(1);
+    expect(composition.water.coverage).toBe(EARTH_COMPOSITION.water.coverage);
+    expect(composition.atmosphere.composition.CO2).toBe(EARTH_COMPOSITION.atmosphere.composition.CO2);
+  });
+
+  it('should keep Earth temperate with oceans for the next billion years', () => {
+    const engine = createEngine({}, { timeStep: 1e8 });
+    engine.run(1e9);
+    const final = engine.history[engine.history.length - 1];
+    expect(final.liquidWater).toBe(true);
+    expect(final.temperature).toBeLessThan(320);
+    expect(final.water.coverage).toBeGreaterThan(50);
+  });
+
+  it('should draw down CO2 as the star brightens', () => {
+    const engine = createEngine({}, { timeStep: 1e8 });
+    engine.run(1e9);
+    const co2 = (snapshot) => snapshot.atmosphere.composition.CO2 * snapshot.atmosphere.pressure;
+    expect(co2(engine.history[10])).toBeLessThan(co2(engine.history[0]));
+  });
+
+  it('should boil away the oceans of an Earth at Venus\'s distance', () => {
+    const engine = createEngine({ orbit: { ...EARTH_ORBIT, orbit: { ...EARTH_ORBIT.orbit, semiMajorAxis: 0.72 } } }, { timeStep: 1e8 });
+    engine.run(1e9);
+    const final = engine.history[engine.history.length - 1];
+    expect(engine.history[0].runaway).toBe(true);
+    expect(final.water.coverage).toBe(0);
+    expect(final.atmosphere.composition.CO2).toBeGreaterThan(EARTH_COMPOSITION.atmosphere.composition.CO2);
+  });
+
+  it('should strip the atmosphere of a small planet without a magnetic field', () => {
+    const engine = createEngine({ physical: MARS, advanced: MARS_ADVANCED }, { timeStep: 2e8 });
+    engine.run(1e9);
+    expect(engine.history[5].atmosphere.pressure).toBeLessThan(0.7);
+  });
+
+  it('should rebuild a composition from a snapshot', () => {
+    const engine = createEngine({}, { timeStep: 2e8 });
+    engine.run(4e8);
+    const composition = engine.getCompositionAt(2);
+    expect(composition.orbit.star.luminosity).toBeCloseTo(engine.history[2].luminosity, 10);
+    expect(composition.getEffectiveTemperature()).toBeCloseTo(engine.history[2].temperature, 6);
+    expect(() => engine.getCompositionAt(10)).toThrow();
+  });
+
+  it('should start stars at the Sun\'s age, or earlier for short-lived massive stars', () => {
+    expect(estimateStellarAge(1)).toBeCloseTo(4.57e9, -3);
+    expect(estimateStellarAge(0.5)).toBeCloseTo(4.57e9, -3);
+    expect(estimateStellarAge(2)).toBeLessThan(1e10 * 2 ** -2.5);
+  });
+
+  it('should evolve a planet of a 2 M☉ star until the star leaves the main sequence', () => {
+    const orbit = {
+      star: { ...EARTH_ORBIT.star, mass: 2, luminosity: 16 },
+      orbit: { ...EARTH_ORBIT.orbit, semiMajorAxis: 4 }
+    };
+    const engine = createEngine({ orbit }, { timeStep: 1e8, stellarAge: estimateStellarAge(2) });
+    const history = engine.run(5e9);
+    expect(history.length).toBeGreaterThan(5);
+    expect(engine.isFinished()).toBe(true);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import TidalModel, { calculatePseudoSynchronousRatio } from '../src/physics/Tides.js';
+import PhysicalParameters from '../src/parameters/PhysicalParams.js';
+import OrbitalParameters, { EARTH_ORBIT } from '../src/parameters/OrbitalParams.js';
+import { JUPITER_MOONS } from '../src/parameters/SatelliteParams.js';
+import { EARTH, JUPITER } from '../src/utils/Constants.js';
+
+const earthAt = (semiMajorAxis, eccentricity = 0) => TidalModel.fromOrbit(
+  new PhysicalParameters(EARTH),
+  new OrbitalParameters({ ...EARTH_ORBIT, orbit: { semiMajorAxis, eccentricity } })
+);
+
+const io = (options = {}) => new TidalModel({
+  physical: new PhysicalParameters(JUPITER_MOONS[0].physical),
+  parentMass: JUPITER.mass,
+  semiMajorAxis: JUPITER_MOONS[0].orbit.semiMajorAxis,
+  eccentricity: JUPITER_MOONS[0].orbit.eccentricity,
+  ...options
+});
+
+describe('Tides', () => {
+  describe('Equilibrium Rotation', () => {
+    it('should be synchronous on a circular orbit', () => {
+      expect(calculatePseudoSynchronousRatio(0)).toBe(1);
+      expect(earthAt(1).calculateEquilibriumRotationPeriod()).toBeCloseTo(365.25 * 24, -1);
+    });
+
+    it('should spin faster than synchronous on an eccentric orbit', () => {
+      expect(calculatePseudoSynchronousRatio(0.2056)).toBeCloseTo(1.256, 2);
+    });
+  });
+
+  describe('Tidal Locking', () => {
+    it('should leave Earth spinning freely at 1 AU', () => {
+      const result = earthAt(1).solve();
+      expect(result.tidallyLocked).toBe(false);
+      expect(result.lockingTime).toBeGreaterThan(1e10);
+    });
+
+    it('should lock a close-in planet', () => {
+      expect(earthAt(0.05).solve().tidallyLocked).toBe(true);
+    });
+
+    it('should count a planet already rotating synchronously as locked', () => {
+      const orbit = new OrbitalParameters(EARTH_ORBIT);
+      const physical = new PhysicalParameters({ ...EARTH, rotationRate: 1000 });
+      const model = TidalModel.fromOrbit(physical, orbit);
+      physical.rotationRate = model.calculateEquilibriumRotationPeriod();
+      expect(model.solve({ age: 0 }).tidallyLocked).toBe(true);
+    });
+
+    it('should take longer to lock a stiffer, less dissipative body', () => {
+      const soft = earthAt(0.1).calculateLockingTime();
+      const rigid = TidalModel.fromOrbit(
+        new PhysicalParameters(EARTH),
+        new OrbitalParameters({ ...EARTH_ORBIT, orbit: { semiMajorAxis: 0.1, eccentricity: 0 } }),
+        { qualityFactor: 1000, rigidity: 1e11 }
+      ).calculateLockingTime();
+      expect(rigid).toBeGreaterThan(10 * soft);
+    });
+  });
+
+  describe('Tidal Heating', () => {
+    it('should not heat a body on a circular orbit', () => {
+      const model = earthAt(0.05);
+      expect(model.calculateHeatingPower()).toBe(0);
+      expect(model.calculateSurfaceWarming(300)).toBe(0);
+    });
+
+    it('should scale with e² and a^-7.5', () => {
+      const base = earthAt(0.05, 0.1).calculateHeatingPower();
+      expect(earthAt(0.05, 0.2).calculateHeatingPower() / base).toBeCloseTo(4, 6);
+      expect(base / earthAt(0.1, 0.1).calculateHeatingPower()).toBeCloseTo(2 ** 7.5, 0);
+    });
+
+    it('should put Io near its observed 1e14 W with a molten-interior Q', () => {
+      const power = io({ qualityFactor: 4, rigidity: 6e10 }).calculateHeatingPower();
+      expect(power).toBeGreaterThan(3e13);
+      expect(power).toBeLessThan(3e14);
+    });
+
+    it('should warm the surface more for a colder body', () => {
+      const model = io({ qualityFactor: 4, rigidity: 6e10 });
+      expect(model.calculateSurfaceWarming(50)).toBeGreaterThan(model.calculateSurfaceWarming(110));
+    });
+
+    it('should reject a non-positive Q', () => {
+      expect(() => io({ qualityFactor: 0 })).toThrow();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import UnitConverter, {
+  UnitSystem,
+  TemperatureScale,
+  Quantity,
+  SI_UNITS,
+  validateUnitParams
+} from '../src/utils/Units.js';
+import PhysicalParameters, { calculateDerivedValue, DerivedVariable } from '../src/parameters/PhysicalParams.js';
+import CompositionParameters, { EARTH_COMPOSITION } from '../src/parameters/CompositionParams.js';
+import { EARTH, JUPITER } from '../src/utils/Constants.js';
+
+const earthUnits = new UnitConverter({ system: UnitSystem.EARTH });
+const jupiterUnits = new UnitConverter({ system: UnitSystem.JUPITER });
+
+describe('Units', () => {
+  describe('Validation', () => {
+    it('should accept the defaults', () => {
+      expect(validateUnitParams({ system: UnitSystem.SI, temperatureScale: TemperatureScale.KELVIN }).isValid).toBe(true);
+    });
+
+    it('should reject unknown systems and scales', () => {
+      const result = validateUnitParams({ system: 'Imperial', temperatureScale: 'Rankine' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toHaveLength(2);
+      expect(() => new UnitConverter({ system: 'Imperial' })).toThrow('Invalid unit parameters');
+    });
+
+    it('should reject unknown quantities', () => {
+      expect(() => SI_UNITS.toDisplay('luminosity', 1)).toThrow('Unknown quantity');
+    });
+  });
+
+  describe('Relative Units', () => {
+    it('should show Earth as exactly one Earth unit', () => {
+      const earth = new PhysicalParameters(EARTH);
+      expect(earthUnits.toDisplay(Quantity.MASS, earth.mass)).toBeCloseTo(1, 10);
+      expect(earthUnits.toDisplay(Quantity.RADIUS, earth.radius)).toBeCloseTo(1, 10);
+      expect(earthUnits.toDisplay(Quantity.DENSITY, calculateDerivedValue(EARTH, DerivedVariable.DENSITY))).toBeCloseTo(1, 10);
+      expect(earthUnits.toDisplay(Quantity.GRAVITY, earth.calculateSurfaceGravity())).toBeCloseTo(1, 10);
+      expect(earthUnits.toDisplay(Quantity.VELOCITY, earth.calculateEscapeVelocity())).toBeCloseTo(1, 10);
+    });
+
+    it('should give Jupiter about 318 Earth masses', () => {
+      expect(earthUnits.toDisplay(Quantity.MASS, JUPITER.mass)).toBeCloseTo(317.8, 1);
+      expect(jupiterUnits.toDisplay(Quantity.MASS, JUPITER.mass)).toBeCloseTo(1, 10);
+    });
+
+    it('should round-trip display values', () => {
+      for (const quantity of [Quantity.MASS, Quantity.RADIUS, Quantity.DENSITY, Quantity.GRAVITY]) {
+        expect(jupiterUnits.fromDisplay(quantity, jupiterUnits.toDisplay(quantity, 1234.5))).toBeCloseTo(1234.5, 6);
+      }
+    });
+
+    it('should leave SI values unchanged', () => {
+      expect(SI_UNITS.toDisplay(Quantity.MASS, EARTH.mass)).toBe(EARTH.mass);
+      expect(SI_UNITS.format(Quantity.MASS, EARTH.mass)).toBe('5.972e+24 kg');
+    });
+  });
+
+  describe('Temperature', () => {
+    const celsius = new UnitConverter({ temperatureScale: TemperatureScale.CELSIUS });
+    const fahrenheit = new UnitConverter({ temperatureScale: TemperatureScale.FAHRENHEIT });
+
+    it('should convert water freezing and boiling points', () => {
+      expect(celsius.toDisplay(Quantity.TEMPERATURE, 273.15)).toBeCloseTo(0, 10);
+      expect(fahrenheit.toDisplay(Quantity.TEMPERATURE, 273.15)).toBeCloseTo(32, 10);
+      expect(fahrenheit.toDisplay(Quantity.TEMPERATURE, 373.15)).toBeCloseTo(212, 10);
+      expect(fahrenheit.fromDisplay(Quantity.TEMPERATURE, -40)).toBeCloseTo(233.15, 10);
+    });
+
+    it('should scale temperature changes without an offset', () => {
+      expect(celsius.toDisplay(Quantity.TEMPERATURE_CHANGE, 33)).toBe(33);
+      expect(fahrenheit.toDisplay(Quantity.TEMPERATURE_CHANGE, 10)).toBeCloseTo(18, 10);
+    });
+
+    it('should format degrees without a space', () => {
+      expect(celsius.format(Quantity.TEMPERATURE, 288.15)).toBe('15.0°C');
+      expect(SI_UNITS.format(Quantity.TEMPERATURE, 288.15)).toBe('288.1 K');
+    });
+  });
+
+  describe('Reports', () => {
+    it('should write physical parameters in the chosen units', () => {
+      const report = new PhysicalParameters(EARTH).toString(earthUnits);
+      expect(report).toContain('Mass: 1 M⊕');
+      expect(report).toContain('Radius: 1 R⊕');
+      expect(report).toContain('g⊕');
+    });
+
+    it('should write composition temperatures in the chosen scale', () => {
+      const composition = new CompositionParameters(EARTH_COMPOSITION);
+      const report = composition.toString(null, new UnitConverter({ temperatureScale: TemperatureScale.CELSIUS }));
+      expect(report).toMatch(/Effective Temperature: -?\d+\.\d°C/);
+      expect(report).not.toMatch(/Temperature: [\d.]+ K/);
+    });
+  });
+});
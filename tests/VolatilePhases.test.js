@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  Phase,
+  VOLATILES,
+  analyzeVolatiles,
+  calculateCondensationTemperature,
+  calculateVaporPressure,
+  determinePhase
+} from '../src/physics/VolatilePhases.js';
+import CompositionParameters, { EARTH_COMPOSITION } from '../src/parameters/CompositionParams.js';
+
+describe('VolatilePhases', () => {
+  describe('Phase Boundaries', () => {
+    it('should pass through the triple point', () => {
+      for (const [volatile, { triplePoint }] of Object.entries(VOLATILES)) {
+        expect(calculateVaporPressure(volatile, triplePoint.temperature)).toBeCloseTo(triplePoint.pressure, 6);
+      }
+    });
+
+    it('should boil water at 373 K at 1 atm', () => {
+      expect(calculateCondensationTemperature('H2O', 1)).toBeCloseTo(373.15, 0);
+    });
+
+    it('should boil water at a lower temperature at lower pressure', () => {
+      expect(calculateCondensationTemperature('H2O', 0.3)).toBeLessThan(350);
+    });
+
+    it('should sublimate CO2 near 195 K at 1 atm', () => {
+      expect(calculateCondensationTemperature('CO2', 1)).toBeCloseTo(194.65, 0);
+    });
+
+    it('should have no boiling point above the critical pressure', () => {
+      expect(calculateCondensationTemperature('CO2', 100)).toBeNull();
+    });
+
+    it('should throw for an unknown volatile', () => {
+      expect(() => determinePhase('Xe', 200, 1)).toThrow();
+    });
+  });
+
+  describe('Phases', () => {
+    it('should give the familiar phases of water at 1 atm', () => {
+      expect(determinePhase('H2O', 250, 1)).toBe(Phase.SOLID);
+      expect(determinePhase('H2O', 300, 1)).toBe(Phase.LIQUID);
+      expect(determinePhase('H2O', 400, 1)).toBe(Phase.GAS);
+    });
+
+    it('should not allow liquid water below the triple-point pressure', () => {
+      expect(determinePhase('H2O', 280, 0.004)).toBe(Phase.GAS);
+    });
+
+    it('should make Venus CO2 supercritical', () => {
+      expect(determinePhase('CO2', 737, 92)).toBe(Phase.SUPERCRITICAL);
+    });
+
+    it('should allow methane lakes on Titan', () => {
+      expect(determinePhase('CH4', 94, 1.45)).toBe(Phase.LIQUID);
+      expect(determinePhase('N2', 94, 1.45)).toBe(Phase.GAS);
+    });
+
+    it('should allow CO2 frost in a Martian polar winter', () => {
+      const result = analyzeVolatiles(210, 0.006, { minTemperature: 140, maxTemperature: 280 }, ['CO2']);
+      expect(result.volatiles[0].phase).toBe(Phase.GAS);
+      expect(result.solids).toContain('CO2');
+    });
+  });
+
+  describe('Composition integration', () => {
+    it('should report liquid water on Earth', () => {
+      const composition = new CompositionParameters(EARTH_COMPOSITION);
+      expect(composition.canSupportLiquidWater()).toBe(true);
+      expect(composition.getVolatilePhases().liquids).toEqual(['H2O']);
+    });
+
+    it('should fill Titan-like basins with methane', () => {
+      const composition = new CompositionParameters({
+        atmosphere: { composition: { N2: 95, CH4: 5 }, pressure: 1.45, thickness: 600 },
+        water: { coverage: 2, depth: 0.1, iceCaps: 0 },
+        surface: { albedo: 0.2, temperature: 94 }
+      });
+
+      expect(composition.getOceanState()).toEqual({ volatile: 'CH4', phase: Phase.LIQUID });
+      expect(composition.getOceanColor()).not.toBe(0xddeeff);
+    });
+  });
+});